@@ -0,0 +1,413 @@
+/**
+ * @fileoverview HTTP API over what the Queclink server knows about its
+ * devices: sessions and health from SessionManager, positions and OBD
+ * snapshots from the report store (storage.js), trips from TripBuilder, DTCs
+ * from DtcTracker and configuration from DeviceConfigStore. AT commands,
+ * real-time queries included, go out through CommandDispatcher. openapi.json
+ * describes it and is served at GET /openapi.json.
+ *
+ * Devices and DTCs not seen since the server started are read from the store:
+ * a device from its last stored connection, its DTCs from its latest OBD
+ * snapshot.
+ *
+ * Responses are JSON. Errors are { error: { code, message } } with the HTTP
+ * status set accordingly. Lists read from the store are paged: a response
+ * with more rows carries `nextCursor`, passed back as `cursor` to get them.
+ * Passwords in device reports (configuration, command responses) are never
+ * returned. Sending a command needs the bearer token; without one configured
+ * the server sends none.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import { EventEmitter } from 'events';
+import { CommandValidationError } from './command-builder.js';
+import { describeDtc } from './dtc-codes.js';
+import { fromSessionRow } from './storage.js';
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+export const MAX_BODY_BYTES = 64 * 1024;
+export const REDACTED = '********';
+
+// Parsed fields holding the device password or network credentials (GTALM
+// CFG and BSI, GTAIF); responses carry REDACTED instead of a set value
+const CREDENTIAL_FIELDS = ['password', 'apnPassword'];
+
+const OPENAPI_DOCUMENT = JSON.parse(fs.readFileSync(new URL('./openapi.json', import.meta.url), 'utf8'));
+
+export class ApiError extends Error {
+
+    /**
+     * @param {number} status The HTTP status.
+     * @param {string} code A stable machine-readable code, e.g. 'DEVICE_NOT_FOUND'.
+     * @param {string} message A human-readable explanation.
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+export class ApiServer extends EventEmitter {
+
+    /**
+     * @param {object} options
+     * @param {number} options.port The port to listen on.
+     * @param {string} [options.host] The address to bind, all interfaces by default.
+     * @param {import('./session-manager.js').SessionManager} options.sessions
+     * @param {object|null} [options.storage] The report store; the endpoints reading it answer 503 without one.
+     * @param {import('./trip-builder.js').TripBuilder} [options.tripBuilder]
+     * @param {import('./dtc-tracker.js').DtcTracker} [options.dtcTracker]
+     * @param {import('./config-store.js').DeviceConfigStore} [options.configStore]
+     * @param {import('./command-dispatcher.js').CommandDispatcher} [options.commandDispatcher] Sends the commands; POST answers 503 without one.
+     * @param {string} [options.commandToken] The `Authorization: Bearer <token>` sending a command needs; without one, POST answers 403.
+     */
+    constructor({
+        port,
+        host = undefined,
+        sessions,
+        storage = null,
+        tripBuilder = null,
+        dtcTracker = null,
+        configStore = null,
+        commandDispatcher = null,
+        commandToken = null,
+    }) {
+        super();
+        this.sessions = sessions;
+        this.storage = storage;
+        this.tripBuilder = tripBuilder;
+        this.dtcTracker = dtcTracker;
+        this.configStore = configStore;
+        this.commandDispatcher = commandDispatcher;
+        this.commandToken = commandToken;
+
+        // Handlers get the path parameters, the query string and the request
+        this.routes = [
+            { path: /^\/openapi\.json$/, GET: () => OPENAPI_DOCUMENT },
+            { path: /^\/devices$/, GET: () => this._listDevices() },
+            { path: /^\/devices\/([^/]+)$/, GET: ([imei]) => this._getDevice(imei) },
+            { path: /^\/devices\/([^/]+)\/positions$/, GET: ([imei], query) => this._getPositions(imei, query) },
+            { path: /^\/devices\/([^/]+)\/trips$/, GET: ([imei]) => this._getTrips(imei) },
+            { path: /^\/devices\/([^/]+)\/obd\/latest$/, GET: ([imei]) => this._getLatestObd(imei) },
+            { path: /^\/devices\/([^/]+)\/dtcs$/, GET: ([imei]) => this._getDtcs(imei) },
+            { path: /^\/devices\/([^/]+)\/config$/, GET: ([imei]) => this._getConfig(imei) },
+            {
+                path: /^\/devices\/([^/]+)\/commands$/,
+                GET: ([imei]) => this._listCommands(imei),
+                POST: ([imei], query, request) => this._sendCommand(imei, request),
+            },
+            { path: /^\/devices\/([^/]+)\/commands\/(\d+)$/, GET: ([imei, id]) => this._getCommand(imei, Number(id)) },
+        ];
+
+        this.server = http.createServer((request, response) => this._handle(request, response));
+        this.server.on('error', (error) => this.emit('error', error));
+        this.server.listen(port, host, () => this.emit('listening', { port }));
+    }
+
+    close() {
+        this.server.close();
+    }
+
+    async _handle(request, response) {
+        let status = 200;
+        let body;
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const route = this.routes.find(candidate => candidate.path.test(url.pathname));
+            if (!route) {
+                throw new ApiError(404, 'NOT_FOUND', `No resource at ${url.pathname}`);
+            }
+            const methods = ['GET', 'POST'].filter(method => route[method]);
+            if (!methods.includes(request.method)) {
+                response.setHeader('Allow', methods.join(', '));
+                throw new ApiError(405, 'METHOD_NOT_ALLOWED', `${request.method} is not supported here, use ${methods.join(' or ')}`);
+            }
+            const params = url.pathname.match(route.path).slice(1).map(decodePathParameter);
+            body = await route[request.method](params, url.searchParams, request);
+            if (request.method === 'POST') {
+                status = 202;
+            }
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                this.emit('requestFailed', { method: request.method, url: request.url, error });
+                error = new ApiError(500, 'INTERNAL_ERROR', 'The request could not be completed');
+            }
+            status = error.status;
+            body = { error: { code: error.code, message: error.message } };
+        }
+
+        response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(body));
+    }
+
+    async _listDevices() {
+        const devices = this.sessions.getAllSessions();
+        if (this.storage) {
+            const known = new Set(devices.map(device => device.imei));
+            const stored = (await this.storage.getDevices()).filter(row => !known.has(row.imei));
+            devices.push(...stored.map(fromSessionRow));
+        }
+        return { devices };
+    }
+
+    async _getDevice(imei) {
+        const session = this.sessions.getSession(imei);
+        if (session) {
+            return this.sessions.describe(session);
+        }
+        const [row] = this.storage ? await this.storage.getSessions(imei, { limit: 1 }) : [];
+        if (!row) {
+            throw new ApiError(404, 'DEVICE_NOT_FOUND', `Device ${imei} has never connected`);
+        }
+        return fromSessionRow(row);
+    }
+
+    async _getPositions(imei, query) {
+        const storage = this._requireStorage();
+        const limit = parseLimit(query.get('limit'));
+        const positions = await storage.getPositions(imei, {
+            from: parseTime(query.get('from'), 'from'),
+            to: parseTime(query.get('to'), 'to'),
+            after: parseCursor(query.get('cursor')),
+            limit,
+        });
+        const last = positions[positions.length - 1];
+        return {
+            imei,
+            positions,
+            nextCursor: positions.length === limit ? encodeCursor(last.timestamp, last.id) : null,
+        };
+    }
+
+    _getTrips(imei) {
+        if (!this.tripBuilder) {
+            throw new ApiError(503, 'TRIPS_DISABLED', 'Trip segmentation is not running');
+        }
+        return { imei, openTrip: this.tripBuilder.getOpenTrip(imei), trips: this.tripBuilder.getTrips(imei) };
+    }
+
+    async _getLatestObd(imei) {
+        const snapshot = await this._requireStorage().getLatestObdSnapshot(imei);
+        if (!snapshot) {
+            throw new ApiError(404, 'NO_OBD_DATA', `No GTOBD or GTOSM report stored for ${imei}`);
+        }
+        return snapshot;
+    }
+
+    async _getDtcs(imei) {
+        const vehicle = this.dtcTracker ? this.dtcTracker.getVehicle(imei) : null;
+        if (vehicle) {
+            return vehicle;
+        }
+        const snapshot = this.storage ? await this.storage.getLatestObdSnapshot(imei) : null;
+        if (!snapshot) {
+            throw new ApiError(404, 'NO_OBD_DATA', `No GTOBD or GTOSM report received from ${imei}`);
+        }
+        return vehicleFromSnapshot(snapshot);
+    }
+
+    _getConfig(imei) {
+        const snapshot = this.configStore ? this.configStore.get(imei) : undefined;
+        if (!snapshot) {
+            throw new ApiError(404, 'NO_CONFIG', `No +RESP:GTALM configuration received from ${imei} since the server started`);
+        }
+        return redactCredentials(snapshot);
+    }
+
+    _listCommands(imei) {
+        const dispatcher = this._requireDispatcher();
+        return { imei, commands: dispatcher.getCommands(imei).map(entry => redactCredentials(dispatcher.describe(entry))) };
+    }
+
+    _getCommand(imei, id) {
+        const dispatcher = this._requireDispatcher();
+        const entry = dispatcher.getCommand(id);
+        if (!entry || entry.imei !== imei) {
+            throw new ApiError(404, 'COMMAND_NOT_FOUND', `No command ${id} for ${imei}; finished commands are only kept for a while`);
+        }
+        return redactCredentials(dispatcher.describe(entry));
+    }
+
+    /**
+     * Queues an AT command. The body is { command, options }, e.g.
+     * { "command": "GTRTO", "options": { "subCommand": "INF" } }. The command
+     * is accepted for offline devices too and sent when they reconnect.
+     */
+    async _sendCommand(imei, request) {
+        const dispatcher = this._requireDispatcher();
+        if (!this.commandToken) {
+            throw new ApiError(403, 'COMMANDS_LOCKED', 'Sending commands needs a bearer token configured on the server (API_TOKEN)');
+        }
+        if (!tokenMatches(request.headers.authorization, `Bearer ${this.commandToken}`)) {
+            throw new ApiError(401, 'UNAUTHORIZED', 'Sending commands needs the API bearer token');
+        }
+
+        const body = await readJsonBody(request);
+        if (!body || typeof body.command !== 'string') {
+            throw new ApiError(400, 'INVALID_BODY', 'The body must be a JSON object with a command, e.g. {"command":"GTRTO","options":{"subCommand":"INF"}}');
+        }
+        if (body.options !== undefined && (typeof body.options !== 'object' || body.options === null || Array.isArray(body.options))) {
+            throw new ApiError(400, 'INVALID_BODY', 'options must be an object');
+        }
+
+        try {
+            return redactCredentials(dispatcher.describe(dispatcher.enqueue(imei, body.command, body.options || {})));
+        } catch (error) {
+            if (error instanceof CommandValidationError) {
+                throw new ApiError(400, 'INVALID_COMMAND', error.message);
+            }
+            throw error;
+        }
+    }
+
+    _requireDispatcher() {
+        if (!this.commandDispatcher) {
+            throw new ApiError(503, 'COMMANDS_DISABLED', 'This server does not send commands');
+        }
+        return this.commandDispatcher;
+    }
+
+    _requireStorage() {
+        if (!this.storage) {
+            throw new ApiError(503, 'STORAGE_DISABLED', 'Report storage is disabled (DB_CLIENT=none)');
+        }
+        return this.storage;
+    }
+}
+
+/**
+ * Decodes a path parameter; a malformed escape such as %E0 is the client's error.
+ */
+function decodePathParameter(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        if (error instanceof URIError) {
+            throw new ApiError(400, 'INVALID_PATH', `'${value}' is not a valid URL-encoded path segment`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Describes a vehicle's DTCs as DtcTracker does, from its latest stored OBD
+ * snapshot. A snapshot only holds the codes active when it was taken, so
+ * first sightings, occurrences, cleared codes and the MIL history are unknown.
+ */
+function vehicleFromSnapshot(snapshot) {
+    const codes = snapshot.dtcs.map(code => ({
+        ...describeDtc(code),
+        firstSeen: null,
+        lastSeen: snapshot.timestamp,
+        clearedAt: null,
+        clearReason: null,
+        active: true,
+        occurrences: null,
+    }));
+    return {
+        imei: snapshot.imei,
+        vin: snapshot.vin,
+        activeCodes: codes.map(dtc => dtc.code),
+        codes,
+        mil: snapshot.mil_on === null ? null : { on: snapshot.mil_on, since: null, milActivatedDistance: null, activatedAtMileage: null },
+    };
+}
+
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, 'BODY_TOO_LARGE', `The body must be at most ${MAX_BODY_BYTES} bytes`));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new ApiError(400, 'INVALID_BODY', 'The body is not valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Compares the Authorization header in constant time; hashing first gives
+ * timingSafeEqual the equal lengths it needs without revealing the token's.
+ */
+function tokenMatches(header, expected) {
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return typeof header === 'string' && crypto.timingSafeEqual(digest(header), digest(expected));
+}
+
+/**
+ * Copies a report, or anything holding reports, with the credential fields masked.
+ */
+function redactCredentials(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactCredentials);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+        return value;
+    }
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+        copy[key] = CREDENTIAL_FIELDS.includes(key) && field ? REDACTED : redactCredentials(field);
+    }
+    return copy;
+}
+
+function parseTime(value, name) {
+    if (value === null || value === '') {
+        return null;
+    }
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw new ApiError(400, 'INVALID_QUERY', `${name} must be an ISO 8601 time, got '${value}'`);
+    }
+    return time;
+}
+
+function parseLimit(value) {
+    if (value === null || value === '') {
+        return DEFAULT_PAGE_SIZE;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new ApiError(400, 'INVALID_QUERY', `limit must be an integer from 1 to ${MAX_PAGE_SIZE}, got '${value}'`);
+    }
+    return limit;
+}
+
+// The cursor is the time and id of the last row returned, so pages stay stable while rows are added
+function encodeCursor(time, id) {
+    return Buffer.from(JSON.stringify([time, id])).toString('base64url');
+}
+
+function parseCursor(value) {
+    if (value === null || value === '') {
+        return null;
+    }
+    try {
+        const [time, id] = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        if (typeof time === 'string' && Number.isInteger(id) && !Number.isNaN(new Date(time).getTime())) {
+            return { time, id };
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw new ApiError(400, 'INVALID_QUERY', 'cursor is not one returned by this API');
+}
+
+export default ApiServer;
@@ -0,0 +1,315 @@
+/**
+ * @fileoverview Canonical telemetry record for Queclink reports.
+ * The parsers keep the protocol's own field names and types, which differ
+ * between reports: GNSS `speed` vs OBD `vehicleSpeed`, LAC as a number or a
+ * hex string, Count Number as a number (ASCII) or a hex string (older HEX
+ * parsers). toCanonical() maps any parsed +RESP, +BUFF or HEX report to one
+ * flat, versioned record whose field names carry their units. Reports that
+ * batch several positions map to one record per position with
+ * toCanonicalRecords().
+ *
+ * Bump CANONICAL_SCHEMA_VERSION whenever a field is renamed, removed or
+ * changes meaning; adding a field does not need a new version.
+ */
+
+import { isBufferedReport } from './parser.js';
+
+export const CANONICAL_SCHEMA_VERSION = 2;
+
+// Report command -> event type. Commands not listed use the command name in lower case.
+const EVENT_TYPES = {
+    GTFRI: 'periodic',
+    GTTOW: 'tow',
+    GTGEO: 'geofence',
+    GTGES: 'geofence_status',
+    GTSPD: 'speeding',
+    GTRTL: 'location_request',
+    GTDOG: 'watchdog',
+    GTIGL: 'ignition_location',
+    GTVGL: 'ignition_location',
+    GTHBM: 'harsh_behavior',
+    GTEPS: 'external_power',
+    GTIGN: 'ignition_on',
+    GTVGN: 'ignition_on',
+    GTIGF: 'ignition_off',
+    GTVGF: 'ignition_off',
+    GTSTT: 'motion_state',
+    GTIDN: 'idle_start',
+    GTIDF: 'idle_end',
+    GTSTR: 'vehicle_start',
+    GTSTP: 'vehicle_stop',
+    GTLSP: 'long_stop',
+    GTPNA: 'power_on',
+    GTPFA: 'power_off',
+    GTPDP: 'data_connection',
+    GTMPN: 'main_power_connected',
+    GTMPF: 'main_power_disconnected',
+    GTBTC: 'backup_battery_charging_start',
+    GTSTC: 'backup_battery_charging_stop',
+    GTBPL: 'backup_battery_low',
+    GTCRA: 'crash',
+    GTCRD: 'crash',
+    GTRMD: 'roaming',
+    GTOBD: 'obd',
+    GTOSM: 'obd_status',
+    GTOPN: 'obd_plug_in',
+    GTOPF: 'obd_plug_out',
+    GTOER: 'obd_error',
+    GTJES: 'journey_summary',
+    GTSVR: 'stolen_vehicle_recovery',
+    GTBAA: 'bluetooth_alarm',
+    GTGPS: 'device_info',
+    GTINF: 'device_info',
+    GTHBD: 'heartbeat', // HEX +HBD; the ASCII heartbeat is an +ACK
+};
+
+// Commands that state the ignition directly
+const IGNITION_COMMANDS = {
+    GTIGN: true,
+    GTVGN: true,
+    GTIGF: false,
+    GTVGF: false,
+};
+
+// Motion status codes (first digit: 1 ignition off, 2 ignition on)
+const IGNITION_MOTION_STATES = {
+    11: false, // Ignition Off Rest
+    12: false, // Ignition Off Motion
+    16: false, // Tow
+    21: true,  // Ignition On Rest
+    22: true,  // Ignition On Motion
+};
+
+// HEX message header -> report name
+const HEX_REPORT_NAMES = {
+    '2B525350': 'RSP',
+    '2B455654': 'EVT',
+    '2B425350': 'RSP',
+    '2B425654': 'EVT',
+    '2B494E46': 'INF',
+    '2B484244': 'HBD',
+    '2B435244': 'CRD',
+    '2B4F4244': 'OBD',
+    '2B415449': 'ATI',
+};
+
+/**
+ * Maps a parsed report to the canonical record.
+ * @param {object} result The object returned by QueclinkParser.parse.
+ * @returns {object|null} The record, or null for failed parses, +ACK messages and reports without a Unique ID.
+ */
+export function toCanonical(result) {
+    if (!result || result.ok === false || !result.parsedData || result.messageType === 'ACK') {
+        return null;
+    }
+
+    const report = result.parsedData;
+    if (!report.uniqueId) {
+        return null;
+    }
+
+    const isHex = result.messageType === 'HEX';
+    const command = isHex ? hexCommand(result, report) : result.command;
+    const gnssTime = toIsoString(report.gnssUtcTime);
+    const sendTime = toIsoString(report.sendTime);
+
+    return {
+        schema_version: CANONICAL_SCHEMA_VERSION,
+        imei: toImei(report.uniqueId),
+        device_name: report.deviceName || null,
+        vin: report.vin || null,
+
+        event_type: EVENT_TYPES[command] || (isHex ? hexEventType(command) : command.toLowerCase()),
+        event_code: isHex ? toNumber(report.messageCode) : null, // HEX Message Type, names the report or event
+        command,
+        format: isHex ? 'HEX' : 'ASCII',
+        buffered: isBufferedReport(result),
+        count_number: toCountNumber(report.countNumber),
+
+        timestamp: gnssTime || sendTime,   // ISO 8601 UTC, GNSS fix time when there is one
+        gnss_time: gnssTime,
+        send_time: sendTime,
+
+        lat: toNumber(report.latitude),    // decimal degrees, WGS84
+        lon: toNumber(report.longitude),
+        altitude_m: toNumber(report.altitude),
+        speed_kmh: toNumber(report.speed ?? report.vehicleSpeed),
+        heading_deg: toNumber(report.azimuth),
+        gnss_accuracy: toNumber(report.gnssAccuracy), // HDOP, 0 means no fix
+        satellites: toNumber(report.satellitesInUse),
+
+        odometer_km: toNumber(report.mileage ?? report.obdMileage),
+        hour_meter: report.hourMeterCount || null, // HHHHH:MM:SS
+        ignition: ignitionState(command, report),
+        power_mv: toNumber(report.externalPowerVoltage ?? report.obdPowerVoltage),
+        engine_rpm: toNumber(report.engineRpm),
+        fuel_level_pct: toNumber(report.fuelLevelInput),
+
+        cell: {
+            mcc: toNumber(report.mcc),
+            mnc: toNumber(report.mnc),
+            lac: toHexNumber(report.lac),
+            cell_id: toHexNumber(report.cellId),
+        },
+        position_index: 0,
+        position_count: Array.isArray(report.positions) ? report.positions.length : 1,
+    };
+}
+
+/**
+ * Maps a parsed report to one canonical record per position. Reports without
+ * a `positions` array give a single record, the same as toCanonical().
+ * @param {object} result The object returned by QueclinkParser.parse.
+ * @returns {object[]} The records, oldest position first as sent by the device.
+ */
+export function toCanonicalRecords(result) {
+    const base = toCanonical(result);
+    if (!base) {
+        return [];
+    }
+
+    const positions = result.parsedData.positions;
+    if (!Array.isArray(positions) || positions.length <= 1) {
+        return [base];
+    }
+
+    return positions.map((position, index) => {
+        const gnssTime = toIsoString(position.gnssUtcTime);
+        return {
+            ...base,
+            timestamp: gnssTime || base.send_time,
+            gnss_time: gnssTime,
+            lat: toNumber(position.latitude),
+            lon: toNumber(position.longitude),
+            altitude_m: toNumber(position.altitude),
+            speed_kmh: toNumber(position.speed),
+            heading_deg: toNumber(position.azimuth),
+            gnss_accuracy: toNumber(position.gnssAccuracy),
+            cell: {
+                mcc: toNumber(position.mcc),
+                mnc: toNumber(position.mnc),
+                lac: toHexNumber(position.lac),
+                cell_id: toHexNumber(position.cellId),
+            },
+            position_index: index,
+        };
+    });
+}
+
+/**
+ * Maps a JT/T 808 location report (0x0200, GS22 devices) to the canonical
+ * record, so both device families reach consumers in one shape.
+ * @param {import('./protocol-parser.js').LocationReportMessage} message The message returned by ProtocolParser.parse.
+ * @returns {object} The record; the terminal phone number stands in for the IMEI.
+ */
+export function fromJt808Location(message) {
+    const time = toIsoString(message.time);
+    return {
+        schema_version: CANONICAL_SCHEMA_VERSION,
+        imei: message.header.phoneNumber,
+        device_name: null,
+        vin: null,
+
+        event_type: message.alarmFlags ? 'alarm' : 'position',
+        event_code: message.additional.alarmEventId ?? null,
+        command: 'JT808_0200',
+        format: 'JT808',
+        buffered: false,
+        count_number: message.header.serialNumber,
+
+        timestamp: time,
+        gnss_time: message.positioned ? time : null,
+        send_time: null,
+
+        lat: message.latitude,
+        lon: message.longitude,
+        altitude_m: message.altitude,
+        speed_kmh: message.speed,
+        heading_deg: message.direction,
+        gnss_accuracy: null, // JT808 only says whether there is a fix
+        satellites: message.additional.satellites ?? null,
+
+        odometer_km: message.additional.mileageKm ?? null,
+        hour_meter: null,
+        ignition: message.accOn,
+        power_mv: null,
+        engine_rpm: null,
+        fuel_level_pct: null,
+
+        cell: { mcc: null, mnc: null, lac: null, cell_id: null },
+        position_index: 0,
+        position_count: 1,
+    };
+}
+
+function toIsoString(date) {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+        return null;
+    }
+    return date.toISOString();
+}
+
+// Some HEX parsers keep the Unique ID as its 8 BCD bytes (e.g. 0861971050198167)
+function toImei(uniqueId) {
+    const imei = String(uniqueId);
+    return /^0\d{15}$/.test(imei) ? imei.substring(1) : imei;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// LAC and Cell ID are hex on the wire; some parsers convert them, some keep the text
+function toHexNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'string' && /^[0-9A-Fa-f]+$/.test(value)) {
+        return parseInt(value, 16);
+    }
+    return null;
+}
+
+function toCountNumber(value) {
+    return typeof value === 'string' ? toHexNumber(value) : toNumber(value);
+}
+
+function ignitionState(command, report) {
+    if (command in IGNITION_COMMANDS) {
+        return IGNITION_COMMANDS[command];
+    }
+    // GTSTT parses the motion status as a number, GTINF and HEX reports keep its digits as text
+    const state = IGNITION_MOTION_STATES[parseInt(report.motionStatus, 10)];
+    return state === undefined ? null : state;
+}
+
+// The parser names HEX reports after their ASCII report; the rest keep their header
+function hexCommand(result, report) {
+    if (/^GT[A-Z0-9]+$/.test(result.command)) {
+        return result.command;
+    }
+    return HEX_REPORT_NAMES[result.command] || report.hexHeader || result.command;
+}
+
+function hexEventType(name) {
+    switch (name) {
+        case 'RSP':
+            return 'position';
+        case 'EVT':
+            return 'event';
+        case 'HBD':
+            return 'heartbeat';
+        case 'CRD':
+            return 'crash';
+        case 'OBD':
+            return 'obd';
+        default:
+            return 'device_info';
+    }
+}
+
+export default toCanonical;
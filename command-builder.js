@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Builder for outbound Queclink GV500MAP AT commands.
+ * Every command has the shape
+ *   AT+GTxxx=<password>,<param 1>,...,<param n>,<serial number>$
+ * where reserved parameters are sent empty. A parameter left empty keeps the
+ * value currently configured on the device, so options that are not given
+ * are sent empty as well.
+ *
+ * Option names follow the field names parseGTALM uses for the same section,
+ * so a configuration snapshot can be fed straight back into the builder.
+ */
+
+export const DEFAULT_PASSWORD = 'gv500map';
+
+const RESERVED = null;
+const reserved = (count) => new Array(count).fill(RESERVED);
+
+// Real-time query (AT+GTRTO) sub commands and the +RESP report each one triggers
+export const RTO_SUB_COMMANDS = Object.freeze({
+    GPS: 'GTGPS',
+    RTL: 'GTRTL',
+    READ: 'GTALM',
+    REBOOT: null,
+    RESET: null,
+    CID: 'GTCID',
+    CSQ: 'GTCSQ',
+    VER: 'GTVER',
+    BAT: 'GTBAT',
+    TMZ: 'GTTMZ',
+    GSV: 'GTGSV',
+    INF: 'GTINF',
+    ATI: 'GTATI',
+    AIF: 'GTAIF',
+    BTI: 'GTBTI',
+});
+
+/**
+ * Parameter layouts (after the password, before the serial number).
+ * A null entry is a reserved parameter.
+ */
+const COMMAND_LAYOUTS = {
+    GTSRI: [
+        { name: 'reportMode', type: 'int', min: 0, max: 7 },
+        RESERVED,
+        { name: 'bufferMode', type: 'int', min: 0, max: 2 },
+        { name: 'mainServerIPDomain', type: 'string', maxLength: 60 },
+        { name: 'mainServerPort', type: 'int', min: 0, max: 65535 },
+        { name: 'backupServerIP', type: 'string', maxLength: 60 },
+        { name: 'backupServerPort', type: 'int', min: 0, max: 65535 },
+        { name: 'smsGateway', type: 'string', maxLength: 20 },
+        { name: 'heartbeatInterval', type: 'int', min: 0, max: 360 },
+        { name: 'sackEnable', type: 'int', min: 0, max: 1 },
+        { name: 'protocolFormat', type: 'int', min: 0, max: 1 },
+        { name: 'enableSMSACK', type: 'int', min: 0, max: 1 },
+        { name: 'highPriorityMask', type: 'hex', maxLength: 8 },
+        RESERVED,
+        { name: 'encryptionMode', type: 'int', min: 0, max: 1 },
+    ],
+    GTFRI: [
+        { name: 'mode', type: 'int', min: 0, max: 5 },
+        { name: 'discardNoFix', type: 'int', min: 0, max: 1 },
+        RESERVED,
+        { name: 'periodEnable', type: 'int', min: 0, max: 1 },
+        { name: 'beginTime', type: 'time' },
+        { name: 'endTime', type: 'time' },
+        RESERVED,
+        { name: 'sendInterval', type: 'int', min: 1, max: 86400 },
+        { name: 'distance', type: 'int', min: 50, max: 65535 },
+        { name: 'mileage', type: 'int', min: 50, max: 65535 },
+        RESERVED,
+        { name: 'cornerReport', type: 'int', min: 0, max: 180 },
+        { name: 'igfReportInterval', type: 'int', min: 1, max: 86400 },
+        ...reserved(4),
+    ],
+    GTGEO: [
+        { name: 'geoId', type: 'int', min: 0, max: 19, required: true },
+        { name: 'mode', type: 'int', min: 0, max: 3 },
+        { name: 'longitude', type: 'float', min: -180, max: 180, decimals: 6 },
+        { name: 'latitude', type: 'float', min: -90, max: 90, decimals: 6 },
+        { name: 'radius', type: 'int', min: 50, max: 6000000 },
+        { name: 'checkInterval', type: 'int', min: 0, max: 86400 },
+        ...reserved(4),
+        { name: 'triggerMode', type: 'enum', values: [0, 21, 22] },
+        { name: 'triggerReport', type: 'int', min: 0, max: 1 },
+        { name: 'stateMode', type: 'int', min: 0, max: 1 },
+        RESERVED,
+    ],
+    GTSPD: [
+        { name: 'mode', type: 'int', min: 0, max: 4 },
+        { name: 'minSpeed', type: 'int', min: 0, max: 400 },
+        { name: 'maxSpeed', type: 'int', min: 0, max: 400 },
+        { name: 'validity', type: 'int', min: 0, max: 3600 },
+        { name: 'sendInterval', type: 'int', min: 30, max: 3600 },
+        ...reserved(15),
+    ],
+    GTOBD: [
+        { name: 'mode', type: 'int', min: 0, max: 2 },
+        { name: 'checkInterval', type: 'int', min: 0, max: 86400 },
+        { name: 'reportInterval', type: 'int', min: 0, max: 86400 },
+        { name: 'reportIntervalIGF', type: 'int', min: 0, max: 86400 },
+        { name: 'reportMask', type: 'hex', maxLength: 8 },
+        { name: 'eventMask', type: 'hex', maxLength: 8 },
+        { name: 'displacement', type: 'float', min: 0, max: 99.9, decimals: 1 },
+        { name: 'fuelOilType', type: 'int', min: 0, max: 3 },
+        { name: 'customFuelRatio', type: 'float', min: 0, max: 99.9, decimals: 1 },
+        { name: 'customFuelDensity', type: 'float', min: 0, max: 9999.9, decimals: 1 },
+        { name: 'journeySummaryMask', type: 'hex', maxLength: 4 },
+        RESERVED,
+        { name: 'igfDebounceTime', type: 'int', min: 0, max: 255 },
+        ...reserved(2),
+    ],
+    GTHRM: [
+        ...reserved(2),
+        { name: 'ackMask', type: 'hex', maxLength: 2 },
+        { name: 'rspMask', type: 'hex', maxLength: 8 },
+        { name: 'evtMask', type: 'hex', maxLength: 8 },
+        { name: 'infMask', type: 'hex', maxLength: 2 },
+        { name: 'hbdMask', type: 'hex', maxLength: 2 },
+        { name: 'crdMask', type: 'hex', maxLength: 8 },
+        ...reserved(2),
+        { name: 'obdMask', type: 'hex', maxLength: 8 },
+    ],
+    GTRTO: [
+        { name: 'subCommand', type: 'enum', values: Object.keys(RTO_SUB_COMMANDS), required: true },
+        { name: 'subCommandParameter', type: 'string', maxLength: 20 },
+        ...reserved(4),
+    ],
+};
+
+// 'FRI', 'GTFRI' and 'AT+GTFRI' all name GTFRI
+function normalizeCommand(command) {
+    const name = String(command || '').toUpperCase().replace(/^AT\+/, '');
+    return name.startsWith('GT') ? name : `GT${name}`;
+}
+
+export class CommandValidationError extends Error {
+    /**
+     * @param {string} command The AT command being built.
+     * @param {string|null} field The offending option, if any.
+     * @param {string} message What is wrong with it.
+     */
+    constructor(command, field, message) {
+        super(field ? `AT+${command} ${field}: ${message}` : `AT+${command}: ${message}`);
+        this.name = 'CommandValidationError';
+        this.command = command;
+        this.field = field;
+    }
+}
+
+export class CommandBuilder {
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.password] The device password used when a command does not give its own.
+     */
+    constructor({ password = DEFAULT_PASSWORD } = {}) {
+        this.password = password;
+        this.nextSerialNumber = 0;
+    }
+
+    /**
+     * @returns {string[]} The AT commands the builder knows (e.g. 'GTFRI').
+     */
+    static get supportedCommands() {
+        return Object.keys(COMMAND_LAYOUTS);
+    }
+
+    /**
+     * @param {string} command The command name, with or without the 'GT' prefix.
+     * @returns {string[]} The options the command takes, empty if the builder does not know it.
+     */
+    static optionNames(command) {
+        const layout = COMMAND_LAYOUTS[normalizeCommand(command)] || [];
+        return layout.filter(Boolean).map(field => field.name);
+    }
+
+    /**
+     * Builds and validates an AT command.
+     * @param {string} command The command name, with or without the 'GT' prefix (e.g. 'GTFRI' or 'FRI').
+     * @param {object} [options] Command parameters keyed by option name.
+     * @param {object} [settings]
+     * @param {string} [settings.password] Overrides the builder's password.
+     * @param {number} [settings.serialNumber] 0-0xFFFF; allocated by the builder when omitted.
+     * @returns {{command: string, serialNumber: number, text: string}} The command and its wire text.
+     */
+    build(command, options = {}, { password = this.password, serialNumber } = {}) {
+        const name = this._normalizeCommand(command);
+        const layout = COMMAND_LAYOUTS[name];
+        if (!layout) {
+            throw new CommandValidationError(name, null, `unsupported command, expected one of: ${CommandBuilder.supportedCommands.join(', ')}`);
+        }
+
+        const known = layout.filter(Boolean).map(field => field.name);
+        const unknown = Object.keys(options).filter(key => !known.includes(key));
+        if (unknown.length) {
+            throw new CommandValidationError(name, unknown[0], `unknown option, expected one of: ${known.join(', ')}`);
+        }
+
+        if (!/^[0-9A-Za-z]{4,20}$/.test(password || '')) {
+            throw new CommandValidationError(name, 'password', 'must be 4-20 letters or digits');
+        }
+
+        const serial = serialNumber === undefined ? this._allocateSerialNumber() : serialNumber;
+        if (!Number.isInteger(serial) || serial < 0 || serial > 0xFFFF) {
+            throw new CommandValidationError(name, 'serialNumber', 'must be an integer between 0 and 0xFFFF');
+        }
+
+        const values = layout.map(field => (field ? this._formatValue(name, field, options[field.name]) : ''));
+        const serialHex = serial.toString(16).toUpperCase().padStart(4, '0');
+
+        return {
+            command: name,
+            serialNumber: serial,
+            text: `AT+${name}=${[password, ...values, serialHex].join(',')}$`,
+        };
+    }
+
+    /**
+     * Builds an AT+GTRTO real-time query.
+     * @param {string} subCommand One of RTO_SUB_COMMANDS (e.g. 'GPS', 'INF').
+     * @param {object} [settings] See build().
+     * @returns {{command: string, serialNumber: number, text: string}}
+     */
+    buildRealTimeQuery(subCommand, settings = {}) {
+        return this.build('GTRTO', { subCommand }, settings);
+    }
+
+    _normalizeCommand(command) {
+        return normalizeCommand(command);
+    }
+
+    _allocateSerialNumber() {
+        const serial = this.nextSerialNumber;
+        this.nextSerialNumber = (this.nextSerialNumber + 1) & 0xFFFF;
+        return serial;
+    }
+
+    /**
+     * Validates one option and returns its wire representation.
+     */
+    _formatValue(command, field, value) {
+        if (value === undefined || value === null || value === '') {
+            if (field.required) {
+                throw new CommandValidationError(command, field.name, 'is required');
+            }
+            return '';
+        }
+
+        const fail = (message) => {
+            throw new CommandValidationError(command, field.name, message);
+        };
+
+        switch (field.type) {
+            case 'int': {
+                const number = Number(value);
+                if (!Number.isInteger(number) || number < field.min || number > field.max) {
+                    fail(`must be an integer between ${field.min} and ${field.max}`);
+                }
+                return String(number);
+            }
+            case 'float': {
+                const number = Number(value);
+                if (!Number.isFinite(number) || number < field.min || number > field.max) {
+                    fail(`must be a number between ${field.min} and ${field.max}`);
+                }
+                return number.toFixed(field.decimals);
+            }
+            case 'hex': {
+                const hex = String(value).toUpperCase();
+                if (!/^[0-9A-F]+$/.test(hex) || hex.length > field.maxLength) {
+                    fail(`must be a hex string of at most ${field.maxLength} digits`);
+                }
+                return hex;
+            }
+            case 'time': {
+                const time = String(value);
+                const match = time.match(/^([01]\d|2[0-3])([0-5]\d)$/);
+                if (!match) {
+                    fail('must be a time in HHMM format');
+                }
+                return time;
+            }
+            case 'enum': {
+                const match = field.values.find(allowed => String(allowed) === String(value).toUpperCase());
+                if (match === undefined) {
+                    fail(`must be one of: ${field.values.join(', ')}`);
+                }
+                return String(match);
+            }
+            case 'string': {
+                const text = String(value);
+                if (text.length > field.maxLength || /[,$;"]/.test(text)) {
+                    fail(`must be at most ${field.maxLength} characters without ',', ';', '"' or '$'`);
+                }
+                return text;
+            }
+            default:
+                return String(value);
+        }
+    }
+}
+
+export default CommandBuilder;
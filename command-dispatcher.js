@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Per-device queue for outbound AT commands.
+ * Commands are written to the device's current socket one at a time. Each one
+ * waits for the +ACK:GTxxx carrying the same serial number, or the HEX +ACK
+ * whose Message Type names the command, before the next is sent; unanswered
+ * commands are resent and eventually given up on. Commands for offline
+ * devices wait in the queue until the device comes back.
+ *
+ * A command goes queued -> sent -> acked, or ends in 'timeout'. Real-time
+ * queries (AT+GTRTO) that make the device send a report, e.g. INF -> GTINF,
+ * then wait for that +RESP, or its HEX form, and become 'responded' with it
+ * attached.
+ */
+
+import { EventEmitter } from 'events';
+import { CommandBuilder, RTO_SUB_COMMANDS } from './command-builder.js';
+import { isBufferedReport } from './parser.js';
+
+export const DEFAULT_ACK_TIMEOUT_MS = 30000;
+export const DEFAULT_MAX_RETRIES = 2;
+export const DEFAULT_RESPONSE_TIMEOUT_MS = 60000;
+export const DEFAULT_HISTORY_SIZE = 50;
+
+export class CommandTimeoutError extends Error {
+    constructor(entry) {
+        super(`AT+${entry.command} (serial ${entry.serialNumber}) to ${entry.imei} was not acknowledged after ${entry.attempts} attempts`);
+        this.name = 'CommandTimeoutError';
+        this.commandId = entry.id;
+    }
+}
+
+export class CommandDispatcher extends EventEmitter {
+
+    /**
+     * @param {object} options
+     * @param {SessionManager} options.sessions Provides the socket for each IMEI.
+     * @param {CommandBuilder} [options.builder] Builds the command text.
+     * @param {number} [options.ackTimeoutMs] How long to wait for each +ACK.
+     * @param {number} [options.maxRetries] How many times an unanswered command is resent.
+     * @param {number} [options.responseTimeoutMs] How long an acknowledged query waits for its +RESP.
+     * @param {number} [options.historySize] Finished commands kept per device for getCommands().
+     */
+    constructor({
+        sessions,
+        builder = new CommandBuilder(),
+        ackTimeoutMs = DEFAULT_ACK_TIMEOUT_MS,
+        maxRetries = DEFAULT_MAX_RETRIES,
+        responseTimeoutMs = DEFAULT_RESPONSE_TIMEOUT_MS,
+        historySize = DEFAULT_HISTORY_SIZE,
+    }) {
+        super();
+        this.sessions = sessions;
+        this.builder = builder;
+        this.ackTimeoutMs = ackTimeoutMs;
+        this.maxRetries = maxRetries;
+        this.responseTimeoutMs = responseTimeoutMs;
+        this.historySize = historySize;
+
+        this.queues = new Map();        // IMEI -> pending entries, head first
+        this.inFlight = new Map();      // IMEI -> entry waiting for its +ACK
+        this.awaiting = new Map();      // IMEI -> acknowledged queries waiting for their +RESP, oldest first
+        this.history = new Map();       // IMEI -> entries by ID, oldest first
+        this.serialNumbers = new Map(); // IMEI -> next serial number
+        this.nextId = 1;
+
+        this.sessions.on('online', session => this._drain(session.imei));
+        this.sessions.on('offline', session => this._requeueInFlight(session.imei));
+    }
+
+    /**
+     * Builds an AT command and queues it for a device.
+     * @param {string} imei The device Unique ID.
+     * @param {string} command The command name (e.g. 'GTFRI').
+     * @param {object} [options] Command parameters, see CommandBuilder.
+     * @param {object} [settings] Builder settings such as the device password.
+     * @returns {Promise<object>} Resolves with the parsed +ACK, rejects on validation error or timeout.
+     */
+    send(imei, command, options = {}, settings = {}) {
+        try {
+            return this.enqueue(imei, command, options, settings).done;
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
+    /**
+     * Like send(), for callers that track the command by ID rather than wait for it.
+     * @param {string} imei The device Unique ID.
+     * @param {string} command The command name (e.g. 'GTRTO').
+     * @param {object} [options] Command parameters, see CommandBuilder.
+     * @param {object} [settings] Builder settings such as the device password.
+     * @returns {object} The queued entry; `done` is the promise send() returns.
+     * @throws {CommandValidationError} If the command does not build.
+     */
+    enqueue(imei, command, options = {}, settings = {}) {
+        const built = this.builder.build(command, options, {
+            ...settings,
+            serialNumber: this._allocateSerialNumber(imei),
+        });
+
+        const entry = {
+            id: this.nextId++,
+            imei,
+            command: built.command,
+            options,
+            serialNumber: built.serialNumber,
+            text: built.text,
+            status: 'queued',
+            attempts: 0,
+            createdAt: new Date(),
+            sentAt: null,
+            ackedAt: null,
+            ack: null,
+            expectedResponse: built.command === 'GTRTO' ? RTO_SUB_COMMANDS[options.subCommand] || null : null,
+            respondedAt: null,
+            response: null,
+            timer: null,
+            done: null,
+            resolve: null,
+            reject: null,
+        };
+        entry.done = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        entry.done.catch(() => {}); // a timeout is reported through the entry whether anyone waits or not
+
+        if (!this.queues.has(imei)) {
+            this.queues.set(imei, []);
+        }
+        this.queues.get(imei).push(entry);
+        this._remember(entry);
+        this.emit('queued', entry);
+        this._drain(imei);
+        return entry;
+    }
+
+    /**
+     * Matches a parsed +ACK against the command in flight for its device.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {boolean} Whether the ACK answered a command we sent.
+     */
+    handleAck(result) {
+        if (!result || result.messageType !== 'ACK' || !result.parsedData) {
+            return false;
+        }
+
+        const imei = result.parsedData.uniqueId;
+        const entry = this.inFlight.get(imei);
+        if (!entry || entry.command !== result.command || entry.serialNumber !== result.parsedData.serialNumber) {
+            return false;
+        }
+
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        this.inFlight.delete(imei);
+        entry.status = 'acked';
+        entry.ackedAt = new Date();
+        entry.ack = result;
+        this.emit('acked', entry);
+        entry.resolve(result);
+
+        if (entry.expectedResponse) {
+            this._awaitResponse(entry);
+        }
+        this._drain(imei);
+        return true;
+    }
+
+    /**
+     * Attaches a +RESP report, or a live HEX report named after it, to the
+     * oldest acknowledged query that asked for it. A device sending the same report on its own schedule (e.g. a
+     * periodic GTINF) in the meantime is taken as the answer too; it is just
+     * as current.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {boolean} Whether the report answered one of our queries.
+     */
+    handleResponse(result) {
+        if (!result || !['RESP', 'HEX'].includes(result.messageType) || isBufferedReport(result) || !result.parsedData) {
+            return false;
+        }
+
+        const imei = result.parsedData.uniqueId;
+        const awaiting = this.awaiting.get(imei) || [];
+        const entry = awaiting.find(candidate => candidate.expectedResponse === result.command);
+        if (!entry) {
+            return false;
+        }
+
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        awaiting.splice(awaiting.indexOf(entry), 1);
+        entry.status = 'responded';
+        entry.respondedAt = new Date();
+        entry.response = result;
+        this.emit('responded', entry);
+        return true;
+    }
+
+    /**
+     * @param {number} id A command ID.
+     * @returns {object|undefined} The command, pending or finished.
+     */
+    getCommand(id) {
+        for (const entries of this.history.values()) {
+            if (entries.has(id)) {
+                return entries.get(id);
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object[]} The device's pending and recent commands, oldest first.
+     */
+    getCommands(imei) {
+        return [...(this.history.get(imei) || new Map()).values()];
+    }
+
+    /**
+     * Returns a command without its timer and callbacks, safe to serialise.
+     * The wire text is left out as it carries the device password.
+     * @param {object} entry The command.
+     * @returns {object} The command description.
+     */
+    describe(entry) {
+        const { text, timer, done, resolve, reject, ack, response, ...description } = entry;
+        return {
+            ...description,
+            ack: ack && ack.parsedData,
+            response: response && { command: response.command, report: response.parsedData },
+        };
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object[]} The in-flight command followed by the queued ones.
+     */
+    getPending(imei) {
+        const inFlight = this.inFlight.get(imei);
+        return [...(inFlight ? [inFlight] : []), ...(this.queues.get(imei) || [])];
+    }
+
+    /**
+     * Sends the next queued command if the device is online and idle.
+     */
+    _drain(imei) {
+        if (this.inFlight.has(imei)) {
+            return;
+        }
+        const queue = this.queues.get(imei);
+        const session = this.sessions.getSession(imei);
+        if (!queue || queue.length === 0 || !session || !session.online) {
+            return;
+        }
+
+        const entry = queue.shift();
+        this.inFlight.set(imei, entry);
+        this._write(entry, session.socket);
+    }
+
+    _write(entry, socket) {
+        entry.attempts++;
+        entry.status = 'sent';
+        entry.sentAt = new Date();
+        socket.write(entry.text);
+        this.emit('sent', entry);
+
+        entry.timer = setTimeout(() => this._onTimeout(entry), this.ackTimeoutMs);
+    }
+
+    _onTimeout(entry) {
+        if (this.inFlight.get(entry.imei) !== entry) {
+            return;
+        }
+
+        const session = this.sessions.getSession(entry.imei);
+        if (entry.attempts <= this.maxRetries && session && session.online) {
+            this.emit('retry', entry);
+            this._write(entry, session.socket);
+            return;
+        }
+
+        this.inFlight.delete(entry.imei);
+        entry.status = 'timeout';
+        this.emit('timeout', entry);
+        entry.reject(new CommandTimeoutError(entry));
+        this._drain(entry.imei);
+    }
+
+    /**
+     * A device dropped while a command was in flight: put it back at the head
+     * of the queue so it is resent once the device reconnects.
+     */
+    _requeueInFlight(imei) {
+        const entry = this.inFlight.get(imei);
+        if (!entry) {
+            return;
+        }
+        clearTimeout(entry.timer);
+        this.inFlight.delete(imei);
+        entry.status = 'queued';
+        this.queues.get(imei).unshift(entry);
+    }
+
+    _awaitResponse(entry) {
+        if (!this.awaiting.has(entry.imei)) {
+            this.awaiting.set(entry.imei, []);
+        }
+        this.awaiting.get(entry.imei).push(entry);
+
+        // The query stays 'acked' if the report never comes
+        entry.timer = setTimeout(() => {
+            const awaiting = this.awaiting.get(entry.imei);
+            awaiting.splice(awaiting.indexOf(entry), 1);
+            entry.timer = null;
+            this.emit('responseTimeout', entry);
+        }, this.responseTimeoutMs);
+    }
+
+    /**
+     * Keeps the command for getCommand(), dropping the device's oldest
+     * finished ones beyond `historySize`.
+     */
+    _remember(entry) {
+        if (!this.history.has(entry.imei)) {
+            this.history.set(entry.imei, new Map());
+        }
+        const entries = this.history.get(entry.imei);
+        entries.set(entry.id, entry);
+
+        const finished = [...entries.values()].filter(candidate => !['queued', 'sent'].includes(candidate.status));
+        while (finished.length > this.historySize) {
+            entries.delete(finished.shift().id);
+        }
+    }
+
+    _allocateSerialNumber(imei) {
+        const serial = this.serialNumbers.get(imei) || 0;
+        this.serialNumbers.set(imei, (serial + 1) & 0xFFFF);
+        return serial;
+    }
+}
+
+export default CommandDispatcher;
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Drift between a device's reported configuration and the one
+ * its group should run. diffConfig() compares a DeviceConfigStore snapshot
+ * with a desired configuration (see device-groups.js) field by field;
+ * planRemediation() turns the drift into the AT commands that correct it.
+ * Only the drifted fields are sent: parameters left empty keep their value
+ * on the device.
+ */
+
+import { CommandBuilder } from './command-builder.js';
+
+// Repeated GTALM sections and the field that identifies each entry
+const SECTION_KEYS = {
+    GEO: 'geoId',
+    OSM: 'id',
+    CMD: 'storedCmdId',
+    UDF: 'groupId',
+    BAS: 'index',
+};
+
+/**
+ * Lists the desired fields whose reported value differs.
+ * @param {object} sections The snapshot's sections, keyed by section name.
+ * @param {object} desired The desired configuration, keyed by section name.
+ * @returns {object[]} One { section, key, field, expected, actual } per drifted field;
+ *     `key` identifies the entry of a repeated section (e.g. { geoId: 0 }) and is null otherwise.
+ */
+export function diffConfig(sections, desired) {
+    const drift = [];
+
+    for (const [section, wanted] of Object.entries(desired)) {
+        const keyField = SECTION_KEYS[section];
+
+        if (!keyField) {
+            diffFields(drift, section, null, sections[section], wanted);
+            continue;
+        }
+
+        const entries = Array.isArray(sections[section]) ? sections[section] : [];
+        for (const entry of [].concat(wanted)) {
+            const key = { [keyField]: entry[keyField] };
+            const reported = entries.find(candidate => sameValue(entry[keyField], candidate[keyField]));
+            diffFields(drift, section, key, reported, entry);
+        }
+    }
+
+    return drift;
+}
+
+/**
+ * Groups drift into AT commands, one per section (or per entry of a repeated section).
+ * @param {object[]} drift The output of diffConfig().
+ * @returns {{commands: object[], unsupported: object[]}} The { command, options } to send,
+ *     ready for CommandDispatcher.send(), and the drift no supported command can correct.
+ */
+export function planRemediation(drift) {
+    const commands = new Map(); // section + key -> { command, options }
+    const unsupported = [];
+
+    for (const item of drift) {
+        const command = `GT${item.section}`;
+        if (!CommandBuilder.optionNames(command).includes(item.field)) {
+            unsupported.push(item);
+            continue;
+        }
+
+        const id = `${command}:${JSON.stringify(item.key)}`;
+        if (!commands.has(id)) {
+            commands.set(id, { command, options: { ...item.key } });
+        }
+        commands.get(id).options[item.field] = item.expected;
+    }
+
+    return { commands: [...commands.values()], unsupported };
+}
+
+/**
+ * @param {object} item One drift entry.
+ * @returns {string} e.g. 'SRI.sackEnable: expected 1, reported 0'.
+ */
+export function describeDrift(item) {
+    const key = item.key ? `[${Object.entries(item.key).map(([field, value]) => `${field}=${value}`).join(',')}]` : '';
+    const actual = item.actual === null ? 'not reported' : `reported ${item.actual}`;
+    return `${item.section}${key}.${item.field}: expected ${item.expected}, ${actual}`;
+}
+
+function diffFields(drift, section, key, reported, wanted) {
+    for (const [field, expected] of Object.entries(wanted)) {
+        if (key && field in key) {
+            continue;
+        }
+        const actual = reported && reported[field] !== undefined ? reported[field] : null;
+        if (!sameValue(expected, actual)) {
+            drift.push({ section, key, field, expected, actual });
+        }
+    }
+}
+
+// Numbers compare by value ('0030' and 30 match), text without regard to case
+function sameValue(expected, actual) {
+    if (actual === null || actual === undefined) {
+        return expected === null || expected === undefined || expected === '';
+    }
+    const a = Number(expected);
+    const b = Number(actual);
+    if (expected !== '' && actual !== '' && Number.isFinite(a) && Number.isFinite(b)) {
+        return a === b;
+    }
+    return String(expected).toUpperCase() === String(actual).toUpperCase();
+}
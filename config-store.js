@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Versioned configuration snapshots built from +RESP:GTALM.
+ * A device reports its whole configuration in one GTALM report, sent as one
+ * or more packets (Max Packet Number / Current Packet Number). The store
+ * reassembles the packets and keeps a snapshot per report. The version only
+ * goes up when the configuration differs from the previous snapshot; an
+ * identical report just refreshes `confirmedAt`. Snapshots saved before a
+ * restart (storage.js) are put back with restore().
+ */
+
+export const DEFAULT_HISTORY_SIZE = 10;
+
+export class DeviceConfigStore {
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.historySize] How many snapshots to keep per device.
+     */
+    constructor({ historySize = DEFAULT_HISTORY_SIZE } = {}) {
+        this.historySize = historySize;
+        this.snapshots = new Map(); // IMEI -> snapshots, oldest first
+        this.partials = new Map();  // IMEI -> { maxPacketNumber, packets: Map(packet number -> configurations) }
+    }
+
+    /**
+     * Adds one +RESP:GTALM packet.
+     * @param {object} report The parsedData of a GTALM report.
+     * @returns {object|null} The device's snapshot once every packet is in, null while packets are missing.
+     */
+    ingest(report) {
+        const imei = report.uniqueId;
+        const maxPacketNumber = report.maxPacketNumber || 1;
+        const packetNumber = report.currentPacketNumber || 1;
+
+        let partial = this.partials.get(imei);
+        // Packet 1 starts a new report; a leftover partial report is dropped
+        if (!partial || packetNumber === 1 || partial.maxPacketNumber !== maxPacketNumber) {
+            partial = { maxPacketNumber, packets: new Map() };
+            this.partials.set(imei, partial);
+        }
+        partial.packets.set(packetNumber, report.configurations);
+
+        if (partial.packets.size < maxPacketNumber) {
+            return null;
+        }
+        this.partials.delete(imei);
+
+        const sections = {};
+        const packetNumbers = [...partial.packets.keys()].sort((a, b) => a - b);
+        for (const number of packetNumbers) {
+            for (const [name, section] of Object.entries(partial.packets.get(number))) {
+                sections[name] = Array.isArray(section) ? [...(sections[name] || []), ...section] : section;
+            }
+        }
+
+        return this._commit(imei, sections, report.sendTime);
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object|undefined} The latest snapshot.
+     */
+    get(imei) {
+        const history = this.snapshots.get(imei);
+        return history ? history[history.length - 1] : undefined;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object[]} The kept snapshots, oldest first.
+     */
+    getHistory(imei) {
+        return [...(this.snapshots.get(imei) || [])];
+    }
+
+    /**
+     * Puts back a snapshot saved before a restart, so versions carry on and
+     * an unchanged configuration is only confirmed.
+     * @param {object} snapshot { imei, version, sections, sendTime, receivedAt, confirmedAt }.
+     */
+    restore(snapshot) {
+        const history = (this.snapshots.get(snapshot.imei) || []).filter(kept => kept.version !== snapshot.version);
+        history.push(snapshot);
+        history.sort((a, b) => a.version - b.version);
+        this.snapshots.set(snapshot.imei, history.slice(-this.historySize));
+    }
+
+    _commit(imei, sections, sendTime) {
+        const latest = this.get(imei);
+        const now = new Date();
+
+        if (latest && JSON.stringify(latest.sections) === JSON.stringify(sections)) {
+            latest.confirmedAt = now;
+            return latest;
+        }
+
+        const snapshot = {
+            imei,
+            version: latest ? latest.version + 1 : 1,
+            sections,
+            sendTime,
+            receivedAt: now,
+            confirmedAt: now,
+        };
+
+        const history = this.snapshots.get(imei) || [];
+        history.push(snapshot);
+        if (history.length > this.historySize) {
+            history.shift();
+        }
+        this.snapshots.set(imei, history);
+        return snapshot;
+    }
+}
+
+export default DeviceConfigStore;
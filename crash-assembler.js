@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Reassembles crash events from +RESP:GTCRA and +RESP:GTCRD.
+ * On a crash the device sends one GTCRA with the crash counter and location,
+ * then the accelerometer recording as `totalFrames` GTCRD (or HEX +CRD)
+ * frames. Frames can arrive out of order, and some never arrive, so they are
+ * collected per IMEI and crash counter until every frame and the GTCRA are
+ * in, or until the crash has been quiet for `timeoutMs`. Either way a single
+ * 'crash' event is emitted with the whole recording.
+ *
+ * GTCRD frames do not carry the crash counter; they belong to the device's
+ * most recent open crash.
+ */
+
+import { EventEmitter } from 'events';
+
+export const DEFAULT_CRASH_TIMEOUT_MS = 120000;
+export const DEFAULT_SAMPLE_RATE_HZ = 100;
+export const DEFAULT_SAMPLE_SCALE_G = 0.001; // samples are in mg
+export const DEFAULT_BASELINE_SAMPLES = 10;
+
+const STANDARD_GRAVITY = 9.80665; // m/s² per g
+const MS_TO_KMH = 3.6;
+
+export class CrashAssembler extends EventEmitter {
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs] How long a crash waits for missing frames after the last one received.
+     * @param {number} [options.sampleRateHz] Accelerometer sampling rate of the recording.
+     * @param {number} [options.sampleScaleG] g per sample unit.
+     * @param {number} [options.baselineSamples] Leading samples averaged to remove the sensor's resting offset.
+     */
+    constructor({
+        timeoutMs = DEFAULT_CRASH_TIMEOUT_MS,
+        sampleRateHz = DEFAULT_SAMPLE_RATE_HZ,
+        sampleScaleG = DEFAULT_SAMPLE_SCALE_G,
+        baselineSamples = DEFAULT_BASELINE_SAMPLES,
+    } = {}) {
+        super();
+        this.timeoutMs = timeoutMs;
+        this.sampleRateHz = sampleRateHz;
+        this.sampleScaleG = sampleScaleG;
+        this.baselineSamples = baselineSamples;
+
+        this.crashes = new Map(); // IMEI -> open crashes, oldest first
+    }
+
+    /**
+     * Takes a parsed GTCRA, GTCRD or HEX +CRD report; anything else is ignored.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {boolean} Whether the report belonged to a crash.
+     */
+    handle(result) {
+        if (!result || result.ok === false || !result.parsedData || result.messageType === 'ACK') {
+            return false;
+        }
+
+        if (result.command === 'GTCRA') {
+            this._addCrashReport(result.parsedData);
+            return true;
+        }
+        if (result.command === 'GTCRD') {
+            this._addFrame(result.parsedData);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object[]} The device's crashes still waiting for frames.
+     */
+    getOpenCrashes(imei) {
+        return [...(this.crashes.get(imei) || [])];
+    }
+
+    /**
+     * Emits every open crash as it stands, e.g. on shutdown.
+     */
+    flush() {
+        for (const crashes of [...this.crashes.values()]) {
+            for (const crash of [...crashes]) {
+                this._finish(crash);
+            }
+        }
+    }
+
+    _addCrashReport(report) {
+        const imei = report.uniqueId;
+        const crashes = this.crashes.get(imei) || [];
+
+        // Frames that arrived before the GTCRA wait in a crash without a counter
+        // HEX +EVT GTCRA does not decode the crash counter
+        const crashCounter = report.crashCounter ?? null;
+        let crash = (crashCounter !== null && crashes.find(open => open.crashCounter === crashCounter))
+            || crashes.find(open => open.crashCounter === null && !open.crashReport);
+        if (!crash) {
+            crash = this._open(imei);
+        }
+        crash.crashCounter = crashCounter;
+        crash.crashReport = report;
+        this._touch(crash);
+    }
+
+    _addFrame(report) {
+        const imei = report.uniqueId;
+        const crashes = this.crashes.get(imei) || [];
+        const totalFrames = report.totalFrames ?? report.totalFrame;
+
+        let crash = crashes[crashes.length - 1];
+        if (!crash || crash.frames.has(report.frameNumber)) {
+            crash = this._open(imei);
+        }
+        crash.totalFrames = totalFrames;
+        crash.frames.set(report.frameNumber, report);
+        if (!crash.vin && report.vin) {
+            crash.vin = report.vin;
+        }
+        this._touch(crash);
+    }
+
+    _open(imei) {
+        const crash = {
+            imei,
+            crashCounter: null,
+            crashReport: null,
+            vin: null,
+            totalFrames: null,
+            frames: new Map(), // frame number -> parsed frame
+            openedAt: new Date(),
+            timer: null,
+        };
+        const crashes = this.crashes.get(imei) || [];
+        crashes.push(crash);
+        this.crashes.set(imei, crashes);
+        return crash;
+    }
+
+    /**
+     * Finishes the crash once it is complete, otherwise restarts its timeout.
+     */
+    _touch(crash) {
+        clearTimeout(crash.timer);
+        if (crash.crashReport && crash.totalFrames !== null && crash.frames.size >= crash.totalFrames) {
+            this._finish(crash);
+            return;
+        }
+        crash.timer = setTimeout(() => this._finish(crash), this.timeoutMs);
+    }
+
+    _finish(crash) {
+        clearTimeout(crash.timer);
+        const crashes = this.crashes.get(crash.imei) || [];
+        const index = crashes.indexOf(crash);
+        if (index === -1) {
+            return;
+        }
+        crashes.splice(index, 1);
+        if (crashes.length === 0) {
+            this.crashes.delete(crash.imei);
+        }
+
+        this.emit('crash', this._buildRecord(crash));
+    }
+
+    /**
+     * Builds the crash record: the recording in g, its peaks and the GTCRA location.
+     */
+    _buildRecord(crash) {
+        const frameNumbers = [...crash.frames.keys()].sort((a, b) => a - b);
+        const firstFrame = frameNumbers.length && frameNumbers[0] === 0 ? 0 : 1; // frames may be numbered from 0 or 1
+        const expectedFrames = crash.totalFrames === null
+            ? []
+            : Array.from({ length: crash.totalFrames }, (_, i) => i + firstFrame);
+        const missingFrames = expectedFrames.filter(number => !crash.frames.has(number));
+
+        // A missing frame leaves a gap in the time series rather than shifting what follows
+        const samplesPerFrame = Math.max(0, ...frameNumbers.map(number => (crash.frames.get(number).accelerationSamples || []).length));
+        const samples = [];
+        for (const number of frameNumbers) {
+            (crash.frames.get(number).accelerationSamples || []).forEach((sample, index) => {
+                samples.push({
+                    t: ((number - firstFrame) * samplesPerFrame + index) / this.sampleRateHz, // seconds from the start of the recording
+                    x: sample.x * this.sampleScaleG,
+                    y: sample.y * this.sampleScaleG,
+                    z: sample.z * this.sampleScaleG,
+                });
+            });
+        }
+
+        const report = crash.crashReport || {};
+        const firstReceived = crash.frames.get(frameNumbers[0]) || {};
+
+        return {
+            imei: crash.imei,
+            vin: report.vin || crash.vin || null,
+            crashCounter: crash.crashCounter,
+            crashTime: report.gnssUtcTime || report.sendTime || firstReceived.sendTime || null,
+            location: crash.crashReport ? {
+                latitude: report.latitude,
+                longitude: report.longitude,
+                altitude: report.altitude,
+                speed: report.speed,
+                azimuth: report.azimuth,
+                gnssAccuracy: report.gnssAccuracy,
+                gnssUtcTime: report.gnssUtcTime,
+                mcc: report.mcc,
+                mnc: report.mnc,
+                lac: report.lac,
+                cellId: report.cellId,
+            } : null,
+            crashStatus: firstReceived.crashStatus || null,
+            totalFrames: crash.totalFrames,
+            receivedFrames: frameNumbers.length,
+            missingFrames,
+            complete: Boolean(crash.crashReport) && crash.totalFrames !== null && missingFrames.length === 0,
+            sampleRateHz: this.sampleRateHz,
+            samples,
+            ...analyzeImpact(samples, this.sampleRateHz, this.baselineSamples),
+        };
+    }
+}
+
+/**
+ * Peak acceleration, peak delta-V and impact direction of a recording.
+ * The mean of the leading samples, the vehicle's state before the impact
+ * (gravity included), is removed first; delta-V then integrates the
+ * horizontal (X/Y) acceleration.
+ * Directions are in the device frame, X forward and Y left once the device
+ * is calibrated with AT+GTASC; the impact comes from the side opposite to
+ * the acceleration it causes.
+ */
+function analyzeImpact(samples, sampleRateHz, baselineSamples) {
+    if (samples.length === 0) {
+        return { peakAccelerationG: null, peakDeltaVKmh: null, impactDirection: null };
+    }
+
+    const lead = samples.slice(0, Math.min(baselineSamples, samples.length));
+    const baseX = lead.reduce((sum, s) => sum + s.x, 0) / lead.length;
+    const baseY = lead.reduce((sum, s) => sum + s.y, 0) / lead.length;
+    const baseZ = lead.reduce((sum, s) => sum + s.z, 0) / lead.length;
+
+    const dt = 1 / sampleRateHz;
+    let vx = 0;
+    let vy = 0;
+    let peakDeltaV = 0;
+    let peak = { magnitude: -1, ax: 0, ay: 0 };
+
+    for (const sample of samples) {
+        const ax = sample.x - baseX;
+        const ay = sample.y - baseY;
+        vx += ax * STANDARD_GRAVITY * dt;
+        vy += ay * STANDARD_GRAVITY * dt;
+        peakDeltaV = Math.max(peakDeltaV, Math.hypot(vx, vy));
+
+        const magnitude = Math.hypot(ax, ay, sample.z - baseZ);
+        if (magnitude > peak.magnitude) {
+            peak = { magnitude, ax, ay };
+        }
+    }
+
+    // 0° is a frontal impact, 90° from the left, 180° from behind, 270° from the right
+    const angle = (Math.atan2(-peak.ay, -peak.ax) * 180 / Math.PI + 360) % 360;
+    const horizontal = peak.ax !== 0 || peak.ay !== 0;
+
+    return {
+        peakAccelerationG: round(peak.magnitude, 3),
+        peakDeltaVKmh: round(peakDeltaV * MS_TO_KMH, 1),
+        impactDirection: horizontal ? {
+            angleDeg: round(angle, 1),
+            side: impactSide(angle),
+        } : null,
+    };
+}
+
+function impactSide(angle) {
+    if (angle >= 315 || angle < 45) return 'front';
+    if (angle < 135) return 'left';
+    if (angle < 225) return 'rear';
+    return 'right';
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+export default CrashAssembler;
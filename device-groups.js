@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Device groups and the configuration each group should run.
+ * Every device belongs to one group, DEFAULT_GROUP unless assigned. A group's
+ * desired configuration is keyed by +RESP:GTALM section name, with the field
+ * names parseGTALM uses, e.g.
+ *   { SRI: { mainServerIPDomain: 'gps.example.com', sackEnable: 1 },
+ *     FRI: { sendInterval: 30 },
+ *     GEO: [{ geoId: 0, mode: 3, radius: 500 }] }
+ * Only the fields given are checked, see config-drift.js.
+ */
+
+import { readFileSync } from 'fs';
+
+export const DEFAULT_GROUP = 'default';
+
+export class DeviceGroupRegistry {
+
+    /**
+     * @param {object} [options]
+     * @param {object} [options.groups] Group name -> { desiredConfig }.
+     * @param {object} [options.devices] IMEI -> group name.
+     */
+    constructor({ groups = {}, devices = {} } = {}) {
+        this.groups = new Map();  // name -> { name, desiredConfig }
+        this.devices = new Map(); // IMEI -> group name
+
+        for (const [name, group] of Object.entries(groups)) {
+            this.defineGroup(name, group);
+        }
+        for (const [imei, group] of Object.entries(devices)) {
+            this.assign(imei, group);
+        }
+    }
+
+    /**
+     * Loads groups from a JSON file shaped like the constructor options.
+     * @param {string} path The file path.
+     * @returns {DeviceGroupRegistry}
+     */
+    static fromFile(path) {
+        return new DeviceGroupRegistry(JSON.parse(readFileSync(path, 'utf8')));
+    }
+
+    /**
+     * Creates or replaces a group.
+     * @param {string} name The group name.
+     * @param {object} [group]
+     * @param {object} [group.desiredConfig] The configuration, see the file overview.
+     * @returns {object} The stored group.
+     */
+    defineGroup(name, { desiredConfig = {} } = {}) {
+        const group = { name, desiredConfig };
+        this.groups.set(name, group);
+        return group;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @param {string} group The group name; it does not have to be defined yet.
+     */
+    assign(imei, group) {
+        this.devices.set(String(imei), group);
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {string} The device's group name.
+     */
+    groupOf(imei) {
+        return this.devices.get(String(imei)) || DEFAULT_GROUP;
+    }
+
+    /**
+     * @param {string} name The group name.
+     * @returns {object|undefined} The group.
+     */
+    getGroup(name) {
+        return this.groups.get(name);
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object|null} The desired configuration of the device's group, or null if the group has none.
+     */
+    getDesiredConfig(imei) {
+        const group = this.groups.get(this.groupOf(imei));
+        if (!group || !Object.keys(group.desiredConfig).length) {
+            return null;
+        }
+        return group.desiredConfig;
+    }
+
+    /**
+     * @param {string} name The group name.
+     * @returns {string[]} The IMEIs assigned to the group.
+     */
+    getMembers(name) {
+        return [...this.devices].filter(([, group]) => group === name).map(([imei]) => imei);
+    }
+}
+
+export default DeviceGroupRegistry;
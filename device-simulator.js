@@ -0,0 +1,1105 @@
+/**
+ * @fileoverview Simulated Queclink GV500MAP for load and end-to-end tests.
+ * A SimulatedDevice connects to the server over TCP and plays a drive
+ * script, sending what the firmware sends for it:
+ *   GTIGN / GTIGF     ignition on and off
+ *   GTFRI             a fix every `fixIntervalS` with the ignition on, `positionsPerReport` per report
+ *   GTSTT             motion state changes
+ *   GTOBD             engine data every `obdIntervalS`, GTOSM when the DTCs change
+ *   GTCRA + GTCRD     a crash and its accelerometer recording
+ * in ASCII, or in HEX as +RSP, +EVT, +OBD and +CRD.
+ *
+ * As with SACK enabled (AT+GTSRI), a report stays in the device's buffer
+ * until the server answers with its +SACK. Reports made while the network
+ * is down, and reports whose +SACK does not come, are resent as +BUFF once
+ * connected; in HEX, +RSP and +EVT are resent as +BSP and +BVT and the
+ * other reports unchanged.
+ *
+ * AT commands with the right password are answered with +ACK:GTxxx and the
+ * command's serial number, and AT+GTRTO with the report its sub command asks
+ * for: READ with the configuration as one +RESP:GTALM packet (SRI, CFG and
+ * FRI sections), the others with the report of the same name. REBOOT drops
+ * the connection and RESET is only acknowledged; the settings an AT command
+ * changes are not applied. In HEX mode the +ACK is a HEX +ACK when the
+ * command has a HEX Message Type, and ASCII otherwise; the reports AT+GTRTO
+ * asks for are ASCII in both formats.
+ *
+ * A drive script is an array of steps:
+ *   { type: 'ignition_on' } | { type: 'ignition_off' }
+ *   { type: 'drive', seconds, speedKmh, heading }   heading in degrees, wanders when left out
+ *   { type: 'idle', seconds }                       standing still, ignition unchanged
+ *   { type: 'dtc', codes: ['P0301'] }               the ECU stores DTCs and turns the MIL on
+ *   { type: 'clear_dtcs' }
+ *   { type: 'crash' }
+ *   { type: 'outage', seconds }                     the network drops for that long while the script goes on
+ * randomDrive() makes one. Time is simulated and runs `speed` times faster
+ * than real time; reports carry the simulated time.
+ */
+
+import net from 'net';
+import { EventEmitter } from 'events';
+import { DEFAULT_PASSWORD } from './command-builder.js';
+import { encodeDtc } from './dtc-codes.js';
+import { HEX_REPORT_COMMANDS, HEX_ACK_COMMANDS, BUFFERED_HEX_HEADERS } from './parser.js';
+
+export const DEFAULT_PROTOCOL_VERSION = '5E0500';
+export const DEFAULT_DEVICE_NAME = 'GV500MAP';
+export const DEFAULT_FIX_INTERVAL_S = 10;
+export const DEFAULT_POSITIONS_PER_REPORT = 3;
+export const DEFAULT_OBD_INTERVAL_S = 60;
+export const DEFAULT_SACK_TIMEOUT_MS = 15000;
+export const DEFAULT_RECONNECT_DELAY_MS = 3000;
+export const DEFAULT_MAX_BUFFERED_REPORTS = 10000;
+
+export const STEP_TYPES = ['ignition_on', 'ignition_off', 'drive', 'idle', 'dtc', 'clear_dtcs', 'crash', 'outage'];
+
+const FIRMWARE_VERSION = '0102';
+const HARDWARE_VERSION = '0101';
+const MCC = '0404';
+const MNC = '0049';
+const APN = 'internet';
+
+// Versions reported by GTATI: MCU, OBD, BLE, modem firmware, then modem hardware and sensor
+const ATI_VERSIONS = ['0101', '0105', '0101', '0110'];
+const MODEM_HARDWARE_VERSION = '0100';
+const SENSOR_ID = '01';
+
+// Crash recording: frames of samples at the CrashAssembler default rate, impact a quarter of the way in
+const CRASH_FRAMES = 4;
+const CRASH_SAMPLES_PER_FRAME = 50;
+const CRASH_SAMPLE_RATE_HZ = 100;
+const CRASH_PULSE_S = 0.12;
+const CRASH_STATUS = '19'; // crash detected on the X axis, negative direction
+
+// OBD: PIDs 01, 04, 05, 0C, 0D, 11 and 20, the ISO 15765 11-bit 500 kb protocol
+const SUPPORTED_PIDS = '98188001';
+const OBD_PROTOCOL = '33';
+const OBD_REPORT_MASK = '71FFFF';
+
+// HEX Message Type byte written for each report, the one the parser maps back to the report
+const HEX_MESSAGE_TYPES = {
+    GTCRD: 0x00,
+    ...Object.fromEntries(Object.values(HEX_REPORT_COMMANDS)
+        .filter(commands => typeof commands === 'object')
+        .flatMap(commands => Object.entries(commands).map(([messageType, command]) => [command, Number(messageType)]))),
+};
+
+// HEX +ACK Message Type for each command that has one
+const HEX_ACK_MESSAGE_TYPES = Object.fromEntries(Object.entries(HEX_ACK_COMMANDS).map(([messageType, command]) => [command, Number(messageType)]));
+const HEX_ACK_MASK = '003F'; // Device Type, Protocol and Firmware Version, IMEI, Send Time, Count Number
+
+// Every header, position and trailer field of +RSP/+EVT (see QueclinkParser._getHexReportFieldDefinitions)
+const HEX_REPORT_MASK = 0x00FFFFFF;
+
+// ACKs that echo the command's first parameter before the serial number
+const INDEXED_ACK_COMMANDS = ['GTGEO', 'GTRTO', 'GTOSM', 'GTCMD', 'GTUDF', 'GTBAS'];
+
+const MOTION = {
+    IGNITION_OFF_REST: '11',
+    IGNITION_ON_REST: '21',
+    IGNITION_ON_MOTION: '22',
+};
+
+const METERS_PER_DEGREE = 111320;
+const STANDARD_GRAVITY = 9.80665;
+const MAX_ACCELERATION_KMH_PER_S = 9;
+
+export class SimulatedDevice extends EventEmitter {
+
+    /**
+     * @param {object} options
+     * @param {string} options.imei The device Unique ID.
+     * @param {number} options.port The server's device port.
+     * @param {string} [options.host] The server address.
+     * @param {'ASCII'|'HEX'} [options.format] Report format.
+     * @param {string} [options.password] AT command password; commands with another one are ignored.
+     * @param {string} [options.deviceName]
+     * @param {string} [options.vin] 17 characters; made up from the IMEI when left out.
+     * @param {number} options.lat Starting latitude.
+     * @param {number} options.lon Starting longitude.
+     * @param {number} [options.speed] Simulated seconds per real second.
+     * @param {function(): number} [options.random] Source of randomness in [0, 1), see createRandom().
+     * @param {Date} [options.startTime] Simulated time at the start.
+     * @param {number} [options.fixIntervalS] Simulated seconds between fixes.
+     * @param {number} [options.positionsPerReport] Fixes per GTFRI.
+     * @param {number} [options.obdIntervalS] Simulated seconds between GTOBD reports.
+     * @param {boolean} [options.sack] Keep reports until the server's +SACK; when false a report is done once written.
+     * @param {number} [options.sackTimeoutMs] Real time a report waits for its +SACK before it is resent as +BUFF.
+     * @param {number} [options.reconnectDelayMs] Real time between connection attempts.
+     * @param {number} [options.maxBufferedReports] Reports kept for resending; the oldest are dropped beyond it.
+     */
+    constructor({
+        imei,
+        port,
+        host = '127.0.0.1',
+        format = 'ASCII',
+        password = DEFAULT_PASSWORD,
+        deviceName = DEFAULT_DEVICE_NAME,
+        vin = null,
+        lat,
+        lon,
+        speed = 1,
+        random = Math.random,
+        startTime = new Date(),
+        fixIntervalS = DEFAULT_FIX_INTERVAL_S,
+        positionsPerReport = DEFAULT_POSITIONS_PER_REPORT,
+        obdIntervalS = DEFAULT_OBD_INTERVAL_S,
+        sack = true,
+        sackTimeoutMs = DEFAULT_SACK_TIMEOUT_MS,
+        reconnectDelayMs = DEFAULT_RECONNECT_DELAY_MS,
+        maxBufferedReports = DEFAULT_MAX_BUFFERED_REPORTS,
+    }) {
+        super();
+        if (format !== 'ASCII' && format !== 'HEX') {
+            throw new Error(`Unknown report format '${format}', expected ASCII or HEX`);
+        }
+        this.imei = imei;
+        this.host = host;
+        this.port = port;
+        this.format = format;
+        this.password = password;
+        this.deviceName = deviceName;
+        this.vin = vin || `SIMGV5${imei.slice(-11)}`;
+        this.iccId = `8991${imei.slice(-15)}0`;
+        this.speed = speed;
+        this.random = random;
+        this.fixIntervalS = fixIntervalS;
+        this.positionsPerReport = positionsPerReport;
+        this.obdIntervalS = obdIntervalS;
+        this.sack = sack;
+        this.sackTimeoutMs = sackTimeoutMs;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.maxBufferedReports = maxBufferedReports;
+
+        this.clock = startTime.getTime(); // simulated time, ms
+        this.vehicle = {
+            lat,
+            lon,
+            altitude: 400 + random() * 200,
+            heading: random() * 360,
+            speedKmh: 0,
+            ignition: false,
+            ignitionChangedAt: this.clock,
+            motion: MOTION.IGNITION_OFF_REST,
+            mileageKm: 1000 + random() * 50000,
+            tripStartKm: 0,
+            hourMeterS: 500 * 3600 + Math.floor(random() * 3600 * 1000),
+            rpm: 0,
+            coolantC: 20,
+            fuelLevel: 40 + random() * 60,
+            throttle: 0,
+            engineLoad: 0,
+            dtcs: [],
+            milOnAtKm: null,
+            dtcsClearedAtKm: null,
+            crashCounter: 0,
+        };
+        this.vehicle.dtcsClearedAtKm = this.vehicle.mileageKm - random() * 2000;
+        this.fixes = [];
+        this.lastObdAt = this.clock;
+
+        this.socket = null;
+        this.connected = false;
+        this.networkUp = true;
+        this.networkBackAt = null;
+        this.stopped = false;
+        this.reconnectTimer = null;
+        this.inbound = Buffer.alloc(0);
+
+        this.countNumber = 0;
+        this.nextSeq = 0;
+        this.unacknowledged = new Map(); // count number -> report waiting for its +SACK
+        this.backlog = [];               // reports to resend as +BUFF, oldest first
+
+        this.stats = { connections: 0, sent: 0, resent: 0, acknowledged: 0, commands: 0, dropped: 0 };
+        this.housekeeping = setInterval(() => this._checkSackTimeouts(), 1000);
+    }
+
+    /**
+     * Connects. If the server cannot be reached the device keeps trying, and
+     * reports wait in the buffer meanwhile.
+     * @returns {Promise<boolean>} Resolves after the first attempt, to whether it connected.
+     */
+    start() {
+        return new Promise(resolve => {
+            this._connect();
+            this.socket.once('connect', () => resolve(true));
+            this.socket.once('close', () => resolve(false));
+        });
+    }
+
+    /**
+     * Plays a drive script.
+     * @param {object[]} steps See the file overview.
+     * @returns {Promise<void>} Resolves when the last step has played.
+     */
+    async play(steps) {
+        validateScript(steps);
+        for (const step of steps) {
+            if (this.stopped) {
+                return;
+            }
+            await this._play(step);
+        }
+    }
+
+    /**
+     * Waits for the buffer to empty, then disconnects.
+     * @param {object} [options]
+     * @param {number} [options.drainMs] Longest real time to wait for outstanding +SACKs.
+     * @returns {Promise<void>}
+     */
+    async stop({ drainMs = this.sackTimeoutMs } = {}) {
+        if (!this.networkUp) {
+            this._restoreNetwork();
+        }
+        const deadline = Date.now() + drainMs;
+        while (Date.now() < deadline && (this.backlog.length || (this.sack && this.unacknowledged.size))) {
+            await sleep(100);
+        }
+        this.stopped = true;
+        clearInterval(this.housekeeping);
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            const socket = this.socket;
+            await new Promise(resolve => {
+                socket.once('close', resolve);
+                socket.end();
+                setTimeout(() => socket.destroy(), 2000).unref();
+            });
+        }
+    }
+
+    async _play(step) {
+        const vehicle = this.vehicle;
+        switch (step.type) {
+            case 'ignition_on':
+                if (!vehicle.ignition) {
+                    const offFor = Math.round((this.clock - vehicle.ignitionChangedAt) / 1000);
+                    vehicle.ignition = true;
+                    vehicle.ignitionChangedAt = this.clock;
+                    vehicle.tripStartKm = vehicle.mileageKm;
+                    vehicle.rpm = 700 + Math.round(this.random() * 100);
+                    this._sendIgnition('GTIGN', offFor);
+                    this._setMotion(MOTION.IGNITION_ON_REST);
+                }
+                break;
+            case 'ignition_off':
+                if (vehicle.ignition) {
+                    this._flushFixes();
+                    const onFor = Math.round((this.clock - vehicle.ignitionChangedAt) / 1000);
+                    vehicle.ignition = false;
+                    vehicle.ignitionChangedAt = this.clock;
+                    vehicle.speedKmh = 0;
+                    vehicle.rpm = 0;
+                    vehicle.throttle = 0;
+                    vehicle.engineLoad = 0;
+                    this._sendIgnition('GTIGF', onFor);
+                    this._setMotion(MOTION.IGNITION_OFF_REST);
+                }
+                break;
+            case 'drive':
+                await this._travel(step.seconds, step.speedKmh, step.heading);
+                break;
+            case 'idle':
+                await this._travel(step.seconds, 0, vehicle.heading);
+                break;
+            case 'dtc': {
+                const added = step.codes.map(code => String(code).toUpperCase()).filter(code => !vehicle.dtcs.includes(code));
+                if (added.length) {
+                    vehicle.dtcs.push(...added);
+                    vehicle.milOnAtKm = vehicle.milOnAtKm ?? vehicle.mileageKm;
+                    this._sendObd('GTOSM');
+                }
+                break;
+            }
+            case 'clear_dtcs':
+                if (vehicle.dtcs.length) {
+                    vehicle.dtcs = [];
+                    vehicle.milOnAtKm = null;
+                    vehicle.dtcsClearedAtKm = vehicle.mileageKm;
+                    this._sendObd('GTOSM');
+                }
+                break;
+            case 'crash':
+                this._crash();
+                break;
+            case 'outage':
+                this._dropNetwork(step.seconds);
+                break;
+        }
+    }
+
+    /**
+     * Moves the vehicle for `seconds` of simulated time, one fix interval at a time.
+     */
+    async _travel(seconds, targetKmh, heading) {
+        let remaining = seconds;
+        while (remaining > 0 && !this.stopped) {
+            const dt = Math.min(this.fixIntervalS, remaining);
+            remaining -= dt;
+            await sleep((dt * 1000) / this.speed);
+            this._move(dt, this.vehicle.ignition ? targetKmh : 0, heading);
+            this._checkNetwork();
+
+            if (!this.vehicle.ignition) {
+                continue;
+            }
+            this._setMotion(this.vehicle.speedKmh > 0 ? MOTION.IGNITION_ON_MOTION : MOTION.IGNITION_ON_REST);
+            this.fixes.push(this._fix());
+            if (this.fixes.length >= this.positionsPerReport) {
+                this._flushFixes();
+            }
+            if (this.clock - this.lastObdAt >= this.obdIntervalS * 1000) {
+                this._sendObd('GTOBD');
+            }
+        }
+    }
+
+    _move(dt, targetKmh, heading) {
+        const vehicle = this.vehicle;
+        const from = vehicle.speedKmh;
+        const step = MAX_ACCELERATION_KMH_PER_S * dt;
+        let to = Math.max(from - step, Math.min(from + step, targetKmh));
+        if (targetKmh > 0) {
+            to = Math.max(0, to + (this.random() - 0.5) * 4);
+        }
+        to = Math.round(to * 10) / 10;
+
+        vehicle.heading = heading === undefined || heading === null
+            ? (vehicle.heading + (this.random() - 0.5) * 30 + 360) % 360
+            : (heading + (this.random() - 0.5) * 6 + 360) % 360;
+
+        const meters = ((from + to) / 2 / 3.6) * dt;
+        const radians = (vehicle.heading * Math.PI) / 180;
+        vehicle.lat += (meters * Math.cos(radians)) / METERS_PER_DEGREE;
+        vehicle.lon += (meters * Math.sin(radians)) / (METERS_PER_DEGREE * Math.cos((vehicle.lat * Math.PI) / 180));
+        vehicle.altitude += (this.random() - 0.5) * (meters > 0 ? 2 : 0.2);
+        vehicle.mileageKm += meters / 1000;
+        vehicle.fuelLevel = Math.max(5, vehicle.fuelLevel - (meters / 1000) * 0.16);
+        vehicle.speedKmh = to;
+
+        if (vehicle.ignition) {
+            vehicle.hourMeterS += dt;
+            vehicle.coolantC = Math.min(90, vehicle.coolantC + dt * 0.15);
+            vehicle.rpm = to > 0
+                ? Math.min(4500, Math.round(1100 + to * 18 + this.random() * 200))
+                : Math.round(700 + this.random() * 100);
+            vehicle.throttle = to > from ? Math.round(25 + this.random() * 35) : to > 0 ? Math.round(10 + this.random() * 10) : 0;
+            vehicle.engineLoad = Math.min(100, Math.round(vehicle.throttle * 1.2 + 15));
+        } else {
+            vehicle.coolantC = Math.max(20, vehicle.coolantC - dt * 0.03);
+        }
+        this.clock += dt * 1000;
+    }
+
+    _fix() {
+        const vehicle = this.vehicle;
+        return {
+            gnssAccuracy: 1,
+            speedKmh: vehicle.speedKmh,
+            heading: Math.round(vehicle.heading) % 360,
+            altitude: Math.round(vehicle.altitude * 10) / 10,
+            lat: vehicle.lat,
+            lon: vehicle.lon,
+            time: this.clock,
+            // The serving cell follows the vehicle on a ~1 km grid
+            lac: Math.floor(Math.abs(vehicle.lat) * 100) & 0xFFFF,
+            cellId: Math.floor(Math.abs(vehicle.lon) * 100) & 0xFFFF,
+        };
+    }
+
+    _setMotion(motion) {
+        if (this.vehicle.motion === motion) {
+            return;
+        }
+        this.vehicle.motion = motion;
+        const fix = this._fix();
+        this._send('GTSTT',
+            () => [motion, ...asciiGnss(fix), ...asciiCell(fix), '00'],
+            this._hexEvent('GTSTT', fix));
+    }
+
+    _sendIgnition(command, durationS) {
+        const fix = this._fix();
+        // The motion state changes right after, but the HEX event already carries the new ignition state
+        const motion = command === 'GTIGN' ? MOTION.IGNITION_ON_REST : MOTION.IGNITION_OFF_REST;
+        this._send(command,
+            () => [durationS, ...asciiGnss(fix), ...asciiCell(fix), '00', formatHourMeter(this.vehicle.hourMeterS), this.vehicle.mileageKm.toFixed(1)],
+            this._hexEvent(command, fix, motion, [hexUint(durationS, 4)]));
+    }
+
+    _flushFixes() {
+        if (!this.fixes.length) {
+            return;
+        }
+        const fixes = this.fixes.splice(0);
+        const vehicle = this.vehicle;
+        this._send('GTFRI',
+            () => [
+                this._externalPowerMv(), '10', fixes.length,
+                ...fixes.flatMap(fix => [...asciiGnss(fix), ...asciiCell(fix), '00']),
+                vehicle.mileageKm.toFixed(1), formatHourMeter(vehicle.hourMeterS), '', '', '',
+                `${vehicle.motion}${vehicle.ignition ? '01' : '00'}00`,
+                vehicle.rpm, this._fuelConsumption().toFixed(1), Math.round(vehicle.fuelLevel),
+            ],
+            this._hexReport('+RSP', 'GTFRI', fixes));
+    }
+
+    _sendObd(command) {
+        this.lastObdAt = this.clock;
+        const vehicle = this.vehicle;
+        const fix = this._fix();
+        const dtcs = vehicle.dtcs.map(encodeDtc).filter(Boolean);
+        const milOn = vehicle.dtcs.length > 0;
+        const milDistance = milOn ? Math.round(vehicle.mileageKm - vehicle.milOnAtKm) : 0;
+        const clearedDistance = Math.round(vehicle.mileageKm - vehicle.dtcsClearedAtKm) & 0xFFFF;
+        const coolant = Math.round(vehicle.coolantC);
+        const obdMileage = vehicle.mileageKm - 1000;
+
+        const ascii = () => [
+            ...(command === 'GTOSM' ? [0, 0] : [0]), // GTOSM: record ID, report type; GTOBD: report type
+            OBD_REPORT_MASK, this.vin, vehicle.ignition ? 1 : 0, this._externalPowerMv(), SUPPORTED_PIDS,
+            vehicle.rpm, Math.round(vehicle.speedKmh), coolant, this._fuelConsumption().toFixed(1),
+            clearedDistance, milDistance, milOn ? 1 : 0, dtcs.length, dtcs.join(''),
+            vehicle.throttle, vehicle.engineLoad, Math.round(vehicle.fuelLevel), OBD_PROTOCOL,
+            ...(command === 'GTOBD' ? [obdMileage.toFixed(1)] : []),
+            ...asciiGnss(fix), ...asciiCell(fix), '00', vehicle.mileageKm.toFixed(1),
+        ];
+
+        const hex = (sendTime, countNumber) => this._hexFrame('+OBD', HEX_MESSAGE_TYPES[command], `00${OBD_REPORT_MASK}`, [
+            ...this._hexDeviceHeader(), hexAscii(this.vin, 17),
+            hexUint(command === 'GTOSM' ? 1 : 0, 1), `00${OBD_REPORT_MASK}`, hexAscii(this.vin, 17),
+            hexUint(vehicle.ignition ? 1 : 0, 1), hexUint(this._externalPowerMv(), 2), SUPPORTED_PIDS,
+            hexUint(vehicle.rpm, 2), hexUint(Math.round(vehicle.speedKmh), 1), hexInt(coolant, 1),
+            hexUint(Math.round(this._fuelConsumption() * 10), 2), hexUint(milOn ? 1 : 0, 1), hexUint(dtcs.length, 1), dtcs.join(''),
+            hexUint(clearedDistance, 2), hexUint(milDistance & 0xFFFF, 2),
+            hexUint(vehicle.throttle, 1), hexUint(vehicle.engineLoad, 1), hexUint(Math.round(vehicle.fuelLevel), 1), OBD_PROTOCOL,
+            hexUint(fix.gnssAccuracy, 1), hexUint(Math.round(fix.speedKmh * 10), 3), hexUint(fix.heading, 2),
+            hexInt(Math.round(fix.altitude), 2), hexInt(Math.round(fix.lon * 1e6), 4), hexInt(Math.round(fix.lat * 1e6), 4),
+            hexTime(fix.time), hexUint(Number(MCC), 2), hexUint(Number(MNC), 2), hexUint(fix.lac, 2), hexUint(fix.cellId, 4), '0000',
+        ], sendTime, countNumber);
+
+        this._send(command, ascii, hex);
+    }
+
+    /**
+     * Stops the vehicle dead and reports the crash: GTCRA, then the
+     * recording around the impact as GTCRD frames.
+     */
+    _crash() {
+        const vehicle = this.vehicle;
+        this._flushFixes();
+        const impactKmh = vehicle.speedKmh;
+        vehicle.crashCounter = (vehicle.crashCounter + 1) & 0xFF;
+        vehicle.speedKmh = 0;
+        vehicle.throttle = 0;
+        vehicle.engineLoad = 0;
+
+        const fix = this._fix();
+        this._send('GTCRA',
+            () => [hexUint(vehicle.crashCounter, 1), ...asciiGnss(fix), ...asciiCell(fix), '00'],
+            this._hexEvent('GTCRA', fix, undefined, [hexUint(vehicle.crashCounter, 1)]));
+
+        const samples = crashRecording(impactKmh, this.random);
+        for (let frame = 0; frame < CRASH_FRAMES; frame++) {
+            const data = samples
+                .slice(frame * CRASH_SAMPLES_PER_FRAME, (frame + 1) * CRASH_SAMPLES_PER_FRAME)
+                .map(({ x, y, z }) => hexInt(x, 2) + hexInt(y, 2) + hexInt(z, 2))
+                .join('');
+            this._send('GTCRD',
+                () => [CRASH_STATUS, CRASH_FRAMES, frame + 1, data],
+                (sendTime, countNumber) => this._hexFrame('+CRD', HEX_MESSAGE_TYPES.GTCRD, '00000000', [
+                    ...this._hexDeviceHeader(), hexAscii(this.vin, 17),
+                    CRASH_STATUS, hexUint(CRASH_FRAMES, 1), hexUint(frame + 1, 1), data,
+                ], sendTime, countNumber));
+        }
+        if (vehicle.ignition) {
+            this._setMotion(MOTION.IGNITION_ON_REST);
+        }
+    }
+
+    _externalPowerMv() {
+        return this.vehicle.ignition ? 13800 + Math.round(this.random() * 300) : 12400 + Math.round(this.random() * 200);
+    }
+
+    // L/100km, rough but tied to what the engine is doing
+    _fuelConsumption() {
+        const vehicle = this.vehicle;
+        if (!vehicle.ignition) {
+            return 0;
+        }
+        return vehicle.speedKmh > 0 ? 5 + vehicle.throttle / 10 + this.random() : 0;
+    }
+
+    // --- Reports ---
+
+    /**
+     * Makes a report and sends it, or buffers it while disconnected.
+     * @param {string} command The report, e.g. 'GTFRI'.
+     * @param {function(): Array} asciiParams The parameters between the device name and the send time.
+     * @param {function(number, number): Buffer} hexFrame Builds the HEX frame from the send time and count number.
+     * @param {'ASCII'|'HEX'} [format] Overrides the device's format (command answers are always ASCII).
+     */
+    _send(command, asciiParams, hexFrame, format = this.format) {
+        const countNumber = this.countNumber;
+        this.countNumber = (this.countNumber + 1) & 0xFFFF;
+        const report = {
+            seq: this.nextSeq++,
+            command,
+            countNumber,
+            format,
+            data: format === 'HEX'
+                ? hexFrame(this.clock, countNumber)
+                : `${command},${[DEFAULT_PROTOCOL_VERSION, this.imei, this.vin, this.deviceName, ...asciiParams(), formatTime(this.clock), hexUint(countNumber, 2)].join(',')}$`,
+        };
+
+        if (this.connected) {
+            this._write([report], false);
+        } else {
+            this._buffer([report]);
+        }
+    }
+
+    _write(reports, buffered) {
+        const frames = reports.map(report => (report.format === 'HEX'
+            ? (buffered ? bufferedHexFrame(report.data) : report.data)
+            : Buffer.from(`${buffered ? '+BUFF:' : '+RESP:'}${report.data}`, 'latin1')));
+        this.socket.write(Buffer.concat(frames));
+
+        for (const report of reports) {
+            if (this.sack) {
+                report.sentAt = Date.now();
+                this.unacknowledged.set(report.countNumber, report);
+            }
+            this.emit('report', { command: report.command, countNumber: report.countNumber, buffered });
+        }
+        this.stats[buffered ? 'resent' : 'sent'] += reports.length;
+    }
+
+    _buffer(reports) {
+        this.backlog.push(...reports);
+        this.backlog.sort((a, b) => a.seq - b.seq);
+        const excess = this.backlog.length - this.maxBufferedReports;
+        if (excess > 0) {
+            this.backlog.splice(0, excess);
+            this.stats.dropped += excess;
+        }
+    }
+
+    _flushBacklog() {
+        if (this.connected && this.backlog.length) {
+            this._write(this.backlog.splice(0), true);
+        }
+    }
+
+    _checkSackTimeouts() {
+        if (!this.sack || !this.connected) {
+            return;
+        }
+        const expired = [...this.unacknowledged.values()].filter(report => Date.now() - report.sentAt >= this.sackTimeoutMs);
+        if (!expired.length) {
+            return;
+        }
+        for (const report of expired) {
+            this.unacknowledged.delete(report.countNumber);
+        }
+        this._buffer(expired);
+        this._flushBacklog();
+    }
+
+    _hexDeviceHeader() {
+        return [DEFAULT_PROTOCOL_VERSION.substring(0, 2), DEFAULT_PROTOCOL_VERSION.substring(2), FIRMWARE_VERSION, `0${this.imei}`];
+    }
+
+    /**
+     * +RSP or +EVT with every field of HEX_REPORT_MASK.
+     * @param {string[]} [eventFields] The +EVT event parameters, as hex strings.
+     * @returns {function(number, number): Buffer} Builds the frame from the send time and count number.
+     */
+    _hexReport(header, command, fixes, motion = this.vehicle.motion, eventFields = []) {
+        const vehicle = this.vehicle;
+        return (sendTime, countNumber) => this._hexFrame(header, HEX_MESSAGE_TYPES[command], hexUint(HEX_REPORT_MASK, 4), [
+            ...this._hexDeviceHeader(), hexAscii(this.vin, 17),
+            hexUint(this._externalPowerMv(), 2), hexUint(vehicle.rpm, 2), hexUint(Math.round(this._fuelConsumption() * 10), 2),
+            hexUint(Math.round(vehicle.fuelLevel), 1), motion, hexUint(8 + Math.floor(this.random() * 5), 1),
+            ...(header === '+RSP' ? ['10'] : eventFields),
+            hexUint(fixes.length, 1),
+            ...fixes.flatMap(fix => [
+                hexUint(fix.gnssAccuracy, 1), hexDecimal(fix.speedKmh, 3), hexUint(fix.heading, 2), hexInt(Math.round(fix.altitude), 2),
+                hexInt(Math.round(fix.lon * 1e6), 4), hexInt(Math.round(fix.lat * 1e6), 4), hexTime(fix.time),
+                hexUint(Number(MCC), 2), hexUint(Number(MNC), 2), hexUint(fix.lac, 2), hexUint(fix.cellId, 4), '00',
+            ]),
+            hexDecimal(vehicle.mileageKm - vehicle.tripStartKm, 3), hexDecimal(vehicle.mileageKm, 5), hexHourMeter(vehicle.hourMeterS),
+        ], sendTime, countNumber);
+    }
+
+    _hexEvent(command, fix, motion, eventFields) {
+        return this._hexReport('+EVT', command, [fix], motion, eventFields);
+    }
+
+    /**
+     * Wraps a HEX body in its header, Length, Count Number, Checksum and tail.
+     * @param {string} header e.g. '+RSP'.
+     * @param {number} messageType
+     * @param {string} maskHex The report mask as hex.
+     * @param {string[]} fields The body, as hex strings.
+     * @returns {Buffer}
+     */
+    _hexFrame(header, messageType, maskHex, fields, sendTime, countNumber) {
+        const head = Buffer.from(header, 'ascii').toString('hex') + hexUint(messageType, 1) + maskHex;
+        const body = fields.join('') + hexTime(sendTime);
+        const length = (head.length + 4 + body.length + 4) / 2 + 4; // + Checksum and tail
+        const checked = Buffer.from(head + hexUint(length, 2) + body + hexUint(countNumber, 2), 'hex');
+        return Buffer.concat([checked, Buffer.from(hexUint(crc16(checked), 2) + '0D0A', 'hex')]);
+    }
+
+    // --- Connection ---
+
+    _connect() {
+        if (this.stopped || !this.networkUp || this.socket) {
+            return;
+        }
+        const socket = net.connect(this.port, this.host);
+        this.socket = socket;
+
+        socket.on('connect', () => {
+            this.connected = true;
+            this.stats.connections++;
+            this.emit('connected');
+            this._flushBacklog();
+        });
+        socket.on('data', (chunk) => this._receive(chunk));
+        socket.on('error', (error) => this.emit('error', error));
+        socket.on('close', () => {
+            const wasConnected = this.connected;
+            this.socket = null;
+            this.connected = false;
+            this.inbound = Buffer.alloc(0);
+            // What the server did not acknowledge is still in the device's buffer
+            this._buffer([...this.unacknowledged.values()]);
+            this.unacknowledged.clear();
+            if (wasConnected) {
+                this.emit('disconnected');
+            }
+            if (!this.stopped && this.networkUp) {
+                this.reconnectTimer = setTimeout(() => this._connect(), this.reconnectDelayMs);
+            }
+        });
+    }
+
+    _dropNetwork(seconds) {
+        this.networkUp = false;
+        this.networkBackAt = this.clock + seconds * 1000;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.destroy();
+        }
+    }
+
+    _checkNetwork() {
+        if (!this.networkUp && this.clock >= this.networkBackAt) {
+            this._restoreNetwork();
+        }
+    }
+
+    _restoreNetwork() {
+        this.networkUp = true;
+        this.networkBackAt = null;
+        this._connect();
+    }
+
+    /**
+     * Reads +SACKs and AT commands from the server. An ASCII +SACK is
+     * '+SACK:<4 hex digits>$', a HEX one '+SACK:' and the 2-byte count then '$'.
+     */
+    _receive(chunk) {
+        this.inbound = Buffer.concat([this.inbound, chunk]);
+        while (this.inbound.length) {
+            const text = this.inbound.toString('latin1');
+            if (text.startsWith('+SACK:')) {
+                const ascii = /^\+SACK:([0-9A-Fa-f]{4})\$/.exec(text);
+                if (ascii) {
+                    this._acknowledged(parseInt(ascii[1], 16));
+                    this.inbound = this.inbound.subarray(ascii[0].length);
+                    continue;
+                }
+                if (text.length >= 9 && text[8] === '$' && (text.length >= 11 || !/^[0-9A-Fa-f]{2}$/.test(text.substring(6, 8)))) {
+                    this._acknowledged(this.inbound.readUInt16BE(6));
+                    this.inbound = this.inbound.subarray(9);
+                    continue;
+                }
+                if (text.length < 11) {
+                    return; // incomplete
+                }
+            } else if (text.startsWith('AT+')) {
+                const end = text.indexOf('$');
+                if (end === -1) {
+                    return;
+                }
+                this._answer(text.substring(0, end + 1));
+                this.inbound = this.inbound.subarray(end + 1);
+                continue;
+            }
+            // Not something a device understands: skip to the next candidate
+            const next = text.slice(1).search(/\+SACK:|AT\+/);
+            this.inbound = next === -1 ? Buffer.alloc(0) : this.inbound.subarray(next + 1);
+        }
+    }
+
+    _acknowledged(countNumber) {
+        if (this.unacknowledged.delete(countNumber)) {
+            this.stats.acknowledged++;
+            this.emit('acknowledged', { countNumber });
+        }
+    }
+
+    /**
+     * Answers an AT command: +ACK, then for AT+GTRTO the requested report.
+     * @param {string} text e.g. 'AT+GTRTO=gv500map,INF,,,,,,0003$'.
+     */
+    _answer(text) {
+        const match = /^AT\+(GT[A-Z]{3})=([^$]*)\$$/.exec(text);
+        if (!match) {
+            return;
+        }
+        const [, command, paramText] = match;
+        const params = paramText.split(',');
+        if (params[0] !== this.password || params.length < 2) {
+            this.emit('command', { command, text, ignored: true });
+            return;
+        }
+        const serialNumber = params[params.length - 1].toUpperCase();
+        this.stats.commands++;
+        this.emit('command', { command, text, ignored: false });
+
+        const countNumber = this.countNumber;
+        this.countNumber = (this.countNumber + 1) & 0xFFFF;
+        if (this.connected) {
+            this.socket.write(this._ack(command, params, serialNumber, countNumber));
+        }
+
+        if (command === 'GTRTO') {
+            this._answerRealTimeQuery(String(params[1]).toUpperCase());
+        }
+    }
+
+    /**
+     * @param {string} command e.g. 'GTRTO'.
+     * @param {string[]} params The command parameters, password first.
+     * @param {string} serialNumber The command's serial number, 4 hex digits.
+     * @returns {Buffer} The +ACK, in the device's format when the command has a HEX Message Type.
+     */
+    _ack(command, params, serialNumber, countNumber) {
+        if (this.format === 'HEX' && HEX_ACK_MESSAGE_TYPES[command] !== undefined) {
+            return this._hexFrame('+ACK', HEX_ACK_MESSAGE_TYPES[command], HEX_ACK_MASK,
+                [...this._hexDeviceHeader(), hexUint(parseInt(serialNumber, 16), 2)], this.clock, countNumber);
+        }
+        const ack = [
+            DEFAULT_PROTOCOL_VERSION, this.imei, this.deviceName,
+            ...(INDEXED_ACK_COMMANDS.includes(command) ? [params[1]] : []),
+            serialNumber, formatTime(this.clock), hexUint(countNumber, 2),
+        ];
+        return Buffer.from(`+ACK:${command},${ack.join(',')}$`, 'latin1');
+    }
+
+    _answerRealTimeQuery(subCommand) {
+        const vehicle = this.vehicle;
+        const rssi = 15 + Math.floor(this.random() * 16);
+        const ascii = (command, params) => this._send(command, () => params, null, 'ASCII');
+        switch (subCommand) {
+            case 'INF':
+                ascii('GTINF', [
+                    vehicle.motion, this.iccId, rssi, 0, 1, this._externalPowerMv(), '', '4.10', 0, 1, '', '',
+                    formatTime(this.clock), '', '', '', '', '', '+0000', 0,
+                ]);
+                break;
+            case 'CSQ':
+                ascii('GTCSQ', [rssi, 0]);
+                break;
+            case 'VER':
+                ascii('GTVER', [DEFAULT_DEVICE_NAME, FIRMWARE_VERSION, HARDWARE_VERSION]);
+                break;
+            case 'BAT':
+                ascii('GTBAT', [1, this._externalPowerMv(), '', '4.10', 0, 1]);
+                break;
+            case 'CID':
+                ascii('GTCID', [this.iccId]);
+                break;
+            case 'RTL': {
+                const fix = this._fix();
+                ascii('GTRTL', ['', '10', 1, ...asciiGnss(fix), ...asciiCell(fix), '00', vehicle.mileageKm.toFixed(1)]);
+                break;
+            }
+            case 'READ':
+                ascii('GTALM', [1, 1, ...this._configSections()]);
+                break;
+            case 'GPS':
+                ascii('GTGPS', ['', '', '', '0003', 1, '', formatTime(this.clock)]);
+                break;
+            case 'TMZ':
+                ascii('GTTMZ', ['+0000', 0]);
+                break;
+            case 'GSV': {
+                const satellites = 4 + Math.floor(this.random() * 9);
+                const ids = [];
+                while (ids.length < satellites) {
+                    const id = 1 + Math.floor(this.random() * 32);
+                    if (!ids.includes(id)) {
+                        ids.push(id);
+                    }
+                }
+                ascii('GTGSV', [satellites, ...ids.flatMap(id => [id, 20 + Math.floor(this.random() * 26)])]);
+                break;
+            }
+            case 'ATI':
+                ascii('GTATI', [DEFAULT_DEVICE_NAME, '0000FFFF', FIRMWARE_VERSION, ...ATI_VERSIONS, HARDWARE_VERSION, MODEM_HARDWARE_VERSION, SENSOR_ID]);
+                break;
+            case 'AIF': {
+                const fix = this._fix();
+                const ip = `10.${parseInt(this.imei.slice(-6, -4), 10)}.${parseInt(this.imei.slice(-4, -2), 10)}.${parseInt(this.imei.slice(-2), 10)}`;
+                ascii('GTAIF', [APN, '', '', this.iccId, rssi, 0, hexUint(fix.cellId, 2), ip, '8.8.8.8', '8.8.4.4', '', '', '', 4]);
+                break;
+            }
+            case 'BTI':
+                // No Bluetooth accessory connected
+                ascii('GTBTI', [`${this.deviceName}_BT`, this.imei.slice(-12), 0, 0, '', '', 0, 0, '', '', '', '', '', '', '', '']);
+                break;
+            case 'REBOOT':
+                // Let the +ACK go out, then the connection drops with the reboot
+                if (this.socket) {
+                    this.socket.end();
+                }
+                break;
+            default:
+                // RESET: acknowledged only
+                break;
+        }
+    }
+
+    /**
+     * The GTALM sections of the simulated configuration: server and SACK
+     * (SRI), password and device name (CFG), fix interval (FRI).
+     */
+    _configSections() {
+        const protocolFormat = this.format === 'HEX' ? 1 : 0;
+        return [
+            'SRI', 3, '', 1, this.host, this.port, '', 0, '', 30, this.sack ? 1 : 0, protocolFormat, 0, '', '', 0,
+            'CFG', this.password, this.deviceName, 1, '0.0', 0, '', 'FFFF', 0, 0, '0007FFFF', '', 1, 3600, 1, 1, 1, 1, 300, 0, 0, 30,
+            'FRI', 1, 1, '', 0, '0000', '0000', '', this.fixIntervalS, 1000, 1000, '', 30, 600, '', '', '', '',
+        ];
+    }
+}
+
+/**
+ * Checks a drive script.
+ * @param {object[]} steps
+ * @throws {Error} Naming the first invalid step.
+ */
+export function validateScript(steps) {
+    if (!Array.isArray(steps)) {
+        throw new Error('A drive script must be an array of steps');
+    }
+    steps.forEach((step, index) => {
+        const where = `step ${index + 1}`;
+        if (!step || !STEP_TYPES.includes(step.type)) {
+            throw new Error(`${where}: type must be one of ${STEP_TYPES.join(', ')}`);
+        }
+        if (['drive', 'idle', 'outage'].includes(step.type) && !(step.seconds > 0)) {
+            throw new Error(`${where}: ${step.type} needs seconds > 0`);
+        }
+        if (step.type === 'drive' && !(step.speedKmh >= 0)) {
+            throw new Error(`${where}: drive needs speedKmh >= 0`);
+        }
+        if (step.type === 'dtc' && (!Array.isArray(step.codes) || step.codes.some(code => encodeDtc(code) === null))) {
+            throw new Error(`${where}: dtc needs codes, J2012 codes such as P0301`);
+        }
+    });
+}
+
+/**
+ * Makes up a drive script: trips of a few legs each, with stops, and now and
+ * then a DTC, a network outage or a crash.
+ * @param {function(): number} random Source of randomness in [0, 1).
+ * @param {object} [options]
+ * @param {number} [options.trips] Trips, each from ignition on to ignition off and a parked spell.
+ * @param {number} [options.dtcRate] Chance of a new DTC during a trip.
+ * @param {number} [options.outageRate] Chance of a network outage during a trip.
+ * @param {number} [options.crashRate] Chance of a trip ending in a crash.
+ * @returns {object[]} The steps.
+ */
+export function randomDrive(random, { trips = 1, dtcRate = 0.2, outageRate = 0.3, crashRate = 0.05 } = {}) {
+    const between = (min, max) => Math.round(min + random() * (max - min));
+    const steps = [];
+    for (let trip = 0; trip < trips; trip++) {
+        steps.push({ type: 'ignition_on' }, { type: 'idle', seconds: between(20, 90) });
+        const legs = between(2, 6);
+        const dtcLeg = random() < dtcRate ? between(0, legs - 1) : -1;
+        const outageLeg = random() < outageRate ? between(0, legs - 1) : -1;
+        for (let leg = 0; leg < legs; leg++) {
+            if (leg === outageLeg) {
+                steps.push({ type: 'outage', seconds: between(30, 300) });
+            }
+            steps.push({ type: 'drive', seconds: between(60, 600), speedKmh: between(20, 110) });
+            if (leg === dtcLeg) {
+                steps.push({ type: 'dtc', codes: [SAMPLE_DTCS[Math.floor(random() * SAMPLE_DTCS.length)]] });
+            }
+            steps.push({ type: 'idle', seconds: between(10, 90) });
+        }
+        if (random() < crashRate) {
+            steps.push({ type: 'drive', seconds: between(30, 120), speedKmh: between(40, 90) }, { type: 'crash' }, { type: 'idle', seconds: 60 });
+        }
+        steps.push({ type: 'ignition_off' }, { type: 'idle', seconds: between(60, 900) });
+    }
+    return steps;
+}
+
+const SAMPLE_DTCS = ['P0301', 'P0420', 'P0171', 'P0128', 'P0442', 'P0700', 'C0035', 'U0100'];
+
+/**
+ * Seeded source of randomness (mulberry32), so a run can be repeated.
+ * @param {number} seed
+ * @returns {function(): number} Returns numbers in [0, 1).
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Completes a 14-digit TAC and serial number to an IMEI with its Luhn check digit.
+ * @param {string} digits 14 digits.
+ * @returns {string} The 15-digit IMEI.
+ */
+export function toImei(digits) {
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        let digit = Number(digits[13 - i]);
+        if (i % 2 === 0) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return `${digits}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * Accelerometer samples in mg: the sensor at rest, then a half-sine
+ * deceleration pulse that takes the impact speed away.
+ */
+function crashRecording(impactKmh, random) {
+    const total = CRASH_FRAMES * CRASH_SAMPLES_PER_FRAME;
+    const impactAt = Math.floor(total / 4);
+    const pulseSamples = Math.round(CRASH_PULSE_S * CRASH_SAMPLE_RATE_HZ);
+    // The half-sine area matches the speed lost: peak = Δv·π / (2·duration)
+    const peakMg = Math.min(32000, ((impactKmh / 3.6) * Math.PI / (2 * CRASH_PULSE_S) / STANDARD_GRAVITY) * 1000);
+    const noise = () => Math.round((random() - 0.5) * 30);
+
+    return Array.from({ length: total }, (_, i) => {
+        const inPulse = i >= impactAt && i < impactAt + pulseSamples;
+        const pulse = inPulse ? Math.sin((Math.PI * (i - impactAt)) / pulseSamples) : 0;
+        return {
+            x: Math.round(-peakMg * pulse) + noise(),
+            y: Math.round(peakMg * 0.2 * pulse * (random() - 0.5)) + noise(),
+            z: 1000 + noise(),
+        };
+    });
+}
+
+function asciiGnss(fix) {
+    return [fix.gnssAccuracy, fix.speedKmh.toFixed(1), fix.heading, fix.altitude.toFixed(1), fix.lon.toFixed(6), fix.lat.toFixed(6), formatTime(fix.time)];
+}
+
+function asciiCell(fix) {
+    return [MCC, MNC, hexUint(fix.lac, 2), hexUint(fix.cellId, 2)];
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// YYYYMMDDHHMMSS in UTC
+function formatTime(ms) {
+    const date = new Date(ms);
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+        + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+}
+
+// HHHHH:MM:SS
+function formatHourMeter(seconds) {
+    const whole = Math.floor(seconds);
+    return `${pad(Math.floor(whole / 3600), 5)}:${pad(Math.floor(whole / 60) % 60)}:${pad(whole % 60)}`;
+}
+
+function hexUint(value, bytes) {
+    return Math.max(0, Math.round(value)).toString(16).toUpperCase().padStart(bytes * 2, '0').slice(-bytes * 2);
+}
+
+// Two's complement
+function hexInt(value, bytes) {
+    const range = 2 ** (bytes * 8);
+    return hexUint(((Math.round(value) % range) + range) % range, bytes);
+}
+
+// Integer part, then one byte of tenths
+function hexDecimal(value, bytes) {
+    const tenths = Math.round(value * 10);
+    return hexUint(Math.floor(tenths / 10), bytes - 1) + hexUint(tenths % 10, 1);
+}
+
+function hexTime(ms) {
+    const date = new Date(ms);
+    return hexUint(date.getUTCFullYear(), 2) + [
+        date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(),
+    ].map(part => hexUint(part, 1)).join('');
+}
+
+// Hours (4 bytes), minutes, seconds
+function hexHourMeter(seconds) {
+    const whole = Math.floor(seconds);
+    return hexUint(Math.floor(whole / 3600), 4) + hexUint(Math.floor(whole / 60) % 60, 1) + hexUint(whole % 60, 1);
+}
+
+// Zero-padded to the field size
+function hexAscii(text, bytes) {
+    return Buffer.from(String(text).padEnd(bytes, '\0').substring(0, bytes), 'latin1').toString('hex').toUpperCase();
+}
+
+/**
+ * The frame a buffered HEX report is resent as: +RSP as +BSP and +EVT as +BVT,
+ * with the Checksum over the new header. Other reports have no buffered header.
+ * @param {Buffer} frame
+ * @returns {Buffer}
+ */
+function bufferedHexFrame(frame) {
+    const live = frame.subarray(0, 4).toString('hex').toUpperCase();
+    const header = Object.keys(BUFFERED_HEX_HEADERS).find(buffered => BUFFERED_HEX_HEADERS[buffered] === live);
+    if (!header) {
+        return frame;
+    }
+    const resent = Buffer.from(frame);
+    resent.write(header, 0, 'hex');
+    resent.writeUInt16BE(crc16(resent.subarray(0, resent.length - 4)), resent.length - 4);
+    return resent;
+}
+
+// CRC-16/CCITT-FALSE, the HEX Checksum
+function crc16(buffer) {
+    let crc = 0xFFFF;
+    for (const byte of buffer) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export default SimulatedDevice;
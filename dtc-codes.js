@@ -0,0 +1,265 @@
+/**
+ * @fileoverview OBD-II diagnostic trouble codes (SAE J2012).
+ * The device reports each DTC as the two bytes the ECU returns for mode 03,
+ * written as 4 hex digits. The top two bits select the system (P, C, B, U),
+ * the next two the first digit, and the remaining three nibbles are the rest
+ * of the code: 0301 is P0301, 4123 is C0123, C100 is U0100.
+ *
+ * describeDtc() uses a bundled table of common generic codes and falls back
+ * to the code's J2012 group, so it works offline for every code.
+ */
+
+export const DTC_SYSTEMS = Object.freeze({
+    P: 'Powertrain',
+    C: 'Chassis',
+    B: 'Body',
+    U: 'Network',
+});
+
+const SYSTEM_LETTERS = ['P', 'C', 'B', 'U'];
+
+// Generic (SAE-defined) codes, by code
+const GENERIC_DTC_DESCRIPTIONS = {
+    P0010: '"A" Camshaft Position Actuator Circuit (Bank 1)',
+    P0011: '"A" Camshaft Position - Timing Over-Advanced or System Performance (Bank 1)',
+    P0012: '"A" Camshaft Position - Timing Over-Retarded (Bank 1)',
+    P0013: '"B" Camshaft Position Actuator Circuit (Bank 1)',
+    P0014: '"B" Camshaft Position - Timing Over-Advanced or System Performance (Bank 1)',
+    P0016: 'Crankshaft Position - Camshaft Position Correlation (Bank 1 Sensor A)',
+    P0017: 'Crankshaft Position - Camshaft Position Correlation (Bank 1 Sensor B)',
+    P0020: '"A" Camshaft Position Actuator Circuit (Bank 2)',
+    P0021: '"A" Camshaft Position - Timing Over-Advanced or System Performance (Bank 2)',
+    P0030: 'HO2S Heater Control Circuit (Bank 1 Sensor 1)',
+    P0036: 'HO2S Heater Control Circuit (Bank 1 Sensor 2)',
+    P0087: 'Fuel Rail/System Pressure - Too Low',
+    P0088: 'Fuel Rail/System Pressure - Too High',
+    P0100: 'Mass or Volume Air Flow Circuit',
+    P0101: 'Mass or Volume Air Flow Circuit Range/Performance',
+    P0102: 'Mass or Volume Air Flow Circuit Low Input',
+    P0103: 'Mass or Volume Air Flow Circuit High Input',
+    P0105: 'Manifold Absolute Pressure/Barometric Pressure Circuit',
+    P0106: 'Manifold Absolute Pressure/Barometric Pressure Circuit Range/Performance',
+    P0107: 'Manifold Absolute Pressure/Barometric Pressure Circuit Low Input',
+    P0108: 'Manifold Absolute Pressure/Barometric Pressure Circuit High Input',
+    P0110: 'Intake Air Temperature Circuit',
+    P0111: 'Intake Air Temperature Circuit Range/Performance',
+    P0112: 'Intake Air Temperature Circuit Low Input',
+    P0113: 'Intake Air Temperature Circuit High Input',
+    P0115: 'Engine Coolant Temperature Circuit',
+    P0116: 'Engine Coolant Temperature Circuit Range/Performance',
+    P0117: 'Engine Coolant Temperature Circuit Low Input',
+    P0118: 'Engine Coolant Temperature Circuit High Input',
+    P0120: 'Throttle/Pedal Position Sensor/Switch "A" Circuit',
+    P0121: 'Throttle/Pedal Position Sensor/Switch "A" Circuit Range/Performance',
+    P0122: 'Throttle/Pedal Position Sensor/Switch "A" Circuit Low Input',
+    P0123: 'Throttle/Pedal Position Sensor/Switch "A" Circuit High Input',
+    P0125: 'Insufficient Coolant Temperature for Closed Loop Fuel Control',
+    P0128: 'Coolant Thermostat (Coolant Temperature Below Thermostat Regulating Temperature)',
+    P0130: 'O2 Sensor Circuit (Bank 1 Sensor 1)',
+    P0131: 'O2 Sensor Circuit Low Voltage (Bank 1 Sensor 1)',
+    P0132: 'O2 Sensor Circuit High Voltage (Bank 1 Sensor 1)',
+    P0133: 'O2 Sensor Circuit Slow Response (Bank 1 Sensor 1)',
+    P0134: 'O2 Sensor Circuit No Activity Detected (Bank 1 Sensor 1)',
+    P0135: 'O2 Sensor Heater Circuit (Bank 1 Sensor 1)',
+    P0136: 'O2 Sensor Circuit (Bank 1 Sensor 2)',
+    P0137: 'O2 Sensor Circuit Low Voltage (Bank 1 Sensor 2)',
+    P0138: 'O2 Sensor Circuit High Voltage (Bank 1 Sensor 2)',
+    P0139: 'O2 Sensor Circuit Slow Response (Bank 1 Sensor 2)',
+    P0140: 'O2 Sensor Circuit No Activity Detected (Bank 1 Sensor 2)',
+    P0141: 'O2 Sensor Heater Circuit (Bank 1 Sensor 2)',
+    P0150: 'O2 Sensor Circuit (Bank 2 Sensor 1)',
+    P0151: 'O2 Sensor Circuit Low Voltage (Bank 2 Sensor 1)',
+    P0152: 'O2 Sensor Circuit High Voltage (Bank 2 Sensor 1)',
+    P0155: 'O2 Sensor Heater Circuit (Bank 2 Sensor 1)',
+    P0171: 'System Too Lean (Bank 1)',
+    P0172: 'System Too Rich (Bank 1)',
+    P0174: 'System Too Lean (Bank 2)',
+    P0175: 'System Too Rich (Bank 2)',
+    P0190: 'Fuel Rail Pressure Sensor Circuit',
+    P0191: 'Fuel Rail Pressure Sensor Circuit Range/Performance',
+    P0192: 'Fuel Rail Pressure Sensor Circuit Low Input',
+    P0193: 'Fuel Rail Pressure Sensor Circuit High Input',
+    P0200: 'Injector Circuit',
+    P0201: 'Injector Circuit - Cylinder 1',
+    P0202: 'Injector Circuit - Cylinder 2',
+    P0203: 'Injector Circuit - Cylinder 3',
+    P0204: 'Injector Circuit - Cylinder 4',
+    P0205: 'Injector Circuit - Cylinder 5',
+    P0206: 'Injector Circuit - Cylinder 6',
+    P0207: 'Injector Circuit - Cylinder 7',
+    P0208: 'Injector Circuit - Cylinder 8',
+    P0217: 'Engine Coolant Over Temperature Condition',
+    P0219: 'Engine Overspeed Condition',
+    P0220: 'Throttle/Pedal Position Sensor/Switch "B" Circuit',
+    P0234: 'Turbocharger/Supercharger "A" Overboost Condition',
+    P0299: 'Turbocharger/Supercharger "A" Underboost Condition',
+    P0300: 'Random/Multiple Cylinder Misfire Detected',
+    P0301: 'Cylinder 1 Misfire Detected',
+    P0302: 'Cylinder 2 Misfire Detected',
+    P0303: 'Cylinder 3 Misfire Detected',
+    P0304: 'Cylinder 4 Misfire Detected',
+    P0305: 'Cylinder 5 Misfire Detected',
+    P0306: 'Cylinder 6 Misfire Detected',
+    P0307: 'Cylinder 7 Misfire Detected',
+    P0308: 'Cylinder 8 Misfire Detected',
+    P0325: 'Knock Sensor 1 Circuit (Bank 1 or Single Sensor)',
+    P0327: 'Knock Sensor 1 Circuit Low (Bank 1 or Single Sensor)',
+    P0328: 'Knock Sensor 1 Circuit High (Bank 1 or Single Sensor)',
+    P0335: 'Crankshaft Position Sensor "A" Circuit',
+    P0336: 'Crankshaft Position Sensor "A" Circuit Range/Performance',
+    P0340: 'Camshaft Position Sensor "A" Circuit (Bank 1 or Single Sensor)',
+    P0341: 'Camshaft Position Sensor "A" Circuit Range/Performance (Bank 1 or Single Sensor)',
+    P0351: 'Ignition Coil "A" Primary/Secondary Circuit',
+    P0352: 'Ignition Coil "B" Primary/Secondary Circuit',
+    P0353: 'Ignition Coil "C" Primary/Secondary Circuit',
+    P0354: 'Ignition Coil "D" Primary/Secondary Circuit',
+    P0380: 'Glow Plug/Heater Circuit "A"',
+    P0400: 'Exhaust Gas Recirculation "A" Flow',
+    P0401: 'Exhaust Gas Recirculation "A" Flow Insufficient Detected',
+    P0402: 'Exhaust Gas Recirculation "A" Flow Excessive Detected',
+    P0403: 'Exhaust Gas Recirculation "A" Control Circuit',
+    P0404: 'Exhaust Gas Recirculation "A" Control Circuit Range/Performance',
+    P0420: 'Catalyst System Efficiency Below Threshold (Bank 1)',
+    P0430: 'Catalyst System Efficiency Below Threshold (Bank 2)',
+    P0440: 'Evaporative Emission System',
+    P0441: 'Evaporative Emission System Incorrect Purge Flow',
+    P0442: 'Evaporative Emission System Leak Detected (small leak)',
+    P0443: 'Evaporative Emission System Purge Control Valve "A" Circuit',
+    P0446: 'Evaporative Emission System Vent Control Circuit',
+    P0455: 'Evaporative Emission System Leak Detected (large leak)',
+    P0456: 'Evaporative Emission System Leak Detected (very small leak)',
+    P0457: 'Evaporative Emission System Leak Detected (fuel cap loose/off)',
+    P0461: 'Fuel Level Sensor "A" Circuit Range/Performance',
+    P0462: 'Fuel Level Sensor "A" Circuit Low',
+    P0463: 'Fuel Level Sensor "A" Circuit High',
+    P0480: 'Fan 1 Control Circuit',
+    P0500: 'Vehicle Speed Sensor "A"',
+    P0501: 'Vehicle Speed Sensor "A" Range/Performance',
+    P0505: 'Idle Air Control System',
+    P0506: 'Idle Air Control System RPM Lower Than Expected',
+    P0507: 'Idle Air Control System RPM Higher Than Expected',
+    P0520: 'Engine Oil Pressure Sensor/Switch "A" Circuit',
+    P0521: 'Engine Oil Pressure Sensor/Switch "A" Range/Performance',
+    P0562: 'System Voltage Low',
+    P0563: 'System Voltage High',
+    P0600: 'Serial Communication Link',
+    P0601: 'Internal Control Module Memory Check Sum Error',
+    P0603: 'Internal Control Module Keep Alive Memory (KAM) Error',
+    P0606: 'Control Module Processor',
+    P0700: 'Transmission Control System (MIL Request)',
+    P0705: 'Transmission Range Sensor "A" Circuit (PRNDL Input)',
+    P0715: 'Input/Turbine Speed Sensor "A" Circuit',
+    P0720: 'Output Speed Sensor Circuit',
+    P0730: 'Incorrect Gear Ratio',
+    P0740: 'Torque Converter Clutch Solenoid Circuit/Open',
+    P0750: 'Shift Solenoid "A"',
+    P0755: 'Shift Solenoid "B"',
+    P2002: 'Diesel Particulate Filter Efficiency Below Threshold (Bank 1)',
+    P2135: 'Throttle/Pedal Position Sensor/Switch "A"/"B" Voltage Correlation',
+    P2463: 'Diesel Particulate Filter Restriction - Soot Accumulation (Bank 1)',
+    C0035: 'Left Front Wheel Speed Sensor Circuit',
+    C0040: 'Right Front Wheel Speed Sensor Circuit',
+    C0045: 'Left Rear Wheel Speed Sensor Circuit',
+    C0050: 'Right Rear Wheel Speed Sensor Circuit',
+    U0001: 'High Speed CAN Communication Bus',
+    U0100: 'Lost Communication With ECM/PCM "A"',
+    U0101: 'Lost Communication With TCM',
+    U0121: 'Lost Communication With Anti-Lock Brake System (ABS) Control Module',
+    U0140: 'Lost Communication With Body Control Module',
+    U0155: 'Lost Communication With Instrument Panel Cluster (IPC) Control Module',
+};
+
+// Generic powertrain groups, by the code's third character
+const POWERTRAIN_GROUPS = {
+    0: 'Fuel and Air Metering and Auxiliary Emission Controls',
+    1: 'Fuel and Air Metering',
+    2: 'Fuel and Air Metering (Injector Circuit)',
+    3: 'Ignition System or Misfire',
+    4: 'Auxiliary Emission Controls',
+    5: 'Vehicle Speed Controls and Idle Control System',
+    6: 'Computer and Auxiliary Outputs',
+    7: 'Transmission',
+    8: 'Transmission',
+    9: 'Transmission',
+    A: 'Hybrid Propulsion',
+};
+
+/**
+ * Converts one two-byte DTC to its J2012 code.
+ * @param {string} hex 4 hex digits (e.g. '0301').
+ * @returns {string|null} The code (e.g. 'P0301'), or null if the value is not a DTC.
+ */
+export function decodeDtc(hex) {
+    if (!/^[0-9A-Fa-f]{4}$/.test(hex || '')) {
+        return null;
+    }
+    const value = parseInt(hex, 16);
+    if (value === 0) {
+        return null; // padding
+    }
+    const system = SYSTEM_LETTERS[value >> 14];
+    const firstDigit = (value >> 12) & 0x3;
+    return `${system}${firstDigit}${hex.substring(1).toUpperCase()}`;
+}
+
+/**
+ * Converts a J2012 code to the two bytes the device reports, the inverse of decodeDtc().
+ * @param {string} code The code (e.g. 'P0301').
+ * @returns {string|null} 4 upper-case hex digits (e.g. '0301'), or null if the code is malformed.
+ */
+export function encodeDtc(code) {
+    const match = /^([PCBU])([0-3])([0-9A-F]{3})$/.exec(String(code || '').toUpperCase());
+    if (!match) {
+        return null;
+    }
+    const system = SYSTEM_LETTERS.indexOf(match[1]);
+    return `${((system << 2) | Number(match[2])).toString(16).toUpperCase()}${match[3]}`;
+}
+
+/**
+ * Splits the device's DTC field into J2012 codes.
+ * @param {string} hexString The concatenated 4-digit DTCs.
+ * @param {number|null} [count] The reported Number of DTCs; the whole field is read when unknown.
+ * @returns {string[]} The codes, without padding entries.
+ */
+export function parseDtcList(hexString, count = null) {
+    if (!hexString || count === 0) {
+        return [];
+    }
+    const codes = [];
+    const total = Number.isInteger(count) ? count : Math.floor(hexString.length / 4);
+    for (let i = 0; i < total && (i + 1) * 4 <= hexString.length; i++) {
+        const code = decodeDtc(hexString.substring(i * 4, i * 4 + 4));
+        if (code) {
+            codes.push(code);
+        }
+    }
+    return codes;
+}
+
+/**
+ * @param {string} code A J2012 code (e.g. 'P0301').
+ * @returns {{code: string, system: string, generic: boolean, description: string}}
+ *     `generic` is false for manufacturer-specific codes, whose meaning depends on the vehicle.
+ */
+export function describeDtc(code) {
+    const normalized = String(code).toUpperCase();
+    const letter = normalized[0];
+    const firstDigit = normalized[1];
+    const generic = letter === 'P'
+        ? firstDigit === '0' || firstDigit === '2' || (firstDigit === '3' && normalized[2] >= '4')
+        : firstDigit === '0' || firstDigit === '3';
+
+    let description = GENERIC_DTC_DESCRIPTIONS[normalized];
+    if (!description) {
+        if (!generic) {
+            description = 'Manufacturer-specific code';
+        } else if (letter === 'P' && firstDigit === '0') {
+            description = POWERTRAIN_GROUPS[normalized[2]] || 'Generic powertrain code';
+        } else {
+            description = `Generic ${(DTC_SYSTEMS[letter] || 'unknown').toLowerCase()} code`;
+        }
+    }
+
+    return { code: normalized, system: DTC_SYSTEMS[letter] || 'Unknown', generic, description };
+}
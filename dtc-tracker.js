@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Per-vehicle DTC lifecycle from successive GTOBD/GTOSM reports.
+ * Every report lists the DTCs currently stored in the ECU, so a code that
+ * appears is 'detected' and a code that is no longer listed is 'cleared',
+ * either because the DTCs were reset (DTCs Cleared Distance starts again) or
+ * because the ECU dropped it. MIL changes are tracked the same way, with the
+ * odometer reading at which the lamp came on derived from the MIL Activated
+ * Distance.
+ *
+ * Buffered reports older than the last one applied cannot change the current
+ * state; they only move a code's first sighting back.
+ */
+
+import { EventEmitter } from 'events';
+import { describeDtc } from './dtc-codes.js';
+import { reportTime } from './report-utils.js';
+
+const OBD_COMMANDS = ['GTOBD', 'GTOSM'];
+
+export class DtcTracker extends EventEmitter {
+
+    constructor() {
+        super();
+        this.vehicles = new Map(); // IMEI -> { vin, codes: Map(code -> lifecycle), mil, lastReportTime, dtcsClearedDistance }
+    }
+
+    /**
+     * Applies a parsed GTOBD or GTOSM report. Emits 'dtc' ({ imei, event: 'detected'|'cleared', dtc })
+     * and 'mil' ({ imei, mil }) for every change.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {boolean} Whether the report was an OBD report.
+     */
+    handle(result) {
+        if (!result || result.ok === false || !result.parsedData || !['RESP', 'BUFF', 'HEX'].includes(result.messageType)) {
+            return false;
+        }
+        if (!OBD_COMMANDS.includes(result.command)) {
+            return false;
+        }
+
+        const report = result.parsedData;
+        const time = reportTime(report);
+        if (!report.uniqueId || time === null) {
+            return false;
+        }
+
+        const vehicle = this._getOrCreate(report.uniqueId);
+        vehicle.vin = report.obdVin || report.vin || vehicle.vin;
+        const codes = Array.isArray(report.diagnosticTroubleCodes) && report.numberOfDtcs !== null
+            ? report.diagnosticTroubleCodes
+            : null; // DTCs not part of this report
+
+        if (vehicle.lastReportTime !== null && time < vehicle.lastReportTime) {
+            for (const code of codes || []) {
+                const dtc = vehicle.codes.get(code);
+                if (dtc && time < dtc.firstSeen) {
+                    dtc.firstSeen = time;
+                }
+            }
+            return true;
+        }
+        vehicle.lastReportTime = time;
+
+        if (codes) {
+            this._applyCodes(report.uniqueId, vehicle, codes, time, report.dtcsClearedDistance);
+        }
+        this._applyMil(report.uniqueId, vehicle, report, time);
+        return true;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object|null} The vehicle's codes (active first) and MIL state.
+     */
+    getVehicle(imei) {
+        const vehicle = this.vehicles.get(imei);
+        if (!vehicle) {
+            return null;
+        }
+        const codes = [...vehicle.codes.values()].map(toPublic)
+            .sort((a, b) => Number(b.active) - Number(a.active) || b.lastSeen - a.lastSeen);
+        return {
+            imei,
+            vin: vehicle.vin,
+            activeCodes: codes.filter(dtc => dtc.active).map(dtc => dtc.code),
+            codes,
+            mil: vehicle.mil ? { ...vehicle.mil } : null,
+        };
+    }
+
+    _getOrCreate(imei) {
+        let vehicle = this.vehicles.get(imei);
+        if (!vehicle) {
+            vehicle = { vin: null, codes: new Map(), mil: null, lastReportTime: null, dtcsClearedDistance: null };
+            this.vehicles.set(imei, vehicle);
+        }
+        return vehicle;
+    }
+
+    _applyCodes(imei, vehicle, codes, time, dtcsClearedDistance) {
+        // The distance since the last reset only goes down when the DTCs were reset
+        const reset = Number.isFinite(dtcsClearedDistance) && Number.isFinite(vehicle.dtcsClearedDistance)
+            && dtcsClearedDistance < vehicle.dtcsClearedDistance;
+        if (Number.isFinite(dtcsClearedDistance)) {
+            vehicle.dtcsClearedDistance = dtcsClearedDistance;
+        }
+
+        for (const code of codes) {
+            let dtc = vehicle.codes.get(code);
+            if (!dtc) {
+                dtc = { ...describeDtc(code), firstSeen: time, lastSeen: time, clearedAt: null, clearReason: null, active: false, occurrences: 0 };
+                vehicle.codes.set(code, dtc);
+            }
+            dtc.lastSeen = time;
+            if (!dtc.active) {
+                dtc.active = true;
+                dtc.clearedAt = null;
+                dtc.clearReason = null;
+                dtc.occurrences++;
+                this.emit('dtc', { imei, event: 'detected', dtc: toPublic(dtc) });
+            }
+        }
+
+        for (const dtc of vehicle.codes.values()) {
+            if (dtc.active && !codes.includes(dtc.code)) {
+                dtc.active = false;
+                dtc.clearedAt = time;
+                dtc.clearReason = reset ? 'reset' : 'not_reported';
+                this.emit('dtc', { imei, event: 'cleared', dtc: toPublic(dtc) });
+            }
+        }
+    }
+
+    _applyMil(imei, vehicle, report, time) {
+        if (report.milStatus !== 0 && report.milStatus !== 1) {
+            return;
+        }
+        const on = report.milStatus === 1;
+        const odometer = report.obdMileage ?? report.mileage;
+
+        if (vehicle.mil && vehicle.mil.on === on) {
+            if (on) {
+                vehicle.mil.milActivatedDistance = report.milActivatedDistance;
+            }
+            return;
+        }
+
+        vehicle.mil = {
+            on,
+            since: new Date(time),
+            milActivatedDistance: on ? report.milActivatedDistance : null,
+            // Odometer reading when the lamp came on
+            activatedAtMileage: on && Number.isFinite(odometer) && Number.isFinite(report.milActivatedDistance)
+                ? Math.round((odometer - report.milActivatedDistance) * 10) / 10
+                : null,
+        };
+        this.emit('mil', { imei, mil: { ...vehicle.mil } });
+    }
+}
+
+function toPublic(dtc) {
+    return {
+        ...dtc,
+        firstSeen: new Date(dtc.firstSeen),
+        lastSeen: new Date(dtc.lastSeen),
+        clearedAt: dtc.clearedAt === null ? null : new Date(dtc.clearedAt),
+    };
+}
+
+export default DtcTracker;
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Append-only archive of everything received from devices.
+ * Socket reads are archived before framing, exactly as received, so bytes
+ * the framer drops and frames that TCP split or coalesced are kept as they
+ * came. One JSON object per line, the data hex encoded:
+ *   {"receivedAt":"2025-06-19T15:11:41.201Z","remoteAddress":"::ffff:10.0.0.7","remotePort":50166,
+ *    "localPort":9001,"protocol":"queclink","imei":"861971050198167","data":"2b524553503a..."}
+ * `imei` is the device the connection had identified itself as when the
+ * data arrived, null before its first report. Files are named
+ * <prefix>-<UTC start time>.jsonl and rotated when they reach `maxFileBytes`
+ * or the UTC day changes, so file names sort chronologically. replay.js
+ * reads them back and frames them again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { EventEmitter } from 'events';
+
+export const DEFAULT_MAX_FILE_BYTES = 64 * 1024 * 1024;
+
+export class FrameArchive extends EventEmitter {
+
+    /**
+     * @param {object} options
+     * @param {string} options.directory Where the files go; created if missing.
+     * @param {string} [options.prefix] File name prefix, e.g. the protocol.
+     * @param {number} [options.maxFileBytes] Size at which a new file is started.
+     */
+    constructor({ directory, prefix = 'frames', maxFileBytes = DEFAULT_MAX_FILE_BYTES }) {
+        super();
+        this.directory = directory;
+        this.prefix = prefix;
+        this.maxFileBytes = maxFileBytes;
+
+        this.stream = null;
+        this.file = null;
+        this.bytes = 0;
+        this.day = null;
+
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    /**
+     * Appends data read from a device socket. Writes are buffered and
+     * asynchronous; write failures are emitted as 'error'.
+     * @param {object} chunk
+     * @param {Buffer} chunk.data The bytes as read from the socket.
+     * @param {net.Socket} chunk.socket The connection they came in on.
+     * @param {string} chunk.protocol 'queclink' or 'jt808'.
+     * @param {string|null} [chunk.imei] The device, when known.
+     * @param {Date} [chunk.receivedAt] Arrival time.
+     */
+    append({ data, socket, protocol, imei = null, receivedAt = new Date() }) {
+        const line = JSON.stringify({
+            receivedAt: receivedAt.toISOString(),
+            remoteAddress: socket.remoteAddress ?? null,
+            remotePort: socket.remotePort ?? null,
+            localPort: socket.localPort ?? null,
+            protocol,
+            imei: imei === null ? null : String(imei),
+            data: data.toString('hex'),
+        }) + '\n';
+
+        this._rotate(receivedAt, Buffer.byteLength(line));
+        this.stream.write(line);
+        this.bytes += Buffer.byteLength(line);
+    }
+
+    /**
+     * Writes out what is buffered and closes the current file.
+     * @returns {Promise<void>}
+     */
+    close() {
+        const stream = this.stream;
+        this.stream = null;
+        if (!stream) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => stream.end(resolve));
+    }
+
+    _rotate(time, nextBytes) {
+        const day = time.toISOString().substring(0, 10);
+        if (this.stream !== null && day === this.day && this.bytes + nextBytes <= this.maxFileBytes) {
+            return;
+        }
+        this.close();
+
+        // Created exclusively, so a file still being flushed is never reused
+        const stamp = time.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+        let file = path.join(this.directory, `${this.prefix}-${stamp}.jsonl`);
+        let fd;
+        for (let n = 1; fd === undefined; n++) {
+            try {
+                fd = fs.openSync(file, 'ax');
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                file = path.join(this.directory, `${this.prefix}-${stamp}-${n}.jsonl`);
+            }
+        }
+        this.stream = fs.createWriteStream(file, { fd });
+        this.stream.on('error', error => this.emit('error', error));
+        this.file = file;
+        this.bytes = 0;
+        this.day = day;
+    }
+}
+
+/**
+ * Lists the archive files under a path in chronological order.
+ * @param {string} target An archive file or a directory of them.
+ * @returns {string[]} The file paths.
+ */
+export function listArchiveFiles(target) {
+    if (!fs.statSync(target).isDirectory()) {
+        return [target];
+    }
+    return fs.readdirSync(target)
+        .filter(name => name.endsWith('.jsonl'))
+        .sort((a, b) => archiveStamp(a).localeCompare(archiveStamp(b)) || a.localeCompare(b))
+        .map(name => path.join(target, name));
+}
+
+/**
+ * Reads archived data back, oldest first.
+ * @param {string} target An archive file or a directory of them.
+ * @param {object} [filter]
+ * @param {string} [filter.imei] Only this device's data, including what its connection sent before it was identified.
+ * @param {string} [filter.protocol] Only this protocol's data.
+ * @param {Date} [filter.from] Only data received at or after this time.
+ * @param {Date} [filter.to] Only data received at or before this time.
+ * @yields {object} The archived record, with `data` decoded to a Buffer and `receivedAt` to a Date.
+ */
+export async function* readArchive(target, { imei = null, protocol = null, from = null, to = null } = {}) {
+    const unidentified = new Map(); // connection -> records received before its device was known
+    for (const file of listArchiveFiles(target)) {
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            const record = JSON.parse(line);
+            const receivedAt = new Date(record.receivedAt);
+            if ((protocol !== null && record.protocol !== protocol)
+                || (from !== null && receivedAt < from) || (to !== null && receivedAt > to)) {
+                continue;
+            }
+            const decoded = { ...record, receivedAt, data: Buffer.from(record.data, 'hex') };
+            if (imei === null) {
+                yield decoded;
+                continue;
+            }
+
+            const connection = `${record.protocol}:${record.remoteAddress}:${record.remotePort}:${record.localPort}`;
+            if (record.imei === null) {
+                if (!unidentified.has(connection)) {
+                    unidentified.set(connection, []);
+                }
+                unidentified.get(connection).push(decoded);
+                continue;
+            }
+            const earlier = unidentified.get(connection) || [];
+            unidentified.delete(connection);
+            if (record.imei === imei) {
+                yield* earlier;
+                yield decoded;
+            }
+        }
+    }
+}
+
+// <prefix>-<stamp>[-n].jsonl: order by start time, whatever the prefix
+function archiveStamp(name) {
+    const match = name.match(/-(\d{8}T\d{6}Z)(?:-(\d+))?\.jsonl$/);
+    return match ? `${match[1]}-${(match[2] || '0').padStart(6, '0')}` : name;
+}
+
+export default FrameArchive;
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Live feed for frontends: dispatch consoles, the Flutter app,
+ * wallboards. Any number of clients connect over WebSocket or over TCP with
+ * newline-delimited JSON, and each receives the messages matching its
+ * subscription.
+ *
+ * Server -> client, one JSON object per WebSocket message or line:
+ *   { type: 'welcome', clientId, subscription }
+ *   { type: 'record', record }          canonical record (canonical-record.js)
+ *   { type: 'geofence', event }         GeofenceEngine 'geofence' event
+ *   { type: 'alert', alert }            RuleEngine 'alert' event, without the source report
+ *   { type: 'subscribed', subscription } | { type: 'pong' } | { type: 'error', message }
+ *
+ * Client -> server:
+ *   { type: 'subscribe', imeis: [...], eventTypes: [...], geofences: [...] }
+ *   { type: 'ping' }
+ * A subscription field left out matches anything; a new client gets
+ * everything until it subscribes. `eventTypes` are canonical event types,
+ * plus 'geofence_enter', 'geofence_exit', 'geofence_dwell' and 'alert'.
+ * `geofences` passes events of those fences and the records of devices
+ * currently inside them.
+ *
+ * A client that does not keep up (more than `maxBufferedBytes` waiting) has
+ * messages dropped rather than slowing the device path down.
+ */
+
+import net from 'net';
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+import { toCanonicalRecords } from './canonical-record.js';
+
+export const DEFAULT_MAX_BUFFERED_BYTES = 1024 * 1024;
+export const DEFAULT_HEARTBEAT_MS = 30000;
+
+const MAX_LINE_BYTES = 64 * 1024;
+
+export class FrontendGateway extends EventEmitter {
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.wsPort] WebSocket port; no WebSocket server if unset.
+     * @param {number} [options.tcpPort] Newline-delimited JSON port; no TCP server if unset.
+     * @param {import('./geofence-engine.js').GeofenceEngine} [options.geofences] Resolves geofence subscriptions for records.
+     * @param {number} [options.maxBufferedBytes] Per-client send backlog beyond which messages are dropped.
+     * @param {number} [options.heartbeatMs] WebSocket ping interval; unanswered clients are dropped.
+     */
+    constructor({
+        wsPort = null,
+        tcpPort = null,
+        geofences = null,
+        maxBufferedBytes = DEFAULT_MAX_BUFFERED_BYTES,
+        heartbeatMs = DEFAULT_HEARTBEAT_MS,
+    } = {}) {
+        super();
+        this.geofences = geofences;
+        this.maxBufferedBytes = maxBufferedBytes;
+
+        this.clients = new Map(); // client ID -> client
+        this.nextClientId = 1;
+
+        this.wsServer = null;
+        this.tcpServer = null;
+        this.heartbeat = null;
+
+        if (wsPort !== null) {
+            this.wsServer = new WebSocketServer({ port: wsPort });
+            this.wsServer.on('connection', (socket, request) => this._acceptWebSocket(socket, request));
+            this.wsServer.on('listening', () => this.emit('listening', { transport: 'ws', port: wsPort }));
+            this.wsServer.on('error', (error) => this.emit('error', error));
+            this.heartbeat = setInterval(() => this._checkHeartbeats(), heartbeatMs);
+            this.heartbeat.unref();
+        }
+        if (tcpPort !== null) {
+            this.tcpServer = net.createServer((socket) => this._acceptTcp(socket));
+            this.tcpServer.on('error', (error) => this.emit('error', error));
+            this.tcpServer.listen(tcpPort, () => this.emit('listening', { transport: 'tcp', port: tcpPort }));
+        }
+    }
+
+    /**
+     * Publishes the canonical records of a parsed Queclink report.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     */
+    publishReport(result) {
+        for (const record of toCanonicalRecords(result)) {
+            this.publishRecord(record);
+        }
+    }
+
+    /**
+     * @param {object} record A canonical record.
+     */
+    publishRecord(record) {
+        this._broadcast({ type: 'record', record }, {
+            imei: record.imei,
+            eventType: record.event_type,
+            fenceIds: this._fencesOf(record.imei),
+        });
+    }
+
+    /**
+     * @param {object} event A GeofenceEngine 'geofence' event.
+     */
+    publishGeofenceEvent(event) {
+        this._broadcast({ type: 'geofence', event }, {
+            imei: event.imei,
+            eventType: `geofence_${event.event}`,
+            fenceIds: [event.fence.id],
+        });
+    }
+
+    /**
+     * @param {object} alert A RuleEngine 'alert' event.
+     */
+    publishAlert(alert) {
+        const { report, ...rest } = alert;
+        this._broadcast({ type: 'alert', alert: rest }, {
+            imei: alert.imei,
+            eventType: 'alert',
+            fenceIds: this._fencesOf(alert.imei),
+        });
+    }
+
+    /**
+     * @returns {object[]} The connected clients: { id, transport, remoteAddress, connectedAt, subscription, dropped }.
+     */
+    getClients() {
+        return [...this.clients.values()].map(({ id, transport, remoteAddress, connectedAt, subscription, dropped }) => ({
+            id, transport, remoteAddress, connectedAt, subscription: describeSubscription(subscription), dropped,
+        }));
+    }
+
+    /**
+     * Disconnects every client and stops listening.
+     */
+    close() {
+        clearInterval(this.heartbeat);
+        for (const client of this.clients.values()) {
+            client.close();
+        }
+        if (this.wsServer) {
+            this.wsServer.close();
+        }
+        if (this.tcpServer) {
+            this.tcpServer.close();
+        }
+    }
+
+    _acceptWebSocket(socket, request) {
+        const client = this._register('ws', request.socket.remoteAddress, {
+            send: (text) => socket.send(text),
+            buffered: () => socket.bufferedAmount,
+            close: () => socket.terminate(),
+        });
+        client.alive = true;
+        client.ping = () => socket.ping();
+
+        socket.on('pong', () => {
+            client.alive = true;
+        });
+        socket.on('message', (data) => this._receive(client, data.toString()));
+        socket.on('close', () => this._unregister(client));
+        socket.on('error', () => socket.terminate());
+    }
+
+    _acceptTcp(socket) {
+        const client = this._register('tcp', socket.remoteAddress, {
+            send: (text) => socket.write(`${text}\n`),
+            buffered: () => socket.writableLength,
+            close: () => socket.destroy(),
+        });
+
+        let pending = '';
+        socket.on('data', (data) => {
+            pending += data.toString('utf8');
+            let newline;
+            while ((newline = pending.indexOf('\n')) !== -1) {
+                const line = pending.substring(0, newline).trim();
+                pending = pending.substring(newline + 1);
+                if (line) {
+                    this._receive(client, line);
+                }
+            }
+            if (pending.length > MAX_LINE_BYTES) {
+                pending = '';
+                this._send(client, { type: 'error', message: `line longer than ${MAX_LINE_BYTES} bytes` });
+            }
+        });
+        socket.on('close', () => this._unregister(client));
+        socket.on('error', () => socket.destroy());
+    }
+
+    _register(transport, remoteAddress, connection) {
+        const client = {
+            id: this.nextClientId++,
+            transport,
+            remoteAddress,
+            connectedAt: new Date(),
+            subscription: { imeis: null, eventTypes: null, geofences: null },
+            dropped: 0,
+            ...connection,
+        };
+        this.clients.set(client.id, client);
+        this._send(client, { type: 'welcome', clientId: client.id, subscription: describeSubscription(client.subscription) });
+        this.emit('client', this.getClients().find(described => described.id === client.id));
+        return client;
+    }
+
+    _unregister(client) {
+        if (this.clients.delete(client.id)) {
+            this.emit('clientClosed', { id: client.id, transport: client.transport, remoteAddress: client.remoteAddress, dropped: client.dropped });
+        }
+    }
+
+    _receive(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this._send(client, { type: 'error', message: 'not valid JSON' });
+            return;
+        }
+
+        switch (message && message.type) {
+            case 'subscribe':
+                try {
+                    client.subscription = {
+                        imeis: toFilter(message.imeis, 'imeis'),
+                        eventTypes: toFilter(message.eventTypes, 'eventTypes'),
+                        geofences: toFilter(message.geofences, 'geofences'),
+                    };
+                } catch (error) {
+                    this._send(client, { type: 'error', message: error.message });
+                    return;
+                }
+                this._send(client, { type: 'subscribed', subscription: describeSubscription(client.subscription) });
+                break;
+            case 'ping':
+                this._send(client, { type: 'pong' });
+                break;
+            default:
+                this._send(client, { type: 'error', message: "unknown message type, expected 'subscribe' or 'ping'" });
+        }
+    }
+
+    _broadcast(message, { imei, eventType, fenceIds }) {
+        let text = null; // serialised once, for the first client that wants it
+        for (const client of this.clients.values()) {
+            const { imeis, eventTypes, geofences } = client.subscription;
+            if ((imeis && !imeis.has(String(imei)))
+                || (eventTypes && !eventTypes.has(eventType))
+                || (geofences && !fenceIds.some(id => geofences.has(id)))) {
+                continue;
+            }
+            text = text ?? JSON.stringify(message);
+            this._send(client, text);
+        }
+    }
+
+    _send(client, message) {
+        if (client.buffered() > this.maxBufferedBytes) {
+            client.dropped++;
+            return;
+        }
+        client.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+
+    _checkHeartbeats() {
+        for (const client of this.clients.values()) {
+            if (client.transport !== 'ws') {
+                continue;
+            }
+            if (!client.alive) {
+                client.close();
+                continue;
+            }
+            client.alive = false;
+            client.ping();
+        }
+    }
+
+    _fencesOf(imei) {
+        return this.geofences ? this.geofences.getDeviceFences(imei).map(({ fence }) => fence.id) : [];
+    }
+}
+
+function toFilter(values, field) {
+    if (values === undefined || values === null) {
+        return null;
+    }
+    if (!Array.isArray(values)) {
+        throw new Error(`${field} must be an array`);
+    }
+    return new Set(values.map(String));
+}
+
+function describeSubscription(subscription) {
+    const list = (set) => (set ? [...set] : null);
+    return {
+        imeis: list(subscription.imeis),
+        eventTypes: list(subscription.eventTypes),
+        geofences: list(subscription.geofences),
+    };
+}
+
+export default FrontendGateway;
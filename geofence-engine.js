@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Server-side geofences evaluated against incoming positions.
+ * A fence is a circle, a polygon or a corridor (a buffer around a polyline),
+ * assigned to devices and/or device groups; a fence with neither applies to
+ * every device. Fences are defined as
+ *   { id: 'depot', type: 'circle', center: { lat, lon }, radiusM: 300, groups: ['trucks'] }
+ *   { id: 'yard', type: 'polygon', points: [{ lat, lon }, ...], devices: ['8646...'] }
+ *   { id: 'route-7', type: 'corridor', path: [{ lat, lon }, ...], bufferM: 50, dwellMs: 600000 }
+ *
+ * Every GTFRI, GTGEO and GTSTT position with a GNSS fix is checked against
+ * the fences near it, found through a grid index over the fences' bounding
+ * boxes. A device enters a fence as soon as it is inside, but only exits once
+ * it is more than `hysteresisM` outside, so GNSS jitter on the boundary does
+ * not produce enter/exit pairs. Staying inside for the fence's `dwellMs`
+ * gives one 'dwell' event per visit.
+ *
+ * Positions older than the last one evaluated for the device (late +BUFF
+ * reports) are ignored, as they cannot change the current state.
+ */
+
+import { EventEmitter } from 'events';
+import { readFileSync } from 'fs';
+import { toCanonicalRecords } from './canonical-record.js';
+import { haversineM, METERS_PER_DEGREE } from './report-utils.js';
+
+export const DEFAULT_HYSTERESIS_M = 25;
+export const DEFAULT_DWELL_MS = 5 * 60 * 1000;
+export const DEFAULT_CELL_SIZE_DEG = 0.1;
+
+// Fences spanning more cells than this are checked against every position instead
+const MAX_CELLS_PER_FENCE = 10000;
+
+const FENCE_TYPES = ['circle', 'polygon', 'corridor'];
+const POSITION_COMMANDS = ['GTFRI', 'GTGEO', 'GTSTT'];
+
+export class GeofenceValidationError extends Error {
+    /**
+     * @param {string|null} fenceId The fence being defined, if it has an ID.
+     * @param {string} field The offending property.
+     * @param {string} message What is wrong with it.
+     */
+    constructor(fenceId, field, message) {
+        super(fenceId === null ? `Geofence ${field}: ${message}` : `Geofence ${fenceId} ${field}: ${message}`);
+        this.name = 'GeofenceValidationError';
+        this.fenceId = fenceId;
+        this.field = field;
+    }
+}
+
+/**
+ * Uniform lat/lon grid mapping cells to the fences whose bounding box overlaps them.
+ */
+class GridIndex {
+
+    constructor(cellSizeDeg) {
+        this.cellSizeDeg = cellSizeDeg;
+        this.cells = new Map();     // 'row:column' -> Set(fence ID)
+        this.fenceCells = new Map(); // fence ID -> cell keys
+        this.oversized = new Set();
+    }
+
+    insert(id, box) {
+        const rows = this._range(box.minLat, box.maxLat);
+        const columns = this._range(box.minLon, box.maxLon);
+        if ((rows[1] - rows[0] + 1) * (columns[1] - columns[0] + 1) > MAX_CELLS_PER_FENCE) {
+            this.oversized.add(id);
+            return;
+        }
+
+        const keys = [];
+        for (let row = rows[0]; row <= rows[1]; row++) {
+            for (let column = columns[0]; column <= columns[1]; column++) {
+                const key = `${row}:${column}`;
+                if (!this.cells.has(key)) {
+                    this.cells.set(key, new Set());
+                }
+                this.cells.get(key).add(id);
+                keys.push(key);
+            }
+        }
+        this.fenceCells.set(id, keys);
+    }
+
+    remove(id) {
+        this.oversized.delete(id);
+        for (const key of this.fenceCells.get(id) || []) {
+            const cell = this.cells.get(key);
+            cell.delete(id);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        }
+        this.fenceCells.delete(id);
+    }
+
+    query(lat, lon) {
+        const key = `${Math.floor(lat / this.cellSizeDeg)}:${Math.floor(lon / this.cellSizeDeg)}`;
+        return [...(this.cells.get(key) || []), ...this.oversized];
+    }
+
+    _range(min, max) {
+        return [Math.floor(min / this.cellSizeDeg), Math.floor(max / this.cellSizeDeg)];
+    }
+}
+
+export class GeofenceEngine extends EventEmitter {
+
+    /**
+     * @param {object} [options]
+     * @param {object[]} [options.fences] Fence definitions, see the file overview.
+     * @param {import('./device-groups.js').DeviceGroupRegistry} [options.groups] Resolves devices to the groups fences are assigned to.
+     * @param {number} [options.hysteresisM] How far outside a fence a device must be to exit it.
+     * @param {number} [options.dwellMs] Time inside a fence before 'dwell', for fences without their own `dwellMs`.
+     * @param {number} [options.cellSizeDeg] Grid cell size of the spatial index.
+     */
+    constructor({
+        fences = [],
+        groups = null,
+        hysteresisM = DEFAULT_HYSTERESIS_M,
+        dwellMs = DEFAULT_DWELL_MS,
+        cellSizeDeg = DEFAULT_CELL_SIZE_DEG,
+    } = {}) {
+        super();
+        this.groups = groups;
+        this.hysteresisM = hysteresisM;
+        this.dwellMs = dwellMs;
+
+        this.fences = new Map();  // fence ID -> normalized fence
+        this.index = new GridIndex(cellSizeDeg);
+        this.devices = new Map(); // IMEI -> { lastTime, inside: Map(fence ID -> { enteredAt, dwellEmitted }) }
+
+        for (const fence of fences) {
+            this.addFence(fence);
+        }
+    }
+
+    /**
+     * Loads fences from a JSON file holding an array of fence definitions.
+     * @param {string} path The file path.
+     * @param {object} [options] The other constructor options.
+     * @returns {GeofenceEngine}
+     */
+    static fromFile(path, options = {}) {
+        return new GeofenceEngine({ ...options, fences: JSON.parse(readFileSync(path, 'utf8')) });
+    }
+
+    /**
+     * Creates or replaces a fence. Devices inside a replaced fence stay inside
+     * until the next position says otherwise.
+     * @param {object} definition The fence, see the file overview.
+     * @returns {object} The stored fence.
+     * @throws {GeofenceValidationError} If the definition is invalid.
+     */
+    addFence(definition) {
+        const fence = normalizeFence(definition);
+        if (this.fences.has(fence.id)) {
+            this.index.remove(fence.id);
+        }
+        this.fences.set(fence.id, fence);
+        this.index.insert(fence.id, fence.bounds);
+        return fence;
+    }
+
+    /**
+     * Removes a fence without emitting exits for the devices inside it.
+     * @param {string} id The fence ID.
+     * @returns {boolean} Whether the fence existed.
+     */
+    removeFence(id) {
+        const key = String(id);
+        if (!this.fences.delete(key)) {
+            return false;
+        }
+        this.index.remove(key);
+        for (const device of this.devices.values()) {
+            device.inside.delete(key);
+        }
+        return true;
+    }
+
+    /**
+     * @param {string} id The fence ID.
+     * @returns {object|undefined} The fence.
+     */
+    getFence(id) {
+        return this.fences.get(String(id));
+    }
+
+    /**
+     * @returns {object[]} All fences.
+     */
+    listFences() {
+        return [...this.fences.values()];
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object[]} The fences the device is inside, with { fence, enteredAt }.
+     */
+    getDeviceFences(imei) {
+        const device = this.devices.get(String(imei));
+        if (!device) {
+            return [];
+        }
+        return [...device.inside].map(([id, state]) => ({ fence: this.fences.get(id), enteredAt: new Date(state.enteredAt) }));
+    }
+
+    /**
+     * Checks the positions of a parsed report. Emits 'geofence'
+     * ({ imei, event: 'enter'|'exit'|'dwell', fence, time, position, distanceM, durationS }).
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {boolean} Whether the report carried positions that were checked.
+     */
+    handle(result) {
+        if (!result || !['RESP', 'BUFF', 'HEX'].includes(result.messageType) || !POSITION_COMMANDS.includes(result.command)) {
+            return false;
+        }
+
+        let checked = false;
+        for (const record of toCanonicalRecords(result)) {
+            const time = Date.parse(record.timestamp);
+            if (record.gnss_accuracy > 0 && Number.isFinite(record.lat) && Number.isFinite(record.lon) && Number.isFinite(time)) {
+                this.evaluate(record.imei, { lat: record.lat, lon: record.lon, speed_kmh: record.speed_kmh }, time);
+                checked = true;
+            }
+        }
+        return checked;
+    }
+
+    /**
+     * Checks one position of a device against its fences.
+     * @param {string} imei The device Unique ID.
+     * @param {object} position { lat, lon } in decimal degrees, plus anything to pass along in the events.
+     * @param {number} time The fix time in milliseconds.
+     */
+    evaluate(imei, position, time) {
+        let device = this.devices.get(imei);
+        if (!device) {
+            device = { lastTime: -Infinity, inside: new Map() };
+            this.devices.set(imei, device);
+        }
+        if (time < device.lastTime) {
+            return;
+        }
+        device.lastTime = time;
+
+        const group = this.groups ? this.groups.groupOf(imei) : null;
+        const candidates = new Set([...this.index.query(position.lat, position.lon), ...device.inside.keys()]);
+
+        for (const id of candidates) {
+            const fence = this.fences.get(id);
+            if (!appliesTo(fence, imei, group)) {
+                continue;
+            }
+            const distanceM = signedDistance(fence, position);
+            const state = device.inside.get(id);
+
+            if (!state) {
+                if (distanceM <= 0) {
+                    device.inside.set(id, { enteredAt: time, dwellEmitted: false });
+                    this._emit(imei, 'enter', fence, position, time, distanceM, null);
+                }
+                continue;
+            }
+
+            const durationS = Math.round((time - state.enteredAt) / 1000);
+            if (distanceM > this.hysteresisM) {
+                device.inside.delete(id);
+                this._emit(imei, 'exit', fence, position, time, distanceM, durationS);
+            } else if (!state.dwellEmitted && time - state.enteredAt >= (fence.dwellMs ?? this.dwellMs)) {
+                state.dwellEmitted = true;
+                this._emit(imei, 'dwell', fence, position, time, distanceM, durationS);
+            }
+        }
+    }
+
+    _emit(imei, event, fence, position, time, distanceM, durationS) {
+        this.emit('geofence', {
+            imei,
+            event,
+            fence: { id: fence.id, name: fence.name, type: fence.type },
+            time: new Date(time),
+            position,
+            distanceM: Math.round(distanceM * 10) / 10, // negative inside the fence
+            durationS,
+        });
+    }
+}
+
+function appliesTo(fence, imei, group) {
+    if (!fence.devices.length && !fence.groups.length) {
+        return true;
+    }
+    return fence.devices.includes(imei) || (group !== null && fence.groups.includes(group));
+}
+
+/**
+ * Validates a fence definition and precomputes its bounding box.
+ */
+function normalizeFence(definition) {
+    const id = definition && definition.id !== undefined && definition.id !== null ? String(definition.id) : null;
+    if (id === null || id === '') {
+        throw new GeofenceValidationError(null, 'id', 'is required');
+    }
+    const { type } = definition;
+    if (!FENCE_TYPES.includes(type)) {
+        throw new GeofenceValidationError(id, 'type', `expected one of: ${FENCE_TYPES.join(', ')}`);
+    }
+    if (definition.dwellMs !== undefined && !(definition.dwellMs >= 0)) {
+        throw new GeofenceValidationError(id, 'dwellMs', 'must be a non-negative number');
+    }
+
+    const fence = {
+        id,
+        name: definition.name || id,
+        type,
+        devices: (definition.devices || []).map(String),
+        groups: [...(definition.groups || [])],
+        dwellMs: definition.dwellMs,
+    };
+
+    if (type === 'circle') {
+        fence.center = toPoint(id, 'center', definition.center);
+        fence.radiusM = positive(id, 'radiusM', definition.radiusM);
+        fence.bounds = expand(boundsOf([fence.center]), fence.radiusM);
+    } else if (type === 'polygon') {
+        fence.points = toPoints(id, 'points', definition.points, 3);
+        fence.bounds = boundsOf(fence.points);
+    } else {
+        fence.path = toPoints(id, 'path', definition.path, 2);
+        fence.bufferM = positive(id, 'bufferM', definition.bufferM);
+        fence.bounds = expand(boundsOf(fence.path), fence.bufferM);
+    }
+    return fence;
+}
+
+function toPoint(id, field, point) {
+    if (!point || !Number.isFinite(point.lat) || !Number.isFinite(point.lon)
+        || Math.abs(point.lat) > 90 || Math.abs(point.lon) > 180) {
+        throw new GeofenceValidationError(id, field, 'must be { lat, lon } in decimal degrees');
+    }
+    return { lat: point.lat, lon: point.lon };
+}
+
+function toPoints(id, field, points, minimum) {
+    if (!Array.isArray(points) || points.length < minimum) {
+        throw new GeofenceValidationError(id, field, `needs at least ${minimum} points`);
+    }
+    return points.map((point, i) => toPoint(id, `${field}[${i}]`, point));
+}
+
+function positive(id, field, value) {
+    if (!(value > 0)) {
+        throw new GeofenceValidationError(id, field, 'must be a positive number of meters');
+    }
+    return value;
+}
+
+function boundsOf(points) {
+    return {
+        minLat: Math.min(...points.map(point => point.lat)),
+        maxLat: Math.max(...points.map(point => point.lat)),
+        minLon: Math.min(...points.map(point => point.lon)),
+        maxLon: Math.max(...points.map(point => point.lon)),
+    };
+}
+
+function expand(bounds, meters) {
+    const dLat = meters / METERS_PER_DEGREE;
+    const maxLat = Math.min(89.9, Math.max(Math.abs(bounds.minLat), Math.abs(bounds.maxLat)) + dLat);
+    const dLon = meters / (METERS_PER_DEGREE * Math.cos(maxLat * Math.PI / 180));
+    return {
+        minLat: bounds.minLat - dLat,
+        maxLat: bounds.maxLat + dLat,
+        minLon: bounds.minLon - dLon,
+        maxLon: bounds.maxLon + dLon,
+    };
+}
+
+/**
+ * Distance in meters from the position to the fence boundary, negative inside.
+ * Polygons and corridors are measured on a local flat projection around the
+ * position, which is accurate to well under a meter for fences of city size.
+ */
+function signedDistance(fence, position) {
+    if (fence.type === 'circle') {
+        return haversineM(fence.center.lat, fence.center.lon, position.lat, position.lon) - fence.radiusM;
+    }
+
+    const project = projector(position);
+    if (fence.type === 'polygon') {
+        const ring = fence.points.map(project);
+        let nearest = Infinity;
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[j];
+            const b = ring[i];
+            nearest = Math.min(nearest, segmentDistance(a, b));
+            if ((a.y > 0) !== (b.y > 0) && 0 < a.x + (0 - a.y) * (b.x - a.x) / (b.y - a.y)) {
+                inside = !inside;
+            }
+        }
+        return inside ? -nearest : nearest;
+    }
+
+    const line = fence.path.map(project);
+    let nearest = Infinity;
+    for (let i = 1; i < line.length; i++) {
+        nearest = Math.min(nearest, segmentDistance(line[i - 1], line[i]));
+    }
+    return nearest - fence.bufferM;
+}
+
+/**
+ * Equirectangular projection to meters with the origin at `origin`.
+ */
+function projector(origin) {
+    const cosLat = Math.cos(origin.lat * Math.PI / 180);
+    return (point) => ({
+        x: (point.lon - origin.lon) * METERS_PER_DEGREE * cosLat,
+        y: (point.lat - origin.lat) * METERS_PER_DEGREE,
+    });
+}
+
+/**
+ * Distance from the origin to the segment a-b, in projected meters.
+ */
+function segmentDistance(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    return Math.hypot(a.x + t * dx, a.y + t * dy);
+}
+
+export default GeofenceEngine;
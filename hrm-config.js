@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Per-device HEX report mask configuration (AT+GTHRM).
+ * In HEX mode the optional fields of each report are selected by the masks
+ * configured with AT+GTHRM. The store remembers what each device was told to
+ * send, from acknowledged AT+GTHRM commands and the HRM section of its
+ * +RESP:GTALM configuration report, so decoded HEX frames can be checked
+ * against it.
+ */
+
+export const HRM_MASK_FIELDS = ['ackMask', 'rspMask', 'evtMask', 'infMask', 'hbdMask', 'crdMask', 'obdMask'];
+
+// Which HRM mask governs each HEX message header
+export const HEX_HEADER_MASK_FIELDS = {
+    '2B41434B': 'ackMask', // +ACK
+    '2B525350': 'rspMask', // +RSP
+    '2B455654': 'evtMask', // +EVT
+    '2B425350': 'rspMask', // +BSP
+    '2B425654': 'evtMask', // +BVT
+    '2B494E46': 'infMask', // +INF
+    '2B484244': 'hbdMask', // +HBD
+    '2B435244': 'crdMask', // +CRD
+    '2B4F4244': 'obdMask', // +OBD
+};
+
+export class HrmConfigStore {
+
+    constructor() {
+        this.configs = new Map(); // IMEI -> { masks, source, updatedAt }
+    }
+
+    /**
+     * Records the masks a device is configured with. Masks that are not given
+     * keep their previous value, the same way empty AT+GTHRM parameters do.
+     * @param {string} imei The device Unique ID.
+     * @param {object} masks Hex mask strings keyed by HRM_MASK_FIELDS.
+     * @param {string} [source] Where the masks came from (e.g. 'GTHRM' or 'GTALM').
+     * @returns {object} The stored configuration.
+     */
+    set(imei, masks, source = 'manual') {
+        const current = this.configs.get(imei);
+        const merged = { ...(current ? current.masks : {}) };
+
+        for (const field of HRM_MASK_FIELDS) {
+            const value = masks[field];
+            if (value !== undefined && value !== null && value !== '') {
+                merged[field] = String(value).toUpperCase();
+            }
+        }
+
+        const config = { masks: merged, source, updatedAt: new Date() };
+        this.configs.set(imei, config);
+        return config;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object|undefined} The stored configuration.
+     */
+    get(imei) {
+        return this.configs.get(imei);
+    }
+
+    /**
+     * Returns the configured mask for a HEX message header, as a number.
+     * @param {string} imei The device Unique ID.
+     * @param {string} headerHex The 4-byte message header (e.g. '2B525350').
+     * @returns {number|null} The mask, or null if it is unknown.
+     */
+    getMask(imei, headerHex) {
+        const config = this.configs.get(imei);
+        const field = HEX_HEADER_MASK_FIELDS[headerHex];
+        if (!config || !field || !config.masks[field]) {
+            return null;
+        }
+        return parseInt(config.masks[field], 16);
+    }
+
+    /**
+     * Learns masks from an acknowledged AT+GTHRM command.
+     * @param {object} entry A CommandDispatcher entry in 'acked' state.
+     */
+    updateFromCommand(entry) {
+        if (entry && entry.command === 'GTHRM') {
+            this.set(entry.imei, entry.options, 'GTHRM');
+        }
+    }
+}
+
+export default HrmConfigStore;
@@ -1,103 +1,84 @@
-import { Buffer } from 'buffer';
+import {
+    MESSAGE_IDS,
+    GENERAL_RESULTS,
+    REGISTER_RESULTS,
+} from './protocol-parser.js';
+
+const DEFAULT_AUTH_CODE = '123456';
+
+// Authentication code handed out on registration and expected back in 0x0102.
+// Read on use: this module is imported before dotenv has loaded the environment.
+const authCode = () => process.env.JT808_AUTH_CODE || DEFAULT_AUTH_CODE;
 
 export class MessageHandler {
-    static parseMessage(buffer) {
-        const messageId = buffer.readUInt16BE(0);
-        const simNumber = buffer.slice(4, 10).toString('hex');
-        const serialNo = buffer.readUInt16BE(10);
-        const body = buffer.slice(12, -1);
-        return { messageId, simNumber, serialNo, body };
-      }
-  static handleDeviceMessage(socket, data, { unescapeBuffer }) {
-    // Validate message framing
-    if (data[0] !== 0x7e || data[data.length - 1] !== 0x7e) return;
-
-    const raw = data.toString('hex');
-    const stripped = data.slice(1, -1);
-    const unescaped = unescapeBuffer(stripped);
-
-    const { messageId, simNumber, serialNo, body } = parseMessage(unescaped);
-    const simBuffer = unescaped.slice(4, 10);
-    
+
+  /**
+   * Answers a decoded terminal message.
+   * @param {net.Socket} socket The device socket.
+   * @param {ProtocolMessage} message The message returned by ProtocolParser.parse.
+   * @param {object} context
+   * @param {ProtocolParser} context.parser The connection's parser, used to encode replies.
+   */
+  static handleDeviceMessage(socket, message, { parser }) {
+    const { header } = message;
+
     console.log('📦 Parsed Message Details:');
-    console.log('  - Message ID:', `0x${messageId.toString(16)}`);
-    console.log('  - SIM Number:', simNumber);
-    console.log('  - Serial Number:', serialNo);
-    console.log('  - Message Body:', body);
-    console.log('  - SIM Buffer:', simBuffer.toString('hex'));
+    console.log('  - Message ID:', `0x${header.messageId.toString(16).padStart(4, '0')}`);
+    console.log('  - Mobile No:', header.phoneNumber);
+    console.log('  - Serial Number:', header.serialNumber);
+    console.log('  - Protocol:', header.is2019 ? `2019 (version ${header.protocolVersion})` : '2013');
 
-    console.log(`📤 Received MsgID: 0x${messageId.toString(16)} from SIM: ${simNumber}`);
+    if (!message.complete) {
+      // Every subpackage is acknowledged; the message is handled once reassembled
+      console.log(`🧩 Subpackage ${header.packageItems} of 0x${header.messageId.toString(16)}`);
+      return this.sendResponse(socket, parser.encodeGeneralResponse(message));
+    }
 
-    switch (messageId) {
-      case 0x0100:
-        return this.handleRegister(socket, simBuffer, serialNo);
+    switch (header.messageId) {
+      case MESSAGE_IDS.TERMINAL_REGISTER:
+        return this.handleRegister(socket, message, parser);
 
-      case 0x0102:
-        return this.handleAuth(socket, simBuffer, serialNo);
+      case MESSAGE_IDS.TERMINAL_AUTH:
+        return this.handleAuth(socket, message, parser);
 
-      case 0x0002:
-        return this.handleHeartbeat(socket, simBuffer, serialNo);
+      case MESSAGE_IDS.HEARTBEAT:
+        return this.handleHeartbeat(socket, message, parser);
 
-      case 0x0200:
-        return this.handleLocationReport(socket, simBuffer, serialNo);
+      case MESSAGE_IDS.LOCATION_REPORT:
+        return this.handleLocationReport(socket, message, parser);
 
       default:
-        console.log(`[UNKNOWN MSG] ID: 0x${messageId.toString(16)}`);
+        console.log(`[UNKNOWN MSG] ID: 0x${header.messageId.toString(16)}`);
+        return this.sendResponse(socket, parser.encodeGeneralResponse(message, GENERAL_RESULTS.NOT_SUPPORTED));
     }
   }
 
-  static handleRegister(socket, simBuffer, serialNo) {
-    console.log(`[REGISTER] Serial: ${serialNo}`);
-    const authCode = Buffer.from("123456", "ascii");
-    const regResponse = Buffer.alloc(3 + authCode.length);
-    regResponse.writeUInt16BE(serialNo, 0);
-    regResponse.writeUInt8(0, 2);
-    authCode.copy(regResponse, 3);
-    sendResponse(socket, 0x8100, simBuffer, serialNo, regResponse);
+  static handleRegister(socket, message, parser) {
+    console.log(`[REGISTER] Serial: ${message.header.serialNumber}, Terminal ID: ${message.terminalId}, Plate: ${message.plateNumber}`);
+    this.sendResponse(socket, parser.encodeRegisterResponse(message, REGISTER_RESULTS.SUCCESS, authCode()));
   }
 
-  static handleAuth(socket, simBuffer, serialNo) {
-    console.log(`[AUTH]`);
-    const authRes = Buffer.alloc(5);
-    authRes.writeUInt16BE(serialNo, 0);
-    authRes.writeUInt16BE(0x0102, 2);
-    authRes.writeUInt8(0, 4);
-    sendResponse(socket, 0x8001, simBuffer, serialNo, authRes);
+  static handleAuth(socket, message, parser) {
+    const accepted = message.authCode === authCode();
+    console.log(`[AUTH] ${accepted ? 'accepted' : `rejected code "${message.authCode}"`}`);
+    this.sendResponse(socket, parser.encodeGeneralResponse(message, accepted ? GENERAL_RESULTS.SUCCESS : GENERAL_RESULTS.FAILURE));
   }
 
-  static handleHeartbeat(socket, simBuffer, serialNo) {
+  static handleHeartbeat(socket, message, parser) {
     console.log(`[HEARTBEAT]`);
-    const hb = Buffer.alloc(5);
-    hb.writeUInt16BE(serialNo, 0);
-    hb.writeUInt16BE(0x0002, 2);
-    hb.writeUInt8(0, 4);
-    sendResponse(socket, 0x8001, simBuffer, serialNo, hb);
+    this.sendResponse(socket, parser.encodeGeneralResponse(message));
   }
 
-  static handleLocationReport(socket, simBuffer, serialNo) {
-    console.log(`[LOCATION REPORT]`);
-    sendResponse(socket, 0x8001, simBuffer, serialNo, Buffer.from([0, 2, 0]));
+  static handleLocationReport(socket, message, parser) {
+    console.log(`[LOCATION REPORT]\n${message.toString()}`);
+    this.sendResponse(socket, parser.encodeGeneralResponse(message));
   }
 
-  static sendResponse(socket, messageId, simBuffer, serialNo, bodyBuffer) {
-    const header = Buffer.alloc(12);
-    header.writeUInt16BE(messageId, 0);          // Message ID
-    header.writeUInt16BE(bodyBuffer.length, 2);  // Message body property
-    simBuffer.copy(header, 4);                   // SIM
-    header.writeUInt16BE(serialNo, 10);          // Serial No
-  
-    const fullMessage = Buffer.concat([header, bodyBuffer]);
-    const checksum = Buffer.from([calculateChecksum(fullMessage)]);
-  
-    let escapedBody = Buffer.concat([fullMessage, checksum]);
-    escapedBody = escapeBuffer(escapedBody);
-  
-    const finalPacket = Buffer.concat([
-      Buffer.from([START_END_BYTE]),
-      escapedBody,
-      Buffer.from([START_END_BYTE]),
-    ]);
-  
-    socket.write(finalPacket);
+  static sendResponse(socket, frame) {
+    if (socket.destroyed) {
+      return;
+    }
+    socket.write(frame);
+    console.log('📨 Response sent:', frame.toString('hex'));
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview SAE J1979 mode 01 PID catalogue (PIDs 0x00-0x60).
+ * Each entry gives the PID's name, unit, data length, the formula from the
+ * ECU's data bytes A, B, ... and the range of values the formula can produce.
+ * A supported-PID bitmap (the response to PID 0x00, 0x20 or 0x40) has one bit
+ * per PID, most significant bit first: bit 31 of the 0x00 response is PID
+ * 0x01, bit 0 is PID 0x20.
+ *
+ * The parsers report OBD values already scaled; validateObdValues() checks
+ * them against the ranges here so implausible readings can be flagged.
+ */
+
+const percent = (a) => a * 100 / 255;
+const trim = (a) => (a - 128) * 100 / 128;
+const temperature = (a) => a - 40;
+const word = (a, b) => a * 256 + b;
+
+const entry = (pid, name, description, unit, bytes, min, max, decode = null) => ({ pid, name, description, unit, bytes, min, max, decode });
+const bitmap = (pid, name, description, bytes = 4) => entry(pid, name, description, null, bytes, null, null);
+
+const PID_LIST = [
+    bitmap(0x00, 'pidsSupported01to20', 'PIDs supported [01 - 20]'),
+    bitmap(0x01, 'monitorStatus', 'Monitor status since DTCs cleared (MIL status and DTC count)'),
+    entry(0x02, 'freezeDtc', 'DTC that caused freeze frame storage', null, 2, null, null),
+    bitmap(0x03, 'fuelSystemStatus', 'Fuel system status', 2),
+    entry(0x04, 'engineLoad', 'Calculated engine load', '%', 1, 0, 100, percent),
+    entry(0x05, 'engineCoolantTemperature', 'Engine coolant temperature', '°C', 1, -40, 215, temperature),
+    entry(0x06, 'shortTermFuelTrimBank1', 'Short term fuel trim - Bank 1', '%', 1, -100, 99.2, trim),
+    entry(0x07, 'longTermFuelTrimBank1', 'Long term fuel trim - Bank 1', '%', 1, -100, 99.2, trim),
+    entry(0x08, 'shortTermFuelTrimBank2', 'Short term fuel trim - Bank 2', '%', 1, -100, 99.2, trim),
+    entry(0x09, 'longTermFuelTrimBank2', 'Long term fuel trim - Bank 2', '%', 1, -100, 99.2, trim),
+    entry(0x0A, 'fuelPressure', 'Fuel pressure (gauge)', 'kPa', 1, 0, 765, (a) => 3 * a),
+    entry(0x0B, 'intakeManifoldPressure', 'Intake manifold absolute pressure', 'kPa', 1, 0, 255, (a) => a),
+    entry(0x0C, 'engineRpm', 'Engine speed', 'rpm', 2, 0, 16383.75, (a, b) => word(a, b) / 4),
+    entry(0x0D, 'vehicleSpeed', 'Vehicle speed', 'km/h', 1, 0, 255, (a) => a),
+    entry(0x0E, 'timingAdvance', 'Timing advance', '° before TDC', 1, -64, 63.5, (a) => a / 2 - 64),
+    entry(0x0F, 'intakeAirTemperature', 'Intake air temperature', '°C', 1, -40, 215, temperature),
+    entry(0x10, 'mafAirFlowRate', 'Mass air flow sensor air flow rate', 'g/s', 2, 0, 655.35, (a, b) => word(a, b) / 100),
+    entry(0x11, 'throttlePosition', 'Throttle position', '%', 1, 0, 100, percent),
+    bitmap(0x12, 'secondaryAirStatus', 'Commanded secondary air status', 1),
+    bitmap(0x13, 'oxygenSensorsPresent2Banks', 'Oxygen sensors present (in 2 banks)', 1),
+    ...[1, 2, 3, 4, 5, 6, 7, 8].map((sensor, i) =>
+        entry(0x14 + i, `oxygenSensor${sensor}Voltage`, `Oxygen sensor ${sensor} voltage and short term fuel trim`, 'V', 2, 0, 1.275, (a) => a / 200)),
+    entry(0x1C, 'obdStandard', 'OBD standards this vehicle conforms to', null, 1, 1, 255),
+    bitmap(0x1D, 'oxygenSensorsPresent4Banks', 'Oxygen sensors present (in 4 banks)', 1),
+    bitmap(0x1E, 'auxiliaryInputStatus', 'Auxiliary input status (PTO)', 1),
+    entry(0x1F, 'runTimeSinceStart', 'Run time since engine start', 's', 2, 0, 65535, word),
+    bitmap(0x20, 'pidsSupported21to40', 'PIDs supported [21 - 40]'),
+    entry(0x21, 'distanceWithMil', 'Distance traveled with malfunction indicator lamp (MIL) on', 'km', 2, 0, 65535, word),
+    entry(0x22, 'fuelRailPressure', 'Fuel rail pressure (relative to manifold vacuum)', 'kPa', 2, 0, 5177.265, (a, b) => 0.079 * word(a, b)),
+    entry(0x23, 'fuelRailGaugePressure', 'Fuel rail gauge pressure (diesel, or gasoline direct injection)', 'kPa', 2, 0, 655350, (a, b) => 10 * word(a, b)),
+    ...[1, 2, 3, 4, 5, 6, 7, 8].map((sensor, i) =>
+        entry(0x24 + i, `oxygenSensor${sensor}Lambda`, `Oxygen sensor ${sensor} air-fuel equivalence ratio and voltage`, 'ratio', 4, 0, 2, (a, b) => 2 * word(a, b) / 65536)),
+    entry(0x2C, 'commandedEgr', 'Commanded EGR', '%', 1, 0, 100, percent),
+    entry(0x2D, 'egrError', 'EGR error', '%', 1, -100, 99.2, trim),
+    entry(0x2E, 'commandedEvaporativePurge', 'Commanded evaporative purge', '%', 1, 0, 100, percent),
+    entry(0x2F, 'fuelLevelInput', 'Fuel tank level input', '%', 1, 0, 100, percent),
+    entry(0x30, 'warmUpsSinceCodesCleared', 'Warm-ups since codes cleared', 'count', 1, 0, 255, (a) => a),
+    entry(0x31, 'distanceSinceCodesCleared', 'Distance traveled since codes cleared', 'km', 2, 0, 65535, word),
+    entry(0x32, 'evapSystemVaporPressure', 'Evaporative system vapor pressure', 'Pa', 2, -8192, 8191.75, (a, b) => ((word(a, b) << 16) >> 16) / 4),
+    entry(0x33, 'barometricPressure', 'Absolute barometric pressure', 'kPa', 1, 0, 255, (a) => a),
+    ...[1, 2, 3, 4, 5, 6, 7, 8].map((sensor, i) =>
+        entry(0x34 + i, `oxygenSensor${sensor}LambdaCurrent`, `Oxygen sensor ${sensor} air-fuel equivalence ratio and current`, 'ratio', 4, 0, 2, (a, b) => 2 * word(a, b) / 65536)),
+    entry(0x3C, 'catalystTemperatureBank1Sensor1', 'Catalyst temperature: Bank 1, Sensor 1', '°C', 2, -40, 6513.5, (a, b) => word(a, b) / 10 - 40),
+    entry(0x3D, 'catalystTemperatureBank2Sensor1', 'Catalyst temperature: Bank 2, Sensor 1', '°C', 2, -40, 6513.5, (a, b) => word(a, b) / 10 - 40),
+    entry(0x3E, 'catalystTemperatureBank1Sensor2', 'Catalyst temperature: Bank 1, Sensor 2', '°C', 2, -40, 6513.5, (a, b) => word(a, b) / 10 - 40),
+    entry(0x3F, 'catalystTemperatureBank2Sensor2', 'Catalyst temperature: Bank 2, Sensor 2', '°C', 2, -40, 6513.5, (a, b) => word(a, b) / 10 - 40),
+    bitmap(0x40, 'pidsSupported41to60', 'PIDs supported [41 - 60]'),
+    bitmap(0x41, 'monitorStatusThisDriveCycle', 'Monitor status this drive cycle'),
+    entry(0x42, 'controlModuleVoltage', 'Control module voltage', 'V', 2, 0, 65.535, (a, b) => word(a, b) / 1000),
+    entry(0x43, 'absoluteLoad', 'Absolute load value', '%', 2, 0, 25700, (a, b) => word(a, b) * 100 / 255),
+    entry(0x44, 'commandedEquivalenceRatio', 'Commanded air-fuel equivalence ratio', 'ratio', 2, 0, 2, (a, b) => 2 * word(a, b) / 65536),
+    entry(0x45, 'relativeThrottlePosition', 'Relative throttle position', '%', 1, 0, 100, percent),
+    entry(0x46, 'ambientAirTemperature', 'Ambient air temperature', '°C', 1, -40, 215, temperature),
+    entry(0x47, 'absoluteThrottlePositionB', 'Absolute throttle position B', '%', 1, 0, 100, percent),
+    entry(0x48, 'absoluteThrottlePositionC', 'Absolute throttle position C', '%', 1, 0, 100, percent),
+    entry(0x49, 'acceleratorPedalPositionD', 'Accelerator pedal position D', '%', 1, 0, 100, percent),
+    entry(0x4A, 'acceleratorPedalPositionE', 'Accelerator pedal position E', '%', 1, 0, 100, percent),
+    entry(0x4B, 'acceleratorPedalPositionF', 'Accelerator pedal position F', '%', 1, 0, 100, percent),
+    entry(0x4C, 'commandedThrottleActuator', 'Commanded throttle actuator', '%', 1, 0, 100, percent),
+    entry(0x4D, 'timeRunWithMil', 'Time run with MIL on', 'min', 2, 0, 65535, word),
+    entry(0x4E, 'timeSinceCodesCleared', 'Time since trouble codes cleared', 'min', 2, 0, 65535, word),
+    entry(0x4F, 'maximumValues', 'Maximum values for equivalence ratio, oxygen sensor voltage and current, and intake manifold pressure', null, 4, null, null),
+    entry(0x50, 'maximumMafAirFlowRate', 'Maximum value for air flow rate from mass air flow sensor', 'g/s', 4, 0, 2550, (a) => a * 10),
+    entry(0x51, 'fuelType', 'Fuel type', null, 1, 0, 255),
+    entry(0x52, 'ethanolFuel', 'Ethanol fuel', '%', 1, 0, 100, percent),
+    entry(0x53, 'absoluteEvapSystemVaporPressure', 'Absolute evaporative system vapor pressure', 'kPa', 2, 0, 327.675, (a, b) => word(a, b) / 200),
+    entry(0x54, 'evapSystemVaporPressure2', 'Evaporative system vapor pressure', 'Pa', 2, -32768, 32767, (a, b) => (word(a, b) << 16) >> 16),
+    entry(0x55, 'shortTermSecondaryO2TrimBank1', 'Short term secondary oxygen sensor trim, bank 1 and bank 3', '%', 2, -100, 99.2, trim),
+    entry(0x56, 'longTermSecondaryO2TrimBank1', 'Long term secondary oxygen sensor trim, bank 1 and bank 3', '%', 2, -100, 99.2, trim),
+    entry(0x57, 'shortTermSecondaryO2TrimBank2', 'Short term secondary oxygen sensor trim, bank 2 and bank 4', '%', 2, -100, 99.2, trim),
+    entry(0x58, 'longTermSecondaryO2TrimBank2', 'Long term secondary oxygen sensor trim, bank 2 and bank 4', '%', 2, -100, 99.2, trim),
+    entry(0x59, 'fuelRailAbsolutePressure', 'Fuel rail absolute pressure', 'kPa', 2, 0, 655350, (a, b) => 10 * word(a, b)),
+    entry(0x5A, 'relativeAcceleratorPedalPosition', 'Relative accelerator pedal position', '%', 1, 0, 100, percent),
+    entry(0x5B, 'hybridBatteryRemainingLife', 'Hybrid battery pack remaining life', '%', 1, 0, 100, percent),
+    entry(0x5C, 'engineOilTemperature', 'Engine oil temperature', '°C', 1, -40, 210, temperature),
+    entry(0x5D, 'fuelInjectionTiming', 'Fuel injection timing', '°', 2, -210, 301.992, (a, b) => word(a, b) / 128 - 210),
+    entry(0x5E, 'engineFuelRate', 'Engine fuel rate', 'L/h', 2, 0, 3212.75, (a, b) => word(a, b) / 20),
+    bitmap(0x5F, 'emissionRequirements', 'Emission requirements to which vehicle is designed', 1),
+    bitmap(0x60, 'pidsSupported61to80', 'PIDs supported [61 - 80]'),
+];
+
+export const MODE01_PIDS = Object.freeze(Object.fromEntries(PID_LIST.map(pid => [pid.pid, Object.freeze(pid)])));
+
+/**
+ * Report fields the parsers fill from mode 01 PIDs, with the factor that
+ * converts the reported unit to the catalogue's where they differ.
+ */
+export const OBD_FIELD_PIDS = Object.freeze({
+    engineLoad: { pid: 0x04, scale: 1 },
+    engineCoolantTemperature: { pid: 0x05, scale: 1 },
+    engineRpm: { pid: 0x0C, scale: 1 },
+    vehicleSpeed: { pid: 0x0D, scale: 1 },
+    throttlePosition: { pid: 0x11, scale: 1 },
+    milActivatedDistance: { pid: 0x21, scale: 1 },
+    fuelLevelInput: { pid: 0x2F, scale: 1 },
+    dtcsClearedDistance: { pid: 0x31, scale: 1 },
+    obdPowerVoltage: { pid: 0x42, scale: 0.001, unit: 'mV' },
+});
+
+/**
+ * @param {number} pid The PID number.
+ * @returns {object|undefined} The catalogue entry.
+ */
+export function getPid(pid) {
+    return MODE01_PIDS[pid];
+}
+
+/**
+ * Decodes supported-PID bitmaps into catalogue entries.
+ * @param {string} hex One or more 8-digit bitmaps, e.g. the responses to PIDs 0x00 and 0x20 concatenated.
+ * @param {number} [firstPid] The PID the first bitmap answers (0x00, 0x20 or 0x40).
+ * @returns {object[]} The supported PIDs, each with its catalogue entry; unknown PIDs have only `pid`.
+ */
+export function decodePidBitmap(hex, firstPid = 0x00) {
+    const supported = [];
+    if (!/^([0-9A-Fa-f]{8})+$/.test(hex || '')) {
+        return supported;
+    }
+
+    for (let window = 0; window * 8 < hex.length; window++) {
+        const mask = parseInt(hex.substring(window * 8, window * 8 + 8), 16);
+        const base = firstPid + window * 0x20;
+        for (let bit = 31; bit >= 0; bit--) {
+            if ((mask >>> bit) & 1) {
+                const pid = base + (32 - bit);
+                supported.push(MODE01_PIDS[pid] || { pid });
+            }
+        }
+    }
+    return supported;
+}
+
+/**
+ * Decodes a PID value from the ECU's data bytes.
+ * @param {number} pid The PID number.
+ * @param {number[]} bytes The data bytes A, B, ...
+ * @returns {number|null} The value in the catalogue unit, or null for bitmaps, enums and unknown PIDs.
+ */
+export function decodePidValue(pid, bytes) {
+    const definition = MODE01_PIDS[pid];
+    if (!definition || !definition.decode || bytes.length < Math.min(definition.bytes, 2)) {
+        return null;
+    }
+    return definition.decode(...bytes);
+}
+
+/**
+ * Checks a parsed OBD report's values against the catalogue ranges.
+ * @param {object} report A parsed GTOBD, GTOSM or HEX +OBD report.
+ * @returns {object[]} One { field, pid, name, value, min, max, unit } per value out of range.
+ */
+export function validateObdValues(report) {
+    const violations = [];
+    for (const [field, { pid, scale, unit }] of Object.entries(OBD_FIELD_PIDS)) {
+        const value = report[field];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            continue;
+        }
+        const definition = MODE01_PIDS[pid];
+        const scaled = value * scale;
+        if (scaled < definition.min || scaled > definition.max) {
+            violations.push({
+                field,
+                pid,
+                name: definition.name,
+                value,
+                min: round(definition.min / scale),
+                max: round(definition.max / scale),
+                unit: unit || definition.unit,
+            });
+        }
+    }
+    return violations;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
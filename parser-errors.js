@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Errors raised by QueclinkParser.
+ * Every failure carries a code, the message it came from and, where it can be
+ * pinned down, the index of the offending field: the parameter index after the
+ * ASCII header (0 is the protocol version), or the byte offset in a HEX frame.
+ * QueclinkParser.parse throws them in strict mode and returns them as
+ * { ok: false, error } otherwise.
+ */
+
+export const PARSE_ERROR_CODES = Object.freeze({
+    INVALID_INPUT: 'INVALID_INPUT',
+    UNKNOWN_FORMAT: 'UNKNOWN_FORMAT',
+    MALFORMED_HEADER: 'MALFORMED_HEADER',
+    UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+    PARAMETER_COUNT: 'PARAMETER_COUNT',
+    PARSER_EXCEPTION: 'PARSER_EXCEPTION',
+});
+
+export const FRAME_VALIDATION_CODES = Object.freeze({
+    LENGTH_MISMATCH: 'FRAME_LENGTH_MISMATCH',
+    CHECKSUM_MISMATCH: 'FRAME_CHECKSUM_MISMATCH',
+    BAD_TAIL: 'FRAME_BAD_TAIL',
+    TRUNCATED: 'FRAME_TRUNCATED',
+});
+
+export class ParseError extends Error {
+    /**
+     * @param {string} code One of PARSE_ERROR_CODES or FRAME_VALIDATION_CODES.
+     * @param {string} message What failed.
+     * @param {object} [details]
+     * @param {string} [details.rawMessage] The message as received.
+     * @param {string} [details.command] The command or HEX header, once known.
+     * @param {number} [details.fieldIndex] The offending field, see the file overview.
+     * @param {Error} [details.cause] The underlying exception.
+     */
+    constructor(code, message, { rawMessage = null, command = null, fieldIndex = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ParseError';
+        this.code = code;
+        this.rawMessage = rawMessage;
+        this.command = command;
+        this.fieldIndex = fieldIndex;
+    }
+
+    /**
+     * @returns {object} A plain description, e.g. for a dead-letter store.
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            command: this.command,
+            fieldIndex: this.fieldIndex,
+            rawMessage: this.rawMessage,
+        };
+    }
+}
+
+export class MalformedHeaderError extends ParseError {
+    constructor(header, details = {}) {
+        super(PARSE_ERROR_CODES.MALFORMED_HEADER, `Malformed ASCII header: ${header}`, details);
+        this.name = 'MalformedHeaderError';
+    }
+}
+
+export class UnknownCommandError extends ParseError {
+    /**
+     * @param {string} command The ASCII command (e.g. 'GTXYZ') or HEX header (e.g. '2B585858').
+     * @param {object} [details] See ParseError.
+     */
+    constructor(command, details = {}) {
+        super(PARSE_ERROR_CODES.UNKNOWN_COMMAND, `No parser found for ${command}`, { ...details, command });
+        this.name = 'UnknownCommandError';
+    }
+}
+
+export class ParameterCountError extends ParseError {
+    /**
+     * @param {string|null} command The command being parsed, if known.
+     * @param {number} expected The minimum number of parameters.
+     * @param {number} actual The number received.
+     * @param {object} [details] See ParseError.
+     */
+    constructor(command, expected, actual, details = {}) {
+        super(PARSE_ERROR_CODES.PARAMETER_COUNT, `${command ? `${command} message` : 'Message'} expects ${expected} parameters, got ${actual}`, {
+            fieldIndex: actual, // the first missing parameter
+            ...details,
+            command,
+        });
+        this.name = 'ParameterCountError';
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+export class FrameValidationError extends ParseError {
+    /**
+     * @param {string} code One of FRAME_VALIDATION_CODES.
+     * @param {string} message What failed.
+     * @param {object} details
+     * @param {string} details.headerHex The 4-byte message header (e.g. '2B525350').
+     * @param {string|number} details.expected The value the frame should carry.
+     * @param {string|number} details.actual The value found.
+     * @param {string} details.rawMessage The hex message as received.
+     * @param {number} [details.fieldIndex] Byte offset of the offending field.
+     */
+    constructor(code, message, { headerHex, expected, actual, rawMessage, fieldIndex = null }) {
+        super(code, message, { rawMessage, command: headerHex, fieldIndex });
+        this.name = 'FrameValidationError';
+        this.headerHex = headerHex;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+export class ParserException extends ParseError {
+    /**
+     * Wraps an unexpected exception thrown while decoding a message.
+     * @param {Error} cause The exception.
+     * @param {object} [details] See ParseError.
+     */
+    constructor(cause, details = {}) {
+        super(PARSE_ERROR_CODES.PARSER_EXCEPTION, `Error parsing ${details.command || 'message'}: ${cause && cause.message}`, {
+            ...details,
+            cause,
+        });
+        this.name = 'ParserException';
+    }
+}
@@ -4,9 +4,88 @@
  * report messages and events defined in the GV500MAP @Track Air Interface Protocol V5.00 document.
  */
 
+import {
+    PARSE_ERROR_CODES,
+    FRAME_VALIDATION_CODES,
+    ParseError,
+    MalformedHeaderError,
+    UnknownCommandError,
+    ParameterCountError,
+    FrameValidationError,
+    ParserException,
+} from './parser-errors.js';
+import { HEX_LENGTH_OFFSETS } from './queclink-framer.js';
+import { parseDtcList } from './dtc-codes.js';
+import { decodePidBitmap, validateObdValues } from './obd-pids.js';
+
+const HEX_TAIL = '0D0A';
+const HEX_ACK_HEADER = '2B41434B'; // +ACK
+
+// Fields per GNSS + cell position group in ASCII position reports
+const POSITION_GROUP_SIZE = 12;
+
+// +RESP:GTALM configuration sections, named after their AT command
+const GTALM_SECTIONS = [
+    'BSI', 'SRI', 'CFG', 'TOW', 'EPS', 'TMA', 'OWH', 'FRI', 'GEO', 'SPD', 'DOG', 'IDL',
+    'HMC', 'HBM', 'SSR', 'OBD', 'OSM', 'EMG', 'RMD', 'CMD', 'UDF', 'UPC', 'GAM', 'VVS',
+    'AVS', 'VMS', 'ASC', 'BAS', 'FVR', 'BTS', 'SVR', 'BSF', 'WLT', 'HRM', 'CRA', 'PDS',
+];
+
+// Sections reported once per configured ID (geofence, OSM, stored command, ...)
+const GTALM_REPEATED_SECTIONS = ['GEO', 'OSM', 'CMD', 'UDF', 'BAS'];
+
+// The ASCII report each HEX report is sent for, by message header and then
+// Message Type; +CRD, +INF, +HBD and +ATI always carry the same report.
+// Message Types not listed keep the header as their command.
+export const HEX_REPORT_COMMANDS = {
+    '2B525350': { 0x00: 'GTFRI' }, // +RSP
+    '2B455654': { 0x01: 'GTIGN', 0x02: 'GTIGF', 0x03: 'GTSTT', 0x04: 'GTCRA' }, // +EVT
+    '2B425350': { 0x00: 'GTFRI' }, // +BSP
+    '2B425654': { 0x01: 'GTIGN', 0x02: 'GTIGF', 0x03: 'GTSTT', 0x04: 'GTCRA' }, // +BVT
+    '2B4F4244': { 0x00: 'GTOBD', 0x04: 'GTOSM' }, // +OBD
+    '2B435244': 'GTCRD', // +CRD
+    '2B494E46': 'GTINF', // +INF
+    '2B484244': 'GTHBD', // +HBD
+    '2B415449': 'GTATI', // +ATI
+};
+
+// The AT command a HEX +ACK answers, by its Message Type. Message Types not
+// listed keep the header as their command.
+export const HEX_ACK_COMMANDS = {
+    0x00: 'GTBSI', 0x01: 'GTSRI', 0x02: 'GTQSS', 0x04: 'GTCFG', 0x05: 'GTTOW', 0x06: 'GTEPS',
+    0x0A: 'GTTMA', 0x0B: 'GTFRI', 0x0C: 'GTGEO', 0x0D: 'GTSPD', 0x10: 'GTRTO', 0x11: 'GTUPD',
+    0x12: 'GTPIN', 0x13: 'GTOWH', 0x14: 'GTDOG', 0x17: 'GTIDL', 0x18: 'GTHBM', 0x19: 'GTHMC',
+    0x1D: 'GTWLT', 0x1E: 'GTHRM', 0x21: 'GTSSR', 0x28: 'GTPDS', 0x29: 'GTCRA',
+};
+
+// Buffered HEX reports, the +BUFF of HEX mode: a +RSP or +EVT the device
+// resends from its buffer, with the same layout under its own header
+export const BUFFERED_HEX_HEADERS = {
+    '2B425350': '2B525350', // +BSP -> +RSP
+    '2B425654': '2B455654', // +BVT -> +EVT
+};
+
+/**
+ * Whether a parsed report was resent from the device's buffer (+BUFF, +BSP or +BVT).
+ * @param {object} result The object returned by QueclinkParser.parse.
+ * @returns {boolean}
+ */
+export function isBufferedReport(result) {
+    return result.messageType === 'BUFF'
+        || (result.messageType === 'HEX' && BUFFERED_HEX_HEADERS[result.hexHeader] !== undefined);
+}
+
 class QueclinkParser {
 
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {HrmConfigStore} [options.hrmConfig] Per-device AT+GTHRM masks, used to check decoded HEX reports.
+     * @param {boolean} [options.strict] Throw a ParseError from parse() instead of returning { ok: false, error }.
+     */
+    constructor({ hrmConfig = null, strict = false } = {}) {
+        this.hrmConfig = hrmConfig;
+        this.strict = strict;
+
         // Mapping of ASCII command prefixes to their parsing functions
         this.asciiParsers = {
             'GTTOW': this.parsePositionRelatedReport, //
@@ -63,6 +142,7 @@ class QueclinkParser {
             
             'GTGSS': this.parseGTGSS, //
             'GTCRA': this.parseGTCRA,
+            'GTCRD': this.parseGTCRD,
             'GTASC': this.parseGTASC, //
             'GTRMD': this.parseGTRMD, //
             'GTUPC': this.parseGTUPC, //
@@ -82,11 +162,72 @@ class QueclinkParser {
             'BUFF': this.parseBufferReport,
         };
 
+        // Mapping of ASCII acknowledgement types (+ACK:GTxxx) to their parsing functions.
+        // ACKs share a short layout that differs from the RESP report of the same name.
+        this.ackParsers = {
+            'GTBSI': this._parseCommonACK,
+            'GTSRI': this._parseCommonACK,
+            'GTQSS': this._parseCommonACK,
+            'GTCFG': this._parseCommonACK,
+            'GTTOW': this._parseCommonACK,
+            'GTEPS': this._parseCommonACK,
+            'GTDOG': this._parseCommonACK,
+            'GTTMA': this._parseCommonACK,
+            'GTFRI': this._parseCommonACK,
+            'GTSPD': this._parseCommonACK,
+            'GTUPC': this._parseCommonACK,
+            'GTOWH': this._parseCommonACK,
+            'GTIDL': this._parseCommonACK,
+            'GTHMC': this._parseCommonACK,
+            'GTHBM': this._parseCommonACK,
+            'GTSSR': this._parseCommonACK,
+            'GTOBD': this._parseCommonACK,
+            'GTEMG': this._parseCommonACK,
+            'GTRMD': this._parseCommonACK,
+            'GTGAM': this._parseCommonACK,
+            'GTVVS': this._parseCommonACK,
+            'GTAVS': this._parseCommonACK,
+            'GTVMS': this._parseCommonACK,
+            'GTASC': this._parseCommonACK,
+            'GTFVR': this._parseCommonACK,
+            'GTBTS': this._parseCommonACK,
+            'GTSVR': this._parseCommonACK,
+            'GTBSF': this._parseCommonACK,
+            'GTWLT': this._parseCommonACK,
+            'GTHRM': this._parseCommonACK,
+            'GTCRA': this._parseCommonACK,
+            'GTPDS': this._parseCommonACK,
+            'GTUPD': this._parseCommonACK,
+
+            // These ACKs echo an identifier of the configured entry before the serial number
+            'GTGEO': this._parseIndexedACK,
+            'GTRTO': this._parseIndexedACK,
+            'GTOSM': this._parseIndexedACK,
+            'GTCMD': this._parseIndexedACK,
+            'GTUDF': this._parseIndexedACK,
+            'GTBAS': this._parseIndexedACK,
+
+            // Heartbeat, sent by the device on its own and without a serial number
+            'GTHBD': this._parseHeartbeatACK,
+        };
+
+        // Name of the identifier field echoed by the indexed ACKs above
+        this.ackIndexFields = {
+            'GTGEO': 'geoId',
+            'GTRTO': 'subCommand',
+            'GTOSM': 'id',
+            'GTCMD': 'storedCmdId',
+            'GTUDF': 'groupId',
+            'GTBAS': 'index',
+        };
+
         // Mapping of HEX message headers to their parsing functions
         this.hexParsers = {
             '2B41434B': this.parseHEXACK, // +ACK
             '2B525350': this.parseHEXRSP, // +RSP
             '2B455654': this.parseHEXEVT, // +EVT
+            '2B425350': this.parseHEXRSP, // +BSP, a buffered +RSP
+            '2B425654': this.parseHEXEVT, // +BVT, a buffered +EVT
             '2B494E46': this.parseHEXINF, // +INF
             '2B484244': this.parseHEXHBD, // +HBD
             '2B435244': this.parseHEXCRD, // +CRD
@@ -97,13 +238,30 @@ class QueclinkParser {
 
     /**
      * Main parsing method to determine message type (ASCII or HEX) and dispatch to the correct parser.
+     * Successful results carry `ok: true`. Failures are thrown in strict mode and
+     * returned as `{ ok: false, originalMessage, error }` otherwise.
      * @param {string} message The raw message string to parse.
-     * @returns {object|null} The parsed message object or null if parsing fails.
+     * @returns {object} The parsed message object, or the failure.
+     * @throws {ParseError} In strict mode, if parsing fails.
      */
     parse(message) {
+        try {
+            return { ok: true, ...this._parseMessage(message) };
+        } catch (e) {
+            const error = e instanceof ParseError ? e : new ParserException(e, { rawMessage: message });
+            if (error.rawMessage === null) {
+                error.rawMessage = message;
+            }
+            if (this.strict) {
+                throw error;
+            }
+            return { ok: false, originalMessage: message, error };
+        }
+    }
+
+    _parseMessage(message) {
         if (!message || typeof message !== 'string') {
-            console.error('Invalid message input: must be a non-empty string.');
-            return null;
+            throw new ParseError(PARSE_ERROR_CODES.INVALID_INPUT, 'Invalid message input: must be a non-empty string.');
         }
 
         // Remove leading/trailing whitespace and the '$' tail character if present
@@ -120,14 +278,14 @@ class QueclinkParser {
             return this.parseHEX(cleanedMessage);
         }
 
-        console.warn('Unknown message format or invalid message:', message);
-        return null;
+        throw new ParseError(PARSE_ERROR_CODES.UNKNOWN_FORMAT, 'Unknown message format or invalid message', { rawMessage: message });
     }
 
     /**
      * Parses ASCII formatted messages.
      * @param {string} message The cleaned ASCII message string.
-     * @returns {object|null} The parsed message object.
+     * @returns {object} The parsed message object.
+     * @throws {ParseError} If the header is malformed, the command unknown or its parser fails.
      */
     parseASCII(message) {
         const parts = message.split(',');
@@ -135,8 +293,7 @@ class QueclinkParser {
         const typeMatch = header.match(/^\+(RESP|ACK|BUFF):([A-Z0-9]+)$/);
 
         if (!typeMatch) {
-            console.error('Malformed ASCII header:', header);
-            return null;
+            throw new MalformedHeaderError(header, { rawMessage: message + '$' });
         }
 
         const messagePrefix = typeMatch[1]; // 'RESP', 'ACK', 'BUFF'
@@ -149,6 +306,8 @@ class QueclinkParser {
             // We need to re-use the standard RESP parser for that commandType
             parserFn = this.asciiParsers['BUFF'];
             // Pass the original commandType (e.g., GTFRI) as a parameter to the buffer parser
+        } else if (messagePrefix === 'ACK') {
+            parserFn = this.ackParsers[commandType];
         } else {
             parserFn = this.asciiParsers[commandType];
         }
@@ -164,19 +323,24 @@ class QueclinkParser {
                     parsedData: result
                 };
             } catch (e) {
-                console.error(`Error parsing ASCII message ${commandType}:`, e, message);
-                return null;
+                const details = { rawMessage: message + '$', command: commandType };
+                if (e instanceof ParseError) {
+                    e.rawMessage = e.rawMessage || details.rawMessage;
+                    e.command = e.command || commandType;
+                    throw e;
+                }
+                throw new ParserException(e, details);
             }
         } else {
-            console.warn(`No parser found for ASCII command type: ${commandType}. Message: ${message}`);
-            return null;
+            throw new UnknownCommandError(commandType, { rawMessage: message + '$' });
         }
     }
 
     /**
      * Parses HEX formatted messages.
      * @param {string} message The cleaned HEX message string.
-     * @returns {object|null} The parsed message object.
+     * @returns {object} The parsed message object.
+     * @throws {ParseError} If the frame fails validation, the header is unknown or its parser fails.
      */
     parseHEX(message) {
         // HEX messages start with a 4-byte header (e.g., '2B525350' for '+RSP')
@@ -184,26 +348,102 @@ class QueclinkParser {
         const parserFn = this.hexParsers[headerHex];
 
         if (parserFn) {
+            // A corrupted frame must not be decoded into plausible-looking values
+            this._validateHexFrame(message, headerHex);
             try {
                 // Pass the entire hex message string to the specific HEX parser
                 const result = parserFn.call(this, message);
+                // A +ACK answers one of our commands in either format; it is not a report
+                const isAck = headerHex === HEX_ACK_HEADER;
                 return {
                     originalMessage: message,
-                    messageType: 'HEX',
-                    command: Object.keys(this.hexParsers).find(key => this.hexParsers[key] === parserFn), // Find the original command string
+                    messageType: isAck ? 'ACK' : 'HEX',
+                    // Named after the ASCII report, so consumers handle both formats alike
+                    command: isAck ? result.command || headerHex : this._hexReportCommand(headerHex, result.messageCode),
+                    hexHeader: headerHex,
                     parsedData: result
                 };
             } catch (e) {
-                console.error(`Error parsing HEX message with header ${headerHex}:`, e, message);
-                return null;
+                if (e instanceof ParseError) {
+                    throw e;
+                }
+                throw new ParserException(e, { rawMessage: message, command: headerHex });
             }
         } else {
-            console.warn(`No parser found for HEX message header: ${headerHex}. Message: ${message}`);
-            return null;
+            throw new UnknownCommandError(headerHex, { rawMessage: message });
         }
     }
 
 
+    /**
+     * @param {string} headerHex The 4-byte message header.
+     * @param {number} messageCode The frame's Message Type.
+     * @returns {string} The ASCII report command (e.g. 'GTFRI'), or the header when the Message Type is not known.
+     */
+    _hexReportCommand(headerHex, messageCode) {
+        const commands = HEX_REPORT_COMMANDS[headerHex];
+        if (typeof commands === 'string') {
+            return commands;
+        }
+        return (commands && commands[messageCode]) || headerHex;
+    }
+
+    /**
+     * Checks a HEX frame before it is decoded: the Length field must match the
+     * frame size, the Checksum must match a CRC-16 of everything from the
+     * Message Header to the Count Number, and the frame must end with 0D0A.
+     * @param {string} message The hex message string.
+     * @param {string} headerHex The 4-byte message header.
+     * @throws {FrameValidationError}
+     */
+    _validateHexFrame(message, headerHex) {
+        const hex = message.toUpperCase();
+        const fail = (code, text, expected, actual, fieldIndex) => {
+            throw new FrameValidationError(code, `HEX ${this._hexToAscii(headerHex)} frame ${text}`, {
+                headerHex,
+                expected,
+                actual,
+                rawMessage: message,
+                fieldIndex,
+            });
+        };
+
+        const actualLength = hex.length / 2;
+        const lengthOffset = HEX_LENGTH_OFFSETS[this._hexToAscii(headerHex)];
+        const declaredLength = this._toNumber(hex.substring(lengthOffset * 2, lengthOffset * 2 + 4), 16);
+        if (hex.length % 2 !== 0 || declaredLength !== actualLength) {
+            fail(FRAME_VALIDATION_CODES.LENGTH_MISMATCH, `declares ${declaredLength} bytes but has ${actualLength}`, declaredLength, actualLength, lengthOffset);
+        }
+
+        const tail = hex.substring(hex.length - 4);
+        if (tail !== HEX_TAIL) {
+            fail(FRAME_VALIDATION_CODES.BAD_TAIL, `ends with ${tail} instead of ${HEX_TAIL}`, HEX_TAIL, tail, actualLength - 2);
+        }
+
+        const checksum = hex.substring(hex.length - 8, hex.length - 4);
+        const computed = this._crc16(hex.substring(0, hex.length - 8));
+        if (checksum !== computed) {
+            fail(FRAME_VALIDATION_CODES.CHECKSUM_MISMATCH, `checksum ${checksum} does not match computed ${computed}`, computed, checksum, actualLength - 4);
+        }
+    }
+
+    /**
+     * CRC-16/CCITT-FALSE (polynomial 0x1021, initial value 0xFFFF) as used for the HEX Checksum field.
+     * @param {string} hex The bytes to check, as a hex string.
+     * @returns {string} The CRC as 4 upper-case hex digits.
+     */
+    _crc16(hex) {
+        let crc = 0xFFFF;
+        for (let i = 0; i < hex.length; i += 2) {
+            crc ^= parseInt(hex.substring(i, i + 2), 16) << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+            }
+        }
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+
     // --- Utility Functions ---
 
     /**
@@ -351,13 +591,13 @@ class QueclinkParser {
     }
 
     /**
-     * Parses a date-time string in BernadotYYMMDDHHMMSS format to a Date object.
+     * Parses a UTC date-time string in YYYYMMDDHHMMSS format to a Date object.
      * @param {string} dtString The date-time string (14 characters).
      * @returns {Date|null} A Date object or null if invalid.
      */
     //verified
     _parseDateTime(dtString) {
-        if (dtString && dtString.length === 14) {
+        if (typeof dtString === 'string' && /^\d{14}$/.test(dtString)) {
             try {
                 const year = parseInt(dtString.substring(0, 4), 10);
                 const month = parseInt(dtString.substring(4, 6), 10) - 1; // Month is 0-indexed
@@ -365,9 +605,10 @@ class QueclinkParser {
                 const hour = parseInt(dtString.substring(8, 10), 10);
                 const minute = parseInt(dtString.substring(10, 12), 10);
                 const second = parseInt(dtString.substring(12, 14), 10);
-                const date = new Date(year, month, day, hour, minute, second);
-                // Basic validation for invalid dates like Feb 30th
-                if (date.getFullYear() === year && date.getMonth() === month && date.getDate() === day) {
+                // The device sends UTC
+                const date = new Date(Date.UTC(year, month, day, hour, minute, second));
+                // Date.UTC rolls Feb 30th or 12:60 over instead of failing
+                if (this._isSameUtcDateTime(date, year, month, day, hour, minute, second)) {
                     return date;
                 }
             } catch (e) {
@@ -426,15 +667,19 @@ class QueclinkParser {
     /**
 
     * Parses the Supported PIDs hex value into detailed parameter availability information.
-     * @param {string} supportedPidsHex - 8-character hex string representing the 32-bit bitmask
+     * The first 32 bits are the device's report fields (GV500MAP table); the whole
+     * bitmap is also decoded as SAE J1979 mode 01 PIDs, 32 per 8 hex characters
+     * starting at PID 0x01.
+     * @param {string} supportedPidsHex - 8, 16 or 24-character hex string (PIDs 0x01-0x20, 0x21-0x40, 0x41-0x60)
      * @returns {object} Object containing parsed PID support information
      */
     _parseSupportedPids(supportedPidsHex) {
-        if (!supportedPidsHex || supportedPidsHex.length !== 8) {
+        if (!supportedPidsHex || !/^([0-9A-Fa-f]{8}){1,3}$/.test(supportedPidsHex)) {
             return {
                 raw: supportedPidsHex || '',
                 supportedParameters: {},
                 supportedCount: 0,
+                pids: [],
                 isValid: false
             };
         }
@@ -475,7 +720,7 @@ class QueclinkParser {
             0: { name: 'reserved0', description: 'Reserved' }
         };
 
-        const decimalMask = parseInt(supportedPidsHex, 16);
+        const decimalMask = parseInt(supportedPidsHex.substring(0, 8), 16);
         const supportedParameters = {};
         let supportedCount = 0;
 
@@ -503,6 +748,8 @@ class QueclinkParser {
             binary: decimalMask.toString(2).padStart(32, '0'),
             supportedParameters: supportedParameters,
             supportedCount: supportedCount,
+            // J1979 view of the bitmap, every supported PID with its catalogue name and unit
+            pids: decodePidBitmap(supportedPidsHex).map(({ pid, name, unit }) => ({ pid, name: name || null, unit: unit ?? null })),
             isValid: true,
             // Helper methods for quick access to key parameters
             hasEngineRpm: supportedParameters.engineRpm?.supported || false,
@@ -627,17 +874,118 @@ class QueclinkParser {
 
     /**
      * Common ACK message parser.
+     * Format: +ACK:GTxxx,protocolVersion,uniqueId,deviceName,serialNumber,sendTime,countNumber$
      * @param {string[]} params The parameters array.
+     * @param {string} messagePrefix The prefix ('ACK').
+     * @param {string} commandType The acknowledged command (e.g., 'GTFRI').
      * @returns {object} The parsed ACK message.
      */
-    _parseCommonACK(params) {
+    _parseCommonACK(params, messagePrefix, commandType) {
         return {
+            command: commandType,
             protocolVersion: this._parseProtocolVersion(params[0]),
             uniqueId: this._toString(params[1]),
             deviceName: this._toString(params[2]),
-            serialNumber: this._toNumberFromHex(params[3]), // Changed to toString for raw hex string
+            serialNumber: this._toNumberFromHex(params[3]), // Matches the serial number of the AT command
             sendTime: this._parseDateTime(params[4]),
-            countNumber: this._toNumberFromHex(params[5]) // Changed to toString for raw hex string
+            countNumber: this._toNumberFromHex(params[5])
+        };
+    }
+
+    /**
+     * Parses ACKs that echo an identifier of the configured entry (GEO ID, RTO sub command, ...).
+     * Format: +ACK:GTxxx,protocolVersion,uniqueId,deviceName,identifier,serialNumber,sendTime,countNumber$
+     * @param {string[]} params The parameters array.
+     * @param {string} messagePrefix The prefix ('ACK').
+     * @param {string} commandType The acknowledged command (e.g., 'GTGEO').
+     * @returns {object} The parsed ACK message.
+     */
+    _parseIndexedACK(params, messagePrefix, commandType) {
+        const indexField = this.ackIndexFields[commandType] || 'identifier';
+        const identifier = this._toString(params[3]);
+
+        return {
+            command: commandType,
+            protocolVersion: this._parseProtocolVersion(params[0]),
+            uniqueId: this._toString(params[1]),
+            deviceName: this._toString(params[2]),
+            [indexField]: indexField === 'subCommand' ? identifier : this._toNumber(identifier),
+            serialNumber: this._toNumberFromHex(params[4]),
+            sendTime: this._parseDateTime(params[5]),
+            countNumber: this._toNumberFromHex(params[6])
+        };
+    }
+
+    /**
+     * Parses the heartbeat (+ACK:GTHBD). It is not an answer to a command, so it has no serial number.
+     * Format: +ACK:GTHBD,protocolVersion,uniqueId,deviceName,sendTime,countNumber$
+     * @param {string[]} params The parameters array.
+     * @param {string} messagePrefix The prefix ('ACK').
+     * @param {string} commandType Always 'GTHBD'.
+     * @returns {object} The parsed ACK message.
+     */
+    _parseHeartbeatACK(params, messagePrefix, commandType) {
+        return {
+            command: commandType,
+            protocolVersion: this._parseProtocolVersion(params[0]),
+            uniqueId: this._toString(params[1]),
+            deviceName: this._toString(params[2]),
+            serialNumber: null,
+            sendTime: this._parseDateTime(params[3]),
+            countNumber: this._toNumberFromHex(params[4])
+        };
+    }
+
+
+    /**
+     * Reads the `number` GNSS + cell position groups of a position report.
+     * Each group is Accuracy, Speed, Azimuth, Altitude, Longitude, Latitude,
+     * GNSS UTC Time, MCC, MNC, LAC, Cell ID and a reserved field. The fields
+     * after the groups are located from the end of the message.
+     * @param {string[]} params The parameters array.
+     * @param {number} start Index of the first group.
+     * @param {number|null} number The report's Number field; an empty one means a single group.
+     * @param {number} trailing How many fields follow the groups.
+     * @returns {{first: object, positions: object[], tail: number}} The first position (null fields if
+     *     there is none), every position, and the index of the first trailing field.
+     * @throws {ParameterCountError} If the message is too short for `number` groups.
+     */
+    _parsePositionGroups(params, start, number, trailing) {
+        const count = number === null ? 1 : number;
+        const expected = start + count * POSITION_GROUP_SIZE + trailing;
+        if (params.length < expected) {
+            throw new ParameterCountError(null, expected, params.length); // parseASCII fills in the command
+        }
+
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const group = start + i * POSITION_GROUP_SIZE;
+            positions.push({
+                gnssAccuracy: this._toNumber(params[group]),
+                speed: this._toNumber(params[group + 1], 10, true),
+                azimuth: this._toNumber(params[group + 2]),
+                altitude: this._toNumber(params[group + 3], 10, true),
+                longitude: this._toNumber(params[group + 4], 10, true),
+                latitude: this._toNumber(params[group + 5], 10, true),
+                gnssUtcTime: this._parseDateTime(params[group + 6]),
+                mcc: this._toString(params[group + 7]),
+                mnc: this._toString(params[group + 8]),
+                lac: this._toNumber(params[group + 9], 16),
+                cellId: this._toNumber(params[group + 10], 16),
+                reserved: this._toString(params[group + 11]),
+            });
+        }
+
+        const empty = {
+            gnssAccuracy: null, speed: null, azimuth: null, altitude: null, longitude: null, latitude: null,
+            gnssUtcTime: null, mcc: null, mnc: null, lac: null, cellId: null, reserved: null,
+        };
+
+        return {
+            first: positions[0] || empty,
+            positions,
+            // Counted back from the end so fields between the groups and the trailer cannot shift it
+            tail: params.length - trailing,
         };
     }
 
@@ -645,12 +993,15 @@ class QueclinkParser {
     // --- ASCII Report Parsers (Section 3.3) ---
 
     /**
-     * Parses Position Related Reports (+RESP:GTTOW, GTGEO, GTSPD, GTRTL, GTDOG, GTIGL, GTVGL, GTHBM, GTEPS).
+     * Parses Position Related Reports (+RESP:GTTOW, GTGEO, GTSPD, GTRTL, GTDOG, GTIGL, GTVGL, GTHBM).
+     * The top-level position fields are those of the first of `number` positions.
      * @param {string[]} params The parameters array.
      * @returns {object} The parsed report.
      */
     parsePositionRelatedReport(params) {
-      
+        const number = this._toNumber(params[6]);
+        const { first, positions, tail } = this._parsePositionGroups(params, 7, number, 3);
+
         return {
             protocolVersion: this._parseProtocolVersion(params[0]),
             uniqueId: this._toString(params[1]),
@@ -658,31 +1009,28 @@ class QueclinkParser {
             deviceName: this._toString(params[3]),
             reserved: this._toString(params[4]),
             reportIdType: this._parseReportIdAndType(params[5]),
-            number: this._toNumber(params[6]),
-            gnssAccuracy: this._toNumber(params[7]),
-            speed: this._toNumber(params[8], 10, true),
-            azimuth: this._toNumber(params[9]),
-            altitude: this._toNumber(params[10], 10, true),
-            longitude: this._toNumber(params[11], 10, true),
-            latitude: this._toNumber(params[12], 10, true),
-            gnssUtcTime: this._parseDateTime(params[13]),
-            mcc: this._toString(params[14]),
-            mnc: this._toString(params[15]),
-            lac: this._toNumber(params[16], 16),
-            cellId: this._toNumber(params[17], 16),
-            reserved1: this._toString(params[18]),
-            mileage: this._toNumber(params[19], 10, true),
-            sendTime: this._parseDateTime(params[20]),
-            countNumber: this._toNumberFromHex(params[21]),
+            number,
+            ...first,
+            reserved: this._toString(params[4]), // the group's own reserved field is reserved1
+            reserved1: first.reserved,
+            positions,
+            mileage: this._toNumber(params[tail], 10, true),
+            sendTime: this._parseDateTime(params[tail + 1]),
+            countNumber: this._toNumberFromHex(params[tail + 2]),
         };
     }
 
     /**
      * Parses +RESP:GTFRI (Fixed Report Information).
+     * With batched fixed reports `number` holds several positions; the top-level
+     * position fields are those of the first one.
      * @param {string[]} params The parameters array.
      * @returns {object} The parsed report.
      */
     parseGTFRI(params) {
+        const number = this._toNumber(params[6]);
+        const { first, positions, tail } = this._parsePositionGroups(params, 7, number, 11);
+
         return {
             protocolVersion: this._parseProtocolVersion(params[0]),
             uniqueId: this._toString(params[1]),
@@ -690,30 +1038,20 @@ class QueclinkParser {
             deviceName: this._toString(params[3]),
             externalPowerVoltage: this._toNumber(params[4]),
             reportIdType: this._parseReportIdAndType(params[5]),
-            number: this._toNumber(params[6]),
-            gnssAccuracy: this._toNumber(params[7]),
-            speed: this._toNumber(params[8], 10, true),
-            azimuth: this._toNumber(params[9]),
-            altitude: this._toNumber(params[10], 10, true),
-            longitude: this._toNumber(params[11], 10, true),
-            latitude: this._toNumber(params[12], 10, true),
-            gnssUtcTime: this._parseDateTime(params[13]),
-            mcc: this._toString(params[14]),
-            mnc: this._toString(params[15]),
-            lac: this._toNumber(params[16], 16),
-            cellId: this._toNumber(params[17], 16),
-            reserved: this._toString(params[18]),
-            mileage: this._toNumber(params[19], 10, true),
-            hourMeterCount: this._toString(params[20]), // Format: HHHHH:MM:SS
-            reserved1: this._toString(params[21]),
-            reserved2: this._toString(params[22]),
-            reserved3: this._toString(params[23]),
-            deviceStatus: this._toNumberFromHex(params[24]), // 6-byte hex status
-            engineRpm: this._toNumber(params[25]),
-            fuelConsumption: this._toNumber(params[26], 10, true),
-            fuelLevelInput: this._toNumber(params[27]),
-            sendTime: this._parseDateTime(params[28]),
-            countNumber: this._toNumberFromHex(params[29]),
+            number,
+            ...first,
+            positions,
+            mileage: this._toNumber(params[tail], 10, true),
+            hourMeterCount: this._toString(params[tail + 1]), // Format: HHHHH:MM:SS
+            reserved1: this._toString(params[tail + 2]),
+            reserved2: this._toString(params[tail + 3]),
+            reserved3: this._toString(params[tail + 4]),
+            deviceStatus: this._toNumberFromHex(params[tail + 5]), // 6-byte hex status
+            engineRpm: this._toNumber(params[tail + 6]),
+            fuelConsumption: this._toNumber(params[tail + 7], 10, true),
+            fuelLevelInput: this._toNumber(params[tail + 8]),
+            sendTime: this._parseDateTime(params[tail + 9]),
+            countNumber: this._toNumberFromHex(params[tail + 10]),
         };
     }
 
@@ -723,6 +1061,9 @@ class QueclinkParser {
      * @returns {object} The parsed report.
      */
     parseGTEPS(params) {
+        const number = this._toNumber(params[6]);
+        const { first, positions, tail } = this._parsePositionGroups(params, 7, number, 3);
+
         return {
             protocolVersion: this._parseProtocolVersion(params[0]),
             uniqueId: this._toString(params[1]),
@@ -730,22 +1071,12 @@ class QueclinkParser {
             deviceName: this._toString(params[3]),
             externalPowerVoltage: this._toNumber(params[4]), // mV (0-99999)
             reportIdType: this._parseReportIdAndType(params[5]),
-            number: this._toNumber(params[6]),
-            gnssAccuracy: this._toNumber(params[7]),
-            speed: this._toNumber(params[8], 10, true),
-            azimuth: this._toNumber(params[9]),
-            altitude: this._toNumber(params[10], 10, true),
-            longitude: this._toNumber(params[11], 10, true),
-            latitude: this._toNumber(params[12], 10, true),
-            gnssUtcTime: this._parseDateTime(params[13]),
-            mcc: this._toString(params[14]),
-            mnc: this._toString(params[15]),
-            lac: this._toNumber(params[16], 16),
-            cellId: this._toNumber(params[17], 16),
-            reserved: this._toString(params[18]),
-            mileage: this._toNumber(params[19], 10, true),
-            sendTime: this._parseDateTime(params[20]),
-            countNumber: this._toNumberFromHex(params[21]),
+            number,
+            ...first,
+            positions,
+            mileage: this._toNumber(params[tail], 10, true),
+            sendTime: this._parseDateTime(params[tail + 1]),
+            countNumber: this._toNumberFromHex(params[tail + 2]),
         };
     }
 
@@ -812,23 +1143,19 @@ class QueclinkParser {
 
     /**
      * Parses +RESP:GTALM (All Configurations Report).
-     * This is a complex one as it contains sub-packaged configurations.
-     * We'll return the raw configuration string for further parsing by a separate utility if needed.
+     * The configuration is reported as consecutive sections, each one the
+     * section name followed by the parameters of the AT command of the same
+     * name (e.g. FRI,<mode>,<discard no fix>,...). A long configuration is
+     * split over several packets; see DeviceConfigStore for reassembly.
+     * Sections that can be configured more than once (GEO, OSM, CMD, UDF,
+     * BAS) are returned as arrays.
      * @param {string[]} params The parameters array.
      * @returns {object} The parsed report.
      */
     parseGTALM(params) {
-    
-        const parts = params.split(',');
-
-        // Extract common header information
-        const reportId = parts[0];
-        const deviceId = parts[1];
-        const sendTime = this.parseDateTime(parts[2]);
-        const countNumber = parseInt(parts[3], 10);
-
-        // The configuration content starts from the 5th part (index 4)
-        const configContent = parts.slice(4).join(',');
+        if (params.length < 8) {
+            throw new ParameterCountError('GTALM', 8, params.length);
+        }
 
         const configurations = {};
 
@@ -936,18 +1263,20 @@ class QueclinkParser {
                     const friParts = content.split(',');
                     section.mode = parseInt(friParts[0], 10); // FRI Mode
                     section.discardNoFix = parseInt(friParts[1], 10); // Discard No Fix
-                    section.periodEnable = parseInt(friParts[2], 10); // Period Enable
-                    section.beginTime = friParts[3]; // Begin Time (HHMM)
-                    section.endTime = friParts[4]; // End Time (HHMM)
-                    section.sendInterval = parseInt(friParts[5], 10); // Send Interval (seconds)
-                    section.distance = parseInt(friParts[6], 10); // Distance / Mileage (meters)
-                    section.cornerReport = parseInt(friParts[7], 10); // Corner Report (degrees)
-                    section.igfReportInterval = parseInt(friParts[8], 10); // IGF Report Interval (seconds)
+                    // Reserved field (index 2) is skipped
+                    section.periodEnable = parseInt(friParts[3], 10); // Period Enable
+                    section.beginTime = friParts[4]; // Begin Time (HHMM)
+                    section.endTime = friParts[5]; // End Time (HHMM)
+                    // Reserved field (index 6) is skipped
+                    section.sendInterval = parseInt(friParts[7], 10); // Send Interval (seconds)
+                    section.distance = parseInt(friParts[8], 10); // Distance (meters)
+                    section.mileage = parseInt(friParts[9], 10); // Mileage (meters)
+                    // Reserved field (index 10) is skipped
+                    section.cornerReport = parseInt(friParts[11], 10); // Corner Report (degrees)
+                    section.igfReportInterval = parseInt(friParts[12], 10); // IGF Report Interval (seconds)
+                    // Reserved fields (indices 13-16) are skipped
                     break;
                 case 'GEO':
-                case 'GEOID2':
-                case 'GEOID3':
-                case 'GEOID4':
                     const geoParts = content.split(',');
                     section.geoId = parseInt(geoParts[0], 10);
                     section.mode = parseInt(geoParts[1], 10);
@@ -1232,35 +1561,59 @@ class QueclinkParser {
                     // Reserved fields (indices 2-6) are skipped
                     break;
                 default:
-                    // Handle unknown sections or log a warning
-                    console.warn(`Unknown GTALM configuration section: ${sectionName}`);
                     section.rawContent = content;
                     break;
             }
             return section;
         };
 
-        // Parse the configuration content based on the section headers
-        const configSections = configContent.split(';');
-        configSections.forEach(section => {
-            const sectionParts = section.split(',');
-            if (sectionParts.length > 0) {
-                const sectionName = sectionParts[0];
-                const sectionData = sectionParts.slice(1).join(',');
-                configurations[sectionName] = parseConfigSection(sectionName, sectionData);
+        // A section runs from its name up to the next section name
+        const content = params.slice(6, -2);
+        let current = null;
+        const sections = [];
+        content.forEach(token => {
+            if (GTALM_SECTIONS.includes(token)) {
+                current = { name: token, fields: [] };
+                sections.push(current);
+            } else if (current) {
+                current.fields.push(token);
             }
         });
 
+        for (const { name, fields } of sections) {
+            const section = this._nullifyNaN(parseConfigSection(name, fields.join(',')));
+            if (GTALM_REPEATED_SECTIONS.includes(name)) {
+                (configurations[name] = configurations[name] || []).push(section);
+            } else {
+                configurations[name] = section;
+            }
+        }
+
         return {
-            type: 'GTALM',
-            reportId,
-            deviceId,
-            sendTime,
-            countNumber,
+            protocolVersion: this._parseProtocolVersion(params[0]),
+            uniqueId: this._toString(params[1]),
+            vin: this._toString(params[2]),
+            deviceName: this._toString(params[3]),
+            maxPacketNumber: this._toNumber(params[4]),
+            currentPacketNumber: this._toNumber(params[5]),
             configurations,
+            sendTime: this._parseDateTime(params[params.length - 2]),
+            countNumber: this._toNumberFromHex(params[params.length - 1]),
         };
     }
 
+    /**
+     * Replaces the NaN left by parseInt/parseFloat on empty parameters with null.
+     */
+    _nullifyNaN(section) {
+        for (const [key, value] of Object.entries(section)) {
+            if (typeof value === 'number' && Number.isNaN(value)) {
+                section[key] = null;
+            }
+        }
+        return section;
+    }
+
 
     /**
      * Parses +RESP:GTALS (Configuration Query Response).
@@ -1790,6 +2143,9 @@ parseGTVER(params) {
      * @returns {object} The parsed report.
      */
     parseGTGES(params) {
+        const number = this._toNumber(params[9]);
+        const { first, positions, tail } = this._parsePositionGroups(params, 10, number, 3);
+
         return {
             protocolVersion: this._parseProtocolVersion(params[0]),
             uniqueId: this._toString(params[1]),
@@ -1800,22 +2156,14 @@ parseGTVER(params) {
             triggerMode: this._toNumber(params[6]), // 0|21|22
             radius: this._toNumber(params[7]), // 50-6000000(m)
             checkInterval: this._toNumber(params[8]), // 0|5-86400(sec)
-            number: this._toNumber(params[9]),
-            gnssAccuracy: this._toNumber(params[10]),
-            speed: this._toNumber(params[11], 10, true),
-            azimuth: this._toNumber(params[12]),
-            altitude: this._toNumber(params[13], 10, true),
-            longitude: this._toNumber(params[14], 10, true),
-            latitude: this._toNumber(params[15], 10, true),
-            gnssUtcTime: this._parseDateTime(params[16]),
-            mcc: this._toString(params[17]),
-            mnc: this._toString(params[18]),
-            lac: this._toNumber(params[19], 16),
-            cellId: this._toNumber(params[20], 16),
-            reserved1: this._toString(params[21]),
-            mileage: this._toNumber(params[22], 10, true),
-            sendTime: this._parseDateTime(params[23]),
-            countNumber: this._toNumberFromHex(params[24]),
+            number,
+            ...first,
+            reserved: this._toString(params[4]), // the group's own reserved field is reserved1
+            reserved1: first.reserved,
+            positions,
+            mileage: this._toNumber(params[tail], 10, true),
+            sendTime: this._parseDateTime(params[tail + 1]),
+            countNumber: this._toNumberFromHex(params[tail + 2]),
         };
     }
 
@@ -2059,7 +2407,7 @@ parseGTVER(params) {
      */
     parseGTSVR(params) {
         if (params.length < 18) {
-            throw new Error(`GTSVR message expects 18 parameters, got ${params.length}`);
+            throw new ParameterCountError('GTSVR', 18, params.length);
         }
 
         return {
@@ -2126,7 +2474,7 @@ parseGTVER(params) {
      */
     parseGTOBD(params) {
         if (params.length < 32) {
-            throw new Error(`GTOBD message expects 32 parameters, got ${params.length}`);
+            throw new ParameterCountError('GTOBD', 32, params.length);
         }
 
         const obdReportMaskDefs = this._getReportMaskDefinitions('OBD');
@@ -2156,7 +2504,7 @@ parseGTVER(params) {
             milActivatedDistance: this._toNumber(params[15]), // 0-65535 km
             milStatus: this._toNumber(params[16]), // 0: Off, 1: On
             numberOfDtcs: this._toNumber(params[17]), // 0-127
-            diagnosticTroubleCodes: this._parseDtcCodes(params[18], this._toNumber(params[17])), // HEX codes
+            diagnosticTroubleCodes: this._parseDtcCodes(params[18], this._toNumber(params[17])), // J2012 codes
             throttlePosition: this._toNumber(params[19]), // 0-100%
             engineLoad: this._toNumber(params[20]), // 0-100%
             fuelLevelInput: this._toNumber(params[21]), // 0-100%
@@ -2185,6 +2533,9 @@ parseGTVER(params) {
             countNumber: this._toNumber(params[38],16) // HEX
         };
 
+        // Values outside the J1979 range of their PID
+        parsedData.outOfRange = validateObdValues(parsedData);
+
         return parsedData;
     }
 
@@ -2202,20 +2553,12 @@ parseGTVER(params) {
 
     /**
      * Helper function to parse diagnostic trouble codes
-     * @param {string} dtcString The DTC string in HEX format
+     * @param {string} dtcString The DTC string in HEX format, 4 digits per code
      * @param {number} count Number of DTCs
-     * @returns {Array} Array of DTC codes
+     * @returns {string[]} SAE J2012 codes (e.g. 'P0301')
      */
     _parseDtcCodes(dtcString, count) {
-        if (!dtcString || count === 0) {
-            return [];
-        }
-        // Each DTC is typically 4 hex characters (2 bytes)
-        const dtcs = [];
-        for (let i = 0; i < count && i * 4 < dtcString.length; i++) {
-            dtcs.push(dtcString.substr(i * 4, 4));
-        }
-        return dtcs;
+        return parseDtcList(dtcString, count);
     }
 
 
@@ -2360,13 +2703,13 @@ parseGTVER(params) {
      */
     parseGTOSM(params) {
         if (params.length < 32) {
-            throw new Error(`GTOSM message expects 32 parameters, got ${params.length}`);
+            throw new ParameterCountError('GTOSM', 32, params.length);
         }
 
         const osmReportMaskDefs = this._getReportMaskDefinitions('OSM');
         const parsedMask = this._parseBitmask(params[6], osmReportMaskDefs);
 
-        return {
+        const parsedData = {
             messageType: 'GTOSM',
             protocolVersion: this._parseProtocolVersion(params[0]),           // Protocol Version (HEX)
             uniqueId: this._toString(params[1]),                  // Unique ID (IMEI)
@@ -2388,7 +2731,7 @@ parseGTVER(params) {
             milActivatedDistance: this._toNumber(params[16]),     // MIL Activated Distance (0-65535 km)
             milStatus: this._toNumber(params[17]),                // MIL Status (0|1)
             numberOfDtcs: this._toNumber(params[18]),             // Number of DTCs (0-127)
-            diagnosticTroubleCodes: this._toString(params[19]),   // Diagnostic Trouble Codes (HEX)
+            diagnosticTroubleCodes: this._parseDtcCodes(params[19], this._toNumber(params[18])), // Diagnostic Trouble Codes (J2012)
             throttlePosition: this._toNumber(params[20]),         // Throttle Position (0-100%)
             engineLoad: this._toNumber(params[21]),               // Engine Load (0-100%)
             fuelLevelInput: this._toNumber(params[22]),           // Fuel Level Input (0-100%)
@@ -2409,6 +2752,9 @@ parseGTVER(params) {
             sendTime: this._parseDateTime(params[37]),            // Send Time (YYYYMMDDHHMMSS)
             countNumber: this._toNumberFromHex(params[38])               // Count Number (HEX)
         };
+
+        parsedData.outOfRange = validateObdValues(parsedData);     // Values outside their PID's range
+        return parsedData;
     }
 
 
@@ -2419,7 +2765,7 @@ parseGTVER(params) {
      */
     parseGTBAA(params) {
         if (params.length < 24) {
-            throw new Error(`GTBAA message expects 24 parameters, got ${params.length}`);
+            throw new ParameterCountError('GTBAA', 24, params.length);
         }
 
         return {
@@ -2463,32 +2809,23 @@ parseGTVER(params) {
      * @returns {object} The parsed buffered report.
      */
     parseBufferReport(params, messagePrefix, commandType) {
-        // The first parameter in `params` will be the original command type, e.g., 'GTFRI'
+        // The original command type comes from the '+BUFF:GTxxx' header, e.g., 'GTFRI'
         const originalCommandType = commandType; // Already extracted as `commandType`
 
-        // Remove the original command type from params to pass the rest to the specific parser
-        const remainingParams = params.slice(1);
+        // +BUFF reports carry the same parameters as their +RESP counterpart
+        const remainingParams = params;
 
         const originalParserFn = this.asciiParsers[originalCommandType];
 
-        if (originalParserFn) {
-            try {
-                const parsedOriginalMessage = originalParserFn.call(this, remainingParams);
-                return {
-                    originalCommand: originalCommandType,
-                    ...parsedOriginalMessage
-                };
-            } catch (e) {
-                console.error(`Error parsing buffered message for ${originalCommandType}:`, e);
-                return null;
-            }
-        } else {
-            console.warn(`No specific parser found for buffered command type: ${originalCommandType}`);
-            return {
-                originalCommand: originalCommandType,
-                rawData: remainingParams.join(',') // Fallback to raw data if no specific parser
-            };
+        if (!originalParserFn) {
+            throw new UnknownCommandError(originalCommandType);
         }
+
+        const parsedOriginalMessage = originalParserFn.call(this, remainingParams);
+        return {
+            originalCommand: originalCommandType,
+            ...parsedOriginalMessage
+        };
     }
 
 
@@ -2619,20 +2956,7 @@ parseGTVER(params) {
         // N-2: Send Time
         // N-1: Count Number
 
-        const crashStatusHex = this._toString(params[4]);
-        const crashStatus = {};
-        if (crashStatusHex) {
-            const crashStatusInt = parseInt(crashStatusHex, 16);
-            crashStatus.crashDetected = ((crashStatusInt >> 0) & 1) === 1;
-            crashStatus.crashSeverity = (crashStatusInt >> 1) & 0x7; // 3 bits for severity
-            crashStatus.xAxisCrashDetected = ((crashStatusInt >> 3) & 1) === 1;
-            crashStatus.xAxisDirection = ((crashStatusInt >> 4) & 1) === 1 ? 'negative' : 'positive';
-            crashStatus.yAxisCrashDetected = ((crashStatusInt >> 5) & 1) === 1;
-            crashStatus.yAxisDirection = ((crashStatusInt >> 6) & 1) === 1 ? 'negative' : 'positive';
-            crashStatus.zAxisDetected = ((crashStatusInt >> 7) & 1) === 1;
-            crashStatus.zAxisDirection = ((crashStatusInt >> 8) & 1) === 1 ? 'negative' : 'positive';
-        }
-
+        const crashStatus = this._parseCrashStatus(this._toString(params[4]));
 
         const dataHex = this._toString(params[7]);
         const accelerationSamples = [];
@@ -2665,6 +2989,27 @@ parseGTVER(params) {
         };
     }
 
+    /**
+     * Decodes the Crash Status bitmask shared by +RESP:GTCRD and +CRD.
+     * @param {string} crashStatusHex The status as hex text.
+     * @returns {object} The decoded flags, empty if there is no status.
+     */
+    _parseCrashStatus(crashStatusHex) {
+        const crashStatus = {};
+        if (crashStatusHex) {
+            const crashStatusInt = parseInt(crashStatusHex, 16);
+            crashStatus.crashDetected = ((crashStatusInt >> 0) & 1) === 1;
+            crashStatus.crashSeverity = (crashStatusInt >> 1) & 0x7; // 3 bits for severity
+            crashStatus.xAxisCrashDetected = ((crashStatusInt >> 3) & 1) === 1;
+            crashStatus.xAxisDirection = ((crashStatusInt >> 4) & 1) === 1 ? 'negative' : 'positive';
+            crashStatus.yAxisCrashDetected = ((crashStatusInt >> 5) & 1) === 1;
+            crashStatus.yAxisDirection = ((crashStatusInt >> 6) & 1) === 1 ? 'negative' : 'positive';
+            crashStatus.zAxisDetected = ((crashStatusInt >> 7) & 1) === 1;
+            crashStatus.zAxisDirection = ((crashStatusInt >> 8) & 1) === 1 ? 'negative' : 'positive';
+        }
+        return crashStatus;
+    }
+
     // --- HEX Report Parsers (Section 4) ---
 
     /**
@@ -2726,11 +3071,12 @@ parseGTVER(params) {
         // Redefining parsing based on Page 186 Table for +ACK (HEX)
         offset = 0; // Reset offset for accurate parsing
         getHexBytes(4); // Skip Message Header
-        getHexBytes(1); // Skip Message Type (always 0x0B in example, but not universal)
+        const hexMessageCode = getDecimal(1); // The acknowledged command, see HEX_ACK_COMMANDS
         const hexReportMask = getHexBytes(2); // +ACK Mask (00-FF)
         const hexLength = getDecimal(2); // Length of the data part
 
         const hexDeviceType = getHexBytes(1); // 5E
+        const hexProtocolVersion = getHexBytes(2);
         const hexFirmwareVersion = getHexBytes(2);
         const hexUniqueId = getHexBytes(8); // IMEI / Device Name
         const hexSerialNumber = getHexBytes(2); // Kept as hex string for consistency
@@ -2742,13 +3088,15 @@ parseGTVER(params) {
         return {
             messageType: 'HEX_ACK',
             hexHeader: header,
+            messageCode: hexMessageCode,
+            command: HEX_ACK_COMMANDS[hexMessageCode] || null,
             reportMask: hexReportMask,
             length: hexLength,
             deviceType: hexDeviceType,
-            protocolVersion: this._parseProtocolVersion(params[0]),
+            protocolVersion: this._parseProtocolVersion(hexDeviceType + hexProtocolVersion),
             firmwareVersion: hexFirmwareVersion,
-            uniqueId: hexUniqueId,
-            serialNumber: hexSerialNumber, // Raw hex string
+            uniqueId: this._parseHexUniqueId(hexUniqueId),
+            serialNumber: this._toNumberFromHex(hexSerialNumber), // Matches the serial number of the AT command
             sendTime: hexSendTime, // Already a Date object or null from helper
             countNumber: hexCountNumber, // Raw hex string
             checksum: hexChecksum,
@@ -2762,7 +3110,7 @@ parseGTVER(params) {
      * @returns {Date|null}
      */
     _parseHexDateTime(hexTime) {
-        if (!hexTime || hexTime.length !== 14) return null;
+        if (typeof hexTime !== 'string' || !/^[0-9A-Fa-f]{14}$/.test(hexTime)) return null;
         try {
             const year = parseInt(hexTime.substring(0, 4), 16); // 2 bytes for year
             const month = parseInt(hexTime.substring(4, 6), 16) - 1;
@@ -2770,8 +3118,8 @@ parseGTVER(params) {
             const hour = parseInt(hexTime.substring(8, 10), 16);
             const minute = parseInt(hexTime.substring(10, 12), 16);
             const second = parseInt(hexTime.substring(12, 14), 16);
-            const date = new Date(year, month, day, hour, minute, second);
-            if (date.getFullYear() === year && date.getMonth() === month && date.getDate() === day) {
+            const date = new Date(Date.UTC(year, month, day, hour, minute, second));
+            if (this._isSameUtcDateTime(date, year, month, day, hour, minute, second)) {
                 return date;
             }
         } catch (e) {
@@ -2780,6 +3128,15 @@ parseGTVER(params) {
         return null;
     }
 
+    /**
+     * @param {Date} date
+     * @returns {boolean} Whether `date` has exactly these UTC fields (month 0-indexed).
+     */
+    _isSameUtcDateTime(date, year, month, day, hour, minute, second) {
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month && date.getUTCDate() === day
+            && date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+    }
+
     /**
      * Converts a hex string to ASCII string.
      * @param {string} hex The hex string.
@@ -2794,176 +3151,277 @@ parseGTVER(params) {
     }
 
     /**
-     * Parses HEX RSP message (+RSP).
+     * Field definitions for the mask-driven HEX reports (+RSP and +EVT, protocol section 4).
+     * Fields with a `bit` are present only when that bit of the 4-byte report mask is set;
+     * fields without one are always present. The position block is repeated `number` times.
+     *
+     * Field types:
+     *  hex        raw hex string              uint      unsigned integer
+     *  int        signed integer              tenths    unsigned integer with 1 implicit decimal
+     *  decimal    integer part + 1-byte decimal part (e.g. speed 00 3C 05 = 60.5)
+     *  coordinate signed integer / 1000000    datetime  YYYY(2) MM DD HH MM SS
+     *  ascii      ASCII text                  code      unsigned integer as a 4-digit string (MCC/MNC)
+     *  uniqueId   IMEI                        hourMeter hours(4) minutes(1) seconds(1) as HHHHH:MM:SS
+     * @returns {{header: object[], position: object[], trailer: object[]}}
+     */
+    _getHexReportFieldDefinitions() {
+        return {
+            header: [
+                { bit: 0, name: 'deviceType', size: 1, type: 'hex' },
+                { bit: 1, name: 'protocolVersion', size: 2, type: 'hex' },
+                { bit: 2, name: 'firmwareVersion', size: 2, type: 'hex' },
+                { name: 'uniqueId', size: 8, type: 'uniqueId' },
+                { bit: 3, name: 'vin', size: 17, type: 'ascii' },
+                { bit: 4, name: 'externalPowerVoltage', size: 2, type: 'uint' }, // mV
+                { bit: 5, name: 'engineRpm', size: 2, type: 'uint' },
+                { bit: 6, name: 'fuelConsumption', size: 2, type: 'tenths' }, // L/100km
+                { bit: 7, name: 'fuelLevelInput', size: 1, type: 'uint' }, // %
+                { bit: 8, name: 'motionStatus', size: 1, type: 'hex' },
+                { bit: 9, name: 'satellitesInUse', size: 1, type: 'uint' },
+            ],
+            // Event specific parameters of +EVT, by Message Type, between the header and Number
+            event: {
+                0x01: [{ name: 'durationOfIgnitionOff', size: 4, type: 'uint' }], // s, GTIGN
+                0x02: [{ name: 'durationOfIgnitionOn', size: 4, type: 'uint' }], // s, GTIGF
+                0x04: [{ name: 'crashCounter', size: 1, type: 'uint' }], // GTCRA
+            },
+            position: [
+                { bit: 10, name: 'gnssAccuracy', size: 1, type: 'uint' },
+                { bit: 11, name: 'speed', size: 3, type: 'decimal' }, // km/h
+                { bit: 12, name: 'azimuth', size: 2, type: 'uint' },
+                { bit: 13, name: 'altitude', size: 2, type: 'int' }, // m
+                { bit: 14, name: 'longitude', size: 4, type: 'coordinate' },
+                { bit: 14, name: 'latitude', size: 4, type: 'coordinate' },
+                { bit: 15, name: 'gnssUtcTime', size: 7, type: 'datetime' },
+                { bit: 16, name: 'mcc', size: 2, type: 'code' },
+                { bit: 17, name: 'mnc', size: 2, type: 'code' },
+                { bit: 18, name: 'lac', size: 2, type: 'uint' },
+                { bit: 19, name: 'cellId', size: 4, type: 'uint' },
+                { bit: 20, name: 'reserved', size: 1, type: 'hex' },
+            ],
+            trailer: [
+                { bit: 21, name: 'currentMileage', size: 3, type: 'decimal' }, // km, current trip
+                { bit: 22, name: 'mileage', size: 5, type: 'decimal' }, // km, total
+                { bit: 23, name: 'hourMeterCount', size: 6, type: 'hourMeter' },
+                { name: 'sendTime', size: 7, type: 'datetime' },
+                { name: 'countNumber', size: 2, type: 'uint' },
+                { name: 'checksum', size: 2, type: 'hex' },
+                { name: 'tailCharacters', size: 2, type: 'hex' },
+            ],
+        };
+    }
+
+    /**
+     * Creates a sequential reader over a hex message string.
      * @param {string} hexMessage The full hex message string.
+     * @returns {object} Reader with `offset` (in hex characters) and typed read functions.
+     */
+    _createHexReader(hexMessage) {
+        const reader = {
+            offset: 0,
+            remaining: () => (hexMessage.length - reader.offset) / 2,
+            bytes: (length) => {
+                if (reader.offset + length * 2 > hexMessage.length) {
+                    throw new FrameValidationError(
+                        FRAME_VALIDATION_CODES.TRUNCATED,
+                        `HEX message ends at byte ${hexMessage.length / 2}, expected ${length} more bytes at byte ${reader.offset / 2}`,
+                        {
+                            headerHex: hexMessage.substring(0, 8).toUpperCase(),
+                            expected: length,
+                            actual: reader.remaining(),
+                            rawMessage: hexMessage,
+                            fieldIndex: reader.offset / 2,
+                        }
+                    );
+                }
+                const hex = hexMessage.substring(reader.offset, reader.offset + length * 2).toUpperCase();
+                reader.offset += length * 2;
+                return hex;
+            },
+        };
+        return reader;
+    }
+
+    /**
+     * Decodes one typed field from a HEX reader.
+     * @param {object} reader A reader from _createHexReader.
+     * @param {object} field A field definition from _getHexReportFieldDefinitions.
+     * @returns {*} The decoded value.
+     */
+    _readHexField(reader, field) {
+        const hex = reader.bytes(field.size);
+        switch (field.type) {
+            case 'uint':
+                return this._toNumber(hex, 16);
+            case 'int':
+                return this._hexToSignedDecimal(hex, field.size * 8);
+            case 'tenths':
+                return this._toNumber(hex, 16) / 10;
+            case 'decimal':
+                return this._toNumber(hex.substring(0, hex.length - 2), 16) + this._toNumber(hex.substring(hex.length - 2), 16) / 10;
+            case 'coordinate':
+                return this._hexToSignedDecimal(hex, 32) / 1000000;
+            case 'datetime':
+                return this._parseHexDateTime(hex);
+            case 'ascii':
+                return this._toString(this._hexToAscii(hex).replace(/\0+$/, ''));
+            case 'code':
+                return String(this._toNumber(hex, 16)).padStart(4, '0');
+            case 'uniqueId':
+                return this._parseHexUniqueId(hex);
+            case 'hourMeter': {
+                const hours = this._toNumber(hex.substring(0, 8), 16);
+                const minutes = this._toNumber(hex.substring(8, 10), 16);
+                const seconds = this._toNumber(hex.substring(10, 12), 16);
+                return `${String(hours).padStart(5, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+            }
+            default:
+                return hex;
+        }
+    }
+
+    /**
+     * Decodes the 8-byte HEX Unique ID. IMEIs are sent as BCD digits (e.g. 08 61 97 ...);
+     * anything else is read as a big-endian integer.
+     * @param {string} hex 16 hex characters.
+     * @returns {string|null} The 15-digit IMEI.
+     */
+    _parseHexUniqueId(hex) {
+        if (!hex) return null;
+        if (/^\d{16}$/.test(hex)) {
+            return hex.replace(/^0/, '');
+        }
+        return BigInt(`0x${hex}`).toString().padStart(15, '0');
+    }
+
+    /**
+     * Decodes a mask-driven HEX report (+RSP or +EVT) into the same shape as the ASCII parsers.
+     * @param {string} hexMessage The full hex message string.
+     * @param {'RSP'|'EVT'} kind The report kind; +RSP carries a Report ID/Type byte before Number,
+     *     +EVT the parameters of its event.
      * @returns {object} The parsed message.
      */
-    parseHEXRSP(hexMessage) {
-        let offset = 0;
-        const getHexBytes = (length) => {
-            const hex = hexMessage.substring(offset, offset + length * 2);
-            offset += length * 2;
-            return hex;
+    _parseMaskedHexReport(hexMessage, kind) {
+        const reader = this._createHexReader(hexMessage);
+        const definitions = this._getHexReportFieldDefinitions();
+
+        const header = reader.bytes(4);
+        const messageCode = this._toNumber(reader.bytes(1), 16);
+        const reportMask = reader.bytes(4);
+        const length = this._toNumber(reader.bytes(2), 16);
+        const mask = parseInt(reportMask, 16);
+        const hasBit = (bit) => bit === undefined || ((mask >>> bit) & 1) === 1;
+
+        const readFields = (fields, target) => {
+            for (const field of fields) {
+                if (hasBit(field.bit)) {
+                    target[field.name] = this._readHexField(reader, field);
+                }
+            }
+            return target;
         };
-        const getDecimal = (length) => this._toNumber(getHexBytes(length), 16);
-        const getSignedDecimal = (length, bitLength) => this._hexToSignedDecimal(getHexBytes(length), bitLength);
-        const getFloat = (length, divisor = 1) => this._toNumber(getHexBytes(length), 16, false) / divisor; // For specific float conversions
-        const getAscii = (length) => this._hexToAscii(getHexBytes(length));
 
-        const header = getHexBytes(4); // +RSP
-        const messageType = getDecimal(1); // Message Type (e.g., 0B for GTTOW)
-        const reportMask = getHexBytes(4); // 4 bytes for +RSP Mask (FC 17 BF 00 in example)
-        const length = getDecimal(2);
+        const fields = readFields(definitions.header, {});
 
-        const deviceType = getHexBytes(1); // 5E
-        const protocolVersion = getHexBytes(2);
-        const firmwareVersion = getHexBytes(2);
-        const uniqueId = getHexBytes(8); // IMEI/DeviceName combined for HEX
-        const vin = getAscii(17);
+        let reportIdType = null;
+        if (kind === 'RSP') {
+            reportIdType = this._parseReportIdAndType(reader.bytes(1));
+        }
+        const eventFields = kind === 'EVT' ? readFields(definitions.event[messageCode] || [], {}) : {};
+        const number = this._toNumber(reader.bytes(1), 16);
 
-        // Parameters based on Page 190 Table (+RSP)
-        // Note: Fields are conditional on Report Mask
-        const parsedReport = {
-            messageType: 'HEX_RSP',
+        const positions = [];
+        for (let i = 0; i < number; i++) {
+            positions.push(readFields(definitions.position, {}));
+        }
+
+        const trailer = readFields(definitions.trailer, {});
+
+        const report = {
+            messageType: `HEX_${kind}`,
             hexHeader: header,
-            messageCode: messageType, // This represents the report ID/Type sometimes, needs mapping
-            reportMask: reportMask,
-            length: length,
-            deviceType: deviceType,
-            protocolVersion: protocolVersion,
-            firmwareVersion: firmwareVersion,
-            uniqueId: uniqueId,
-            vin: vin,
-        };
+            messageCode,
+            reportMask,
+            length,
+            protocolVersion: this._parseProtocolVersion(
+                fields.deviceType && fields.protocolVersion ? fields.deviceType + fields.protocolVersion : null
+            ),
+            firmwareVersion: fields.firmwareVersion ?? null,
+            firmwareVersionFormatted: this._formatVersion(fields.firmwareVersion),
+            uniqueId: fields.uniqueId,
+            vin: fields.vin ?? null,
+            deviceName: null,
+            externalPowerVoltage: fields.externalPowerVoltage ?? null,
+            engineRpm: fields.engineRpm ?? null,
+            fuelConsumption: fields.fuelConsumption ?? null,
+            fuelLevelInput: fields.fuelLevelInput ?? null,
+            motionStatus: fields.motionStatus ?? null,
+            satellitesInUse: fields.satellitesInUse ?? null,
+            ...(kind === 'RSP' ? { reportIdType } : {}),
+            ...eventFields,
+            number,
+            // The first position is flattened for parity with the single-position ASCII reports
+            ...this._flattenHexPosition(positions[0], definitions.position),
+            positions,
+            currentMileage: trailer.currentMileage ?? null,
+            mileage: trailer.mileage ?? null,
+            hourMeterCount: trailer.hourMeterCount ?? null,
+            sendTime: trailer.sendTime,
+            countNumber: trailer.countNumber,
+            checksum: trailer.checksum,
+            tailCharacters: trailer.tailCharacters,
+        };
+
+        this._checkHrmMask(report, header, mask);
+        return report;
+    }
+
+    /**
+     * @returns {object} Every position field, null where the position or the field is missing.
+     */
+    _flattenHexPosition(position, definitions) {
+        const flat = {};
+        for (const field of definitions) {
+            flat[field.name] = position && position[field.name] !== undefined ? position[field.name] : null;
+        }
+        return flat;
+    }
 
-        // Example: 2B 52 53 50 0B 00 FC 17 BF 00 94 5E 01 00 01 29 56 40 19 03 33 23 5C 02 30 68 41 08 00 01 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 00 04 60 00 00 18 77 00 00 87 90 00 00 00 00 00 41 89 37 00 00 00 00 00 00 00 00 00 00 07 E3 03 0D 07 20 30 15 26 60 64 0D 0A
-        // This is a simplified parsing. A real parser would need to check each bit in `reportMask`
-        // and conditionally parse the corresponding fields.
-        // For demonstration, let's parse a fixed set from the example.
-
-        // This is where it gets complex. The document lists fields that are present IF the corresponding
-        // bit in the `+RSP Mask` is set.
-        // Since I don't have the full GTHRM mask definition, I'll parse based on common fields presence in the example
-        // (External Power Voltage, Engine RPM, Fuel Consumption, Fuel Level Input, etc.)
-
-        // Based on the example and general parameter order for common position reports (ASCII)
-        // The structure of HEX reports are highly dependent on the masks set by AT+GTHRM.
-        // Without the full GTHRM specification, providing a complete and accurate HEX parser
-        // that dynamically adapts to mask settings is challenging.
-        // I will provide a parser that reads common fields in the expected order based on the example structure.
-
-        // Order as per Page 190-191 table, assuming default mask or a common mask
-        parsedReport.externalPowerVoltage = getDecimal(2);
-        parsedReport.engineRpm = getDecimal(2);
-        parsedReport.fuelConsumption = getFloat(2, 10); // 1 implicit decimal
-        parsedReport.fuelLevelInput = getDecimal(1);
-        parsedReport.motionStatus = getDecimal(1); // Interpreted from HEX
-        parsedReport.satellitesInUse = getDecimal(1);
-        const { reportId, reportType } = this._parseReportIdAndType(getHexBytes(1));
-        parsedReport.reportId = reportId;
-        parsedReport.reportType = reportType;
-        parsedReport.number = getDecimal(1); // Number of GNSS positions (usually 1)
-        parsedReport.gnssAccuracy = getDecimal(1);
-        parsedReport.speed = getFloat(2, 10); // Check if this needs to be signed for negative speed
-        parsedReport.azimuth = getDecimal(2);
-        parsedReport.altitude = getSignedDecimal(2, 16); // Assuming meters, 2 bytes signed
-        parsedReport.longitude = getSignedDecimal(4, 32) / 1000000; // 4 bytes, 6 decimal places
-        parsedReport.latitude = getSignedDecimal(4, 32) / 1000000; // 4 bytes, 6 decimal places
-        parsedReport.gnssUtcTime = this._parseHexDateTime(getHexBytes(7)); // 7 bytes for datetime
-        parsedReport.mcc = getDecimal(2);
-        parsedReport.mnc = getDecimal(2);
-        parsedReport.lac = getDecimal(2);
-        parsedReport.cellId = getDecimal(4); // Can be 4 or 8 in ASCII, usually 4 here.
-        parsedReport.reserved = getHexBytes(2); // 2 bytes Reserved (00 00)
-        parsedReport.mileage = getDecimal(4) / 10; // 4 bytes, 1 implicit decimal km
-
-        // Hour Meter Count (Optional, 6 bytes)
-        // In the example, there are many 00s, implying optional fields not present.
-        // This is a best effort to parse the common fields given the documentation.
-        // For accurate parsing of HEX, the AT+GTHRM configuration would be essential.
-        parsedReport.hourMeterCount = {
-             hours: getDecimal(4), // 4 bytes for hours
-             minutes: getDecimal(1), // 1 byte for minutes
-             seconds: getDecimal(1), // 1 byte for seconds
-        };
-
-        parsedReport.sendTime = this._parseHexDateTime(getHexBytes(7));
-        parsedReport.countNumber = getHexBytes(2); // Kept as hex string for consistency
-        parsedReport.checksum = getHexBytes(2);
-        parsedReport.tailCharacters = getHexBytes(2); // 0D 0A
+    /**
+     * Flags HEX reports whose mask differs from the AT+GTHRM mask configured for the device,
+     * which usually means the configuration was changed outside this server.
+     */
+    _checkHrmMask(report, headerHex, mask) {
+        if (!this.hrmConfig || !report.uniqueId) {
+            return;
+        }
+        const configured = this.hrmConfig.getMask(report.uniqueId, headerHex);
+        if (configured !== null && configured !== mask) {
+            report.maskMismatch = {
+                configured: configured.toString(16).toUpperCase().padStart(8, '0'),
+                received: report.reportMask,
+            };
+        }
+    }
 
-        return parsedReport;
+    /**
+     * Parses HEX RSP message (+RSP), and its buffered resend (+BSP).
+     * @param {string} hexMessage The full hex message string.
+     * @returns {object} The parsed message.
+     */
+    parseHEXRSP(hexMessage) {
+        return this._parseMaskedHexReport(hexMessage, 'RSP');
     }
 
     /**
-     * Parses HEX EVT message (+EVT).
-     * Similar structure to +RSP, but specific to event reports.
+     * Parses HEX EVT message (+EVT), and its buffered resend (+BVT).
+     * Same layout as +RSP without the Report ID/Type byte; event specific
+     * parameters are not part of the masked layout and are not decoded.
      * @param {string} hexMessage The full hex message string.
      * @returns {object} The parsed message.
      */
     parseHEXEVT(hexMessage) {
-        let offset = 0;
-        const getHexBytes = (length) => {
-            const hex = hexMessage.substring(offset, offset + length * 2);
-            offset += length * 2;
-            return hex;
-        };
-        const getDecimal = (length) => this._toNumber(getHexBytes(length), 16);
-        const getSignedDecimal = (length, bitLength) => this._hexToSignedDecimal(getHexBytes(length), bitLength);
-        const getFloat = (length, divisor = 1) => this._toNumber(getHexBytes(length), 16, false) / divisor;
-        const getAscii = (length) => this._hexToAscii(getHexBytes(length));
-
-        const header = getHexBytes(4); // +EVT
-        const messageType = getDecimal(1); // Message Type
-        const reportMask = getHexBytes(4); // +EVT Mask (FFFFFFFF)
-        const length = getDecimal(2);
-
-        const parsedReport = {
-            messageType: 'HEX_EVT',
-            hexHeader: header,
-            messageCode: messageType,
-            reportMask: reportMask,
-            length: length,
-            // ... parse other fields based on the +EVT table (Page 198 onwards)
-            // This is a placeholder and needs full definition based on the EVT Mask bits.
-            // Example from doc: 2B4556544900FC37FF0082... (example for +RESP:GTSVR)
-            deviceType: getHexBytes(1),
-            protocolVersion: getHexBytes(2),
-            firmwareVersion: getHexBytes(2),
-            uniqueId: getHexBytes(8),
-            vin: getAscii(17),
-            externalPowerVoltage: getDecimal(2),
-            motionStatus: getHexBytes(1),
-            satellitesInView: getDecimal(1),
-            svrWorkingState: getDecimal(1), // Specific to GTSVR
-            ghostDeviceMacBroadcast: getHexBytes(6), // Specific to GTSVR
-            svrAppendingLength: getDecimal(1), // Specific to GTSVR
-            svrAppendingInformation: getHexBytes(getDecimal(1)), // Variable length, needs to read length first, not explicitly defined
-            reserved: getHexBytes(1),
-            number: getDecimal(1),
-            gnssAccuracy: getDecimal(1),
-            speed: getFloat(3, 10),
-            azimuth: getDecimal(2),
-            altitude: getSignedDecimal(2, 16),
-            longitude: getSignedDecimal(4, 32) / 1000000,
-            latitude: getSignedDecimal(4, 32) / 1000000,
-            gnssUtcTime: this._parseHexDateTime(getHexBytes(7)),
-            mcc: getDecimal(2),
-            mnc: getDecimal(2),
-            lac: getDecimal(2),
-            cellId: getDecimal(4),
-            reserved2: getHexBytes(1),
-            currentMileage: getFloat(3, 10),
-            totalMileage: getFloat(5, 10),
-            currentHourMeterCount: getHexBytes(3), // HHMMSS format hex
-            totalHourMeterCount: getHexBytes(6), // HHHHHHMMSS hex
-            sendTime: this._parseHexDateTime(getHexBytes(7)),
-            countNumber: getHexBytes(2), // Kept as hex string for consistency
-            checksum: getHexBytes(2),
-            tailCharacters: getHexBytes(2),
-        };
-
-        return parsedReport;
+        return this._parseMaskedHexReport(hexMessage, 'EVT');
     }
 
     /**
@@ -2979,6 +3437,7 @@ parseGTVER(params) {
             return hex;
         };
         const getDecimal = (length) => this._toNumber(getHexBytes(length), 16);
+        const getSignedDecimal = (length, bitLength) => this._hexToSignedDecimal(getHexBytes(length), bitLength);
         const getAscii = (length) => this._hexToAscii(getHexBytes(length));
 
         const header = getHexBytes(4); // +INF
@@ -2995,7 +3454,7 @@ parseGTVER(params) {
             infExpansionMask: infExpansionMask,
             length: length,
             // ... fields based on Page 194-195 table and masks
-            uniqueId: getHexBytes(8),
+            uniqueId: this._parseHexUniqueId(getHexBytes(8)),
             vin: getAscii(17),
             deviceType: getHexBytes(1),
             protocolVersion: getHexBytes(2),
@@ -3026,20 +3485,23 @@ parseGTVER(params) {
             obdConnection: getDecimal(1),
             obdPowerVoltage: getDecimal(2),
             supportedPids: getHexBytes(4),
-            supportedPidsParsed: this._parseSupportedPids(getHexBytes(4)),
             engineRpm: getDecimal(2),
             vehicleSpeed: getDecimal(1),
             engineCoolantTemperature: getSignedDecimal(1, 8),
             fuelConsumption: getDecimal(2),
             milStatus: getDecimal(1),
             numberOfDtcs: getDecimal(1),
-            dtcs: getHexBytes(getDecimal(1) * 2), // Variable, requires previous field value
+        };
+        // Variable, 2 bytes per DTC
+        parsedReport.dtcs = getHexBytes(parsedReport.numberOfDtcs * 2);
+        Object.assign(parsedReport, {
             // Continue parsing based on masks and table
             sendTime: this._parseHexDateTime(getHexBytes(7)),
             countNumber: getHexBytes(2), // Kept as hex string for consistency
             checksum: getHexBytes(2),
             tailCharacters: getHexBytes(2),
-        };
+        });
+        parsedReport.supportedPidsParsed = this._parseSupportedPids(parsedReport.supportedPids);
         return parsedReport;
     }
 
@@ -3062,6 +3524,9 @@ parseGTVER(params) {
         const reportMask = getHexBytes(2); // +HBD Mask (00-FF)
         const length = getDecimal(2);
 
+        const deviceType = getHexBytes(1);
+        const protocolVersion = getHexBytes(2);
+
         const parsedReport = {
             messageType: 'HEX_HBD',
             hexHeader: header,
@@ -3069,10 +3534,10 @@ parseGTVER(params) {
             reportMask: reportMask,
             length: length,
             // ... fields based on Page 224 table and masks
-            deviceType: getHexBytes(1),
-            protocolVersion: getHexBytes(2),
+            deviceType: deviceType,
+            protocolVersion: this._parseProtocolVersion(deviceType + protocolVersion),
             firmwareVersion: getHexBytes(2),
-            uniqueId: getHexBytes(8),
+            uniqueId: this._parseHexUniqueId(getHexBytes(8)),
             sendTime: this._parseHexDateTime(getHexBytes(7)),
             countNumber: getHexBytes(2), // Kept as hex string for consistency
             checksum: getHexBytes(2),
@@ -3105,14 +3570,15 @@ parseGTVER(params) {
         const deviceType = getHexBytes(1);
         const protocolVersion = getHexBytes(2);
         const firmwareVersion = getHexBytes(2);
-        const uniqueId = getHexBytes(8);
+        const uniqueId = this._parseHexUniqueId(getHexBytes(8));
         const vin = getAscii(17);
 
-        const crashStatus = getHexBytes(1); // Single byte hex for status bitmask
+        const crashStatus = this._parseCrashStatus(getHexBytes(1)); // Single byte status bitmask
         const totalFrame = getDecimal(1);
         const frameNumber = getDecimal(1);
 
-        const dataHex = hexMessage.substring(offset, hexMessage.length - (2 + 2) * 2); // Data is until checksum and tail
+        // Data runs up to the send time, count number, checksum and tail
+        const dataHex = hexMessage.substring(offset, hexMessage.length - (7 + 2 + 2 + 2) * 2);
         const accelerationSamples = [];
 
         let dataOffset = 0;
@@ -3145,7 +3611,7 @@ parseGTVER(params) {
             firmwareVersion: firmwareVersion,
             uniqueId: uniqueId,
             vin: vin,
-            crashStatus: crashStatus, // Raw hex for now, could be parsed into object
+            crashStatus: crashStatus,
             totalFrame: totalFrame,
             frameNumber: frameNumber,
             accelerationSamples: accelerationSamples,
@@ -3188,12 +3654,12 @@ parseGTVER(params) {
             deviceType: getHexBytes(1),
             protocolVersion: getHexBytes(2),
             firmwareVersion: getHexBytes(2),
-            uniqueId: getHexBytes(8),
+            uniqueId: this._parseHexUniqueId(getHexBytes(8)),
             vin: getAscii(17),
             // ... fields based on Page 229-231 table (+OBD)
             reportType: getDecimal(1), // XY for OSM, 0 for GTOBD
             obdReportMask: getHexBytes(4), // Redundant with main reportMask, but exists in table
-            vin2: getAscii(17), // VIN again in table, might be conditional
+            obdVin: getAscii(17), // VIN read from the vehicle, as in ASCII GTOBD
             obdConnection: getDecimal(1),
             obdPowerVoltage: getDecimal(2),
             supportedPids: getHexBytes(4),
@@ -3203,7 +3669,10 @@ parseGTVER(params) {
             fuelConsumption: getFloat(2, 10), // 1 implicit decimal
             milStatus: getDecimal(1),
             numberOfDtcs: getDecimal(1),
-            // dtcs: variable length based on numberOfDtcs
+        };
+        // 2 bytes per DTC, the same digits as the ASCII DTC list
+        parsedReport.diagnosticTroubleCodes = this._parseDtcCodes(getHexBytes(parsedReport.numberOfDtcs * 2), parsedReport.numberOfDtcs);
+        Object.assign(parsedReport, {
             dtcsClearedDistance: getDecimal(2),
             milActivatedDistance: getDecimal(2),
             throttlePosition: getDecimal(1),
@@ -3230,7 +3699,9 @@ parseGTVER(params) {
             countNumber: getHexBytes(2), // Kept as hex string for consistency
             checksum: getHexBytes(2),
             tailCharacters: getHexBytes(2),
-        };
+        });
+        parsedReport.supportedPidsParsed = this._parseSupportedPids(parsedReport.supportedPids);
+        parsedReport.outOfRange = validateObdValues(parsedReport);
         return parsedReport;
     }
 
@@ -3263,7 +3734,7 @@ parseGTVER(params) {
             deviceType: getHexBytes(1),
             protocolVersion: getHexBytes(2),
             firmwareVersion: getHexBytes(2),
-            uniqueId: getHexBytes(8),
+            uniqueId: this._parseHexUniqueId(getHexBytes(8)),
             // ... fields based on Page 228-229 table and masks
             // This needs the ATI Mask bits to dynamically parse.
             // For example, if Bit 0 of ATI Mask is set, Firmware Version is included.
@@ -3286,9 +3757,4 @@ parseGTVER(params) {
 }
 
 // Export the parser for use
-// For example:
-const parser = new QueclinkParser();
-const parsedData = parser.parse("+RESP:GTOSM,5E0500,861971050198167,MZBEU812TRN617180,GV500MAP,6,1,71FFFF,MZBEU812TRN617180,1,13553,903A81C0,1108,44,,4.7,10758,0,0,0,,17,17,,33,0,18.4,117,538.9,78.409098,17.403438,20250619151140,0404,0049,4F29,9813,00,7.5,20250619204140,0C0A$");
-console.log(parsedData);
-
 export default QueclinkParser;
\ No newline at end of file
@@ -0,0 +1,691 @@
+/**
+ * @fileoverview JT/T 808 codec for the GS22 device.
+ * A frame on the wire is
+ *   0x7E <header> <body> <check code> 0x7E
+ * where 0x7E and 0x7D inside the frame are escaped as 0x7D 0x02 and 0x7D 0x01,
+ * and the check code is the XOR of every header and body byte.
+ *
+ * Both header variants are supported: JT/T 808-2013 (6-byte BCD phone number)
+ * and JT/T 808-2019 (version flag set, protocol version byte, 10-byte BCD
+ * phone number). Long bodies may be split into subpackages, which the parser
+ * reassembles before decoding.
+ */
+
+import { Buffer } from 'buffer';
+
+export const START_END_BYTE = 0x7E;
+const ESCAPE_BYTE = 0x7D;
+
+// An escaped frame of the largest body (0x3FF bytes) fits with room to spare
+export const DEFAULT_MAX_BUFFER_SIZE = 4 * 1024;
+
+export const MESSAGE_IDS = Object.freeze({
+    TERMINAL_GENERAL_RESPONSE: 0x0001,
+    HEARTBEAT: 0x0002,
+    TERMINAL_REGISTER: 0x0100,
+    TERMINAL_AUTH: 0x0102,
+    LOCATION_REPORT: 0x0200,
+    PLATFORM_GENERAL_RESPONSE: 0x8001,
+    TERMINAL_REGISTER_RESPONSE: 0x8100,
+});
+
+// Result codes of 0x8001 (platform general response)
+export const GENERAL_RESULTS = Object.freeze({
+    SUCCESS: 0,
+    FAILURE: 1,
+    MESSAGE_ERROR: 2,
+    NOT_SUPPORTED: 3,
+    ALARM_CONFIRMED: 4,
+});
+
+// Result codes of 0x8100 (terminal register response)
+export const REGISTER_RESULTS = Object.freeze({
+    SUCCESS: 0,
+    VEHICLE_REGISTERED: 1,
+    VEHICLE_NOT_IN_DATABASE: 2,
+    TERMINAL_REGISTERED: 3,
+    TERMINAL_NOT_IN_DATABASE: 4,
+});
+
+/**
+ * Converts a hex string (spaces allowed) to bytes.
+ * @param {string} hex The hex string, e.g. "7e0100...".
+ * @returns {Buffer}
+ */
+export function hexToBytes(hex) {
+    const clean = String(hex).replace(/\s+/g, '');
+    if (clean.length % 2 !== 0 || !/^[0-9A-Fa-f]*$/.test(clean)) {
+        throw new ProtocolError('INVALID_HEX', 'Hex string must contain an even number of hex digits');
+    }
+    return Buffer.from(clean, 'hex');
+}
+
+export class ProtocolError extends Error {
+    /**
+     * @param {string} code A short machine-readable reason (e.g. 'CHECKSUM_MISMATCH').
+     * @param {string} message What is wrong.
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code;
+    }
+}
+
+/**
+ * Subpackage information, present when bit 13 of the body properties is set.
+ */
+export class MessagePacketPackageItems {
+    /**
+     * @param {number} totalPackets Total number of subpackages.
+     * @param {number} packetNumber This subpackage, starting at 1.
+     */
+    constructor(totalPackets, packetNumber) {
+        this.totalPackets = totalPackets;
+        this.packetNumber = packetNumber;
+    }
+
+    toString() {
+        return `${this.packetNumber}/${this.totalPackets}`;
+    }
+}
+
+export class MessageHeader {
+    /**
+     * @param {object} fields
+     * @param {number} fields.messageId The message ID (e.g. 0x0100).
+     * @param {number} fields.bodyLength The body length from the body properties.
+     * @param {number} fields.encryption The 3 encryption bits (0: none, 1: RSA).
+     * @param {boolean} fields.isSubpackage Whether package items follow the header.
+     * @param {boolean} fields.is2019 Whether the JT/T 808-2019 version flag is set.
+     * @param {number|null} fields.protocolVersion The 2019 protocol version byte.
+     * @param {string} fields.phoneNumber The terminal phone number, leading zeros trimmed.
+     * @param {number} fields.serialNumber The message serial number.
+     * @param {MessagePacketPackageItems|null} fields.packageItems Subpackage information.
+     */
+    constructor({ messageId, bodyLength, encryption = 0, isSubpackage = false, is2019 = false, protocolVersion = null, phoneNumber, serialNumber, packageItems = null }) {
+        this.messageId = messageId;
+        this.bodyLength = bodyLength;
+        this.encryption = encryption;
+        this.isSubpackage = isSubpackage;
+        this.is2019 = is2019;
+        this.protocolVersion = protocolVersion;
+        this.phoneNumber = phoneNumber;
+        this.serialNumber = serialNumber;
+        this.packageItems = packageItems;
+    }
+
+    /**
+     * @returns {number} The header size in bytes.
+     */
+    get size() {
+        return (this.is2019 ? 17 : 12) + (this.isSubpackage ? 4 : 0);
+    }
+
+    toString() {
+        return [
+            `Message ID: 0x${this.messageId.toString(16).padStart(4, '0')}`,
+            `Protocol: ${this.is2019 ? `2019 (version ${this.protocolVersion})` : '2013'}`,
+            `Mobile No: ${this.phoneNumber}`,
+            `Serial No: ${this.serialNumber}`,
+            `Body Length: ${this.bodyLength}`,
+            ...(this.packageItems ? [`Package: ${this.packageItems}`] : []),
+        ].join('\n');
+    }
+}
+
+/**
+ * A decoded frame. Messages without a dedicated class keep their raw body.
+ */
+export class ProtocolMessage {
+    /**
+     * @param {MessageHeader} header The decoded header.
+     * @param {Buffer} body The (reassembled) message body.
+     * @param {number} checksum The check code of the last frame.
+     */
+    constructor(header, body, checksum) {
+        this.header = header;
+        this.body = body;
+        this.checksum = checksum;
+        // False for a subpackage still waiting for the rest of its message
+        this.complete = true;
+    }
+
+    get messageId() {
+        return this.header.messageId;
+    }
+
+    toString() {
+        return `${this.header}\nBody: ${this.body.toString('hex')}`;
+    }
+}
+
+/**
+ * 0x0100 Terminal registration.
+ */
+export class TerminalRegisterMessage extends ProtocolMessage {
+    constructor(header, body, checksum) {
+        super(header, body, checksum);
+        // 2019 widens the manufacturer, model and terminal ID fields
+        const [manufacturerSize, modelSize, terminalIdSize] = header.is2019 ? [11, 30, 30] : [5, 20, 7];
+        const reader = new BodyReader(body);
+
+        this.provinceId = reader.uint16();
+        this.cityId = reader.uint16();
+        this.manufacturerId = reader.string(manufacturerSize);
+        this.terminalModel = reader.string(modelSize);
+        this.terminalId = reader.string(terminalIdSize);
+        this.plateColor = reader.uint8();
+        this.plateNumber = reader.string(reader.remaining);
+    }
+
+    toString() {
+        return [
+            super.toString(),
+            `Province ID: ${this.provinceId}`,
+            `City ID: ${this.cityId}`,
+            `Manufacturer ID: ${this.manufacturerId}`,
+            `Terminal Model: ${this.terminalModel}`,
+            `Terminal ID: ${this.terminalId}`,
+            `Plate Color: ${this.plateColor}`,
+            `Plate Number: ${this.plateNumber}`,
+        ].join('\n');
+    }
+}
+
+/**
+ * 0x0102 Terminal authentication.
+ */
+export class TerminalAuthMessage extends ProtocolMessage {
+    constructor(header, body, checksum) {
+        super(header, body, checksum);
+        const reader = new BodyReader(body);
+
+        if (header.is2019) {
+            this.authCode = reader.string(reader.uint8());
+            this.imei = reader.string(15);
+            this.softwareVersion = reader.string(20);
+        } else {
+            this.authCode = reader.string(reader.remaining);
+            this.imei = null;
+            this.softwareVersion = null;
+        }
+    }
+
+    toString() {
+        return `${super.toString()}\nAuth Code: ${this.authCode}`;
+    }
+}
+
+/**
+ * 0x0002 Terminal heartbeat. The body is empty.
+ */
+export class HeartbeatMessage extends ProtocolMessage {}
+
+// Location additional information items: ID -> [name, decoder]
+const LOCATION_ADDITIONAL_ITEMS = {
+    0x01: ['mileageKm', value => value.readUInt32BE(0) / 10],
+    0x02: ['fuelLiters', value => value.readUInt16BE(0) / 10],
+    0x03: ['recorderSpeedKmh', value => value.readUInt16BE(0) / 10],
+    0x04: ['alarmEventId', value => value.readUInt16BE(0)],
+    0x25: ['vehicleSignalStatus', value => value.readUInt32BE(0)],
+    0x2A: ['ioStatus', value => value.readUInt16BE(0)],
+    0x2B: ['analogQuantity', value => value.readUInt32BE(0)],
+    0x30: ['signalStrength', value => value.readUInt8(0)],
+    0x31: ['satellites', value => value.readUInt8(0)],
+};
+
+/**
+ * 0x0200 Location report.
+ */
+export class LocationReportMessage extends ProtocolMessage {
+    constructor(header, body, checksum) {
+        super(header, body, checksum);
+        const reader = new BodyReader(body);
+
+        this.alarmFlags = reader.uint32();
+        this.statusFlags = reader.uint32();
+        const latitude = reader.uint32() / 1000000;
+        const longitude = reader.uint32() / 1000000;
+        this.altitude = reader.uint16(); // m
+        this.speed = reader.uint16() / 10; // km/h
+        this.direction = reader.uint16(); // 0-359, 0 is north
+        this.time = parseBcdTime(reader.bytes(6));
+
+        this.accOn = (this.statusFlags & 0x1) !== 0;
+        this.positioned = (this.statusFlags & 0x2) !== 0;
+        this.latitude = this.statusFlags & 0x4 ? -latitude : latitude;
+        this.longitude = this.statusFlags & 0x8 ? -longitude : longitude;
+
+        // Additional information items: ID (1 byte), length (1 byte), value
+        this.additionalItems = [];
+        this.additional = {};
+        while (reader.remaining >= 2) {
+            const id = reader.uint8();
+            const value = reader.bytes(Math.min(reader.uint8(), reader.remaining));
+            const known = LOCATION_ADDITIONAL_ITEMS[id];
+            let decoded = null;
+            if (known) {
+                try {
+                    decoded = known[1](value);
+                    this.additional[known[0]] = decoded;
+                } catch (e) {
+                    // Item shorter than its definition; keep the raw value only
+                }
+            }
+            this.additionalItems.push({ id, name: known ? known[0] : null, raw: value.toString('hex'), value: decoded });
+        }
+    }
+
+    toString() {
+        return [
+            super.toString(),
+            `Time: ${this.time ? this.time.toISOString() : null}`,
+            `Position: ${this.latitude}, ${this.longitude} (${this.positioned ? 'fixed' : 'not fixed'})`,
+            `Speed: ${this.speed} km/h, Direction: ${this.direction}, Altitude: ${this.altitude} m`,
+            `ACC: ${this.accOn ? 'on' : 'off'}, Alarm: 0x${this.alarmFlags.toString(16)}, Status: 0x${this.statusFlags.toString(16)}`,
+            ...this.additionalItems.map(item => `Item 0x${item.id.toString(16).padStart(2, '0')}${item.name ? ` ${item.name}` : ''}: ${item.value ?? item.raw}`),
+        ].join('\n');
+    }
+}
+
+const MESSAGE_CLASSES = {
+    [MESSAGE_IDS.TERMINAL_REGISTER]: TerminalRegisterMessage,
+    [MESSAGE_IDS.TERMINAL_AUTH]: TerminalAuthMessage,
+    [MESSAGE_IDS.HEARTBEAT]: HeartbeatMessage,
+    [MESSAGE_IDS.LOCATION_REPORT]: LocationReportMessage,
+};
+
+/**
+ * Decodes and encodes JT/T 808 frames. Keep one parser per connection: it
+ * buffers partial frames, reassembles subpackages and numbers outgoing messages.
+ */
+export class ProtocolParser {
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxBufferSize] Maximum number of bytes kept while waiting for a frame to complete.
+     * @param {function(string, Buffer): void} [options.onDiscard] Called with a reason and the dropped bytes
+     *        whenever data has to be thrown away (bytes outside a frame or buffer overflow).
+     */
+    constructor({ maxBufferSize = DEFAULT_MAX_BUFFER_SIZE, onDiscard = null } = {}) {
+        this.maxBufferSize = maxBufferSize;
+        this.onDiscard = onDiscard;
+        this.buffer = Buffer.alloc(0);
+        this.discardedBytes = 0;
+        this.subpackages = new Map(); // `${phone}:${messageId}` -> Map(packetNumber -> body)
+        this.nextSerialNumber = 0;
+    }
+
+    /**
+     * Appends received bytes and returns the complete frames, 0x7E delimiters included.
+     * @param {Buffer} chunk Bytes read from the socket.
+     * @returns {Buffer[]} The complete frames.
+     */
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        const frames = [];
+
+        for (;;) {
+            const start = this.buffer.indexOf(START_END_BYTE);
+            if (start === -1) {
+                this._discard('no-frame-start', this.buffer.length);
+                break;
+            }
+            this._discard('no-frame-start', start);
+            const end = this.buffer.indexOf(START_END_BYTE, 1);
+            if (end === -1) {
+                break;
+            }
+            if (end === 1) {
+                // Two delimiters in a row: the first closed a frame we never saw the start of
+                this._discard('no-frame-start', 1);
+                continue;
+            }
+            frames.push(Buffer.from(this.buffer.subarray(0, end + 1)));
+            this.buffer = this.buffer.subarray(end + 1);
+        }
+
+        if (this.buffer.length > this.maxBufferSize) {
+            this._discard('overflow', this.buffer.length);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Removes bytes from the front of the buffer and reports them.
+     * @param {string} reason Why the bytes are dropped.
+     * @param {number} count Number of bytes to drop.
+     */
+    _discard(reason, count) {
+        if (count === 0) {
+            return;
+        }
+        const dropped = this.buffer.subarray(0, count);
+        this.buffer = this.buffer.subarray(count);
+        this.discardedBytes += dropped.length;
+        if (this.onDiscard) {
+            this.onDiscard(reason, Buffer.from(dropped));
+        }
+    }
+
+    /**
+     * Decodes one frame.
+     * @param {Buffer|Uint8Array} frame The frame, with or without the 0x7E delimiters.
+     * @returns {ProtocolMessage} The decoded message; `complete` is false for a subpackage that is not the last one.
+     * @throws {ProtocolError} If the frame is malformed or its check code is wrong.
+     */
+    parse(frame) {
+        let data = Buffer.from(frame);
+        if (data[0] === START_END_BYTE && data[data.length - 1] === START_END_BYTE) {
+            data = data.subarray(1, -1);
+        }
+        data = this.unescape(data);
+
+        if (data.length < 13) {
+            throw new ProtocolError('FRAME_TOO_SHORT', `Frame has ${data.length} bytes, a header and check code need at least 13`);
+        }
+
+        const checksum = data[data.length - 1];
+        const content = data.subarray(0, -1);
+        const computed = this.checksum(content);
+        if (computed !== checksum) {
+            throw new ProtocolError('CHECKSUM_MISMATCH', `Check code 0x${hex8(checksum)} does not match computed 0x${hex8(computed)}`);
+        }
+
+        const header = this._parseHeader(content);
+        const body = content.subarray(header.size);
+        if (body.length !== header.bodyLength) {
+            throw new ProtocolError('BODY_LENGTH_MISMATCH', `Header declares a ${header.bodyLength}-byte body, frame has ${body.length}`);
+        }
+
+        if (header.isSubpackage) {
+            const merged = this._collectSubpackage(header, body);
+            if (!merged) {
+                const fragment = new ProtocolMessage(header, Buffer.from(body), checksum);
+                fragment.complete = false;
+                return fragment;
+            }
+            return this._createMessage(header, merged, checksum);
+        }
+
+        return this._createMessage(header, Buffer.from(body), checksum);
+    }
+
+    /**
+     * Encodes a platform message into a frame ready to write to the socket.
+     * @param {number} messageId The message ID (e.g. 0x8001).
+     * @param {Buffer} body The message body.
+     * @param {object} target
+     * @param {string} target.phoneNumber The terminal phone number.
+     * @param {boolean} [target.is2019] Use the JT/T 808-2019 header.
+     * @param {number} [target.protocolVersion] The 2019 protocol version byte.
+     * @returns {Buffer} The escaped frame, 0x7E delimiters included.
+     */
+    encode(messageId, body, { phoneNumber, is2019 = false, protocolVersion = 1 }) {
+        if (body.length > 0x3FF) {
+            throw new ProtocolError('BODY_TOO_LONG', `Body of ${body.length} bytes needs subpackaging, which encode() does not do`);
+        }
+
+        const header = Buffer.alloc(is2019 ? 17 : 12);
+        let offset = 0;
+        header.writeUInt16BE(messageId, offset);
+        header.writeUInt16BE(body.length | (is2019 ? 0x4000 : 0), offset + 2);
+        offset += 4;
+        if (is2019) {
+            header.writeUInt8(protocolVersion, offset++);
+        }
+        const phone = toBcd(phoneNumber, is2019 ? 10 : 6);
+        phone.copy(header, offset);
+        offset += phone.length;
+        header.writeUInt16BE(this._allocateSerialNumber(), offset);
+
+        const content = Buffer.concat([header, body]);
+        const escaped = this.escape(Buffer.concat([content, Buffer.from([this.checksum(content)])]));
+        return Buffer.concat([Buffer.from([START_END_BYTE]), escaped, Buffer.from([START_END_BYTE])]);
+    }
+
+    /**
+     * Encodes 0x8001 (platform general response) to a terminal message.
+     * @param {ProtocolMessage} message The message being answered.
+     * @param {number} [result] One of GENERAL_RESULTS.
+     * @returns {Buffer} The frame.
+     */
+    encodeGeneralResponse(message, result = GENERAL_RESULTS.SUCCESS) {
+        const body = Buffer.alloc(5);
+        body.writeUInt16BE(message.header.serialNumber, 0);
+        body.writeUInt16BE(message.header.messageId, 2);
+        body.writeUInt8(result, 4);
+        return this.encode(MESSAGE_IDS.PLATFORM_GENERAL_RESPONSE, body, this._replyTarget(message));
+    }
+
+    /**
+     * Encodes 0x8100 (terminal register response).
+     * @param {TerminalRegisterMessage} message The registration being answered.
+     * @param {number} result One of REGISTER_RESULTS.
+     * @param {string} [authCode] The authentication code, sent only on success.
+     * @returns {Buffer} The frame.
+     */
+    encodeRegisterResponse(message, result, authCode = '') {
+        const head = Buffer.alloc(3);
+        head.writeUInt16BE(message.header.serialNumber, 0);
+        head.writeUInt8(result, 2);
+        const code = result === REGISTER_RESULTS.SUCCESS ? Buffer.from(authCode, 'ascii') : Buffer.alloc(0);
+        return this.encode(MESSAGE_IDS.TERMINAL_REGISTER_RESPONSE, Buffer.concat([head, code]), this._replyTarget(message));
+    }
+
+    /**
+     * Reverses the transmission escaping: 0x7D 0x02 -> 0x7E, 0x7D 0x01 -> 0x7D.
+     * @param {Buffer} data The escaped bytes, without delimiters.
+     * @returns {Buffer}
+     */
+    unescape(data) {
+        const out = [];
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] === ESCAPE_BYTE && i + 1 < data.length && (data[i + 1] === 0x01 || data[i + 1] === 0x02)) {
+                out.push(data[i + 1] === 0x02 ? START_END_BYTE : ESCAPE_BYTE);
+                i++;
+            } else {
+                out.push(data[i]);
+            }
+        }
+        return Buffer.from(out);
+    }
+
+    /**
+     * Applies the transmission escaping: 0x7E -> 0x7D 0x02, 0x7D -> 0x7D 0x01.
+     * @param {Buffer} data The raw bytes, without delimiters.
+     * @returns {Buffer}
+     */
+    escape(data) {
+        const out = [];
+        for (const byte of data) {
+            if (byte === START_END_BYTE) {
+                out.push(ESCAPE_BYTE, 0x02);
+            } else if (byte === ESCAPE_BYTE) {
+                out.push(ESCAPE_BYTE, 0x01);
+            } else {
+                out.push(byte);
+            }
+        }
+        return Buffer.from(out);
+    }
+
+    /**
+     * @param {Buffer} data Header and body.
+     * @returns {number} The XOR check code.
+     */
+    checksum(data) {
+        let code = 0;
+        for (const byte of data) {
+            code ^= byte;
+        }
+        return code;
+    }
+
+    _parseHeader(data) {
+        const messageId = data.readUInt16BE(0);
+        const properties = data.readUInt16BE(2);
+        const is2019 = (properties & 0x4000) !== 0;
+        const isSubpackage = (properties & 0x2000) !== 0;
+
+        let offset = 4;
+        let protocolVersion = null;
+        if (is2019) {
+            protocolVersion = data.readUInt8(offset++);
+        }
+        const phoneSize = is2019 ? 10 : 6;
+        if (data.length < offset + phoneSize + 2 + (isSubpackage ? 4 : 0)) {
+            throw new ProtocolError('FRAME_TOO_SHORT', 'Frame ends inside the message header');
+        }
+        const phoneNumber = fromBcd(data.subarray(offset, offset + phoneSize)).replace(/^0+(?=\d)/, '');
+        offset += phoneSize;
+        const serialNumber = data.readUInt16BE(offset);
+        offset += 2;
+
+        let packageItems = null;
+        if (isSubpackage) {
+            packageItems = new MessagePacketPackageItems(data.readUInt16BE(offset), data.readUInt16BE(offset + 2));
+        }
+
+        return new MessageHeader({
+            messageId,
+            bodyLength: properties & 0x3FF,
+            encryption: (properties >> 10) & 0x7,
+            isSubpackage,
+            is2019,
+            protocolVersion,
+            phoneNumber,
+            serialNumber,
+            packageItems,
+        });
+    }
+
+    /**
+     * Stores one subpackage body.
+     * @returns {Buffer|null} The reassembled body once every subpackage has arrived.
+     */
+    _collectSubpackage(header, body) {
+        const { totalPackets, packetNumber } = header.packageItems;
+        const key = `${header.phoneNumber}:${header.messageId}`;
+
+        // A new first packet means the previous message was abandoned
+        if (packetNumber === 1 || !this.subpackages.has(key)) {
+            this.subpackages.set(key, new Map());
+        }
+        const packets = this.subpackages.get(key);
+        packets.set(packetNumber, Buffer.from(body));
+
+        if (packets.size < totalPackets) {
+            return null;
+        }
+        this.subpackages.delete(key);
+
+        const parts = [];
+        for (let number = 1; number <= totalPackets; number++) {
+            if (!packets.has(number)) {
+                throw new ProtocolError('SUBPACKAGE_MISSING', `Subpackage ${number}/${totalPackets} of 0x${header.messageId.toString(16)} never arrived`);
+            }
+            parts.push(packets.get(number));
+        }
+        return Buffer.concat(parts);
+    }
+
+    _createMessage(header, body, checksum) {
+        const MessageClass = MESSAGE_CLASSES[header.messageId] || ProtocolMessage;
+        try {
+            return new MessageClass(header, body, checksum);
+        } catch (e) {
+            if (e instanceof ProtocolError) {
+                throw e;
+            }
+            throw new ProtocolError('BODY_MALFORMED', `Cannot decode 0x${header.messageId.toString(16).padStart(4, '0')} body: ${e.message}`);
+        }
+    }
+
+    _replyTarget(message) {
+        return {
+            phoneNumber: message.header.phoneNumber,
+            is2019: message.header.is2019,
+            protocolVersion: message.header.protocolVersion ?? undefined,
+        };
+    }
+
+    _allocateSerialNumber() {
+        const serial = this.nextSerialNumber;
+        this.nextSerialNumber = (this.nextSerialNumber + 1) & 0xFFFF;
+        return serial;
+    }
+}
+
+/**
+ * Sequential reader over a message body.
+ */
+class BodyReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.buffer.length - this.offset;
+    }
+
+    bytes(length) {
+        if (length > this.remaining) {
+            throw new ProtocolError('BODY_TOO_SHORT', `Body ends at byte ${this.buffer.length}, expected ${length} more bytes at byte ${this.offset}`);
+        }
+        const bytes = this.buffer.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+
+    uint8() {
+        return this.bytes(1).readUInt8(0);
+    }
+
+    uint16() {
+        return this.bytes(2).readUInt16BE(0);
+    }
+
+    uint32() {
+        return this.bytes(4).readUInt32BE(0);
+    }
+
+    // Text fields are GBK and padded with NUL bytes
+    string(length) {
+        return gbkDecoder.decode(this.bytes(length)).replace(/\0+$/, '').trim();
+    }
+}
+
+const gbkDecoder = new TextDecoder('gbk');
+
+function hex8(value) {
+    return value.toString(16).padStart(2, '0');
+}
+
+function fromBcd(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+function toBcd(digits, size) {
+    const text = String(digits).replace(/\D/g, '').padStart(size * 2, '0');
+    if (text.length > size * 2) {
+        throw new ProtocolError('PHONE_TOO_LONG', `Phone number ${digits} does not fit in ${size} BCD bytes`);
+    }
+    return Buffer.from(text, 'hex');
+}
+
+// YYMMDDhhmmss in BCD, GMT+8
+function parseBcdTime(bytes) {
+    const digits = fromBcd(bytes);
+    if (!/^\d{12}$/.test(digits)) {
+        return null;
+    }
+    const [year, month, day, hour, minute, second] = digits.match(/\d{2}/g).map(Number);
+    const date = new Date(Date.UTC(2000 + year, month - 1, day, hour - 8, minute, second));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export default ProtocolParser;
@@ -1,8 +1,25 @@
 import net from 'net';
 import dotenv from 'dotenv';
-//import { frontendSocket, frontendServer } from './flutter-client.js';
 
 import QueclinkParser from './parser.js';
+import { QueclinkFramer } from './queclink-framer.js';
+import { SessionManager } from './session-manager.js';
+import { SackResponder, SACK_MODES } from './sack-responder.js';
+import { CommandBuilder } from './command-builder.js';
+import { CommandDispatcher } from './command-dispatcher.js';
+import { HrmConfigStore } from './hrm-config.js';
+import { DeviceGroupRegistry } from './device-groups.js';
+import { DeviceConfigStore } from './config-store.js';
+import { diffConfig, planRemediation, describeDrift } from './config-drift.js';
+import { CrashAssembler } from './crash-assembler.js';
+import { TripBuilder } from './trip-builder.js';
+import { DtcTracker } from './dtc-tracker.js';
+import { GeofenceEngine } from './geofence-engine.js';
+import { RuleEngine } from './rule-engine.js';
+import { openStorage, storageOptionsFromEnv, BatchWriter, toDeadLetterRow, toConfigSnapshotRow, fromConfigSnapshotRow } from './storage.js';
+import { FrameArchive } from './frame-archive.js';
+import { FrontendGateway } from './frontend-gateway.js';
+import { ApiServer } from './api-server.js';
 
 
 // Load environment variables
@@ -14,6 +31,271 @@ const DEVICE_PORT = process.env.DEVICE_PORT || 9001;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const SEND_TEST_DATA = process.env.SEND_TEST_DATA === 'true' || NODE_ENV === 'development';
 
+// === Framing limits ===
+const MAX_FRAME_BUFFER = parseInt(process.env.MAX_FRAME_BUFFER, 10) || undefined;
+
+// === Server acknowledgement (+SACK) ===
+const SACK_MODE = process.env.SACK_MODE || SACK_MODES.ALL;
+const SACK_DEVICE_MODES = SackResponder.parseDeviceModes(process.env.SACK_DEVICE_MODES);
+const SACK_DEAD_LETTERS = process.env.SACK_DEAD_LETTERS !== 'false';
+
+// === Outbound AT commands ===
+const DEVICE_PASSWORD = process.env.DEVICE_PASSWORD || undefined;
+const COMMAND_ACK_TIMEOUT_MS = parseInt(process.env.COMMAND_ACK_TIMEOUT_MS, 10) || undefined;
+const COMMAND_MAX_RETRIES = parseInt(process.env.COMMAND_MAX_RETRIES, 10);
+
+// === Configuration drift ===
+const DEVICE_GROUPS_FILE = process.env.DEVICE_GROUPS_FILE;
+const CONFIG_AUTO_REMEDIATE = process.env.CONFIG_AUTO_REMEDIATE === 'true';
+const CONFIG_REFRESH_HOURS = parseFloat(process.env.CONFIG_REFRESH_HOURS) || 24;
+
+// === Crash reconstruction ===
+const CRASH_FRAME_TIMEOUT_MS = parseInt(process.env.CRASH_FRAME_TIMEOUT_MS, 10) || undefined;
+const CRASH_SAMPLE_RATE_HZ = parseFloat(process.env.CRASH_SAMPLE_RATE_HZ) || undefined;
+
+// === Server-side geofences ===
+const GEOFENCES_FILE = process.env.GEOFENCES_FILE;
+const GEOFENCE_HYSTERESIS_M = parseFloat(process.env.GEOFENCE_HYSTERESIS_M) || undefined;
+const GEOFENCE_DWELL_MS = parseInt(process.env.GEOFENCE_DWELL_MS, 10) || undefined;
+
+// === Alert rules ===
+const RULES_FILE = process.env.RULES_FILE;
+
+// === Report storage ===
+const DB_BATCH_SIZE = parseInt(process.env.DB_BATCH_SIZE, 10) || undefined;
+const DB_FLUSH_MS = parseInt(process.env.DB_FLUSH_MS, 10) || undefined;
+
+// === Raw frame archive ===
+const FRAME_ARCHIVE_DIR = process.env.FRAME_ARCHIVE_DIR || 'archive';
+const FRAME_ARCHIVE_MAX_MB = parseFloat(process.env.FRAME_ARCHIVE_MAX_MB) || 64;
+
+// === Frontend gateway (dispatch, Flutter app, wallboards) ===
+const CLIENT_PORT = parseInt(process.env.CLIENT_PORT, 10) || 9500;
+const CLIENT_WS_PORT = parseInt(process.env.CLIENT_WS_PORT, 10) || 9501;
+
+// === Query API ===
+const API_PORT = parseInt(process.env.API_PORT, 10) || 8080;
+const API_TOKEN = process.env.API_TOKEN || null;
+
+const hrmConfig = new HrmConfigStore();
+const deviceGroups = DEVICE_GROUPS_FILE ? DeviceGroupRegistry.fromFile(DEVICE_GROUPS_FILE) : new DeviceGroupRegistry();
+const configStore = new DeviceConfigStore();
+const crashAssembler = new CrashAssembler({ timeoutMs: CRASH_FRAME_TIMEOUT_MS, sampleRateHz: CRASH_SAMPLE_RATE_HZ });
+const tripBuilder = new TripBuilder();
+const dtcTracker = new DtcTracker();
+const geofenceOptions = { groups: deviceGroups, hysteresisM: GEOFENCE_HYSTERESIS_M, dwellMs: GEOFENCE_DWELL_MS };
+const geofences = GEOFENCES_FILE ? GeofenceEngine.fromFile(GEOFENCES_FILE, geofenceOptions) : new GeofenceEngine(geofenceOptions);
+const rules = RULES_FILE ? RuleEngine.fromFile(RULES_FILE, { groups: deviceGroups }) : new RuleEngine({ groups: deviceGroups });
+const storage = await openStorage(storageOptionsFromEnv());
+const frameArchive = FRAME_ARCHIVE_DIR === 'none' ? null : new FrameArchive({ directory: FRAME_ARCHIVE_DIR, prefix: 'queclink', maxFileBytes: FRAME_ARCHIVE_MAX_MB * 1024 * 1024 });
+const gateway = new FrontendGateway({ tcpPort: CLIENT_PORT, wsPort: CLIENT_WS_PORT, geofences });
+const reportWriter = storage ? new BatchWriter(storage, { maxBatchSize: DB_BATCH_SIZE, flushIntervalMs: DB_FLUSH_MS }) : null;
+console.log(storage ? `💾 Storing reports in ${storageOptionsFromEnv().client}` : '💾 Report storage disabled');
+if (storage) {
+  // Configuration versions and drift checks carry on from before the restart
+  const restored = (await storage.getLatestConfigSnapshots()).map(fromConfigSnapshotRow);
+  for (const snapshot of restored) {
+    configStore.restore(snapshot);
+    if (snapshot.sections.HRM) {
+      hrmConfig.set(snapshot.imei, snapshot.sections.HRM, 'GTALM');
+    }
+  }
+  console.log(`🗂️ Restored the configuration of ${restored.length} device(s)`);
+}
+const parser = new QueclinkParser({ hrmConfig });
+const sessions = new SessionManager();
+const sackResponder = new SackResponder({ defaultMode: SACK_MODE, deviceModes: SACK_DEVICE_MODES });
+const commandDispatcher = new CommandDispatcher({
+  sessions,
+  builder: new CommandBuilder({ password: DEVICE_PASSWORD }),
+  ackTimeoutMs: COMMAND_ACK_TIMEOUT_MS,
+  maxRetries: Number.isNaN(COMMAND_MAX_RETRIES) ? undefined : COMMAND_MAX_RETRIES
+});
+
+commandDispatcher.on('sent', (entry) => {
+  console.log(`📨 Sent to ${entry.imei} (attempt ${entry.attempts}):`, entry.text);
+});
+
+commandDispatcher.on('acked', (entry) => {
+  console.log(`✅ ${entry.imei} acknowledged AT+${entry.command} (serial ${entry.serialNumber})`);
+  hrmConfig.updateFromCommand(entry);
+});
+
+commandDispatcher.on('timeout', (entry) => {
+  console.warn(`⏱️ ${entry.imei} never acknowledged AT+${entry.command} (serial ${entry.serialNumber})`);
+});
+
+commandDispatcher.on('responded', (entry) => {
+  console.log(`📬 ${entry.imei} answered command ${entry.id} (AT+${entry.command} ${entry.options.subCommand}) with +RESP:${entry.response.command}`);
+});
+
+crashAssembler.on('crash', (crash) => {
+  const where = crash.location ? `at ${crash.location.latitude},${crash.location.longitude}` : 'without location';
+  const frames = crash.complete ? `${crash.receivedFrames} frames` : `${crash.receivedFrames}/${crash.totalFrames} frames, missing ${crash.missingFrames.join(',') || 'GTCRA'}`;
+  console.warn(`💥 ${crash.imei} crash${crash.crashCounter === null ? '' : ` #${crash.crashCounter}`} ${where}: peak ${crash.peakAccelerationG} g, delta-V ${crash.peakDeltaVKmh} km/h, impact ${crash.impactDirection ? crash.impactDirection.side : 'unknown'} (${frames})`);
+});
+
+tripBuilder.on('trip', (trip) => {
+  const revised = trip.revision > 1 ? ` (revision ${trip.revision})` : '';
+  console.log(`🛣️ ${trip.imei} trip ${trip.startTime.toISOString()} → ${trip.endTime.toISOString()}${revised}: ${trip.distanceKm} km in ${Math.round(trip.durationS / 60)} min, idle ${Math.round(trip.idleTimeS / 60)} min, max ${trip.maxSpeedKmh ?? '-'} km/h`);
+});
+
+dtcTracker.on('dtc', ({ imei, event, dtc }) => {
+  if (event === 'detected') {
+    console.warn(`🔧 ${imei} DTC ${dtc.code} detected: ${dtc.description}`);
+  } else {
+    console.log(`🔧 ${imei} DTC ${dtc.code} cleared (${dtc.clearReason})`);
+  }
+});
+
+dtcTracker.on('mil', ({ imei, mil }) => {
+  console.log(`🔧 ${imei} MIL ${mil.on ? `on (${mil.milActivatedDistance} km since activation)` : 'off'}`);
+});
+
+geofences.on('geofence', (geofenceEvent) => {
+  const { imei, event, fence, position, durationS } = geofenceEvent;
+  const stayed = durationS === null ? '' : ` after ${Math.round(durationS / 60)} min`;
+  console.log(`📍 ${imei} ${event} ${fence.name} at ${position.lat},${position.lon}${stayed}`);
+  gateway.publishGeofenceEvent(geofenceEvent);
+});
+
+rules.on('alert', (alert) => {
+  const { imei, rule, values, durationS, command } = alert;
+  const observed = Object.entries(values).map(([field, value]) => `${field}=${value}`).join(', ');
+  const held = durationS ? ` for ${durationS} s` : '';
+  console.warn(`🚨 ${imei} ${rule.severity} ${rule.name}: ${observed}${held} (${command})`);
+  gateway.publishAlert(alert);
+});
+
+gateway.on('listening', ({ transport, port }) => {
+  console.log(`🧭 Frontend gateway ready on port ${port} (${transport === 'ws' ? 'WebSocket' : 'newline-delimited JSON over TCP'})`);
+});
+
+gateway.on('client', (client) => {
+  console.log(`📲 Frontend client ${client.id} connected over ${client.transport} from ${client.remoteAddress}`);
+});
+
+gateway.on('clientClosed', (client) => {
+  const dropped = client.dropped ? `, ${client.dropped} messages dropped as it fell behind` : '';
+  console.log(`📴 Frontend client ${client.id} disconnected${dropped}`);
+});
+
+gateway.on('error', (error) => {
+  console.error('❌ Frontend gateway error:', error.message);
+});
+
+if (frameArchive) {
+  frameArchive.on('error', (error) => {
+    console.error('❌ Frame archive write failed:', error.message);
+  });
+}
+
+if (storage) {
+  // Writes that fail are not acknowledged and come back as +BUFF, so this only needs reporting
+  storage.on('error', (error) => {
+    console.error('❌ Storage error:', error.message);
+  });
+}
+
+const api = new ApiServer({ port: API_PORT, sessions, storage, tripBuilder, dtcTracker, configStore, commandDispatcher, commandToken: API_TOKEN });
+
+api.on('listening', ({ port }) => {
+  console.log(`🌐 Query API ready on http://localhost:${port} (OpenAPI document at /openapi.json)`);
+  if (!API_TOKEN) {
+    console.warn('⚠️ API_TOKEN is not set: POST /devices/{imei}/commands refuses to send commands');
+  }
+});
+
+api.on('requestFailed', ({ method, url, error }) => {
+  console.error(`❌ API ${method} ${url} failed:`, error);
+});
+
+api.on('error', (error) => {
+  console.error('❌ Query API error:', error.message);
+});
+
+function saveSession(session) {
+  if (storage) {
+    storage.saveSession(sessions.describe(session)).catch((error) => {
+      console.error(`💾 Failed to store the session of ${session.imei}:`, error.message);
+    });
+  }
+}
+
+sessions.on('online', (session) => {
+  console.log(`🟢 ${session.imei} online since ${session.connectedAt.toISOString()} (${sessions.getOnlineSessions().length} online)`);
+  saveSession(session);
+
+  // Ask for the configuration (+RESP:GTALM) of managed devices we have not checked lately
+  const snapshot = configStore.get(session.imei);
+  const stale = !snapshot || Date.now() - snapshot.confirmedAt.getTime() > CONFIG_REFRESH_HOURS * 3600 * 1000;
+  if (stale && deviceGroups.getDesiredConfig(session.imei)) {
+    commandDispatcher.send(session.imei, 'GTRTO', { subCommand: 'READ' }).catch((error) => {
+      console.warn(`⚠️ Configuration read from ${session.imei} failed:`, error.message);
+    });
+  }
+});
+
+sessions.on('offline', (session) => {
+  console.log(`🔴 ${session.imei} offline (${sessions.getOnlineSessions().length} online)`);
+  saveSession(session);
+});
+
+sessions.on('takeover', (session, staleSocket) => {
+  console.log(`🔁 ${session.imei} reconnected from ${session.socket.remoteAddress}, closing stale socket ${staleSocket.remoteAddress}`);
+});
+
+sessions.on('conflict', (socket, imei, reportedImei) => {
+  console.warn(`⚠️ Socket bound to ${imei} reported Unique ID ${reportedImei}; keeping the original binding`);
+});
+
+/**
+ * Stores a +RESP:GTALM packet and, once the report is complete, checks the
+ * configuration against the device's group.
+ */
+function handleConfigReport(report) {
+  const snapshot = configStore.ingest(report);
+  if (!snapshot) {
+    return;
+  }
+  if (storage) {
+    storage.saveConfigSnapshot(toConfigSnapshotRow(snapshot)).catch((error) => {
+      console.error(`💾 Failed to store the configuration of ${snapshot.imei}:`, error.message);
+    });
+  }
+  console.log(`🗂️ ${snapshot.imei} configuration v${snapshot.version} (${Object.keys(snapshot.sections).length} sections)`);
+
+  if (snapshot.sections.HRM) {
+    hrmConfig.set(snapshot.imei, snapshot.sections.HRM, 'GTALM');
+  }
+
+  const desired = deviceGroups.getDesiredConfig(snapshot.imei);
+  if (!desired) {
+    return;
+  }
+
+  const drift = diffConfig(snapshot.sections, desired);
+  if (!drift.length) {
+    console.log(`✅ ${snapshot.imei} matches the ${deviceGroups.groupOf(snapshot.imei)} group configuration`);
+    return;
+  }
+  for (const item of drift) {
+    console.warn(`⚠️ ${snapshot.imei} configuration drift: ${describeDrift(item)}`);
+  }
+
+  const { commands, unsupported } = planRemediation(drift);
+  if (unsupported.length) {
+    console.warn(`⚠️ ${snapshot.imei} has ${unsupported.length} drifted field(s) with no AT command to correct them`);
+  }
+  if (!CONFIG_AUTO_REMEDIATE) {
+    return;
+  }
+  for (const { command, options } of commands) {
+    commandDispatcher.send(snapshot.imei, command, options).catch((error) => {
+      console.warn(`⚠️ Could not correct AT+${command} on ${snapshot.imei}:`, error.message);
+    });
+  }
+}
 
 
 // === GS22 GPS Device TCP Server ===
@@ -26,10 +308,20 @@ const deviceServer = net.createServer((socket) => {
     localPort: socket.localPort
   });
 
+  sessions.attach(socket);
+
   socket.on('connect', () => {
     console.log('🔗 GS22 socket connect event triggered');
   });
 
+  // Reports can be split across chunks or coalesced into one, so frame per connection
+  const framer = new QueclinkFramer({
+    maxBufferSize: MAX_FRAME_BUFFER,
+    onDiscard: (reason, bytes) => {
+      console.warn(`⚠️ Dropped ${bytes.length} bytes from ${socket.remoteAddress} (${reason})`);
+    }
+  });
+
   socket.on('error', (error) => {
     if (error.code === 'ECONNRESET') {
       console.log('📡 Client connection was reset:', socket.remoteAddress);
@@ -40,8 +332,12 @@ const deviceServer = net.createServer((socket) => {
 
   socket.on('close', () => {
     console.log('🔌 Client disconnected:', socket.remoteAddress);
+    sessions.detach(socket);
   });
 
+  // +SACKs go out in arrival order, each once its report is stored
+  let acknowledged = Promise.resolve();
+
   socket.on('data', (data) => {   
 
     // Convert to Indian time (UTC+5:30)
@@ -49,28 +345,82 @@ const deviceServer = net.createServer((socket) => {
     const istTime = new Date(date.getTime() + (5.5 * 60 * 60 * 1000));
     console.log('⏰ Timestamp (IST):', istTime.toISOString());
     
-    try {
-console.log(data.toString());
-const parser = new QueclinkParser();
-const parsedData = parser.parse(data.toString());
-console.log(parsedData);
-      // if (frontendSocket) {
-      //   try {
-      //     frontendSocket.write(JSON.stringify({
-      //       raw: raw,
-      //       hex: formatted,
-      //       parsed: parsedData
-      //     }));
-      //     console.log('📤 Data forwarded to Flutter client');
-      //   } catch (err) {
-      //     console.log('⚠️ Error forwarding data to Flutter client:', err.message);
-      //   }
-      // } else {
-      //   console.log('⚠️ No Flutter client connected to forward data');
-      // }
-    } catch (e) {
-      console.error('Parser Error:', e);
-      console.log('='.repeat(50) + '\n');
+    // As received, before framing, so what the framer drops can be replayed too
+    if (frameArchive) {
+      const session = sessions.getSessionBySocket(socket);
+      frameArchive.append({ data, socket, protocol: 'queclink', imei: session ? session.imei : null });
+    }
+
+    for (const frame of framer.push(data)) {
+      try {
+        console.log(frame.message);
+        const parsedData = parser.parse(frame.message);
+        console.log(parsedData);
+        if (!parsedData.ok) {
+          const { error } = parsedData;
+          console.warn(`🚫 Dead letter (${error.code}${error.fieldIndex !== null ? ` at field ${error.fieldIndex}` : ''}): ${error.message}`);
+          const session = sessions.getSessionBySocket(socket);
+          const imei = session ? session.imei : null;
+          const deadLettered = storage ? storage.saveDeadLetter(toDeadLetterRow(parsedData, frame, imei)) : Promise.resolve();
+          // Acknowledged once stored, so a report that can never be parsed does not block the device's buffer
+          acknowledged = acknowledged.then(() => deadLettered).then(() => {
+            if (SACK_DEAD_LETTERS && sackResponder.acknowledgeFailure(socket, parsedData, frame.format, imei)) {
+              console.log(`✅ SACK sent for dead letter ${error.command || frame.format}`);
+            }
+          }, (storeError) => {
+            console.error(`💾 Failed to store dead letter, not acknowledged:`, storeError.message);
+          });
+          continue;
+        }
+        sessions.update(socket, parsedData);
+
+        const mismatch = parsedData.parsedData.maskMismatch;
+        if (mismatch) {
+          console.warn(`⚠️ ${parsedData.parsedData.uniqueId} sent mask ${mismatch.received}, configured ${mismatch.configured}`);
+        }
+        for (const value of parsedData.parsedData.outOfRange || []) {
+          console.warn(`⚠️ ${parsedData.parsedData.uniqueId} ${value.field} ${value.value} outside ${value.min}..${value.max}${value.unit ? ` ${value.unit}` : ''} (PID 0x${value.pid.toString(16).toUpperCase().padStart(2, '0')})`);
+        }
+
+        if (sackResponder.isHeartbeat(parsedData)) {
+          // Answered in turn with the reports before it
+          acknowledged = acknowledged.then(() => {
+            if (sackResponder.answerHeartbeat(socket, parsedData)) {
+              console.log(`💓 SACK sent for ${frame.format === 'HEX' ? '+HBD' : '+ACK:GTHBD'}`);
+            }
+          });
+          continue;
+        }
+        if (parsedData.messageType === 'ACK') {
+          commandDispatcher.handleAck(parsedData);
+          continue;
+        }
+
+        commandDispatcher.handleResponse(parsedData);
+        if (parsedData.command === 'GTALM' && parsedData.messageType === 'RESP') {
+          handleConfigReport(parsedData.parsedData);
+        }
+        // Published first, so geofence events and alerts follow the record that raised them
+        gateway.publishReport(parsedData);
+        crashAssembler.handle(parsedData);
+        tripBuilder.handle(parsedData);
+        dtcTracker.handle(parsedData);
+        geofences.handle(parsedData);
+        rules.handle(parsedData);
+
+        // Not acknowledged until stored, so the device keeps the report if the write fails
+        const stored = reportWriter ? reportWriter.write(parsedData, frame) : Promise.resolve(null);
+        acknowledged = acknowledged.then(() => stored).then(() => {
+          if (sackResponder.acknowledge(socket, parsedData, frame.format)) {
+            console.log(`✅ SACK sent for +${parsedData.messageType}:${parsedData.command}`);
+          }
+        }, (error) => {
+          console.error(`💾 Failed to store +${parsedData.messageType}:${parsedData.command}, not acknowledged:`, error.message);
+        });
+      } catch (e) {
+        console.error('Parser Error:', e);
+        console.log('='.repeat(50) + '\n');
+      }
     }
   });
 });
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Stream framing for Queclink device connections.
+ * TCP gives us an arbitrary byte stream: a single 'data' chunk may hold several
+ * reports (e.g. a +BUFF backlog flushed after an outage) or only part of one
+ * (a long +RESP:GTALM split across segments). The framer buffers bytes per
+ * connection and hands back complete frames only.
+ *
+ * ASCII frames end with the '$' tail character.
+ * HEX frames carry a 2-byte length field and end with the 0D0A tail.
+ */
+
+const ASCII_PREFIXES = ['+RESP:', '+ACK:', '+BUFF:'];
+
+// Offset of the 2-byte Length field for each HEX message header.
+// +ACK and +HBD have a 2-byte mask, +INF has a mask plus an expansion mask,
+// the remaining headers use a 4-byte mask.
+export const HEX_LENGTH_OFFSETS = {
+    '+ACK': 7,
+    '+HBD': 7,
+    '+INF': 9,
+    '+RSP': 9,
+    '+EVT': 9,
+    '+BSP': 9,
+    '+BVT': 9,
+    '+CRD': 9,
+    '+OBD': 9,
+    '+ATI': 9,
+};
+
+const ASCII_TAIL = 0x24; // '$'
+const HEX_TAIL = Buffer.from([0x0D, 0x0A]);
+const FRAME_START = 0x2B; // '+'
+
+export const DEFAULT_MAX_BUFFER_SIZE = 16 * 1024;
+
+export class QueclinkFramer {
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxBufferSize] Maximum number of bytes kept while waiting for a frame to complete.
+     * @param {function(string, Buffer): void} [options.onDiscard] Called with a reason and the dropped bytes
+     *        whenever data has to be thrown away (garbage before a frame start or buffer overflow).
+     */
+    constructor({ maxBufferSize = DEFAULT_MAX_BUFFER_SIZE, onDiscard = null } = {}) {
+        this.maxBufferSize = maxBufferSize;
+        this.onDiscard = onDiscard;
+        this.buffer = Buffer.alloc(0);
+        this.discardedBytes = 0;
+    }
+
+    /**
+     * Number of bytes currently buffered for an incomplete frame.
+     * @returns {number}
+     */
+    get pendingBytes() {
+        return this.buffer.length;
+    }
+
+    /**
+     * Appends a chunk received from the socket and extracts every complete frame.
+     * @param {Buffer|string} chunk The received data.
+     * @returns {{format: 'ASCII'|'HEX', message: string, raw: Buffer}[]} The complete frames, in arrival order.
+     */
+    push(chunk) {
+        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+
+        const frames = [];
+        let frame;
+        while ((frame = this._nextFrame()) !== null) {
+            frames.push(frame);
+        }
+
+        if (this.buffer.length > this.maxBufferSize) {
+            this._discard('overflow', this.buffer.length);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Drops any partially received data.
+     */
+    reset() {
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Extracts the next complete frame from the buffer.
+     * @returns {object|null} The frame, or null if more data is needed.
+     */
+    _nextFrame() {
+        let format;
+        do {
+            this._skipToFrameStart();
+            if (this.buffer.length === 0) {
+                return null;
+            }
+            format = this._detectFormat();
+            if (format === 'UNKNOWN') {
+                // A '+' that does not start a known message: drop it and resynchronise
+                this._discard('unknown-header', 1);
+            }
+        } while (format === 'UNKNOWN');
+
+        if (format === null) {
+            return null; // Not enough bytes yet to tell ASCII from HEX
+        }
+
+        const frameLength = format === 'ASCII' ? this._asciiFrameLength() : this._hexFrameLength();
+        if (frameLength === null) {
+            return null;
+        }
+
+        const raw = Buffer.from(this.buffer.subarray(0, frameLength));
+        this.buffer = this.buffer.subarray(frameLength);
+
+        return {
+            format,
+            message: format === 'ASCII' ? raw.toString('latin1') : raw.toString('hex').toUpperCase(),
+            raw,
+        };
+    }
+
+    /**
+     * Discards leading bytes (whitespace, line breaks, noise) until the next '+'.
+     */
+    _skipToFrameStart() {
+        const start = this.buffer.indexOf(FRAME_START);
+        if (start === -1) {
+            if (this.buffer.length) {
+                this._discard('no-frame-start', this.buffer.length);
+            }
+        } else if (start > 0) {
+            this._discard('no-frame-start', start);
+        }
+    }
+
+    /**
+     * Decides whether the buffered frame is ASCII or HEX.
+     * @returns {'ASCII'|'HEX'|'UNKNOWN'|null} null when more bytes are needed.
+     */
+    _detectFormat() {
+        const head = this.buffer.subarray(0, 6).toString('latin1');
+
+        for (const prefix of ASCII_PREFIXES) {
+            if (head.length >= prefix.length ? head.startsWith(prefix) : prefix.startsWith(head)) {
+                return head.length >= prefix.length ? 'ASCII' : null;
+            }
+        }
+
+        if (head.length < 5) {
+            return null;
+        }
+        return HEX_LENGTH_OFFSETS[head.substring(0, 4)] !== undefined ? 'HEX' : 'UNKNOWN';
+    }
+
+    /**
+     * @returns {number|null} Length of the ASCII frame including the '$' tail, or null if incomplete.
+     */
+    _asciiFrameLength() {
+        const tail = this.buffer.indexOf(ASCII_TAIL);
+        return tail === -1 ? null : tail + 1;
+    }
+
+    /**
+     * Uses the Length field to size a HEX frame. If the declared length does not land on
+     * a 0D0A tail, falls back to the first tail after the header so one corrupted length
+     * field cannot swallow the rest of the stream.
+     * @returns {number|null} Length of the HEX frame including the 0D0A tail, or null if incomplete.
+     */
+    _hexFrameLength() {
+        const lengthOffset = HEX_LENGTH_OFFSETS[this.buffer.subarray(0, 4).toString('latin1')];
+        if (this.buffer.length < lengthOffset + 2) {
+            return null;
+        }
+
+        const declaredLength = this.buffer.readUInt16BE(lengthOffset);
+        const minimumLength = lengthOffset + 2 + HEX_TAIL.length;
+
+        if (declaredLength >= minimumLength && declaredLength <= this.maxBufferSize) {
+            if (this.buffer.length < declaredLength) {
+                return null;
+            }
+            if (this.buffer.subarray(declaredLength - HEX_TAIL.length, declaredLength).equals(HEX_TAIL)) {
+                return declaredLength;
+            }
+        }
+
+        const tail = this.buffer.indexOf(HEX_TAIL, lengthOffset + 2);
+        return tail === -1 ? null : tail + HEX_TAIL.length;
+    }
+
+    /**
+     * Removes bytes from the front of the buffer and reports them.
+     * @param {string} reason Why the bytes are dropped.
+     * @param {number} count Number of bytes to drop.
+     */
+    _discard(reason, count) {
+        const dropped = this.buffer.subarray(0, count);
+        this.buffer = this.buffer.subarray(count);
+        this.discardedBytes += dropped.length;
+        if (this.onDiscard) {
+            this.onDiscard(reason, Buffer.from(dropped));
+        }
+    }
+}
+
+export default QueclinkFramer;
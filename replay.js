@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Replays a frame archive (see frame-archive.js).
+ *
+ *   node replay.js <archive file or directory> [options]
+ *
+ * By default the archived data of each original device connection is framed
+ * again (QueclinkFramer, or ProtocolParser for JT808) and every frame goes
+ * through its parser, printing one line per frame and a summary, which
+ * reproduces framing and parser bugs from the original bytes. With --tcp
+ * the data is sent to a running server instead, one connection per original
+ * device connection, and with --store the parsed reports are written to the
+ * storage configured in the environment (see storage.js) to backfill after a
+ * parser fix.
+ *
+ * Options:
+ *   --tcp <host:port>   Send the data to a server instead of parsing it.
+ *   --store             Store the parsed Queclink reports (DB_* environment).
+ *   --speed <n|max>     Replay n times faster than recorded (1 = real time); default max.
+ *   --imei <imei>       Only this device's data.
+ *   --protocol <name>   Only queclink or jt808 data.
+ *   --from <time>       Only data received at or after this ISO time.
+ *   --to <time>         Only data received at or before this ISO time.
+ *   --full              Print the whole parse result of every frame.
+ */
+
+import net from 'net';
+import dotenv from 'dotenv';
+
+import QueclinkParser from './parser.js';
+import { QueclinkFramer } from './queclink-framer.js';
+import { ProtocolParser } from './protocol-parser.js';
+import { readArchive } from './frame-archive.js';
+import { openStorage, storageOptionsFromEnv, BatchWriter } from './storage.js';
+
+const USAGE = 'Usage: node replay.js <archive file or directory> [--tcp host:port] [--store] [--speed n|max] [--imei imei] [--protocol queclink|jt808] [--from time] [--to time] [--full]';
+
+function parseArgs(argv) {
+  const options = { target: null, tcp: null, store: false, speed: Infinity, imei: null, protocol: null, from: null, to: null, full: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--tcp': {
+        const [host, port] = value().split(/:(?=\d+$)/);
+        options.tcp = { host: host || '127.0.0.1', port: parseInt(port, 10) };
+        break;
+      }
+      case '--store': options.store = true; break;
+      case '--full': options.full = true; break;
+      case '--speed': {
+        const speed = value();
+        options.speed = speed === 'max' ? Infinity : parseFloat(speed);
+        if (!(options.speed > 0)) {
+          throw new Error(`--speed must be a positive number or max, got ${speed}`);
+        }
+        break;
+      }
+      case '--imei': options.imei = value(); break;
+      case '--protocol': options.protocol = value(); break;
+      case '--from': options.from = new Date(value()); break;
+      case '--to': options.to = new Date(value()); break;
+      default:
+        if (arg.startsWith('--') || options.target) {
+          throw new Error(`Unexpected argument ${arg}`);
+        }
+        options.target = arg;
+    }
+  }
+  if (!options.target) {
+    throw new Error('No archive given');
+  }
+  if (options.tcp && options.store) {
+    throw new Error('--tcp and --store do not go together: the server stores what it receives');
+  }
+  return options;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Waits so the data keeps its recorded spacing, divided by the speed factor.
+ */
+function pacer(speed) {
+  let firstRecorded = null;
+  let firstReplayed = null;
+  return async (receivedAt) => {
+    if (speed === Infinity) {
+      return;
+    }
+    if (firstRecorded === null) {
+      firstRecorded = receivedAt.getTime();
+      firstReplayed = Date.now();
+      return;
+    }
+    const due = firstReplayed + (receivedAt.getTime() - firstRecorded) / speed;
+    if (due > Date.now()) {
+      await sleep(due - Date.now());
+    }
+  };
+}
+
+/**
+ * Frames and parses everything, printing the outcome, and stores the reports with --store.
+ * Older archives hold one whole frame per record, which frames to itself.
+ */
+async function replayThroughParser(options) {
+  const parser = new QueclinkParser();
+  const framers = new Map(); // original connection -> QueclinkFramer or ProtocolParser (partial frames and subpackages are per connection)
+  const storage = options.store ? await openStorage(storageOptionsFromEnv()) : null;
+  if (storage) {
+    storage.on('error', (error) => console.error('⚠️ Storage error:', error.message));
+  }
+  const writer = storage ? new BatchWriter(storage) : null;
+  const writes = [];
+
+  const summary = { chunks: 0, frames: 0, parsed: 0, failed: 0, discardedBytes: 0, stored: 0, duplicates: 0, errors: {} };
+  const wait = pacer(options.speed);
+  const onDiscard = (reason, bytes) => {
+    summary.discardedBytes += bytes.length;
+    console.log(`⚠️ Framer dropped ${bytes.length} bytes (${reason})`);
+  };
+
+  for await (const record of readArchive(options.target, options)) {
+    await wait(record.receivedAt);
+    summary.chunks++;
+    const where = `${record.receivedAt.toISOString()} ${record.imei || '-'}`;
+    const connection = `${record.protocol}:${record.remoteAddress}:${record.remotePort}`;
+    if (!framers.has(connection)) {
+      framers.set(connection, record.protocol === 'jt808' ? new ProtocolParser({ onDiscard }) : new QueclinkFramer({ onDiscard }));
+    }
+
+    if (record.protocol === 'jt808') {
+      const jt808 = framers.get(connection);
+      for (const frame of jt808.push(record.data)) {
+        summary.frames++;
+        try {
+          const message = jt808.parse(frame);
+          summary.parsed++;
+          console.log(`${where} ✅ JT808 0x${message.header.messageId.toString(16).padStart(4, '0')}`);
+          if (options.full) {
+            console.log(message);
+          }
+        } catch (error) {
+          summary.failed++;
+          summary.errors[error.code || error.name] = (summary.errors[error.code || error.name] || 0) + 1;
+          console.log(`${where} 🚫 JT808 ${error.code || error.name}: ${error.message}`);
+        }
+      }
+      continue;
+    }
+
+    for (const frame of framers.get(connection).push(record.data)) {
+      summary.frames++;
+      const result = parser.parse(frame.message);
+      if (!result.ok) {
+        summary.failed++;
+        summary.errors[result.error.code] = (summary.errors[result.error.code] || 0) + 1;
+        console.log(`${where} 🚫 ${result.error.code}: ${result.error.message}`);
+      } else {
+        summary.parsed++;
+        console.log(`${where} ✅ +${result.messageType}:${result.command}`);
+      }
+      if (options.full) {
+        console.log(result);
+      }
+      if (writer && result.ok) {
+        writes.push(writer.write(result, frame, record.receivedAt).then((stored) => {
+          if (stored === true) summary.stored++;
+          if (stored === false) summary.duplicates++;
+        }));
+      }
+    }
+  }
+
+  if (writer) {
+    await writer.flush();
+    await Promise.all(writes);
+    await writer.close();
+  }
+  return summary;
+}
+
+/**
+ * Sends the archived data to a server, one socket per original device connection.
+ */
+async function replayOverTcp(options) {
+  const sockets = new Map(); // original connection -> socket
+  const summary = { chunks: 0, connections: 0, replies: 0, errors: 0 };
+  const wait = pacer(options.speed);
+
+  const connect = (key) => new Promise((resolve, reject) => {
+    const socket = net.connect(options.tcp.port, options.tcp.host, () => resolve(socket));
+    socket.on('data', (data) => {
+      summary.replies++;
+      console.log(`⬅️ ${key} ${JSON.stringify(data.toString('latin1'))}`);
+    });
+    // Kept for the socket's life: an error after connecting must not end the replay.
+    // The next data for the connection opens a new socket.
+    socket.on('error', (error) => {
+      reject(error);
+      summary.errors++;
+      console.error(`⚠️ ${key} ${error.message}`);
+      if (sockets.get(key) === socket) {
+        sockets.delete(key);
+      }
+    });
+  });
+
+  for await (const record of readArchive(options.target, options)) {
+    await wait(record.receivedAt);
+    const key = `${record.remoteAddress}:${record.remotePort}`;
+    if (!sockets.has(key)) {
+      sockets.set(key, await connect(key));
+      summary.connections++;
+    }
+    sockets.get(key).write(record.data);
+    summary.chunks++;
+    console.log(`➡️ ${record.receivedAt.toISOString()} ${record.imei || '-'} ${record.data.length} bytes`);
+  }
+
+  await sleep(1000); // let the server answer the last frames
+  for (const socket of sockets.values()) {
+    socket.end();
+  }
+  return summary;
+}
+
+async function main() {
+  dotenv.config();
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const summary = options.tcp ? await replayOverTcp(options) : await replayThroughParser(options);
+  console.log('📊 Replay summary:', summary);
+}
+
+main().catch((error) => {
+  console.error('Replay failed:', error);
+  process.exit(1);
+});
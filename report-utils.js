@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Helpers shared by the report consumers (trip builder, DTC
+ * tracker, geofence engine): when a report happened and how far apart two
+ * coordinates are.
+ */
+
+export const EARTH_RADIUS_M = 6371008.8; // mean radius
+export const METERS_PER_DEGREE = EARTH_RADIUS_M * Math.PI / 180;
+
+/**
+ * @param {object} report A parsed report.
+ * @returns {number|null} The fix time when there is one, else the send time, in milliseconds.
+ */
+export function reportTime(report) {
+    for (const time of [report.gnssUtcTime, report.sendTime]) {
+        if (time instanceof Date && !Number.isNaN(time.getTime())) {
+            return time.getTime();
+        }
+    }
+    return null;
+}
+
+/**
+ * Great-circle distance between two coordinates in decimal degrees.
+ * @returns {number} Meters.
+ */
+export function haversineM(latA, lonA, latB, lonB) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(latB - latA);
+    const dLon = toRad(lonB - lonA);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(latA)) * Math.cos(toRad(latB)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
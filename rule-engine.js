@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Configurable alert rules evaluated over the decoded report stream.
+ * Each report is mapped to canonical records (see canonical-record.js) and
+ * every rule whose `commands` match is evaluated against them. A rule is
+ * declared as JSON:
+ *   { id: 'overspeed', name: 'Overspeed', severity: 'warning',
+ *     commands: ['GTFRI'],
+ *     when: { field: 'speed_kmh', op: '>', param: 'limitKmh' },
+ *     params: { limitKmh: 100 },
+ *     forMs: 10000, cooldownMs: 300000,
+ *     overrides: { groups: { trucks: { limitKmh: 80 } }, devices: { '864696060004173': { enabled: false } } } }
+ *
+ * Conditions compare a field with a constant (`value`) or a rule parameter
+ * (`param`), and combine with { all: [...] } and { any: [...] }. Fields are
+ * canonical record names, `report.<name>` for the parser's own fields (e.g.
+ * report.engineCoolantTemperature) and `acceleration_ms2`, derived from the
+ * speed of the device's consecutive fixes. A missing field never matches.
+ *
+ * A rule fires once its condition has held for `forMs`, then not again until
+ * the condition has stopped holding and `cooldownMs` has passed since the
+ * last alert. Parameters are overridden per group, then per device; an
+ * override may also set `forMs`, `cooldownMs` and `severity`, and
+ * `enabled: false` turns the rule off. Records older than the last one
+ * evaluated for the device (late +BUFF reports) are ignored.
+ */
+
+import { EventEmitter } from 'events';
+import { readFileSync } from 'fs';
+import { toCanonicalRecords } from './canonical-record.js';
+
+export const DEFAULT_ACCELERATION_MAX_GAP_MS = 60000;
+
+const KMH_TO_MS = 1 / 3.6;
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+export class RuleValidationError extends Error {
+    /**
+     * @param {string|null} ruleId The rule being defined, if it has an ID.
+     * @param {string} field The offending property.
+     * @param {string} message What is wrong with it.
+     */
+    constructor(ruleId, field, message) {
+        super(ruleId === null ? `Rule ${field}: ${message}` : `Rule ${ruleId} ${field}: ${message}`);
+        this.name = 'RuleValidationError';
+        this.ruleId = ruleId;
+        this.field = field;
+    }
+}
+
+export class RuleEngine extends EventEmitter {
+
+    /**
+     * @param {object} [options]
+     * @param {object[]} [options.rules] Rule definitions, see the file overview.
+     * @param {import('./device-groups.js').DeviceGroupRegistry} [options.groups] Resolves devices to the groups rules are assigned to and overridden for.
+     * @param {number} [options.accelerationMaxGapMs] Longest gap between two fixes that still gives an acceleration.
+     */
+    constructor({
+        rules = [],
+        groups = null,
+        accelerationMaxGapMs = DEFAULT_ACCELERATION_MAX_GAP_MS,
+    } = {}) {
+        super();
+        this.groups = groups;
+        this.accelerationMaxGapMs = accelerationMaxGapMs;
+
+        this.rules = new Map();   // rule ID -> normalized rule
+        this.devices = new Map(); // IMEI -> { lastTime, lastFix, rules: Map(rule ID -> { since, fired, lastAlertAt }) }
+
+        for (const rule of rules) {
+            this.addRule(rule);
+        }
+    }
+
+    /**
+     * Loads rules from a JSON file holding an array of rule definitions.
+     * @param {string} path The file path.
+     * @param {object} [options] The other constructor options.
+     * @returns {RuleEngine}
+     */
+    static fromFile(path, options = {}) {
+        return new RuleEngine({ ...options, rules: JSON.parse(readFileSync(path, 'utf8')) });
+    }
+
+    /**
+     * Creates or replaces a rule; a replaced rule starts over for every device.
+     * @param {object} definition The rule, see the file overview.
+     * @returns {object} The stored rule.
+     * @throws {RuleValidationError} If the definition is invalid.
+     */
+    addRule(definition) {
+        const rule = normalizeRule(definition);
+        this.rules.set(rule.id, rule);
+        for (const device of this.devices.values()) {
+            device.rules.delete(rule.id);
+        }
+        return rule;
+    }
+
+    /**
+     * @param {string} id The rule ID.
+     * @returns {boolean} Whether the rule existed.
+     */
+    removeRule(id) {
+        const key = String(id);
+        for (const device of this.devices.values()) {
+            device.rules.delete(key);
+        }
+        return this.rules.delete(key);
+    }
+
+    /**
+     * @param {string} id The rule ID.
+     * @returns {object|undefined} The rule.
+     */
+    getRule(id) {
+        return this.rules.get(String(id));
+    }
+
+    /**
+     * @returns {object[]} All rules.
+     */
+    listRules() {
+        return [...this.rules.values()];
+    }
+
+    /**
+     * Evaluates the rules against a parsed report. Emits 'alert'
+     * ({ imei, rule, time, since, durationS, values, params, command, record, report }).
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {boolean} Whether the report was evaluated.
+     */
+    handle(result) {
+        const records = toCanonicalRecords(result);
+        if (!records.length) {
+            return false;
+        }
+
+        for (const record of records) {
+            const time = Date.parse(record.timestamp);
+            if (!Number.isFinite(time)) {
+                continue;
+            }
+            const device = this._getOrCreate(record.imei);
+            if (time < device.lastTime) {
+                continue;
+            }
+            device.lastTime = time;
+
+            const facts = { ...record, report: result.parsedData, acceleration_ms2: this._acceleration(device, record, time) };
+            for (const rule of this.rules.values()) {
+                this._evaluate(rule, device, facts, time);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * The rule's parameters for a device after group and device overrides, or null if the rule does not apply.
+     * @param {object} rule A stored rule.
+     * @param {string} imei The device Unique ID.
+     * @returns {object|null}
+     */
+    effectiveParams(rule, imei) {
+        const group = this.groups ? this.groups.groupOf(imei) : null;
+        if ((rule.devices.length || rule.groups.length)
+            && !rule.devices.includes(imei) && !(group !== null && rule.groups.includes(group))) {
+            return null;
+        }
+        const params = {
+            ...rule.params,
+            ...(group !== null ? rule.overrides.groups[group] : null),
+            ...rule.overrides.devices[imei],
+        };
+        return params.enabled === false ? null : params;
+    }
+
+    _getOrCreate(imei) {
+        let device = this.devices.get(imei);
+        if (!device) {
+            device = { lastTime: -Infinity, lastFix: null, rules: new Map() };
+            this.devices.set(imei, device);
+        }
+        return device;
+    }
+
+    /**
+     * Acceleration in m/s² from the previous fix, or null without a recent one.
+     */
+    _acceleration(device, record, time) {
+        if (!(record.gnss_accuracy > 0) || !Number.isFinite(record.speed_kmh)) {
+            return null;
+        }
+        const previous = device.lastFix;
+        device.lastFix = { time, speed: record.speed_kmh };
+        if (!previous || time <= previous.time || time - previous.time > this.accelerationMaxGapMs) {
+            return null;
+        }
+        const acceleration = (record.speed_kmh - previous.speed) * KMH_TO_MS / ((time - previous.time) / 1000);
+        return Math.round(acceleration * 100) / 100;
+    }
+
+    _evaluate(rule, device, facts, time) {
+        if (rule.commands.length && !rule.commands.includes(facts.command)) {
+            return;
+        }
+        const params = this.effectiveParams(rule, facts.imei);
+        if (!params) {
+            return;
+        }
+
+        let state = device.rules.get(rule.id);
+        if (!state) {
+            state = { since: null, fired: false, lastAlertAt: -Infinity };
+            device.rules.set(rule.id, state);
+        }
+
+        const values = {};
+        if (!matches(rule.when, facts, params, values)) {
+            state.since = null;
+            state.fired = false;
+            return;
+        }
+        if (state.since === null) {
+            state.since = time;
+        }
+        if (state.fired || time - state.since < (params.forMs ?? rule.forMs)
+            || time - state.lastAlertAt < (params.cooldownMs ?? rule.cooldownMs)) {
+            return;
+        }
+
+        state.fired = true;
+        state.lastAlertAt = time;
+        this.emit('alert', {
+            imei: facts.imei,
+            rule: { id: rule.id, name: rule.name, severity: params.severity || rule.severity },
+            time: new Date(time),
+            since: new Date(state.since),
+            durationS: Math.round((time - state.since) / 1000),
+            values,
+            params,
+            command: facts.command,
+            record: withoutReport(facts),
+            report: facts.report,
+        });
+    }
+}
+
+/**
+ * Evaluates a condition tree, collecting the field values it compared into `values`.
+ */
+function matches(condition, facts, params, values) {
+    if (condition.all) {
+        return condition.all.every(child => matches(child, facts, params, values));
+    }
+    if (condition.any) {
+        return condition.any.some(child => matches(child, facts, params, values));
+    }
+
+    const actual = lookup(facts, condition.field);
+    const expected = condition.param !== undefined ? params[condition.param] : condition.value;
+    if (actual === null || actual === undefined || expected === undefined) {
+        return false;
+    }
+    values[condition.field] = actual;
+    return OPERATORS[condition.op](actual, expected);
+}
+
+function lookup(facts, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), facts);
+}
+
+function withoutReport(facts) {
+    const { report, ...record } = facts;
+    return record;
+}
+
+/**
+ * Validates a rule definition and fills in its defaults.
+ */
+function normalizeRule(definition) {
+    const id = definition && definition.id !== undefined && definition.id !== null ? String(definition.id) : null;
+    if (id === null || id === '') {
+        throw new RuleValidationError(null, 'id', 'is required');
+    }
+    const severity = definition.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+        throw new RuleValidationError(id, 'severity', `expected one of: ${SEVERITIES.join(', ')}`);
+    }
+    for (const field of ['forMs', 'cooldownMs']) {
+        if (definition[field] !== undefined && !(definition[field] >= 0)) {
+            throw new RuleValidationError(id, field, 'must be a non-negative number of milliseconds');
+        }
+    }
+
+    const params = { ...definition.params };
+    validateCondition(id, 'when', definition.when, params);
+
+    return {
+        id,
+        name: definition.name || id,
+        severity,
+        commands: [...(definition.commands || [])],
+        devices: (definition.devices || []).map(String),
+        groups: [...(definition.groups || [])],
+        when: definition.when,
+        params,
+        forMs: definition.forMs ?? 0,
+        cooldownMs: definition.cooldownMs ?? 0,
+        overrides: {
+            groups: { ...(definition.overrides && definition.overrides.groups) },
+            devices: { ...(definition.overrides && definition.overrides.devices) },
+        },
+    };
+}
+
+function validateCondition(id, path, condition, params) {
+    if (!condition || typeof condition !== 'object') {
+        throw new RuleValidationError(id, path, 'must be a condition object');
+    }
+    for (const combinator of ['all', 'any']) {
+        if (condition[combinator] !== undefined) {
+            if (!Array.isArray(condition[combinator]) || !condition[combinator].length) {
+                throw new RuleValidationError(id, `${path}.${combinator}`, 'must be a non-empty array of conditions');
+            }
+            condition[combinator].forEach((child, i) => validateCondition(id, `${path}.${combinator}[${i}]`, child, params));
+            return;
+        }
+    }
+
+    if (typeof condition.field !== 'string' || !condition.field) {
+        throw new RuleValidationError(id, `${path}.field`, 'is required');
+    }
+    if (!OPERATORS[condition.op]) {
+        throw new RuleValidationError(id, `${path}.op`, `expected one of: ${Object.keys(OPERATORS).join(' ')}`);
+    }
+    if ((condition.value === undefined) === (condition.param === undefined)) {
+        throw new RuleValidationError(id, path, 'needs either a value or a param');
+    }
+    if (condition.param !== undefined && params[condition.param] === undefined) {
+        throw new RuleValidationError(id, `${path}.param`, `'${condition.param}' has no default in params`);
+    }
+}
+
+export default RuleEngine;
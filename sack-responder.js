@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Server acknowledgement (+SACK) for Queclink reports.
+ * With SACK enabled (AT+GTSRI) the device keeps a report in its buffer and
+ * resends it as +BUFF until the server answers with the report's Count Number.
+ *
+ * ASCII: +SACK:<Count Number>$          e.g. +SACK:11F0$
+ * HEX:   '+SACK:' <Count Number, 2 bytes> '$'
+ *
+ * The heartbeat (+ACK:GTHBD, or +HBD in HEX) is answered in every mode with
+ * +SACK:GTHBD,<Protocol Version>,<Count Number>$; a device that gets no
+ * answer takes the connection for dead and reconnects.
+ *
+ * A report that fails to parse would fail the same way every time it is
+ * resent, and block the device's buffer behind it. Once it is stored as a
+ * dead letter it can be acknowledged from the Count Number read off the raw
+ * frame (acknowledgeFailure). HEX frames that fail validation are left
+ * unacknowledged, since a resend may arrive intact.
+ */
+
+import { isBufferedReport, BUFFERED_HEX_HEADERS, HEX_REPORT_COMMANDS } from './parser.js';
+import { PARSE_ERROR_CODES } from './parser-errors.js';
+
+export const SACK_MODES = Object.freeze({
+    ALL: 'all',           // Acknowledge every report
+    BUFFERED: 'buffered', // Acknowledge buffered reports (+BUFF, +BSP, +BVT) only
+    NONE: 'none',         // Never acknowledge reports
+});
+
+// Only device reports are acknowledged; +ACK messages, ASCII or HEX, answer our own commands.
+const ACKNOWLEDGED_MESSAGE_TYPES = ['RESP', 'BUFF', 'HEX'];
+
+// A report with a known header and a Count Number in its last field
+const ASCII_REPORT = /^\+(RESP|BUFF):GT[A-Z0-9]+,.*,([0-9A-Fa-f]{4})\$?$/s;
+
+// Failures of a HEX frame that passed its Length and Checksum checks
+const DECODED_HEX_ERROR_CODES = [PARSE_ERROR_CODES.PARAMETER_COUNT, PARSE_ERROR_CODES.PARSER_EXCEPTION];
+
+export class SackResponder {
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.defaultMode] The mode used for devices without an explicit setting.
+     * @param {object} [options.deviceModes] Initial per-device modes, keyed by IMEI.
+     */
+    constructor({ defaultMode = SACK_MODES.ALL, deviceModes = {} } = {}) {
+        this.defaultMode = this._validateMode(defaultMode);
+        this.deviceModes = new Map();
+        for (const [imei, mode] of Object.entries(deviceModes)) {
+            this.setDeviceMode(imei, mode);
+        }
+    }
+
+    /**
+     * Parses a per-device mode list such as "861971050198167:none,862193022000541:buffered".
+     * @param {string} value The list, typically from the environment.
+     * @returns {object} Modes keyed by IMEI.
+     */
+    static parseDeviceModes(value) {
+        const modes = {};
+        if (!value) {
+            return modes;
+        }
+        for (const entry of value.split(',')) {
+            const [imei, mode] = entry.split(':').map(part => part.trim());
+            if (imei && mode) {
+                modes[imei] = mode;
+            }
+        }
+        return modes;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @param {string} mode One of SACK_MODES.
+     */
+    setDeviceMode(imei, mode) {
+        this.deviceModes.set(imei, this._validateMode(mode));
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {string} The mode in effect for the device.
+     */
+    getDeviceMode(imei) {
+        return this.deviceModes.get(imei) || this.defaultMode;
+    }
+
+    /**
+     * Decides whether a parsed message should be acknowledged.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {boolean}
+     */
+    shouldAcknowledge(result) {
+        if (!result || !result.parsedData || !ACKNOWLEDGED_MESSAGE_TYPES.includes(result.messageType) || this.isHeartbeat(result)) {
+            return false;
+        }
+        if (this._formatCountNumber(result.parsedData.countNumber) === null) {
+            return false;
+        }
+
+        return this._modeAllows(result.parsedData.uniqueId, isBufferedReport(result));
+    }
+
+    /**
+     * Acknowledges a report that failed to parse, if its Count Number can be
+     * read off the raw frame and the device's mode calls for it. Call this
+     * only once the failure has been stored as a dead letter.
+     * @param {net.Socket} socket The device socket.
+     * @param {object} result The { ok: false, error } object returned by QueclinkParser.parse.
+     * @param {'ASCII'|'HEX'} format The format the report arrived in.
+     * @param {string|null} imei The device, from its session; without one the default mode applies.
+     * @returns {boolean} Whether an acknowledgement was written.
+     */
+    acknowledgeFailure(socket, result, format, imei) {
+        const report = this._readFailedReport(result, format);
+        if (!report || !this._modeAllows(imei, report.buffered) || !socket || socket.destroyed) {
+            return false;
+        }
+        socket.write(this._packet(report.countNumber, format));
+        return true;
+    }
+
+    /**
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {boolean} Whether the message is a heartbeat, +ACK:GTHBD or HEX +HBD.
+     */
+    isHeartbeat(result) {
+        return Boolean(result && result.parsedData && ['ACK', 'HEX'].includes(result.messageType) && result.command === 'GTHBD');
+    }
+
+    /**
+     * Builds the +SACK:GTHBD answer to a heartbeat.
+     * @param {object} result The parsed +ACK:GTHBD or +HBD.
+     * @returns {Buffer|null} The packet, or null if the heartbeat has no usable Count Number.
+     */
+    buildHeartbeatAck(result) {
+        const countNumber = this._formatCountNumber(result.parsedData.countNumber);
+        if (countNumber === null) {
+            return null;
+        }
+        const protocolVersion = result.parsedData.protocolVersion ? result.parsedData.protocolVersion.raw || '' : '';
+        return Buffer.from(`+SACK:GTHBD,${protocolVersion},${countNumber}$`, 'ascii');
+    }
+
+    /**
+     * Answers a heartbeat on its socket.
+     * @param {net.Socket} socket The device socket.
+     * @param {object} result The parsed +ACK:GTHBD or +HBD.
+     * @returns {boolean} Whether an answer was written.
+     */
+    answerHeartbeat(socket, result) {
+        if (!this.isHeartbeat(result) || !socket || socket.destroyed) {
+            return false;
+        }
+        const packet = this.buildHeartbeatAck(result);
+        if (!packet) {
+            return false;
+        }
+        socket.write(packet);
+        return true;
+    }
+
+    /**
+     * Builds the +SACK packet for a parsed message.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @param {'ASCII'|'HEX'} format The format the report arrived in.
+     * @returns {Buffer|null} The packet, or null if the message has no usable Count Number.
+     */
+    buildAck(result, format = 'ASCII') {
+        const countNumber = this._formatCountNumber(result && result.parsedData && result.parsedData.countNumber);
+        if (countNumber === null) {
+            return null;
+        }
+        return this._packet(countNumber, format);
+    }
+
+    /**
+     * @param {string} countNumber Four hex digits.
+     * @param {'ASCII'|'HEX'} format
+     * @returns {Buffer}
+     */
+    _packet(countNumber, format) {
+        if (format === 'HEX') {
+            return Buffer.concat([
+                Buffer.from('+SACK:', 'ascii'),
+                Buffer.from(countNumber, 'hex'),
+                Buffer.from('$', 'ascii'),
+            ]);
+        }
+        return Buffer.from(`+SACK:${countNumber}$`, 'ascii');
+    }
+
+    /**
+     * Acknowledges a report on its socket if the device's mode calls for it.
+     * Call this only once the report has been handled successfully: an
+     * acknowledged report is dropped from the device's buffer for good.
+     * @param {net.Socket} socket The device socket.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @param {'ASCII'|'HEX'} format The format the report arrived in.
+     * @returns {boolean} Whether an acknowledgement was written.
+     */
+    acknowledge(socket, result, format = 'ASCII') {
+        if (!this.shouldAcknowledge(result) || !socket || socket.destroyed) {
+            return false;
+        }
+        const packet = this.buildAck(result, format);
+        if (!packet) {
+            return false;
+        }
+        socket.write(packet);
+        return true;
+    }
+
+    /**
+     * Normalises a Count Number to four upper-case hex digits. ASCII parsers
+     * return it as a number, HEX parsers as the raw hex string.
+     * @param {number|string} countNumber The parsed Count Number.
+     * @returns {string|null}
+     */
+    _formatCountNumber(countNumber) {
+        let value = countNumber;
+        if (typeof value === 'string') {
+            value = /^[0-9A-Fa-f]{1,4}$/.test(value) ? parseInt(value, 16) : NaN;
+        }
+        if (typeof value !== 'number' || !Number.isInteger(value) || value < 0 || value > 0xFFFF) {
+            return null;
+        }
+        return value.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    _modeAllows(imei, buffered) {
+        switch (this.getDeviceMode(imei)) {
+            case SACK_MODES.ALL:
+                return true;
+            case SACK_MODES.BUFFERED:
+                return buffered;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Reads the Count Number of a report that failed to parse.
+     * @returns {{countNumber: string, buffered: boolean}|null} null when the frame is not a report,
+     *     or cannot be trusted to carry its Count Number where expected.
+     */
+    _readFailedReport(result, format) {
+        const message = result && !result.ok && typeof result.originalMessage === 'string' ? result.originalMessage.trim() : '';
+        if (format === 'HEX') {
+            const header = message.substring(0, 8).toUpperCase();
+            if (!result.error || !DECODED_HEX_ERROR_CODES.includes(result.error.code) || !/^[0-9A-Fa-f]{24,}$/.test(message)
+                || HEX_REPORT_COMMANDS[header] === undefined) {
+                return null;
+            }
+            // Count Number, Checksum, 0D0A
+            return {
+                countNumber: message.substring(message.length - 12, message.length - 8).toUpperCase(),
+                buffered: BUFFERED_HEX_HEADERS[header] !== undefined,
+            };
+        }
+        const match = ASCII_REPORT.exec(message);
+        return match ? { countNumber: match[2].toUpperCase(), buffered: match[1] === 'BUFF' } : null;
+    }
+
+    _validateMode(mode) {
+        if (!Object.values(SACK_MODES).includes(mode)) {
+            throw new Error(`Invalid SACK mode "${mode}", expected one of: ${Object.values(SACK_MODES).join(', ')}`);
+        }
+        return mode;
+    }
+}
+
+export default SackResponder;
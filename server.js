@@ -3,27 +3,57 @@ import dotenv from 'dotenv';
 
 import {
   ProtocolParser,
-  ProtocolMessage,
+  ProtocolError,
   TerminalRegisterMessage,
-  MessageHeader,
-  MessagePacketPackageItems,
-  hexToBytes
+  LocationReportMessage
 } from './protocol-parser.js';
 
 import { MessageHandler } from './message-handler.js';
-
-import { frontendSocket, frontendServer } from './flutter-client.js';
+import { FrameArchive } from './frame-archive.js';
+import { FrontendGateway } from './frontend-gateway.js';
+import { fromJt808Location } from './canonical-record.js';
 
 
 // Load environment variables
 dotenv.config();
 // === Device-facing GS22 socket ===
 const DEVICE_PORT = process.env.DEVICE_PORT || 9001;
+const MAX_FRAME_BUFFER = parseInt(process.env.MAX_FRAME_BUFFER, 10) || undefined;
 
 // === Environment configuration ===
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const SEND_TEST_DATA = process.env.SEND_TEST_DATA === 'true' || NODE_ENV === 'development';
 
+// === Raw frame archive ===
+const FRAME_ARCHIVE_DIR = process.env.FRAME_ARCHIVE_DIR || 'archive';
+const FRAME_ARCHIVE_MAX_MB = parseFloat(process.env.FRAME_ARCHIVE_MAX_MB) || 64;
+
+// === Frontend gateway (dispatch, Flutter app, wallboards) ===
+const CLIENT_PORT = parseInt(process.env.CLIENT_PORT, 10) || 9500;
+const CLIENT_WS_PORT = parseInt(process.env.CLIENT_WS_PORT, 10) || 9501;
+
+const frameArchive = FRAME_ARCHIVE_DIR === 'none' ? null : new FrameArchive({ directory: FRAME_ARCHIVE_DIR, prefix: 'jt808', maxFileBytes: FRAME_ARCHIVE_MAX_MB * 1024 * 1024 });
+
+const gateway = new FrontendGateway({ tcpPort: CLIENT_PORT, wsPort: CLIENT_WS_PORT });
+
+gateway.on('listening', ({ transport, port }) => {
+  console.log(`🧭 Frontend gateway ready on port ${port} (${transport === 'ws' ? 'WebSocket' : 'newline-delimited JSON over TCP'})`);
+});
+
+gateway.on('client', (client) => {
+  console.log(`📲 Frontend client ${client.id} connected over ${client.transport} from ${client.remoteAddress}`);
+});
+
+gateway.on('error', (error) => {
+  console.error('❌ Frontend gateway error:', error.message);
+});
+
+if (frameArchive) {
+  frameArchive.on('error', (error) => {
+    console.error('❌ Frame archive write failed:', error.message);
+  });
+}
+
 // === GS22 GPS Device TCP Server ===
 const deviceServer = net.createServer((socket) => {
   console.log('✅ GS22 device connected');
@@ -38,74 +68,56 @@ const deviceServer = net.createServer((socket) => {
     console.log('🔗 GS22 socket connect event triggered');
   });
 
-  socket.on('data', (data) => {   
-    const parser = new ProtocolParser();
-    const raw  = data.toString('hex')
-    const formatted =data.toString('hex').match(/.{1,2}/g).join(' ')
-    console.log('📤 Raw data buffer (complete):', raw);
-
-   console.log('⏰ Timestamp:', new Date().toISOString());
-   MessageHandler.handleDeviceMessage(socket, data, {
-    unescapeBuffer: parser.unescape
+  // One codec per connection: it buffers partial frames and reassembles subpackages
+  const parser = new ProtocolParser({
+    maxBufferSize: MAX_FRAME_BUFFER,
+    onDiscard: (reason, bytes) => {
+      console.warn(`⚠️ Dropped ${bytes.length} bytes from ${socket.remoteAddress} (${reason})`);
+    }
   });
+  let phoneNumber = null; // last terminal seen on this connection, archived with what it sends next
 
+  socket.on('data', (data) => {
+    const raw = data.toString('hex');
+    console.log('📤 Raw data buffer (complete):', raw);
+    console.log('⏰ Timestamp:', new Date().toISOString());
 
+    // As received, before framing, so what the codec drops can be replayed too
+    if (frameArchive) {
+      frameArchive.append({ data, socket, protocol: 'jt808', imei: phoneNumber });
+    }
 
-   try {
-     const rawMessage = hexToBytes(raw);
-     const parsedMessage = parser.parse(rawMessage);
- 
-     if (parsedMessage instanceof TerminalRegisterMessage) {
-           console.log('✅ Parsed message:\n', parsedMessage.toString());
-  
-           console.log('='.repeat(50) + '\n');
-    
-     } else {
-       console.log('\nJavaScript: Failed to parse message or unsupported message type for the provided string.');
-       console.log('='.repeat(50) + '\n');
-     }
-   } catch (e) {
-     console.error('JavaScript Error:', e);
-     console.log('='.repeat(50) + '\n');
-   }
- 
-    if (frontendSocket) {
-      frontendSocket.write(JSON.stringify({raw: raw, hex: formatted}));
-      console.log('📤 Data forwarded to Flutter client');
-    } else {
-      console.log('⚠️ No Flutter client connected to forward data');
+    for (const frame of parser.push(data)) {
+      try {
+        const parsedMessage = parser.parse(frame);
+        phoneNumber = parsedMessage.header.phoneNumber;
+
+        if (parsedMessage instanceof TerminalRegisterMessage) {
+          console.log('✅ Parsed message:\n', parsedMessage.toString());
+        }
+        MessageHandler.handleDeviceMessage(socket, parsedMessage, { parser });
+        if (parsedMessage instanceof LocationReportMessage) {
+          gateway.publishRecord(fromJt808Location(parsedMessage));
+        }
+        console.log('='.repeat(50) + '\n');
+      } catch (e) {
+        if (e instanceof ProtocolError) {
+          console.warn(`🚫 Dropped frame (${e.code}): ${e.message}`, frame.toString('hex'));
+        } else {
+          console.error('JavaScript Error:', e);
+        }
+        console.log('='.repeat(50) + '\n');
+      }
     }
   });
 
+  socket.on('error', (error) => {
+    console.error('❌ GS22 socket error:', error.message);
+  });
+
 });
 
 
 deviceServer.listen(DEVICE_PORT, () => {
   console.log(`🚀 GS22 TCP server running on port ${DEVICE_PORT}`);
 });
-
-
-
-
-// // // Main execution for JavaScript
-// function runJsCode() {
-//   const parser = new ProtocolParser();
-//   const hexString = "7e0100002d0480500221711c7a0000000037303131325345472d3938383847000000000000000000000030303232313731003530303232313731f67e";
-
-//   try {
-//     const rawMessage = hexToBytes(hexString);
-//     const parsedMessage = parser.parse(rawMessage);
-
-//     if (parsedMessage instanceof TerminalRegisterMessage) {
-//       console.log('\nParsed JavaScript Message with trimmed Mobile No:');
-//       console.log(parsedMessage.toString());
-//     } else {
-//       console.log('\nJavaScript: Failed to parse message or unsupported message type for the provided string.');
-//     }
-//   } catch (e) {
-//     console.error('JavaScript Error:', e);
-//   }
-// }
-
-// // Call the function to run the example
-// runJsCode();
\ No newline at end of file
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Per-device session registry for the Queclink TCP server.
+ * A socket is anonymous until its first parsed report tells us the device's
+ * Unique ID (IMEI). From then on the session tracks connection times, the
+ * device's protocol version and name, its last known position and its last
+ * reported health (GTINF, GTCSQ, GTBAT).
+ *
+ * Events: 'online' and 'offline' (session), 'takeover' (session, stale socket)
+ * when a reconnecting device replaces a socket that is still open, and
+ * 'conflict' (socket, bound IMEI, reported IMEI) when a bound socket reports
+ * another Unique ID.
+ */
+
+import { EventEmitter } from 'events';
+import { isBufferedReport } from './parser.js';
+
+export class SessionManager extends EventEmitter {
+
+    constructor() {
+        super();
+        // IMEI -> session, kept after disconnect so we can answer "last seen"
+        this.sessions = new Map();
+        // socket -> { connectedAt, imei }
+        this.connections = new Map();
+    }
+
+    /**
+     * Registers a freshly accepted socket. It stays unbound until a report arrives.
+     * @param {net.Socket} socket The device socket.
+     */
+    attach(socket) {
+        this.connections.set(socket, {
+            connectedAt: new Date(),
+            imei: null,
+        });
+    }
+
+    /**
+     * Updates the session from a parsed report, binding the socket to the report's
+     * Unique ID on first use. A device that reconnects on a new socket takes the
+     * session over and the stale socket is closed.
+     * @param {net.Socket} socket The socket the report came from.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {object|null} The updated session, or null if the report carries no Unique ID.
+     */
+    update(socket, result) {
+        const report = result && result.parsedData;
+        const imei = report && report.uniqueId;
+        if (!imei) {
+            return null;
+        }
+
+        let connection = this.connections.get(socket);
+        if (!connection) {
+            this.attach(socket);
+            connection = this.connections.get(socket);
+        }
+
+        if (connection.imei && connection.imei !== imei) {
+            // The original binding is kept
+            this.emit('conflict', socket, connection.imei, imei);
+            return this.sessions.get(connection.imei);
+        }
+
+        let session = this.sessions.get(imei);
+        if (!connection.imei) {
+            connection.imei = imei;
+            session = this._bind(imei, socket, connection, session);
+        }
+
+        const now = new Date();
+        session.lastSeenAt = now;
+        session.messageCount++;
+        if (report.protocolVersion && typeof report.protocolVersion === 'object') {
+            session.protocolVersion = report.protocolVersion;
+        }
+        if (report.deviceName) {
+            session.deviceName = report.deviceName;
+        }
+        this._updatePosition(session, result);
+        this._updateHealth(session, result, now);
+
+        return session;
+    }
+
+    /**
+     * Forgets a closed socket. The session is marked offline only if the socket
+     * is still the one the device is using (it may already have been taken over).
+     * @param {net.Socket} socket The closed socket.
+     */
+    detach(socket) {
+        const connection = this.connections.get(socket);
+        this.connections.delete(socket);
+        if (!connection || !connection.imei) {
+            return;
+        }
+
+        const session = this.sessions.get(connection.imei);
+        if (session && session.socket === socket) {
+            session.socket = null;
+            session.online = false;
+            session.disconnectedAt = new Date();
+            this.emit('offline', session);
+        }
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object|undefined} The session, online or not.
+     */
+    getSession(imei) {
+        return this.sessions.get(imei);
+    }
+
+    /**
+     * @param {net.Socket} socket A device socket.
+     * @returns {object|undefined} The session bound to the socket, if any.
+     */
+    getSessionBySocket(socket) {
+        const connection = this.connections.get(socket);
+        return connection && connection.imei ? this.sessions.get(connection.imei) : undefined;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {boolean} Whether the device currently has a live socket.
+     */
+    isOnline(imei) {
+        const session = this.sessions.get(imei);
+        return !!(session && session.online);
+    }
+
+    /**
+     * Lists the devices that are online right now, and since when.
+     * @returns {object[]} Plain session descriptions, oldest connection first.
+     */
+    getOnlineSessions() {
+        return this.getAllSessions()
+            .filter(session => session.online)
+            .sort((a, b) => a.connectedAt - b.connectedAt);
+    }
+
+    /**
+     * @returns {object[]} Plain descriptions of every known session.
+     */
+    getAllSessions() {
+        return [...this.sessions.values()].map(session => this.describe(session));
+    }
+
+    /**
+     * Returns a session without its socket, safe to serialise.
+     * @param {object} session The session.
+     * @returns {object} The session description.
+     */
+    describe(session) {
+        const { socket, ...description } = session;
+        return {
+            ...description,
+            remoteAddress: socket ? socket.remoteAddress : null,
+            remotePort: socket ? socket.remotePort : null,
+        };
+    }
+
+    /**
+     * Binds a socket to an IMEI, creating the session or taking over an existing one.
+     */
+    _bind(imei, socket, connection, session) {
+        const previousSocket = session && session.online ? session.socket : null;
+
+        if (!session) {
+            session = {
+                imei,
+                socket: null,
+                online: false,
+                firstSeenAt: connection.connectedAt,
+                connectedAt: null,
+                disconnectedAt: null,
+                lastSeenAt: null,
+                protocolVersion: null,
+                deviceName: null,
+                lastPosition: null,
+                health: null,
+                messageCount: 0,
+                reconnectCount: 0,
+            };
+            this.sessions.set(imei, session);
+        } else {
+            session.reconnectCount++;
+        }
+
+        session.socket = socket;
+        session.online = true;
+        session.connectedAt = connection.connectedAt;
+        session.disconnectedAt = null;
+
+        if (previousSocket && previousSocket !== socket) {
+            this.connections.delete(previousSocket);
+            previousSocket.destroy();
+            this.emit('takeover', session, previousSocket);
+        }
+
+        this.emit('online', session);
+        return session;
+    }
+
+    /**
+     * Keeps the most recent fix. Buffered reports may arrive after newer live
+     * ones, so an older GNSS time never replaces a newer position. Reports
+     * carrying several positions contribute their newest one.
+     */
+    _updatePosition(session, result) {
+        const report = this._latestPosition(result.parsedData);
+        if (typeof report.latitude !== 'number' || typeof report.longitude !== 'number') {
+            return;
+        }
+
+        const fixTime = report.gnssUtcTime || result.parsedData.sendTime || null;
+        const current = session.lastPosition;
+        if (current && current.gnssUtcTime && fixTime && fixTime < current.gnssUtcTime) {
+            return;
+        }
+
+        session.lastPosition = {
+            latitude: report.latitude,
+            longitude: report.longitude,
+            speed: report.speed ?? null,
+            azimuth: report.azimuth ?? null,
+            altitude: report.altitude ?? null,
+            gnssUtcTime: fixTime,
+            command: result.command,
+            buffered: isBufferedReport(result),
+        };
+    }
+
+    /**
+     * Keeps the latest signal and power readings. GTINF carries both, GTCSQ
+     * only the signal and GTBAT only the power.
+     */
+    _updateHealth(session, result, receivedAt) {
+        const { command, parsedData: report } = result;
+        if (!['GTINF', 'GTCSQ', 'GTBAT'].includes(command) || isBufferedReport(result)) {
+            return;
+        }
+
+        const health = session.health || { iccId: null, signal: null, power: null };
+        if (command === 'GTINF' && report.iccId) {
+            health.iccId = report.iccId;
+        }
+        if (command !== 'GTBAT') {
+            health.signal = {
+                rssi: report.csqRssi ?? null,
+                rssiDbm: report.csqRssiDbm ?? null,
+                ber: report.csqBer ?? null,
+                berDescription: report.csqBerDescription ?? null,
+                command,
+                receivedAt,
+            };
+        }
+        if (command !== 'GTCSQ') {
+            health.power = {
+                externalPowerSupply: report.externalPowerSupply === null ? null : report.externalPowerSupply === 1,
+                externalPowerVoltage: report.externalPowerVoltage ?? null, // mV
+                backupBatteryVoltage: report.backupBatteryVoltage ?? null, // V
+                charging: report.charging === null ? null : report.charging === 1,
+                command,
+                receivedAt,
+            };
+        }
+        session.health = health;
+    }
+
+    _latestPosition(report) {
+        if (!Array.isArray(report.positions) || report.positions.length <= 1) {
+            return report;
+        }
+        return report.positions.reduce((latest, position) =>
+            position.gnssUtcTime && (!latest.gnssUtcTime || position.gnssUtcTime > latest.gnssUtcTime) ? position : latest
+        );
+    }
+}
+
+export default SessionManager;
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Device simulator for load and end-to-end tests: opens one
+ * TCP connection per simulated GV500MAP and plays a drive on each (see
+ * device-simulator.js for what the devices send and answer).
+ *
+ *   node simulator.js [options]
+ *
+ * Every device plays the same --script, or its own random drive. Devices
+ * get consecutive IMEIs from --imei-base and start spread over --ramp
+ * seconds around --lat/--lon. The run ends when every drive has played and
+ * its reports are acknowledged, or on Ctrl+C.
+ *
+ * Options:
+ *   --host <host>          Server address; default 127.0.0.1.
+ *   --port <port>          Server device port; default DEVICE_PORT or 9001.
+ *   --devices <n>          Concurrent devices; default 1.
+ *   --format <ascii|hex>   Report format; default ascii.
+ *   --script <file>        JSON drive script played by every device instead of random drives.
+ *   --trips <n>            Trips per random drive; default 1.
+ *   --seed <n>             Seed for repeatable random drives; default random.
+ *   --speed <n>            Simulated seconds per real second; default 1.
+ *   --imei-base <digits>   First 14 IMEI digits of the first device; default 86197105000000.
+ *   --lat <deg> --lon <deg> Where the devices start; default 17.40, 78.40.
+ *   --password <password>  AT command password; default DEVICE_PASSWORD or gv500map.
+ *   --no-sack              Do not wait for +SACK (AT+GTSRI SACK disabled).
+ *   --outage-rate <p>      Chance of a network outage per random trip; default 0.3.
+ *   --crash-rate <p>       Chance of a random trip ending in a crash; default 0.05.
+ *   --dtc-rate <p>         Chance of a new DTC per random trip; default 0.2.
+ *   --ramp <seconds>       Spread the device start-ups over this long; default 0.
+ *   --verbose              Print every report, +SACK and command.
+ */
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+import { SimulatedDevice, randomDrive, createRandom, toImei, validateScript } from './device-simulator.js';
+
+const USAGE = 'Usage: node simulator.js [--host host] [--port port] [--devices n] [--format ascii|hex] [--script file] [--trips n] [--seed n] [--speed n] [--imei-base digits] [--lat deg] [--lon deg] [--password password] [--no-sack] [--outage-rate p] [--crash-rate p] [--dtc-rate p] [--ramp seconds] [--verbose]';
+
+const PROGRESS_INTERVAL_MS = 10000;
+
+function parseArgs(argv, env) {
+  const options = {
+    host: '127.0.0.1',
+    port: parseInt(env.DEVICE_PORT, 10) || 9001,
+    devices: 1,
+    format: 'ASCII',
+    script: null,
+    trips: 1,
+    seed: Math.floor(Math.random() * 0xFFFFFFFF),
+    speed: 1,
+    imeiBase: '86197105000000',
+    lat: 17.40,
+    lon: 78.40,
+    password: env.DEVICE_PASSWORD || undefined,
+    sack: true,
+    outageRate: 0.3,
+    crashRate: 0.05,
+    dtcRate: 0.2,
+    ramp: 0,
+    verbose: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+    const number = (min = 0) => {
+      const text = value();
+      const parsed = Number(text);
+      if (!Number.isFinite(parsed) || parsed < min) {
+        throw new Error(`${arg} must be a number of at least ${min}, got ${text}`);
+      }
+      return parsed;
+    };
+    const probability = () => {
+      const parsed = number();
+      if (parsed > 1) {
+        throw new Error(`${arg} must be between 0 and 1, got ${parsed}`);
+      }
+      return parsed;
+    };
+    switch (arg) {
+      case '--host': options.host = value(); break;
+      case '--port': options.port = number(1); break;
+      case '--devices': options.devices = Math.floor(number(1)); break;
+      case '--format': {
+        options.format = value().toUpperCase();
+        if (options.format !== 'ASCII' && options.format !== 'HEX') {
+          throw new Error(`--format must be ascii or hex, got ${options.format.toLowerCase()}`);
+        }
+        break;
+      }
+      case '--script': options.script = value(); break;
+      case '--trips': options.trips = Math.floor(number(1)); break;
+      case '--seed': options.seed = Math.floor(number()); break;
+      case '--speed': {
+        options.speed = number();
+        if (!(options.speed > 0)) {
+          throw new Error('--speed must be a positive number');
+        }
+        break;
+      }
+      case '--imei-base': {
+        options.imeiBase = value();
+        if (!/^\d{14}$/.test(options.imeiBase)) {
+          throw new Error(`--imei-base must be 14 digits, got ${options.imeiBase}`);
+        }
+        break;
+      }
+      case '--lat': options.lat = Number(value()); break;
+      case '--lon': options.lon = Number(value()); break;
+      case '--password': options.password = value(); break;
+      case '--no-sack': options.sack = false; break;
+      case '--outage-rate': options.outageRate = probability(); break;
+      case '--crash-rate': options.crashRate = probability(); break;
+      case '--dtc-rate': options.dtcRate = probability(); break;
+      case '--ramp': options.ramp = number(); break;
+      case '--verbose': options.verbose = true; break;
+      default:
+        throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+  if (!(Math.abs(options.lat) <= 90) || !(Math.abs(options.lon) <= 180)) {
+    throw new Error('--lat and --lon must be a valid position');
+  }
+  return options;
+}
+
+function loadScript(file) {
+  const steps = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validateScript(steps);
+  return steps;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function imeiFor(options, index) {
+  const digits = (BigInt(options.imeiBase) + BigInt(index)).toString().padStart(14, '0');
+  if (digits.length > 14) {
+    throw new Error(`--imei-base ${options.imeiBase} leaves no room for ${options.devices} devices`);
+  }
+  return toImei(digits);
+}
+
+function createDevice(options, index) {
+  const random = createRandom(options.seed + index);
+  const device = new SimulatedDevice({
+    imei: imeiFor(options, index),
+    host: options.host,
+    port: options.port,
+    format: options.format,
+    password: options.password,
+    // Within about 5 km of the start position
+    lat: options.lat + (random() - 0.5) * 0.1,
+    lon: options.lon + (random() - 0.5) * 0.1,
+    speed: options.speed,
+    random,
+    sack: options.sack,
+  });
+
+  const tag = `[${device.imei}]`;
+  device.on('connected', () => console.log(`🔌 ${tag} connected`));
+  device.on('disconnected', () => console.log(`📴 ${tag} disconnected`));
+  device.on('error', (error) => {
+    if (options.verbose) {
+      console.log(`⚠️ ${tag} ${error.code || error.message}`);
+    }
+  });
+  device.on('command', ({ text, ignored }) => console.log(`${ignored ? '🚫' : '📥'} ${tag} ${text}${ignored ? ' (wrong password, ignored)' : ''}`));
+  if (options.verbose) {
+    device.on('report', ({ command, countNumber, buffered }) => console.log(`➡️ ${tag} ${command} #${countNumber}${buffered ? ' (buffered)' : ''}`));
+    device.on('acknowledged', ({ countNumber }) => console.log(`✅ ${tag} +SACK #${countNumber}`));
+  }
+  return device;
+}
+
+function summarize(devices) {
+  const summary = { devices: devices.length, connected: 0, connections: 0, sent: 0, resent: 0, acknowledged: 0, commands: 0, dropped: 0, buffered: 0 };
+  for (const device of devices) {
+    summary.connected += device.connected ? 1 : 0;
+    summary.buffered += device.backlog.length + device.unacknowledged.size;
+    for (const [key, value] of Object.entries(device.stats)) {
+      summary[key] += value;
+    }
+  }
+  return summary;
+}
+
+async function main() {
+  dotenv.config();
+  let options;
+  let script = null;
+  try {
+    options = parseArgs(process.argv.slice(2), process.env);
+    if (options.script) {
+      script = loadScript(options.script);
+    }
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  console.log(`🚗 Simulating ${options.devices} ${options.format} device(s) against ${options.host}:${options.port} at ${options.speed}x, seed ${options.seed}`);
+  const devices = Array.from({ length: options.devices }, (_, index) => createDevice(options, index));
+
+  const progress = setInterval(() => console.log('📊', summarize(devices)), PROGRESS_INTERVAL_MS);
+  let stopping = false;
+  process.on('SIGINT', async () => {
+    if (stopping) {
+      process.exit(130);
+    }
+    stopping = true;
+    console.log('🛑 Stopping, Ctrl+C again to quit at once');
+    await Promise.all(devices.map(device => device.stop({ drainMs: 0 })));
+    clearInterval(progress);
+    console.log('📊 Simulation summary:', summarize(devices));
+    process.exit(130);
+  });
+
+  await Promise.all(devices.map(async (device, index) => {
+    await sleep((options.ramp * 1000 * index) / options.devices);
+    await device.start();
+    const steps = script || randomDrive(createRandom(options.seed + options.devices + index), {
+      trips: options.trips,
+      outageRate: options.outageRate,
+      crashRate: options.crashRate,
+      dtcRate: options.dtcRate,
+    });
+    await device.play(steps);
+    await device.stop();
+  }));
+
+  clearInterval(progress);
+  console.log('📊 Simulation summary:', summarize(devices));
+}
+
+main().catch((error) => {
+  console.error('Simulation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,389 @@
+/**
+ * @fileoverview PostgreSQL repository (pg), see storage.js. With `postgis`
+ * the positions also get a geography column with a GiST index for spatial
+ * queries; the extension must be installable by the database user.
+ * pg is an optional dependency, loaded by loadPg() only when PostgreSQL is
+ * the configured backend.
+ */
+
+import { EventEmitter } from 'events';
+import { normalizeQuery } from './storage.js';
+
+// Applied in order; never edit a migration once released, add a new one
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial schema',
+        sql: `
+            CREATE TABLE raw_frames (
+                id BIGSERIAL PRIMARY KEY,
+                imei TEXT NOT NULL,
+                command TEXT NOT NULL,
+                message_type TEXT NOT NULL,
+                format TEXT NOT NULL,
+                count_number INTEGER,
+                send_time TIMESTAMPTZ,
+                received_at TIMESTAMPTZ NOT NULL,
+                buffered BOOLEAN NOT NULL,
+                raw TEXT NOT NULL,
+                parsed JSONB NOT NULL
+            );
+            CREATE UNIQUE INDEX raw_frames_report_key ON raw_frames (imei, count_number, send_time);
+            CREATE INDEX raw_frames_imei_received ON raw_frames (imei, received_at);
+
+            CREATE TABLE positions (
+                id BIGSERIAL PRIMARY KEY,
+                frame_id BIGINT NOT NULL REFERENCES raw_frames (id) ON DELETE CASCADE,
+                imei TEXT NOT NULL,
+                timestamp TIMESTAMPTZ NOT NULL,
+                lat DOUBLE PRECISION NOT NULL,
+                lon DOUBLE PRECISION NOT NULL,
+                altitude_m DOUBLE PRECISION,
+                speed_kmh DOUBLE PRECISION,
+                heading_deg DOUBLE PRECISION,
+                gnss_accuracy DOUBLE PRECISION,
+                odometer_km DOUBLE PRECISION,
+                ignition BOOLEAN,
+                event_type TEXT,
+                position_index INTEGER NOT NULL
+            );
+            CREATE INDEX positions_imei_time ON positions (imei, timestamp);
+
+            CREATE TABLE events (
+                id BIGSERIAL PRIMARY KEY,
+                frame_id BIGINT NOT NULL REFERENCES raw_frames (id) ON DELETE CASCADE,
+                imei TEXT NOT NULL,
+                timestamp TIMESTAMPTZ NOT NULL,
+                event_type TEXT NOT NULL,
+                command TEXT NOT NULL,
+                event_code INTEGER,
+                record JSONB NOT NULL
+            );
+            CREATE INDEX events_imei_time ON events (imei, timestamp);
+
+            CREATE TABLE obd_snapshots (
+                id BIGSERIAL PRIMARY KEY,
+                frame_id BIGINT NOT NULL REFERENCES raw_frames (id) ON DELETE CASCADE,
+                imei TEXT NOT NULL,
+                timestamp TIMESTAMPTZ NOT NULL,
+                vin TEXT,
+                engine_rpm DOUBLE PRECISION,
+                vehicle_speed_kmh DOUBLE PRECISION,
+                coolant_temp_c DOUBLE PRECISION,
+                fuel_level_pct DOUBLE PRECISION,
+                throttle_pct DOUBLE PRECISION,
+                engine_load_pct DOUBLE PRECISION,
+                mil_on BOOLEAN,
+                dtcs JSONB NOT NULL,
+                obd_mileage_km DOUBLE PRECISION,
+                power_mv DOUBLE PRECISION,
+                supported_pids TEXT,
+                out_of_range JSONB NOT NULL
+            );
+            CREATE INDEX obd_snapshots_imei_time ON obd_snapshots (imei, timestamp);
+
+            CREATE TABLE device_sessions (
+                imei TEXT NOT NULL,
+                connected_at TIMESTAMPTZ NOT NULL,
+                disconnected_at TIMESTAMPTZ,
+                remote_address TEXT,
+                remote_port INTEGER,
+                PRIMARY KEY (imei, connected_at)
+            );
+        `,
+    },
+    {
+        version: 2,
+        name: 'postgis positions',
+        postgis: true,
+        sql: `
+            CREATE EXTENSION IF NOT EXISTS postgis;
+            ALTER TABLE positions ADD COLUMN geom geography(Point, 4326);
+            UPDATE positions SET geom = ST_SetSRID(ST_MakePoint(lon, lat), 4326)::geography;
+            CREATE INDEX positions_geom ON positions USING GIST (geom);
+        `,
+    },
+    {
+        version: 3,
+        name: 'dead letters',
+        sql: `
+            CREATE TABLE dead_letters (
+                id BIGSERIAL PRIMARY KEY,
+                imei TEXT,
+                format TEXT NOT NULL,
+                received_at TIMESTAMPTZ NOT NULL,
+                error_code TEXT NOT NULL,
+                error_message TEXT NOT NULL,
+                command TEXT,
+                field_index INTEGER,
+                raw TEXT NOT NULL
+            );
+            CREATE INDEX dead_letters_received ON dead_letters (received_at);
+            CREATE INDEX dead_letters_imei_received ON dead_letters (imei, received_at);
+        `,
+    },
+    {
+        version: 4,
+        name: 'config snapshots',
+        sql: `
+            CREATE TABLE config_snapshots (
+                imei TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                sections JSONB NOT NULL,
+                send_time TIMESTAMPTZ,
+                received_at TIMESTAMPTZ NOT NULL,
+                confirmed_at TIMESTAMPTZ NOT NULL,
+                PRIMARY KEY (imei, version)
+            );
+        `,
+    },    {
+        version: 5,
+        name: 'report key without send time',
+        // NULLs never match in a unique index, so reports without a Send Time
+        // (or Count Number) were stored again when resent; drop those duplicates
+        sql: `
+            DELETE FROM raw_frames WHERE id NOT IN (
+                SELECT MIN(id) FROM raw_frames GROUP BY imei, count_number, send_time
+            );
+            DROP INDEX raw_frames_report_key;
+            CREATE UNIQUE INDEX raw_frames_report_key ON raw_frames (imei, COALESCE(count_number, -1), COALESCE(send_time, '-infinity'));
+        `,
+    },
+];
+
+const COLUMNS = {
+    raw_frames: ['imei', 'command', 'message_type', 'format', 'count_number', 'send_time', 'received_at', 'buffered', 'raw', 'parsed'],
+    positions: ['frame_id', 'imei', 'timestamp', 'lat', 'lon', 'altitude_m', 'speed_kmh', 'heading_deg', 'gnss_accuracy', 'odometer_km', 'ignition', 'event_type', 'position_index'],
+    events: ['frame_id', 'imei', 'timestamp', 'event_type', 'command', 'event_code', 'record'],
+    obd_snapshots: ['frame_id', 'imei', 'timestamp', 'vin', 'engine_rpm', 'vehicle_speed_kmh', 'coolant_temp_c', 'fuel_level_pct', 'throttle_pct', 'engine_load_pct', 'mil_on', 'dtcs', 'obd_mileage_km', 'power_mv', 'supported_pids', 'out_of_range'],
+    dead_letters: ['imei', 'format', 'received_at', 'error_code', 'error_message', 'command', 'field_index', 'raw'],
+    config_snapshots: ['imei', 'version', 'sections', 'send_time', 'received_at', 'confirmed_at'],
+};
+
+const JSON_COLUMNS = ['parsed', 'record', 'dtcs', 'out_of_range', 'sections'];
+const TIME_COLUMNS = ['send_time', 'received_at', 'timestamp', 'connected_at', 'disconnected_at', 'confirmed_at'];
+
+/**
+ * Imports the optional pg package.
+ * @returns {Promise<object>} The pg module.
+ */
+export async function loadPg() {
+    try {
+        return (await import('pg')).default;
+    } catch (error) {
+        if (error.code === 'ERR_MODULE_NOT_FOUND') {
+            throw new Error("PostgreSQL storage needs the optional 'pg' package, install it with npm install pg");
+        }
+        throw error;
+    }
+}
+
+export class PostgresStorage extends EventEmitter {
+
+    /**
+     * @param {object} [options]
+     * @param {object} [options.connection] pg.Pool settings (host, port, database, user, password, ...).
+     * @param {boolean} [options.postgis] Add and fill the PostGIS geography column.
+     * @param {object} options.pg The pg module, see loadPg().
+     */
+    constructor({ connection = {}, postgis = false, pg }) {
+        super();
+        this.pool = new pg.Pool(connection);
+        // An idle client losing its connection (server restart, failover) is reported
+        // here; without a listener pg would crash the process
+        this.pool.on('error', error => this.emit('error', error));
+        this.postgis = postgis;
+        this.hasGeometry = false;
+    }
+
+    async migrate() {
+        await this.pool.query('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TIMESTAMPTZ NOT NULL)');
+        const { rows } = await this.pool.query('SELECT version FROM schema_migrations');
+        const applied = new Set(rows.map(row => row.version));
+
+        for (const migration of MIGRATIONS) {
+            if (applied.has(migration.version) || (migration.postgis && !this.postgis)) {
+                continue;
+            }
+            await this._transaction(async (client) => {
+                await client.query(migration.sql);
+                await client.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, now())', [migration.version, migration.name]);
+            });
+            applied.add(migration.version);
+        }
+        this.hasGeometry = applied.has(2);
+    }
+
+    async writeBatch(items) {
+        return this._transaction(async (client) => {
+            const stored = [];
+            for (const item of items) {
+                stored.push(await this._writeReport(client, item));
+            }
+            return stored;
+        });
+    }
+
+    async saveSession(session) {
+        await this.pool.query(`
+            INSERT INTO device_sessions (imei, connected_at, disconnected_at, remote_address, remote_port)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (imei, connected_at) DO UPDATE SET
+                disconnected_at = EXCLUDED.disconnected_at,
+                remote_address = COALESCE(EXCLUDED.remote_address, device_sessions.remote_address),
+                remote_port = COALESCE(EXCLUDED.remote_port, device_sessions.remote_port)`,
+        [session.imei, session.connectedAt, session.disconnectedAt ?? null, session.remoteAddress ?? null, session.remotePort ?? null]);
+    }
+
+    async saveDeadLetter(row) {
+        await this.pool.query(insertSql('dead_letters'), values('dead_letters', row));
+    }
+
+    async saveConfigSnapshot(row) {
+        await this.pool.query(`${insertSql('config_snapshots')}
+            ON CONFLICT (imei, version) DO UPDATE SET confirmed_at = EXCLUDED.confirmed_at`, values('config_snapshots', row));
+    }
+
+    async getRawFrames(imei, query) {
+        return this._select('raw_frames', 'received_at', imei, query);
+    }
+
+    async getPositions(imei, query) {
+        return this._select('positions', 'timestamp', imei, query);
+    }
+
+    async getEvents(imei, query) {
+        return this._select('events', 'timestamp', imei, query);
+    }
+
+    async getObdSnapshots(imei, query) {
+        return this._select('obd_snapshots', 'timestamp', imei, query);
+    }
+
+    async getLatestObdSnapshot(imei) {
+        const { rows } = await this.pool.query('SELECT * FROM obd_snapshots WHERE imei = $1 ORDER BY timestamp DESC, id DESC LIMIT 1', [String(imei)]);
+        return rows.length ? fromRow(rows[0]) : null;
+    }
+
+    async getSessions(imei, query) {
+        const { limit } = normalizeQuery(query);
+        const { rows } = await this.pool.query('SELECT * FROM device_sessions WHERE imei = $1 ORDER BY connected_at DESC LIMIT $2', [String(imei), limit]);
+        return rows.map(fromRow);
+    }
+
+    async getDevices() {
+        const { rows } = await this.pool.query(`
+            SELECT DISTINCT ON (imei) * FROM device_sessions
+            ORDER BY imei, connected_at DESC`);
+        return rows.map(fromRow);
+    }
+
+    async getDeadLetters(imei, query) {
+        if (imei !== null && imei !== undefined) {
+            return this._select('dead_letters', 'received_at', imei, query);
+        }
+        const { from, to, limit, afterTime, afterId } = normalizeQuery(query);
+        const { rows } = await this.pool.query(`
+            SELECT * FROM dead_letters
+            WHERE ($1::timestamptz IS NULL OR received_at >= $1)
+              AND ($2::timestamptz IS NULL OR received_at <= $2)
+              AND ($3::timestamptz IS NULL OR (received_at, id) > ($3::timestamptz, $4::bigint))
+            ORDER BY received_at, id
+            LIMIT $5`, [from, to, afterTime, afterId, limit]);
+        return rows.map(fromRow);
+    }
+
+    async getLatestConfigSnapshots() {
+        const { rows } = await this.pool.query(`
+            SELECT DISTINCT ON (imei) * FROM config_snapshots
+            ORDER BY imei, version DESC`);
+        return rows.map(fromRow);
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+
+    async _transaction(work) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async _writeReport(client, { frame, positions, event, obd }) {
+        const { rows } = await client.query(`${insertSql('raw_frames')} ON CONFLICT DO NOTHING RETURNING id`, values('raw_frames', frame));
+        if (!rows.length) {
+            return false; // already stored
+        }
+        const frameId = rows[0].id;
+
+        for (const position of positions) {
+            const row = { frame_id: frameId, ...position };
+            if (this.hasGeometry) {
+                const columns = COLUMNS.positions;
+                await client.query(
+                    `INSERT INTO positions (${columns.join(', ')}, geom)
+                     VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}, ST_SetSRID(ST_MakePoint($5, $4), 4326)::geography)`,
+                    values('positions', row));
+            } else {
+                await client.query(insertSql('positions'), values('positions', row));
+            }
+        }
+        if (event) {
+            await client.query(insertSql('events'), values('events', { frame_id: frameId, ...event }));
+        }
+        if (obd) {
+            await client.query(insertSql('obd_snapshots'), values('obd_snapshots', { frame_id: frameId, ...obd }));
+        }
+        return true;
+    }
+
+    async _select(table, timeColumn, imei, query) {
+        const { from, to, limit, afterTime, afterId } = normalizeQuery(query);
+        const columns = table === 'positions' ? ['id', ...COLUMNS.positions] : ['*'];
+        const { rows } = await this.pool.query(`
+            SELECT ${columns.join(', ')} FROM ${table}
+            WHERE imei = $1
+              AND ($2::timestamptz IS NULL OR ${timeColumn} >= $2)
+              AND ($3::timestamptz IS NULL OR ${timeColumn} <= $3)
+              AND ($4::timestamptz IS NULL OR (${timeColumn}, id) > ($4::timestamptz, $5::bigint))
+            ORDER BY ${timeColumn}, id
+            LIMIT $6`, [String(imei), from, to, afterTime, afterId, limit]);
+        return rows.map(fromRow);
+    }
+}
+
+function insertSql(table) {
+    const columns = COLUMNS[table];
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})`;
+}
+
+function values(table, row) {
+    return COLUMNS[table].map(column => (JSON_COLUMNS.includes(column) ? JSON.stringify(row[column]) : row[column] ?? null));
+}
+
+function fromRow(row) {
+    for (const column of TIME_COLUMNS) {
+        if (row[column] instanceof Date) {
+            row[column] = row[column].toISOString();
+        }
+    }
+    if (typeof row.id === 'string') {
+        row.id = Number(row.id); // BIGSERIAL
+    }
+    if (typeof row.frame_id === 'string') {
+        row.frame_id = Number(row.frame_id);
+    }
+    return row;
+}
+
+export default PostgresStorage;
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Embedded SQLite repository (better-sqlite3), see storage.js.
+ * Times are stored as ISO 8601 UTC text, which sorts chronologically, and
+ * JSON columns as text.
+ */
+
+import Database from 'better-sqlite3';
+import { EventEmitter } from 'events';
+import { normalizeQuery } from './storage.js';
+
+export const DEFAULT_SQLITE_FILE = 'obd-server.db';
+
+// Applied in order; never edit a migration once released, add a new one
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial schema',
+        sql: `
+            CREATE TABLE raw_frames (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                imei TEXT NOT NULL,
+                command TEXT NOT NULL,
+                message_type TEXT NOT NULL,
+                format TEXT NOT NULL,
+                count_number INTEGER,
+                send_time TEXT,
+                received_at TEXT NOT NULL,
+                buffered INTEGER NOT NULL,
+                raw TEXT NOT NULL,
+                parsed TEXT NOT NULL
+            );
+            CREATE UNIQUE INDEX raw_frames_report_key ON raw_frames (imei, count_number, send_time);
+            CREATE INDEX raw_frames_imei_received ON raw_frames (imei, received_at);
+
+            CREATE TABLE positions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                frame_id INTEGER NOT NULL REFERENCES raw_frames (id) ON DELETE CASCADE,
+                imei TEXT NOT NULL,
+                timestamp TEXT NOT NULL,
+                lat REAL NOT NULL,
+                lon REAL NOT NULL,
+                altitude_m REAL,
+                speed_kmh REAL,
+                heading_deg REAL,
+                gnss_accuracy REAL,
+                odometer_km REAL,
+                ignition INTEGER,
+                event_type TEXT,
+                position_index INTEGER NOT NULL
+            );
+            CREATE INDEX positions_imei_time ON positions (imei, timestamp);
+
+            CREATE TABLE events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                frame_id INTEGER NOT NULL REFERENCES raw_frames (id) ON DELETE CASCADE,
+                imei TEXT NOT NULL,
+                timestamp TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                command TEXT NOT NULL,
+                event_code INTEGER,
+                record TEXT NOT NULL
+            );
+            CREATE INDEX events_imei_time ON events (imei, timestamp);
+
+            CREATE TABLE obd_snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                frame_id INTEGER NOT NULL REFERENCES raw_frames (id) ON DELETE CASCADE,
+                imei TEXT NOT NULL,
+                timestamp TEXT NOT NULL,
+                vin TEXT,
+                engine_rpm REAL,
+                vehicle_speed_kmh REAL,
+                coolant_temp_c REAL,
+                fuel_level_pct REAL,
+                throttle_pct REAL,
+                engine_load_pct REAL,
+                mil_on INTEGER,
+                dtcs TEXT NOT NULL,
+                obd_mileage_km REAL,
+                power_mv REAL,
+                supported_pids TEXT,
+                out_of_range TEXT NOT NULL
+            );
+            CREATE INDEX obd_snapshots_imei_time ON obd_snapshots (imei, timestamp);
+
+            CREATE TABLE device_sessions (
+                imei TEXT NOT NULL,
+                connected_at TEXT NOT NULL,
+                disconnected_at TEXT,
+                remote_address TEXT,
+                remote_port INTEGER,
+                PRIMARY KEY (imei, connected_at)
+            );
+        `,
+    },
+    {
+        version: 2,
+        name: 'dead letters',
+        sql: `
+            CREATE TABLE dead_letters (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                imei TEXT,
+                format TEXT NOT NULL,
+                received_at TEXT NOT NULL,
+                error_code TEXT NOT NULL,
+                error_message TEXT NOT NULL,
+                command TEXT,
+                field_index INTEGER,
+                raw TEXT NOT NULL
+            );
+            CREATE INDEX dead_letters_received ON dead_letters (received_at);
+            CREATE INDEX dead_letters_imei_received ON dead_letters (imei, received_at);
+        `,
+    },
+    {
+        version: 3,
+        name: 'config snapshots',
+        sql: `
+            CREATE TABLE config_snapshots (
+                imei TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                sections TEXT NOT NULL,
+                send_time TEXT,
+                received_at TEXT NOT NULL,
+                confirmed_at TEXT NOT NULL,
+                PRIMARY KEY (imei, version)
+            );
+        `,
+    },    {
+        version: 4,
+        name: 'report key without send time',
+        // NULLs never match in a unique index, so reports without a Send Time
+        // (or Count Number) were stored again when resent; drop those duplicates
+        sql: `
+            DELETE FROM raw_frames WHERE id NOT IN (
+                SELECT MIN(id) FROM raw_frames GROUP BY imei, count_number, send_time
+            );
+            DROP INDEX raw_frames_report_key;
+            CREATE UNIQUE INDEX raw_frames_report_key ON raw_frames (imei, COALESCE(count_number, -1), COALESCE(send_time, ''));
+        `,
+    },
+];
+
+const JSON_COLUMNS = ['parsed', 'record', 'dtcs', 'out_of_range', 'sections'];
+const BOOLEAN_COLUMNS = ['buffered', 'ignition', 'mil_on'];
+
+export class SqliteStorage extends EventEmitter {
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.file] Database file, ':memory:' for a throwaway database.
+     */
+    constructor({ file = DEFAULT_SQLITE_FILE } = {}) {
+        super();
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.statements = null;
+    }
+
+    async migrate() {
+        this.db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+        const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').pluck().all());
+
+        for (const migration of MIGRATIONS) {
+            if (applied.has(migration.version)) {
+                continue;
+            }
+            this.db.transaction(() => {
+                this.db.exec(migration.sql);
+                this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                    .run(migration.version, migration.name, new Date().toISOString());
+            })();
+        }
+        this._prepare();
+    }
+
+    async writeBatch(items) {
+        return this.db.transaction(() => items.map(item => this._writeReport(item)))();
+    }
+
+    async saveSession(session) {
+        this.statements.session.run({
+            imei: session.imei,
+            connected_at: toIso(session.connectedAt),
+            disconnected_at: toIso(session.disconnectedAt),
+            remote_address: session.remoteAddress ?? null,
+            remote_port: session.remotePort ?? null,
+        });
+    }
+
+    async saveDeadLetter(row) {
+        this.statements.deadLetter.run(toRow(row));
+    }
+
+    async saveConfigSnapshot(row) {
+        this.statements.configSnapshot.run(toRow(row));
+    }
+
+    async getRawFrames(imei, query) {
+        return this._select('raw_frames', 'received_at', imei, query);
+    }
+
+    async getPositions(imei, query) {
+        return this._select('positions', 'timestamp', imei, query);
+    }
+
+    async getEvents(imei, query) {
+        return this._select('events', 'timestamp', imei, query);
+    }
+
+    async getObdSnapshots(imei, query) {
+        return this._select('obd_snapshots', 'timestamp', imei, query);
+    }
+
+    async getLatestObdSnapshot(imei) {
+        const row = this.db.prepare('SELECT * FROM obd_snapshots WHERE imei = ? ORDER BY timestamp DESC, id DESC LIMIT 1').get(String(imei));
+        return row ? fromRow(row) : null;
+    }
+
+    async getSessions(imei, query) {
+        const { limit } = normalizeQuery(query);
+        return this.db.prepare('SELECT * FROM device_sessions WHERE imei = ? ORDER BY connected_at DESC LIMIT ?')
+            .all(String(imei), limit).map(fromRow);
+    }
+
+    async getDevices() {
+        return this.db.prepare(`
+            SELECT * FROM device_sessions AS session
+            WHERE connected_at = (SELECT MAX(connected_at) FROM device_sessions WHERE imei = session.imei)
+            ORDER BY imei`).all().map(fromRow);
+    }
+
+    async getDeadLetters(imei, query) {
+        if (imei !== null && imei !== undefined) {
+            return this._select('dead_letters', 'received_at', imei, query);
+        }
+        const { from, to, limit, afterTime, afterId } = normalizeQuery(query);
+        return this.db.prepare(`
+            SELECT * FROM dead_letters
+            WHERE (@from IS NULL OR received_at >= @from)
+              AND (@to IS NULL OR received_at <= @to)
+              AND (@afterTime IS NULL OR (received_at, id) > (@afterTime, @afterId))
+            ORDER BY received_at, id
+            LIMIT @limit`).all({ from, to, afterTime, afterId, limit }).map(fromRow);
+    }
+
+    async getLatestConfigSnapshots() {
+        return this.db.prepare(`
+            SELECT * FROM config_snapshots AS snapshot
+            WHERE version = (SELECT MAX(version) FROM config_snapshots WHERE imei = snapshot.imei)
+            ORDER BY imei`).all().map(fromRow);
+    }
+
+    async close() {
+        this.db.close();
+    }
+
+    _prepare() {
+        const insert = (table, columns, extra = '') => this.db.prepare(
+            `INSERT ${extra} INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(column => `@${column}`).join(', ')})`);
+
+        this.statements = {
+            frame: insert('raw_frames', ['imei', 'command', 'message_type', 'format', 'count_number', 'send_time', 'received_at', 'buffered', 'raw', 'parsed'], 'OR IGNORE'),
+            position: insert('positions', ['frame_id', 'imei', 'timestamp', 'lat', 'lon', 'altitude_m', 'speed_kmh', 'heading_deg', 'gnss_accuracy', 'odometer_km', 'ignition', 'event_type', 'position_index']),
+            event: insert('events', ['frame_id', 'imei', 'timestamp', 'event_type', 'command', 'event_code', 'record']),
+            deadLetter: insert('dead_letters', ['imei', 'format', 'received_at', 'error_code', 'error_message', 'command', 'field_index', 'raw']),
+            obd: insert('obd_snapshots', ['frame_id', 'imei', 'timestamp', 'vin', 'engine_rpm', 'vehicle_speed_kmh', 'coolant_temp_c', 'fuel_level_pct', 'throttle_pct', 'engine_load_pct', 'mil_on', 'dtcs', 'obd_mileage_km', 'power_mv', 'supported_pids', 'out_of_range']),
+            session: this.db.prepare(`
+                INSERT INTO device_sessions (imei, connected_at, disconnected_at, remote_address, remote_port)
+                VALUES (@imei, @connected_at, @disconnected_at, @remote_address, @remote_port)
+                ON CONFLICT (imei, connected_at) DO UPDATE SET
+                    disconnected_at = excluded.disconnected_at,
+                    remote_address = COALESCE(excluded.remote_address, device_sessions.remote_address),
+                    remote_port = COALESCE(excluded.remote_port, device_sessions.remote_port)`),
+            configSnapshot: this.db.prepare(`
+                INSERT INTO config_snapshots (imei, version, sections, send_time, received_at, confirmed_at)
+                VALUES (@imei, @version, @sections, @send_time, @received_at, @confirmed_at)
+                ON CONFLICT (imei, version) DO UPDATE SET confirmed_at = excluded.confirmed_at`),
+        };
+    }
+
+    _writeReport({ frame, positions, event, obd }) {
+        const { changes, lastInsertRowid } = this.statements.frame.run(toRow(frame));
+        if (changes === 0) {
+            return false; // already stored
+        }
+        const frameId = Number(lastInsertRowid);
+        for (const position of positions) {
+            this.statements.position.run(toRow({ frame_id: frameId, ...position }));
+        }
+        if (event) {
+            this.statements.event.run(toRow({ frame_id: frameId, ...event }));
+        }
+        if (obd) {
+            this.statements.obd.run(toRow({ frame_id: frameId, ...obd }));
+        }
+        return true;
+    }
+
+    _select(table, timeColumn, imei, query) {
+        const { from, to, limit, afterTime, afterId } = normalizeQuery(query);
+        return this.db.prepare(`
+            SELECT * FROM ${table}
+            WHERE imei = @imei
+              AND (@from IS NULL OR ${timeColumn} >= @from)
+              AND (@to IS NULL OR ${timeColumn} <= @to)
+              AND (@afterTime IS NULL OR (${timeColumn}, id) > (@afterTime, @afterId))
+            ORDER BY ${timeColumn}, id
+            LIMIT @limit`).all({ imei: String(imei), from, to, afterTime, afterId, limit }).map(fromRow);
+    }
+}
+
+function toRow(values) {
+    const row = {};
+    for (const [column, value] of Object.entries(values)) {
+        if (JSON_COLUMNS.includes(column)) {
+            row[column] = JSON.stringify(value);
+        } else if (typeof value === 'boolean') {
+            row[column] = value ? 1 : 0;
+        } else {
+            row[column] = value ?? null;
+        }
+    }
+    return row;
+}
+
+function fromRow(row) {
+    for (const column of JSON_COLUMNS) {
+        if (typeof row[column] === 'string') {
+            row[column] = JSON.parse(row[column]);
+        }
+    }
+    for (const column of BOOLEAN_COLUMNS) {
+        if (column in row && row[column] !== null) {
+            row[column] = row[column] === 1;
+        }
+    }
+    return row;
+}
+
+function toIso(date) {
+    return date instanceof Date ? date.toISOString() : date ?? null;
+}
+
+export default SqliteStorage;
@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Persistence of parsed reports behind a pluggable repository.
+ * Every report is stored as its raw frame plus the rows derived from its
+ * canonical records (see canonical-record.js): positions with a fix, the
+ * event for non-periodic reports and an OBD snapshot for GTOBD/GTOSM/+OBD.
+ * Device connections are stored as sessions, messages that failed to parse
+ * as dead letters, with their raw frame and the error, and the versioned
+ * configuration snapshots of DeviceConfigStore (config-store.js), so
+ * versions and drift checks carry on across restarts.
+ *
+ * Reports are keyed on IMEI, Count Number and Send Time, so a report the
+ * device resends as +BUFF because its +SACK was lost is stored once. The
+ * Count Number alone wraps at 0xFFFF. A missing Send Time or Count Number
+ * counts as a value of its own, so such reports are deduplicated too.
+ *
+ * A repository (SqliteStorage in storage-sqlite.js, PostgresStorage in
+ * storage-postgres.js) implements:
+ *   migrate()                        Applies pending schema migrations.
+ *   writeBatch(items)                Stores toStorageRows() items in one transaction;
+ *                                    resolves to one boolean per item, false for duplicates.
+ *   saveSession(session)             Inserts or updates a device connection.
+ *   saveDeadLetter(row)              Stores a toDeadLetterRow() row.
+ *   saveConfigSnapshot(row)          Inserts a toConfigSnapshotRow() row, or refreshes the
+ *                                    confirmed_at of the version already stored.
+ *   getRawFrames(imei, query)        \
+ *   getPositions(imei, query)         | Oldest first; query is { from, to, limit, after },
+ *   getEvents(imei, query)            | times as Dates or ISO strings. `after` is the
+ *   getObdSnapshots(imei, query)     /  { time, id } of the last row of the previous page.
+ *   getLatestObdSnapshot(imei)       The newest OBD snapshot, or null.
+ *   getSessions(imei, query)         Newest connection first.
+ *   getDevices()                     The newest connection of every device.
+ *   getDeadLetters(imei, query)      Oldest first, like the reports; a null IMEI lists every device's.
+ *   getLatestConfigSnapshots()       The newest configuration snapshot of every device.
+ *   close()
+ * All methods return promises, and rows come back with ISO time strings,
+ * parsed JSON columns and booleans whatever the backend. Repositories are
+ * EventEmitters and emit 'error' for failures outside any call, such as a
+ * pooled PostgreSQL connection dropping while idle.
+ */
+
+import { toCanonicalRecords } from './canonical-record.js';
+
+export const DEFAULT_BATCH_SIZE = 100;
+export const DEFAULT_FLUSH_INTERVAL_MS = 200;
+export const DEFAULT_QUERY_LIMIT = 1000;
+
+const OBD_COMMANDS = ['GTOBD', 'GTOSM', 'OBD'];
+
+/**
+ * Maps a parsed report and its frame to the rows to store.
+ * @param {object} result The object returned by QueclinkParser.parse.
+ * @param {{format: string, message: string}} frame The frame from QueclinkFramer.
+ * @param {Date} [receivedAt] When the frame arrived.
+ * @returns {object|null} { frame, positions, event, obd }, or null for messages that are not stored (+ACK, failed parses).
+ */
+export function toStorageRows(result, frame, receivedAt = new Date()) {
+    const records = toCanonicalRecords(result);
+    if (!records.length) {
+        return null;
+    }
+    const [base] = records;
+    const report = result.parsedData;
+
+    const positions = records
+        .filter(record => Number.isFinite(record.lat) && Number.isFinite(record.lon) && record.gnss_accuracy !== 0)
+        .map(record => ({
+            imei: record.imei,
+            timestamp: record.timestamp,
+            lat: record.lat,
+            lon: record.lon,
+            altitude_m: record.altitude_m,
+            speed_kmh: record.speed_kmh,
+            heading_deg: record.heading_deg,
+            gnss_accuracy: record.gnss_accuracy,
+            odometer_km: record.odometer_km,
+            ignition: record.ignition,
+            event_type: record.event_type,
+            position_index: record.position_index,
+        }));
+
+    return {
+        frame: {
+            imei: base.imei,
+            command: base.command,
+            message_type: result.messageType,
+            format: frame.format,
+            count_number: base.count_number,
+            send_time: base.send_time,
+            received_at: receivedAt.toISOString(),
+            buffered: base.buffered,
+            raw: frame.message,
+            parsed: report,
+        },
+        positions,
+        event: base.event_type === 'periodic' ? null : {
+            imei: base.imei,
+            timestamp: base.timestamp || receivedAt.toISOString(),
+            event_type: base.event_type,
+            command: base.command,
+            event_code: base.event_code,
+            record: base,
+        },
+        obd: OBD_COMMANDS.includes(base.command) ? {
+            imei: base.imei,
+            timestamp: base.timestamp || receivedAt.toISOString(),
+            vin: report.obdVin || report.vin || null,
+            engine_rpm: toNumber(report.engineRpm),
+            vehicle_speed_kmh: toNumber(report.vehicleSpeed),
+            coolant_temp_c: toNumber(report.engineCoolantTemperature),
+            fuel_level_pct: toNumber(report.fuelLevelInput),
+            throttle_pct: toNumber(report.throttlePosition),
+            engine_load_pct: toNumber(report.engineLoad),
+            mil_on: report.milStatus === 0 || report.milStatus === 1 ? report.milStatus === 1 : null,
+            dtcs: Array.isArray(report.diagnosticTroubleCodes) ? report.diagnosticTroubleCodes : [],
+            obd_mileage_km: toNumber(report.obdMileage),
+            power_mv: toNumber(report.obdPowerVoltage),
+            supported_pids: report.supportedPids || null,
+            out_of_range: report.outOfRange || [],
+        } : null,
+    };
+}
+
+/**
+ * Maps a message that failed to parse to its dead-letter row.
+ * @param {object} result The { ok: false, error } object returned by QueclinkParser.parse.
+ * @param {{format: string, message: string}} frame The frame from QueclinkFramer.
+ * @param {string|null} imei The device the frame came from, if its session knows it.
+ * @param {Date} [receivedAt] When the frame arrived.
+ * @returns {object} The row.
+ */
+export function toDeadLetterRow(result, frame, imei, receivedAt = new Date()) {
+    const { error } = result;
+    return {
+        imei: imei || null,
+        format: frame.format,
+        received_at: receivedAt.toISOString(),
+        error_code: error.code || 'PARSER_EXCEPTION',
+        error_message: error.message,
+        command: error.command ?? null,
+        field_index: Number.isInteger(error.fieldIndex) ? error.fieldIndex : null,
+        raw: frame.message,
+    };
+}
+
+/**
+ * Maps a DeviceConfigStore snapshot to its row.
+ * @param {object} snapshot The object returned by DeviceConfigStore.ingest.
+ * @returns {object} The row.
+ */
+export function toConfigSnapshotRow(snapshot) {
+    return {
+        imei: snapshot.imei,
+        version: snapshot.version,
+        sections: snapshot.sections,
+        send_time: snapshot.sendTime instanceof Date ? snapshot.sendTime.toISOString() : null,
+        received_at: snapshot.receivedAt.toISOString(),
+        confirmed_at: snapshot.confirmedAt.toISOString(),
+    };
+}
+
+/**
+ * Maps a stored configuration snapshot row back to a DeviceConfigStore snapshot.
+ * @param {object} row A row returned by getLatestConfigSnapshots.
+ * @returns {object} The snapshot.
+ */
+export function fromConfigSnapshotRow(row) {
+    return {
+        imei: row.imei,
+        version: row.version,
+        sections: row.sections,
+        sendTime: row.send_time ? new Date(row.send_time) : null,
+        receivedAt: new Date(row.received_at),
+        confirmedAt: new Date(row.confirmed_at),
+    };
+}
+
+/**
+ * Maps a stored connection row to a SessionManager-like description of a
+ * device that has not connected since the server started.
+ * @param {object} row A row returned by getSessions or getDevices.
+ * @returns {object} The device, offline.
+ */
+export function fromSessionRow(row) {
+    return {
+        imei: row.imei,
+        online: false,
+        connectedAt: row.connected_at,
+        disconnectedAt: row.disconnected_at,
+        remoteAddress: row.remote_address,
+        remotePort: row.remote_port,
+    };
+}
+
+/**
+ * Groups report writes into transactions of up to `maxBatchSize` reports,
+ * written at most `flushIntervalMs` after the first one was queued.
+ */
+export class BatchWriter {
+
+    /**
+     * @param {object} storage A repository, see the file overview.
+     * @param {object} [options]
+     * @param {number} [options.maxBatchSize] Reports per transaction.
+     * @param {number} [options.flushIntervalMs] Longest a report waits to be written.
+     */
+    constructor(storage, { maxBatchSize = DEFAULT_BATCH_SIZE, flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS } = {}) {
+        this.storage = storage;
+        this.maxBatchSize = maxBatchSize;
+        this.flushIntervalMs = flushIntervalMs;
+
+        this.queue = [];   // { rows, resolve, reject }
+        this.timer = null;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Queues a report.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @param {{format: string, message: string}} frame The frame from QueclinkFramer.
+     * @param {Date} [receivedAt] When the frame arrived, if not now (e.g. replayed from the archive).
+     * @returns {Promise<boolean|null>} Resolves once committed: true if stored, false if it was a duplicate,
+     *   null if the message is not stored at all. Rejects if the write failed.
+     */
+    write(result, frame, receivedAt = new Date()) {
+        const rows = toStorageRows(result, frame, receivedAt);
+        if (!rows) {
+            return Promise.resolve(null);
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ rows, resolve, reject });
+            if (this.queue.length >= this.maxBatchSize) {
+                this.flush();
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+            }
+        });
+    }
+
+    /**
+     * Writes everything queued so far.
+     * @returns {Promise<void>} Resolves when the batch and those before it are written.
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const batch = this.queue.splice(0);
+        if (!batch.length) {
+            return this.writing;
+        }
+
+        // One transaction at a time, so reports are committed in arrival order
+        this.writing = this.writing.then(async () => {
+            try {
+                const stored = await this.storage.writeBatch(batch.map(item => item.rows));
+                batch.forEach((item, i) => item.resolve(stored[i]));
+            } catch (error) {
+                batch.forEach(item => item.reject(error));
+            }
+        });
+        return this.writing;
+    }
+
+    /**
+     * Writes what is queued and closes the repository.
+     */
+    async close() {
+        await this.flush();
+        await this.storage.close();
+    }
+}
+
+/**
+ * Opens and migrates the repository selected by `client`.
+ * @param {object} options
+ * @param {string} options.client 'sqlite', 'postgres' or 'none'.
+ * @param {string} [options.file] SQLite database file.
+ * @param {object} [options.connection] PostgreSQL connection settings (host, port, database, user, password).
+ * @param {boolean} [options.postgis] Store PostgreSQL positions as PostGIS geography as well.
+ * @returns {Promise<object|null>} The repository, or null when storage is disabled.
+ */
+export async function openStorage({ client, file, connection, postgis = false }) {
+    let storage;
+    switch (client) {
+        case 'none':
+            return null;
+        case 'sqlite': {
+            const { SqliteStorage } = await import('./storage-sqlite.js');
+            storage = new SqliteStorage({ file });
+            break;
+        }
+        case 'postgres': {
+            const { PostgresStorage, loadPg } = await import('./storage-postgres.js');
+            storage = new PostgresStorage({ connection, postgis, pg: await loadPg() });
+            break;
+        }
+        default:
+            throw new Error(`Unknown storage client '${client}', expected sqlite, postgres or none`);
+    }
+    await storage.migrate();
+    return storage;
+}
+
+/**
+ * Reads the openStorage() options from the environment (DB_CLIENT, DB_FILE,
+ * DB_HOST, DB_PORT, DB_NAME, DB_USER, DB_PASSWORD, DB_POSTGIS).
+ * @param {object} [env] The environment.
+ * @returns {object} The options.
+ */
+export function storageOptionsFromEnv(env = process.env) {
+    return {
+        client: env.DB_CLIENT || 'sqlite',
+        file: env.DB_FILE || undefined,
+        connection: {
+            host: env.DB_HOST,
+            port: parseInt(env.DB_PORT, 10) || undefined,
+            database: env.DB_NAME,
+            user: env.DB_USER,
+            password: env.DB_PASSWORD,
+        },
+        postgis: env.DB_POSTGIS === 'true',
+    };
+}
+
+/**
+ * Normalizes a { from, to, limit, after } query.
+ * @param {object} [query]
+ * @returns {{from: string|null, to: string|null, limit: number, afterTime: string|null, afterId: number|null}}
+ */
+export function normalizeQuery({ from = null, to = null, limit = DEFAULT_QUERY_LIMIT, after = null } = {}) {
+    const toIso = (time) => (time === null ? null : new Date(time).toISOString());
+    return {
+        from: toIso(from),
+        to: toIso(to),
+        limit: Math.max(1, Math.min(Number(limit) || DEFAULT_QUERY_LIMIT, DEFAULT_QUERY_LIMIT * 10)),
+        afterTime: after ? toIso(after.time) : null,
+        afterId: after ? Number(after.id) : null,
+    };
+}
+
+function toNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+export default openStorage;
@@ -0,0 +1,142 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { ApiServer, REDACTED } from '../api-server.js';
+import { SessionManager } from '../session-manager.js';
+import { DeviceConfigStore } from '../config-store.js';
+import { CommandDispatcher } from '../command-dispatcher.js';
+import { DtcTracker } from '../dtc-tracker.js';
+import { SqliteStorage } from '../storage-sqlite.js';
+import { toStorageRows } from '../storage.js';
+import { fixture } from './fixtures.js';
+
+const IMEI = '861971050198167';
+
+/**
+ * Starts an ApiServer on a free local port.
+ * @returns {Promise<{ api: ApiServer, url: string }>}
+ */
+function start(options) {
+    const api = new ApiServer({ port: 0, host: '127.0.0.1', sessions: new SessionManager(), ...options });
+    return new Promise((resolve, reject) => {
+        api.once('error', reject);
+        api.once('listening', () => resolve({ api, url: `http://127.0.0.1:${api.server.address().port}` }));
+    });
+}
+
+describe('ApiServer', () => {
+    describe('after a restart', () => {
+        const storage = new SqliteStorage({ file: ':memory:' });
+        let api;
+        let url;
+
+        before(async () => {
+            await storage.migrate();
+            const message = fixture('ascii', 'GTOBD');
+            await storage.writeBatch([toStorageRows(new QueclinkParser().parse(message), { format: 'ASCII', message })]);
+            await storage.saveSession({ imei: IMEI, connectedAt: new Date('2025-06-19T15:00:00Z'), disconnectedAt: new Date('2025-06-19T16:00:00Z'), remoteAddress: '10.0.0.1', remotePort: 5000 });
+            ({ api, url } = await start({ storage, dtcTracker: new DtcTracker() }));
+        });
+
+        after(async () => {
+            api.close();
+            await storage.close();
+        });
+
+        it('lists and describes devices from their stored connection', async () => {
+            const stored = {
+                imei: IMEI,
+                online: false,
+                connectedAt: '2025-06-19T15:00:00.000Z',
+                disconnectedAt: '2025-06-19T16:00:00.000Z',
+                remoteAddress: '10.0.0.1',
+                remotePort: 5000,
+            };
+            assert.deepEqual(await (await fetch(`${url}/devices`)).json(), { devices: [stored] });
+            assert.deepEqual(await (await fetch(`${url}/devices/${IMEI}`)).json(), stored);
+            assert.equal((await fetch(`${url}/devices/862193022000541`)).status, 404);
+        });
+
+        it('reads DTCs from the latest OBD snapshot', async () => {
+            const vehicle = await (await fetch(`${url}/devices/${IMEI}/dtcs`)).json();
+            assert.deepEqual(vehicle.activeCodes, ['P0101', 'P0420']);
+            assert.deepEqual(vehicle.codes.map(dtc => [dtc.code, dtc.active, dtc.firstSeen]), [['P0101', true, null], ['P0420', true, null]]);
+            assert.equal(vehicle.mil.on, true);
+        });
+
+        it('answers 400 for a malformed path escape', async () => {
+            const response = await fetch(`${url}/devices/%E0`);
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error.code, 'INVALID_PATH');
+        });
+    });
+
+    describe('GET /devices/:imei/config', () => {
+        const configStore = new DeviceConfigStore();
+        let api;
+        let url;
+
+        before(async () => {
+            const alm = new QueclinkParser().parse(fixture('ascii', 'GTALM'));
+            configStore.ingest(alm.parsedData);
+            ({ api, url } = await start({ configStore }));
+        });
+
+        after(() => api.close());
+
+        it('masks the device password', async () => {
+            const response = await fetch(`${url}/devices/${IMEI}/config`);
+            assert.equal(response.status, 200);
+            const snapshot = await response.json();
+            assert.equal(snapshot.sections.CFG.password, REDACTED);
+            assert.equal(snapshot.sections.CFG.deviceName, 'GV500MAP');
+            assert.equal(snapshot.version, 1);
+        });
+
+        it('leaves the stored snapshot untouched', async () => {
+            await fetch(`${url}/devices/${IMEI}/config`);
+            assert.equal(configStore.get(IMEI).sections.CFG.password, 'gv500map');
+        });
+
+        it('answers 404 for a device without a configuration', async () => {
+            const response = await fetch(`${url}/devices/862193022000541/config`);
+            assert.equal(response.status, 404);
+            assert.equal((await response.json()).error.code, 'NO_CONFIG');
+        });
+    });
+
+    describe('POST /devices/:imei/commands', () => {
+        const send = (url, authorization) => fetch(`${url}/devices/${IMEI}/commands`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(authorization ? { Authorization: authorization } : {}) },
+            body: JSON.stringify({ command: 'GTRTO', options: { subCommand: 'INF' } }),
+        });
+
+        async function withApi(commandToken, test) {
+            const sessions = new SessionManager();
+            const { api, url } = await start({ sessions, commandDispatcher: new CommandDispatcher({ sessions }), commandToken });
+            try {
+                await test(url);
+            } finally {
+                api.close();
+            }
+        }
+
+        it('refuses every command when the server has no token', () => withApi(null, async (url) => {
+            const response = await send(url, 'Bearer anything');
+            assert.equal(response.status, 403);
+            assert.equal((await response.json()).error.code, 'COMMANDS_LOCKED');
+        }));
+
+        it('needs the configured bearer token', () => withApi('s3cret-token', async (url) => {
+            for (const authorization of [null, 'Bearer s3cret', 'Bearer s3cret-token2', 's3cret-token']) {
+                const response = await send(url, authorization);
+                assert.equal(response.status, 401, String(authorization));
+                assert.equal((await response.json()).error.code, 'UNAUTHORIZED');
+            }
+            const response = await send(url, 'Bearer s3cret-token');
+            assert.equal(response.status, 202);
+            assert.equal((await response.json()).command, 'GTRTO');
+        }));
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { toCanonical, toCanonicalRecords, CANONICAL_SCHEMA_VERSION } from '../canonical-record.js';
+import { fixture } from './fixtures.js';
+
+const IMEI = '861971050198167';
+
+const parser = new QueclinkParser();
+const parse = (format, name) => parser.parse(fixture(format, name));
+
+describe('canonical record', () => {
+    it('maps an ASCII report with units in the field names', () => {
+        assert.deepEqual(toCanonical(parse('ascii', 'GTFRI')), {
+            schema_version: CANONICAL_SCHEMA_VERSION,
+            imei: IMEI,
+            device_name: 'GV500MAP',
+            vin: 'MZBEU812TRN617180',
+            event_type: 'periodic',
+            event_code: null,
+            command: 'GTFRI',
+            format: 'ASCII',
+            buffered: false,
+            count_number: 0x0C0A,
+            timestamp: '2025-06-19T15:11:40.000Z',
+            gnss_time: '2025-06-19T15:11:40.000Z',
+            send_time: '2025-06-19T15:11:45.000Z',
+            lat: 17.403438,
+            lon: 78.409098,
+            altitude_m: 538.9,
+            speed_kmh: 47.3,
+            heading_deg: 117,
+            gnss_accuracy: 1,
+            satellites: null,
+            odometer_km: 13553.4,
+            hour_meter: '01108:44:12',
+            ignition: null,
+            power_mv: 13800,
+            engine_rpm: 1850,
+            fuel_level_pct: 62,
+            cell: { mcc: 404, mnc: 49, lac: 0x4F29, cell_id: 0x9813 },
+            position_index: 0,
+            position_count: 1,
+        });
+    });
+
+    it('marks +BUFF reports as buffered', () => {
+        const record = toCanonical(parser.parse(fixture('ascii', 'GTFRI').replace('+RESP', '+BUFF')));
+        assert.deepEqual([record.command, record.event_type, record.buffered], ['GTFRI', 'periodic', true]);
+    });
+
+    it('names events after the report, with the ignition the report states', () => {
+        const ign = toCanonical(parse('ascii', 'GTIGN'));
+        assert.deepEqual([ign.event_type, ign.ignition], ['ignition_on', true]);
+        assert.equal(toCanonical(parse('ascii', 'GTVER')).event_type, 'gtver');
+    });
+
+    it('maps a HEX report to one record per position', () => {
+        const records = toCanonicalRecords(parse('hex', 'RSP'));
+        assert.deepEqual(records.map(record => [record.command, record.format, record.event_type, record.position_index, record.position_count, record.timestamp, record.lat]), [
+            ['GTFRI', 'HEX', 'periodic', 0, 2, '2025-06-19T15:11:40.000Z', 17.403438],
+            ['GTFRI', 'HEX', 'periodic', 1, 2, '2025-06-19T15:11:50.000Z', 17.404438],
+        ]);
+        assert.equal(records[0].imei, IMEI);
+        assert.equal(records[0].count_number, 0);
+        assert.equal(records[0].ignition, true);
+        assert.equal(records[1].cell.lac, 1740);
+    });
+
+    it('keeps the HEX Message Type of events and the buffered flag of +BSP and +BVT', () => {
+        const [evt] = toCanonicalRecords(parse('hex', 'EVT'));
+        assert.deepEqual([evt.command, evt.event_type, evt.event_code, evt.ignition, evt.buffered], ['GTIGN', 'ignition_on', 1, true, false]);
+        assert.equal(toCanonical(parse('hex', 'BVT')).buffered, true);
+        assert.deepEqual(toCanonicalRecords(parse('hex', 'BSP')).map(record => record.buffered), [true, true]);
+    });
+
+    it('maps HEX device messages without a position', () => {
+        const records = ['HBD', 'INF', 'CRD', 'OBD'].map(name => toCanonical(parse('hex', name)));
+        assert.deepEqual(records.map(record => [record.command, record.event_type]), [
+            ['GTHBD', 'heartbeat'],
+            ['GTINF', 'device_info'],
+            ['GTCRD', 'crash'],
+            ['GTOBD', 'obd'],
+        ]);
+        assert.equal(records[0].lat, null);
+    });
+
+    it('normalizes BCD Unique IDs and hex Count Numbers', () => {
+        const result = parse('ascii', 'GTFRI');
+        const record = toCanonical({ ...result, parsedData: { ...result.parsedData, uniqueId: `0${IMEI}`, countNumber: '0C0A' } });
+        assert.deepEqual([record.imei, record.count_number], [IMEI, 0x0C0A]);
+    });
+
+    it('maps nothing for acknowledgements and failed parses', () => {
+        assert.equal(toCanonical(parse('hex', 'ACK')), null);
+        assert.deepEqual(toCanonicalRecords(parser.parse('+RESP:GTFRI,5E0500$')), []);
+    });
+});
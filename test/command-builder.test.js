@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandBuilder, CommandValidationError } from '../command-builder.js';
+
+// One command per layout, its options and the wire text with serial number 0x0010
+const LAYOUTS = [
+    ['GTSRI', { reportMode: 3, mainServerIPDomain: 'gps.example.com', mainServerPort: 9001, sackEnable: 1 },
+        'AT+GTSRI=gv500map,3,,,gps.example.com,9001,,,,,1,,,,,,0010$'],
+    ['GTFRI', { mode: 1, beginTime: '0800', endTime: '1800', sendInterval: 30 },
+        'AT+GTFRI=gv500map,1,,,,0800,1800,,30,,,,,,,,,,0010$'],
+    ['GTGEO', { geoId: 0, mode: 3, longitude: 78.409098, latitude: 17.403438, radius: 500, checkInterval: 60, triggerMode: 22 },
+        'AT+GTGEO=gv500map,0,3,78.409098,17.403438,500,60,,,,,22,,,,0010$'],
+    ['GTSPD', { mode: 1, minSpeed: 0, maxSpeed: 120, validity: 60, sendInterval: 300 },
+        'AT+GTSPD=gv500map,1,0,120,60,300,,,,,,,,,,,,,,,,0010$'],
+    ['GTOBD', { mode: 1, checkInterval: 10, reportInterval: 60, reportMask: '1fff', displacement: 2 },
+        'AT+GTOBD=gv500map,1,10,60,,1FFF,,2.0,,,,,,,,,0010$'],
+    ['GTHRM', { rspMask: 'ffffffff', obdMask: '1' },
+        'AT+GTHRM=gv500map,,,,FFFFFFFF,,,,,,,1,0010$'],
+    ['GTRTO', { subCommand: 'inf' },
+        'AT+GTRTO=gv500map,INF,,,,,,0010$'],
+];
+
+// One invalid option per command, and the option the error names
+const INVALID = [
+    ['GTSRI', { mainServerPort: 70000 }, 'mainServerPort', /between 0 and 65535/],
+    ['GTSRI', { mainServerIPDomain: 'gps.example.com,9002' }, 'mainServerIPDomain', /without ','/],
+    ['GTFRI', { beginTime: '2460' }, 'beginTime', /HHMM/],
+    ['GTFRI', { sendInterval: 0 }, 'sendInterval', /between 1 and 86400/],
+    ['GTGEO', { mode: 3 }, 'geoId', /is required/],
+    ['GTGEO', { geoId: 0, triggerMode: 5 }, 'triggerMode', /one of: 0, 21, 22/],
+    ['GTGEO', { geoId: 0, latitude: 91 }, 'latitude', /between -90 and 90/],
+    ['GTSPD', { sendInterval: 10 }, 'sendInterval', /between 30 and 3600/],
+    ['GTOBD', { reportMask: 'XYZ' }, 'reportMask', /hex string/],
+    ['GTOBD', { displacement: 100 }, 'displacement', /between 0 and 99.9/],
+    ['GTHRM', { rspMask: '123456789' }, 'rspMask', /at most 8 digits/],
+    ['GTRTO', {}, 'subCommand', /is required/],
+    ['GTRTO', { subCommand: 'FOO' }, 'subCommand', /one of: GPS, RTL/],
+];
+
+describe('CommandBuilder', () => {
+    for (const [command, options, text] of LAYOUTS) {
+        it(`lays out ${command}`, () => {
+            assert.deepEqual(new CommandBuilder().build(command, options, { serialNumber: 0x10 }), { command, serialNumber: 0x10, text });
+        });
+    }
+
+    it('knows exactly the commands with a layout', () => {
+        assert.deepEqual(CommandBuilder.supportedCommands, LAYOUTS.map(([command]) => command));
+        assert.deepEqual(CommandBuilder.optionNames('rto'), ['subCommand', 'subCommandParameter']);
+        assert.deepEqual(CommandBuilder.optionNames('GTXYZ'), []);
+    });
+
+    for (const [command, options, field, message] of INVALID) {
+        it(`rejects ${command} ${field} ${JSON.stringify(options[field] ?? null)}`, () => {
+            assert.throws(() => new CommandBuilder().build(command, options), (error) => {
+                assert.ok(error instanceof CommandValidationError);
+                assert.deepEqual([error.command, error.field], [command, field]);
+                assert.match(error.message, message);
+                return true;
+            });
+        });
+    }
+
+    it('rejects unknown commands and options, bad passwords and serial numbers', () => {
+        const builder = new CommandBuilder();
+        const rejects = (fn, field) => assert.throws(fn, error => error instanceof CommandValidationError && error.field === field);
+        rejects(() => builder.build('GTXYZ'), null);
+        rejects(() => builder.build('GTFRI', { interval: 30 }), 'interval');
+        rejects(() => builder.build('GTFRI', {}, { password: 'pw' }), 'password');
+        rejects(() => builder.build('GTFRI', {}, { serialNumber: 0x10000 }), 'serialNumber');
+    });
+
+    it('accepts command names with or without the AT+GT prefix', () => {
+        const builder = new CommandBuilder({ password: 'secret1' });
+        for (const name of ['FRI', 'gtfri', 'AT+GTFRI']) {
+            assert.equal(builder.build(name, {}, { serialNumber: 1 }).text, 'AT+GTFRI=secret1,,,,,,,,,,,,,,,,,,0001$');
+        }
+    });
+
+    it('allocates serial numbers in turn, wrapping at 0xFFFF', () => {
+        const builder = new CommandBuilder();
+        builder.nextSerialNumber = 0xFFFF;
+        assert.deepEqual([builder.buildRealTimeQuery('GPS'), builder.buildRealTimeQuery('INF')].map(entry => entry.serialNumber), [0xFFFF, 0]);
+        assert.equal(builder.build('GTFRI', {}, { serialNumber: 7 }).serialNumber, 7);
+        assert.equal(builder.build('GTFRI').serialNumber, 1);
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser, { HEX_ACK_COMMANDS } from '../parser.js';
+import { CommandDispatcher } from '../command-dispatcher.js';
+import { SessionManager } from '../session-manager.js';
+import { fixture } from './fixtures.js';
+
+const IMEI = '861971050198167';
+
+const parser = new QueclinkParser();
+
+/**
+ * A dispatcher with the device online on a socket that records what is written.
+ */
+function online() {
+    const sessions = new SessionManager();
+    const socket = { written: [], write(text) { this.written.push(text); }, destroy() {} };
+    sessions.update(socket, parser.parse(fixture('ascii', 'GTFRI')));
+    return { dispatcher: new CommandDispatcher({ sessions }), socket };
+}
+
+/**
+ * The +ACK fixture, answering `command` with `serialNumber`.
+ * @returns {object} The parsed HEX +ACK.
+ */
+function hexAck(command, serialNumber) {
+    const messageType = Object.keys(HEX_ACK_COMMANDS).find(code => HEX_ACK_COMMANDS[code] === command);
+    const message = fixture('hex', 'ACK');
+    // Message Type after the 4-byte header, Serial Number after the Unique ID
+    const checked = message.substring(0, 8) + Number(messageType).toString(16).padStart(2, '0') + message.substring(10, 44)
+        + serialNumber.toString(16).toUpperCase().padStart(4, '0') + message.substring(48, message.length - 8);
+    return parser.parse(checked + parser._crc16(checked) + message.substring(message.length - 4));
+}
+
+describe('CommandDispatcher', () => {
+    it('marks a command acknowledged by its ASCII +ACK', async () => {
+        const { dispatcher, socket } = online();
+        const entry = dispatcher.enqueue(IMEI, 'GTFRI', { sendInterval: 30 });
+        assert.equal(socket.written.length, 1);
+        const serial = entry.serialNumber.toString(16).toUpperCase().padStart(4, '0');
+
+        assert.equal(dispatcher.handleAck(parser.parse(`+ACK:GTFRI,5E0500,${IMEI},GV500MAP,${serial},20250619151140,0001$`)), true);
+        assert.equal(entry.status, 'acked');
+        assert.equal((await entry.done).command, 'GTFRI');
+    });
+
+    it('marks a command acknowledged by its HEX +ACK', async () => {
+        const { dispatcher } = online();
+        dispatcher.enqueue(IMEI, 'GTSRI', { heartbeatInterval: 5 });
+        dispatcher.handleAck(hexAck('GTSRI', 0));
+        const entry = dispatcher.enqueue(IMEI, 'GTFRI', { sendInterval: 30 });
+
+        const ack = hexAck('GTFRI', entry.serialNumber);
+        assert.deepEqual([ack.messageType, ack.command, ack.parsedData.serialNumber], ['ACK', 'GTFRI', 1]);
+        assert.equal(dispatcher.handleAck(ack), true);
+        assert.equal(entry.status, 'acked');
+        assert.equal(await entry.done, ack);
+    });
+
+    it('takes a live HEX report as the answer to a real-time query', () => {
+        const { dispatcher } = online();
+        const entry = dispatcher.enqueue(IMEI, 'GTRTO', { subCommand: 'INF' });
+        const serial = entry.serialNumber.toString(16).toUpperCase().padStart(4, '0');
+        dispatcher.handleAck(parser.parse(`+ACK:GTRTO,5E0500,${IMEI},GV500MAP,INF,${serial},20250619151140,0001$`));
+
+        const inf = parser.parse(fixture('hex', 'INF'));
+        assert.deepEqual([inf.messageType, inf.command], ['HEX', 'GTINF']);
+        assert.equal(dispatcher.handleResponse(inf), true);
+        assert.equal(entry.status, 'responded');
+        assert.equal(entry.response, inf);
+    });
+
+    it('ignores a +ACK for another command or serial number', () => {
+        const { dispatcher } = online();
+        const entry = dispatcher.enqueue(IMEI, 'GTFRI', { sendInterval: 30 });
+        assert.equal(dispatcher.handleAck(hexAck('GTGEO', entry.serialNumber)), false);
+        assert.equal(dispatcher.handleAck(hexAck('GTFRI', entry.serialNumber + 1)), false);
+        assert.equal(entry.status, 'sent');
+        dispatcher.handleAck(hexAck('GTFRI', entry.serialNumber));
+    });
+});
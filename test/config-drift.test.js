@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { DeviceConfigStore } from '../config-store.js';
+import { DeviceGroupRegistry, DEFAULT_GROUP } from '../device-groups.js';
+import { diffConfig, planRemediation, describeDrift } from '../config-drift.js';
+import { fixture } from './fixtures.js';
+
+const IMEI = '861971050198167';
+
+// SRI, CFG, FRI and GEO entries 0 and 1
+const ALM = new QueclinkParser().parse(fixture('ascii', 'GTALM')).parsedData;
+
+/**
+ * The GTALM fixture as packet `current` of `max`, carrying `configurations`.
+ */
+function packet(current, max, configurations) {
+    return { ...ALM, currentPacketNumber: current, maxPacketNumber: max, configurations };
+}
+
+const TRUCKS = {
+    // Matching values: text is compared without case, numbers by value
+    SRI: { mainServerIPDomain: 'TELEMATICS.EXAMPLE.COM', heartbeatInterval: '0030', sackEnable: 1 },
+    FRI: { sendInterval: 60 },
+    GEO: [{ geoId: 1, radius: 1500 }, { geoId: 19, mode: 1 }],
+    CFG: { deviceName: 'TRUCK-1' },
+};
+
+describe('DeviceConfigStore', () => {
+    it('versions a configuration only when it changes', () => {
+        const store = new DeviceConfigStore();
+        assert.equal(store.ingest(ALM).version, 1);
+        const confirmed = store.ingest(ALM);
+        assert.equal(confirmed.version, 1);
+        assert.ok(confirmed.confirmedAt >= confirmed.receivedAt);
+
+        const changed = { ...ALM.configurations, FRI: { ...ALM.configurations.FRI, sendInterval: 60 } };
+        assert.equal(store.ingest({ ...ALM, configurations: changed }).version, 2);
+        assert.deepEqual(store.getHistory(IMEI).map(snapshot => snapshot.sections.FRI.sendInterval), [30, 60]);
+    });
+
+    it('reassembles a configuration sent in several packets', () => {
+        const store = new DeviceConfigStore();
+        const { SRI, FRI, GEO } = ALM.configurations;
+        assert.equal(store.ingest(packet(2, 2, { FRI, GEO: [GEO[1]] })), null);
+        assert.equal(store.ingest(packet(1, 2, { SRI, GEO: [GEO[0]] })), null);
+        assert.equal(store.get(IMEI), undefined);
+
+        const snapshot = store.ingest(packet(2, 2, { FRI, GEO: [GEO[1]] }));
+        assert.deepEqual(Object.keys(snapshot.sections), ['SRI', 'GEO', 'FRI']);
+        assert.deepEqual(snapshot.sections.GEO.map(entry => entry.geoId), [0, 1]);
+    });
+
+    it('carries versions on from a restored snapshot', () => {
+        const store = new DeviceConfigStore();
+        const now = new Date();
+        store.restore({ imei: IMEI, version: 7, sections: ALM.configurations, sendTime: null, receivedAt: now, confirmedAt: now });
+        assert.equal(store.ingest(ALM).version, 7);
+        assert.equal(store.ingest({ ...ALM, configurations: { ...ALM.configurations, CFG: {} } }).version, 8);
+    });
+});
+
+describe('DeviceGroupRegistry', () => {
+    it('resolves a device to its group and the group to its desired configuration', () => {
+        const groups = new DeviceGroupRegistry({ groups: { trucks: { desiredConfig: TRUCKS }, vans: {} }, devices: { [IMEI]: 'trucks' } });
+        assert.equal(groups.getDesiredConfig(IMEI), TRUCKS);
+        assert.deepEqual(groups.getMembers('trucks'), [IMEI]);
+
+        assert.equal(groups.groupOf('862193022000541'), DEFAULT_GROUP);
+        assert.equal(groups.getDesiredConfig('862193022000541'), null);
+        groups.assign('862193022000541', 'vans');
+        assert.equal(groups.getDesiredConfig('862193022000541'), null);
+    });
+});
+
+describe('config drift', () => {
+    const groups = new DeviceGroupRegistry({ groups: { trucks: { desiredConfig: TRUCKS } }, devices: { [IMEI]: 'trucks' } });
+    const snapshot = new DeviceConfigStore().ingest(ALM);
+    const drift = diffConfig(snapshot.sections, groups.getDesiredConfig(IMEI));
+
+    it('lists the fields that differ from the group settings', () => {
+        assert.deepEqual(drift, [
+            { section: 'FRI', key: null, field: 'sendInterval', expected: 60, actual: 30 },
+            { section: 'GEO', key: { geoId: 1 }, field: 'radius', expected: 1500, actual: 1000 },
+            { section: 'GEO', key: { geoId: 19 }, field: 'mode', expected: 1, actual: null },
+            { section: 'CFG', key: null, field: 'deviceName', expected: 'TRUCK-1', actual: 'GV500MAP' },
+        ]);
+        assert.deepEqual(diffConfig(snapshot.sections, { SRI: TRUCKS.SRI }), []);
+    });
+
+    it('plans one command per section entry, with only the drifted fields', () => {
+        const { commands, unsupported } = planRemediation(drift);
+        assert.deepEqual(commands, [
+            { command: 'GTFRI', options: { sendInterval: 60 } },
+            { command: 'GTGEO', options: { geoId: 1, radius: 1500 } },
+            { command: 'GTGEO', options: { geoId: 19, mode: 1 } },
+        ]);
+        assert.deepEqual(unsupported, [drift[3]]);
+    });
+
+    it('describes drift for the log', () => {
+        assert.deepEqual(drift.slice(1, 3).map(describeDrift), [
+            'GEO[geoId=1].radius: expected 1500, reported 1000',
+            'GEO[geoId=19].mode: expected 1, not reported',
+        ]);
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { CrashAssembler } from '../crash-assembler.js';
+import { fixture } from './fixtures.js';
+
+const IMEI = '861971050198167';
+
+const parser = new QueclinkParser();
+const CRA = parser.parse(fixture('ascii', 'GTCRA'));
+const CRD = parser.parse(fixture('ascii', 'GTCRD'));
+
+/**
+ * The GTCRD fixture as frame `frameNumber` of 4, with two samples marking the frame.
+ */
+function frame(frameNumber) {
+    const samples = [{ x: frameNumber, y: 0, z: 1000 }, { x: frameNumber, y: 0, z: 1000 }];
+    return { ...CRD, parsedData: { ...CRD.parsedData, frameNumber, accelerationSamples: samples } };
+}
+
+function record(options) {
+    const assembler = new CrashAssembler(options);
+    const crashes = [];
+    assembler.on('crash', crash => crashes.push(crash));
+    return { assembler, crashes };
+}
+
+describe('CrashAssembler', () => {
+    it('reassembles frames received out of order', () => {
+        const { assembler, crashes } = record();
+        for (const number of [3, 1, 4]) {
+            assembler.handle(frame(number));
+        }
+        assembler.handle(CRA);
+        assert.equal(crashes.length, 0);
+
+        assembler.handle(frame(2));
+        assert.equal(crashes.length, 1);
+        const [crash] = crashes;
+        assert.equal(crash.imei, IMEI);
+        assert.equal(crash.crashCounter, 3);
+        assert.equal(crash.complete, true);
+        assert.deepEqual(crash.missingFrames, []);
+        assert.deepEqual(crash.samples.map(sample => [sample.t, sample.x]), [
+            [0, 0.001], [0.01, 0.001], [0.02, 0.002], [0.03, 0.002],
+            [0.04, 0.003], [0.05, 0.003], [0.06, 0.004], [0.07, 0.004],
+        ]);
+        assert.deepEqual(assembler.getOpenCrashes(IMEI), []);
+    });
+
+    it('leaves a gap for missing frames', () => {
+        const { assembler, crashes } = record();
+        assembler.handle(CRA);
+        for (const number of [1, 2, 4]) {
+            assembler.handle(frame(number));
+        }
+        assert.equal(assembler.getOpenCrashes(IMEI).length, 1);
+
+        assembler.flush();
+        const [crash] = crashes;
+        assert.equal(crash.complete, false);
+        assert.equal(crash.receivedFrames, 3);
+        assert.deepEqual(crash.missingFrames, [3]);
+        assert.deepEqual(crash.samples.slice(4).map(sample => sample.t), [0.06, 0.07]);
+    });
+
+    it('gives up waiting once the crash has been quiet for the timeout', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const { assembler, crashes } = record({ timeoutMs: 1000 });
+        assembler.handle(CRA);
+        assembler.handle(frame(1));
+        t.mock.timers.tick(900);
+        assembler.handle(frame(2));
+        t.mock.timers.tick(900);
+        assert.equal(crashes.length, 0);
+
+        t.mock.timers.tick(100);
+        assert.equal(crashes.length, 1);
+        assert.deepEqual(crashes[0].missingFrames, [3, 4]);
+        assert.equal(crashes[0].complete, false);
+        assert.deepEqual(assembler.getOpenCrashes(IMEI), []);
+    });
+});
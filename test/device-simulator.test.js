@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import QueclinkParser from '../parser.js';
+import { CommandBuilder, RTO_SUB_COMMANDS } from '../command-builder.js';
+import { SimulatedDevice } from '../device-simulator.js';
+import { QueclinkFramer } from '../queclink-framer.js';
+
+const IMEI = '861971050000009';
+
+const parser = new QueclinkParser();
+const builder = new CommandBuilder();
+
+/**
+ * Connects a simulated device to a throwaway server and collects the
+ * messages it sends.
+ * @returns {Promise<{ send: function(string), next: function(string): Promise<object>, close: function }>}
+ */
+async function connect(format) {
+    const received = [];
+    const waiting = [];
+    const framer = new QueclinkFramer();
+    let socket = null;
+
+    const server = net.createServer((connection) => {
+        socket = connection;
+        connection.on('data', (chunk) => {
+            for (const frame of framer.push(chunk)) {
+                received.push(parser.parse(frame.message));
+            }
+            waiting.splice(0).forEach(check => check());
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const device = new SimulatedDevice({ imei: IMEI, port: server.address().port, format, lat: 17.403438, lon: 78.409098, sack: false });
+    await Promise.all([device.start(), new Promise(resolve => server.once('connection', resolve))]);
+
+    // Resolves with the first message of the command and type, in arrival order
+    const next = (command, messageType = 'RESP') => new Promise((resolve) => {
+        const check = () => {
+            const index = received.findIndex(result => result.messageType === messageType && result.command === command);
+            if (index === -1) {
+                waiting.push(check);
+            } else {
+                resolve(received.splice(index, 1)[0]);
+            }
+        };
+        check();
+    });
+
+    const close = async () => {
+        await device.stop({ drainMs: 0 });
+        await new Promise(resolve => server.close(resolve));
+    };
+    return { send: (text) => socket.write(text), next, close };
+}
+
+describe('SimulatedDevice', () => {
+    for (const format of ['ASCII', 'HEX']) {
+        it(`answers every AT+GTRTO query with its report (${format})`, async () => {
+            const { send, next, close } = await connect(format);
+            try {
+                for (const [subCommand, report] of Object.entries(RTO_SUB_COMMANDS)) {
+                    if (!report) {
+                        continue; // REBOOT and RESET answer with the +ACK only
+                    }
+                    send(builder.build('GTRTO', { subCommand }).text);
+                    const result = await next(report);
+                    assert.equal(result.ok, true, `${subCommand}: ${result.error && result.error.message}`);
+                    assert.equal(result.parsedData.uniqueId, IMEI);
+                }
+            } finally {
+                await close();
+            }
+        });
+    }
+
+    it('acknowledges commands with a HEX +ACK in HEX mode', async () => {
+        const { send, next, close } = await connect('HEX');
+        try {
+            const built = builder.build('GTRTO', { subCommand: 'INF' }, { serialNumber: 0x1A2B });
+            send(built.text);
+            const ack = await next('GTRTO', 'ACK');
+            assert.equal(ack.hexHeader, '2B41434B');
+            assert.equal(ack.parsedData.serialNumber, 0x1A2B);
+            await next('GTINF');
+        } finally {
+            await close();
+        }
+    });
+
+    it('reports its configuration for READ', async () => {
+        const { send, next, close } = await connect('HEX');
+        try {
+            send(builder.build('GTRTO', { subCommand: 'READ' }).text);
+            const { configurations } = (await next('GTALM')).parsedData;
+            assert.deepEqual(Object.keys(configurations), ['SRI', 'CFG', 'FRI']);
+            assert.equal(configurations.SRI.mainServerIPDomain, '127.0.0.1');
+            assert.equal(configurations.SRI.sackEnable, 0);
+            assert.equal(configurations.SRI.protocolFormat, 1);
+            assert.equal(configurations.CFG.deviceName, 'GV500MAP');
+            assert.equal(configurations.FRI.sendInterval, 10);
+        } finally {
+            await close();
+        }
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { decodeDtc, encodeDtc, parseDtcList, describeDtc } from '../dtc-codes.js';
+import { fixture } from './fixtures.js';
+
+describe('dtc-codes', () => {
+    it('decodes the two-byte DTCs to J2012 codes', () => {
+        assert.deepEqual(['0301', '4123', '8123', 'C100', 'd0ab'].map(decodeDtc), ['P0301', 'C0123', 'B0123', 'U0100', 'U10AB']);
+        assert.deepEqual(['0000', '030', 'XYZ1', null].map(decodeDtc), [null, null, null, null]);
+    });
+
+    it('encodes J2012 codes back to the reported bytes', () => {
+        for (const code of ['P0301', 'C0123', 'B2ABC', 'U3FFF']) {
+            assert.equal(decodeDtc(encodeDtc(code)), code);
+        }
+        assert.equal(encodeDtc('p0420'), '0420');
+        assert.deepEqual(['P4000', 'X0100', 'P01', ''].map(encodeDtc), [null, null, null, null]);
+    });
+
+    it('splits the DTC field, dropping padding', () => {
+        assert.deepEqual(parseDtcList('010104200000'), ['P0101', 'P0420']);
+        assert.deepEqual(parseDtcList('01010420C100', 2), ['P0101', 'P0420']);
+        assert.deepEqual(parseDtcList('0101', 0), []);
+        assert.deepEqual(parseDtcList(''), []);
+    });
+
+    it('decodes the DTCs of a GTOBD report', () => {
+        const report = new QueclinkParser().parse(fixture('ascii', 'GTOBD')).parsedData;
+        assert.equal(report.numberOfDtcs, 2);
+        assert.deepEqual(report.diagnosticTroubleCodes, ['P0101', 'P0420']);
+    });
+
+    it('describes generic and manufacturer-specific codes', () => {
+        assert.deepEqual(describeDtc('p0101'), {
+            code: 'P0101',
+            system: 'Powertrain',
+            generic: true,
+            description: 'Mass or Volume Air Flow Circuit Range/Performance',
+        });
+        assert.equal(describeDtc('P0399').description, 'Ignition System or Misfire');
+        assert.deepEqual([describeDtc('P1234').generic, describeDtc('P1234').description], [false, 'Manufacturer-specific code']);
+        assert.deepEqual([describeDtc('P3400').generic, describeDtc('P3300').generic], [true, false]);
+        assert.deepEqual([describeDtc('U0100').system, describeDtc('U0100').generic], ['Network', true]);
+    });
+});
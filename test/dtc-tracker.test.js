@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { DtcTracker } from '../dtc-tracker.js';
+import { fixture } from './fixtures.js';
+
+const IMEI = '861971050198167';
+const T0 = Date.UTC(2025, 5, 19, 15, 0, 0);
+
+const OBD = new QueclinkParser().parse(fixture('ascii', 'GTOBD'));
+
+/**
+ * The GTOBD fixture listing `codes`, `minutes` after T0.
+ */
+function report(codes, minutes, fields = {}) {
+    const time = new Date(T0 + minutes * 60000);
+    return {
+        ...OBD,
+        parsedData: { ...OBD.parsedData, diagnosticTroubleCodes: codes, numberOfDtcs: codes.length, gnssUtcTime: time, sendTime: time, ...fields },
+    };
+}
+
+function record() {
+    const tracker = new DtcTracker();
+    const events = [];
+    tracker.on('dtc', ({ imei, event, dtc }) => events.push([imei, event, dtc.code, dtc.clearReason]));
+    return { tracker, events };
+}
+
+describe('DtcTracker', () => {
+    it('detects codes as they appear', () => {
+        const { tracker, events } = record();
+        assert.equal(tracker.handle(report(['P0101'], 0)), true);
+        tracker.handle(report(['P0101', 'P0420'], 10));
+
+        assert.deepEqual(events, [[IMEI, 'detected', 'P0101', null], [IMEI, 'detected', 'P0420', null]]);
+        const vehicle = tracker.getVehicle(IMEI);
+        assert.equal(vehicle.vin, 'MZBEU812TRN617180');
+        assert.deepEqual(vehicle.activeCodes.sort(), ['P0101', 'P0420']);
+        const p0101 = vehicle.codes.find(dtc => dtc.code === 'P0101');
+        assert.deepEqual([p0101.firstSeen.getTime(), p0101.lastSeen.getTime(), p0101.occurrences], [T0, T0 + 600000, 1]);
+        assert.equal(p0101.description, 'Mass or Volume Air Flow Circuit Range/Performance');
+    });
+
+    it('clears codes that are no longer reported and counts their return', () => {
+        const { tracker, events } = record();
+        tracker.handle(report(['P0101', 'P0420'], 0));
+        tracker.handle(report(['P0101'], 10));
+        tracker.handle(report(['P0101', 'P0420'], 20));
+
+        assert.deepEqual(events.slice(2), [[IMEI, 'cleared', 'P0420', 'not_reported'], [IMEI, 'detected', 'P0420', null]]);
+        const p0420 = tracker.getVehicle(IMEI).codes.find(dtc => dtc.code === 'P0420');
+        assert.deepEqual([p0420.active, p0420.occurrences, p0420.clearedAt], [true, 2, null]);
+    });
+
+    it('tells a reset apart by the DTCs Cleared Distance starting again', () => {
+        const { tracker, events } = record();
+        tracker.handle(report(['P0101'], 0, { dtcsClearedDistance: 1553 }));
+        tracker.handle(report([], 10, { dtcsClearedDistance: 2 }));
+
+        assert.deepEqual(events.at(-1), [IMEI, 'cleared', 'P0101', 'reset']);
+        const vehicle = tracker.getVehicle(IMEI);
+        assert.deepEqual(vehicle.activeCodes, []);
+        assert.equal(vehicle.codes[0].clearedAt.getTime(), T0 + 600000);
+    });
+
+    it('lets late buffered reports move a first sighting back only', () => {
+        const { tracker, events } = record();
+        tracker.handle(report(['P0101'], 10));
+        tracker.handle({ ...report(['P0420'], 5), messageType: 'BUFF' });
+        tracker.handle({ ...report(['P0101'], 0), messageType: 'BUFF' });
+
+        assert.deepEqual(events, [[IMEI, 'detected', 'P0101', null]]);
+        const vehicle = tracker.getVehicle(IMEI);
+        assert.deepEqual(vehicle.activeCodes, ['P0101']);
+        assert.equal(vehicle.codes[0].firstSeen.getTime(), T0);
+    });
+
+    it('tracks the MIL and the odometer reading it came on at', () => {
+        const tracker = new DtcTracker();
+        const mils = [];
+        tracker.on('mil', ({ mil }) => mils.push(mil));
+        tracker.handle(report(['P0101'], 0, { milStatus: 1, milActivatedDistance: 53, obdMileage: 12553.4 }));
+        tracker.handle(report(['P0101'], 10, { milStatus: 1, milActivatedDistance: 60, obdMileage: 12560.4 }));
+        tracker.handle(report([], 20, { milStatus: 0 }));
+
+        assert.deepEqual(mils.map(mil => [mil.on, mil.since.getTime(), mil.activatedAtMileage]), [[true, T0, 12500.4], [false, T0 + 1200000, null]]);
+    });
+
+    it('ignores reports without DTCs', () => {
+        const { tracker } = record();
+        assert.equal(tracker.handle(new QueclinkParser().parse(fixture('ascii', 'GTFRI'))), false);
+        assert.equal(tracker.getVehicle(IMEI), null);
+    });
+});
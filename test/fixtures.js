@@ -0,0 +1,16 @@
+// Loads the parser fixtures under fixtures/parser, shared by the test files.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'parser');
+
+/**
+ * @param {'ascii'|'hex'} format
+ * @param {string} name The parser's fixture file, e.g. 'GTFRI' or 'RSP'.
+ * @returns {string} The message of the file's first case.
+ */
+export function fixture(format, name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, format, `${name}.json`), 'utf8'))[0].message;
+}
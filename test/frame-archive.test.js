@@ -0,0 +1,90 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FrameArchive, listArchiveFiles, readArchive } from '../frame-archive.js';
+
+const T0 = Date.UTC(2025, 5, 19, 15, 11, 41);
+
+const socket = (remotePort) => ({ remoteAddress: '::ffff:10.0.0.7', remotePort, localPort: 9001 });
+
+async function readAll(target, filter) {
+    const records = [];
+    for await (const record of readArchive(target, filter)) {
+        records.push(record);
+    }
+    return records;
+}
+
+describe('FrameArchive', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'frame-archive-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('reads back what it was given, once closed', async () => {
+        const archive = new FrameArchive({ directory, prefix: 'queclink' });
+        const chunks = [Buffer.from('+RESP:GTFRI,5E0500,8619'), Buffer.from([0x00, 0xFF, 0x0D, 0x0A])];
+        chunks.forEach((data, i) => archive.append({ data, socket: socket(50166), protocol: 'queclink', receivedAt: new Date(T0 + i) }));
+        await archive.close();
+
+        const records = await readAll(directory);
+        assert.deepEqual(records.map(record => record.data), chunks);
+        assert.deepEqual(records[0], {
+            receivedAt: new Date(T0),
+            remoteAddress: '::ffff:10.0.0.7',
+            remotePort: 50166,
+            localPort: 9001,
+            protocol: 'queclink',
+            imei: null,
+            data: chunks[0],
+        });
+    });
+
+    it('starts a new file at the size limit and at midnight UTC', async () => {
+        const archive = new FrameArchive({ directory, prefix: 'jt808', maxFileBytes: 700 });
+        const data = Buffer.alloc(60, 0x7E);
+        for (const time of [T0, T0 + 1, T0 + 2, Date.UTC(2025, 5, 20, 0, 0, 1)]) {
+            archive.append({ data, socket: socket(50166), protocol: 'jt808', receivedAt: new Date(time) });
+        }
+        await archive.close();
+
+        assert.deepEqual(listArchiveFiles(directory).map(file => path.basename(file)), [
+            'jt808-20250619T151141Z.jsonl',
+            'jt808-20250619T151141Z-1.jsonl',
+            'jt808-20250620T000001Z.jsonl',
+        ]);
+        assert.equal((await readAll(directory)).length, 4);
+    });
+
+    it('filters by device, keeping what a connection sent before it was identified', async () => {
+        const archive = new FrameArchive({ directory, prefix: 'queclink' });
+        const append = (port, imei, text, offset) => archive.append({
+            data: Buffer.from(text), socket: socket(port), protocol: 'queclink', imei, receivedAt: new Date(T0 + offset),
+        });
+        append(50166, null, 'first', 0);
+        append(50167, null, 'other first', 1);
+        append(50166, '861971050198167', 'second', 2);
+        append(50167, '862193022000541', 'other second', 3);
+        append(50168, null, 'never identified', 4);
+        await archive.close();
+
+        const records = await readAll(directory, { imei: '861971050198167' });
+        assert.deepEqual(records.map(record => record.data.toString()), ['first', 'second']);
+        assert.equal((await readAll(directory)).length, 5);
+    });
+
+    it('reports write failures as errors', async () => {
+        const archive = new FrameArchive({ directory });
+        const failed = new Promise(resolve => archive.once('error', resolve));
+        archive.append({ data: Buffer.from('x'), socket: socket(50166), protocol: 'queclink', receivedAt: new Date(T0) });
+        archive.stream.destroy(new Error('disk full'));
+        assert.equal((await failed).message, 'disk full');
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { WebSocket } from 'ws';
+import QueclinkParser from '../parser.js';
+import { FrontendGateway } from '../frontend-gateway.js';
+import { GeofenceEngine } from '../geofence-engine.js';
+import { fixture } from './fixtures.js';
+
+const IMEI = '861971050198167';
+const OTHER_IMEI = '862193022000541';
+
+const FRI = new QueclinkParser().parse(fixture('ascii', 'GTFRI'));
+
+/**
+ * A frontend client over TCP or WebSocket. until(type) resolves to the
+ * messages received up to and including the next one of that type.
+ */
+function connect(transport, port) {
+    const received = [];
+    let waiting = null;
+    const check = () => {
+        const index = waiting ? received.findIndex(message => message.type === waiting.type) : -1;
+        if (index !== -1) {
+            const { resolve } = waiting;
+            waiting = null;
+            resolve(received.splice(0, index + 1));
+        }
+    };
+    const receive = (text) => {
+        received.push(JSON.parse(text));
+        check();
+    };
+
+    let send;
+    let close;
+    if (transport === 'tcp') {
+        const socket = net.connect(port, '127.0.0.1');
+        let pending = '';
+        socket.on('data', (data) => {
+            pending += data.toString('utf8');
+            let newline;
+            while ((newline = pending.indexOf('\n')) !== -1) {
+                receive(pending.substring(0, newline));
+                pending = pending.substring(newline + 1);
+            }
+        });
+        send = (message) => socket.write(`${JSON.stringify(message)}\n`);
+        close = () => socket.destroy();
+    } else {
+        const socket = new WebSocket(`ws://127.0.0.1:${port}`);
+        socket.on('message', (data) => receive(data.toString()));
+        send = (message) => socket.send(JSON.stringify(message));
+        close = () => socket.terminate();
+    }
+
+    const until = (type) => new Promise((resolve) => {
+        waiting = { type, resolve };
+        check();
+    });
+    const request = (message, type) => {
+        send(message);
+        return until(type);
+    };
+    return {
+        until,
+        request,
+        // What the gateway sent since the last call, the pong of a ping marking the end
+        drain: async () => (await request({ type: 'ping' }, 'pong')).slice(0, -1),
+        close,
+    };
+}
+
+describe('FrontendGateway', () => {
+    const geofences = new GeofenceEngine({ fences: [{ id: 'depot', type: 'circle', center: { lat: 17.403438, lon: 78.409098 }, radiusM: 100 }] });
+    let gateway;
+    let ports;
+
+    before(async () => {
+        gateway = new FrontendGateway({ tcpPort: 0, wsPort: 0, geofences });
+        await new Promise((resolve) => {
+            let listening = 0;
+            gateway.on('listening', () => ++listening === 2 && resolve());
+        });
+        ports = { tcp: gateway.tcpServer.address().port, ws: gateway.wsServer.address().port };
+    });
+
+    after(() => gateway.close());
+
+    it('fans records out to every client on both transports', async () => {
+        const clients = [connect('tcp', ports.tcp), connect('tcp', ports.tcp), connect('ws', ports.ws)];
+        const welcomes = await Promise.all(clients.map(client => client.until('welcome')));
+        assert.deepEqual(welcomes.map(([welcome]) => welcome.subscription), new Array(3).fill({ imeis: null, eventTypes: null, geofences: null }));
+        assert.equal(new Set(welcomes.map(([welcome]) => welcome.clientId)).size, 3);
+
+        gateway.publishReport(FRI);
+        for (const client of clients) {
+            const [message, ...rest] = await client.drain();
+            assert.deepEqual(rest, []);
+            assert.equal(message.type, 'record');
+            assert.deepEqual([message.record.imei, message.record.event_type, message.record.lat], [IMEI, 'periodic', 17.403438]);
+        }
+        assert.deepEqual(gateway.getClients().map(client => client.transport).sort(), ['tcp', 'tcp', 'ws']);
+        clients.forEach(client => client.close());
+    });
+
+    it('sends each client only what its subscription matches', async () => {
+        const byDevice = connect('tcp', ports.tcp);
+        const byEvent = connect('ws', ports.ws);
+        const byFence = connect('tcp', ports.tcp);
+        await Promise.all([byDevice, byEvent, byFence].map(client => client.until('welcome')));
+
+        const [subscribed] = await byDevice.request({ type: 'subscribe', imeis: [OTHER_IMEI] }, 'subscribed');
+        assert.deepEqual(subscribed.subscription, { imeis: [OTHER_IMEI], eventTypes: null, geofences: null });
+        await byEvent.request({ type: 'subscribe', eventTypes: ['geofence_enter', 'alert'] }, 'subscribed');
+        await byFence.request({ type: 'subscribe', geofences: ['depot'] }, 'subscribed');
+
+        // Not inside the fence yet
+        gateway.publishReport(FRI);
+        geofences.on('geofence', event => gateway.publishGeofenceEvent(event));
+        geofences.handle(FRI);
+        gateway.publishReport(FRI);
+        gateway.publishAlert({ imei: OTHER_IMEI, rule: { id: 'overspeed' }, report: FRI });
+
+        const types = async (client) => (await client.drain()).map(message => `${message.type}:${message.record?.imei ?? message.event?.imei ?? message.alert.imei}`);
+        assert.deepEqual(await types(byDevice), [`alert:${OTHER_IMEI}`]);
+        assert.deepEqual(await types(byEvent), [`geofence:${IMEI}`, `alert:${OTHER_IMEI}`]);
+        assert.deepEqual(await types(byFence), [`geofence:${IMEI}`, `record:${IMEI}`]);
+        [byDevice, byEvent, byFence].forEach(client => client.close());
+    });
+
+    it('leaves the source report out of alerts', async () => {
+        const client = connect('tcp', ports.tcp);
+        await client.until('welcome');
+        gateway.publishAlert({ imei: IMEI, rule: { id: 'overspeed' }, report: FRI });
+        const [{ alert }] = await client.drain();
+        assert.deepEqual(alert, { imei: IMEI, rule: { id: 'overspeed' } });
+        client.close();
+    });
+
+    it('answers invalid messages with an error and keeps the subscription', async () => {
+        const client = connect('ws', ports.ws);
+        await client.until('welcome');
+        const [invalid] = await client.request({ type: 'subscribe', imeis: IMEI }, 'error');
+        assert.equal(invalid.message, 'imeis must be an array');
+        const [unknown] = await client.request({ type: 'hello' }, 'error');
+        assert.match(unknown.message, /unknown message type/);
+        assert.deepEqual(gateway.getClients().at(-1).subscription, { imeis: null, eventTypes: null, geofences: null });
+        client.close();
+    });
+
+    it('drops messages for clients that do not keep up', () => {
+        const slow = new FrontendGateway({ maxBufferedBytes: 10 });
+        const sent = [];
+        let buffered = 0;
+        const client = slow._register('tcp', '10.0.0.1', { send: text => sent.push(text), buffered: () => buffered, close() {} });
+
+        slow.publishReport(FRI);
+        buffered = 11;
+        slow.publishReport(FRI);
+        assert.deepEqual(sent.map(text => JSON.parse(text).type), ['welcome', 'record']);
+        assert.equal(slow.getClients()[0].dropped, 1);
+        assert.equal(client.dropped, 1);
+    });
+});
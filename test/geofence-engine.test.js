@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { GeofenceEngine } from '../geofence-engine.js';
+import { DeviceGroupRegistry } from '../device-groups.js';
+import { METERS_PER_DEGREE } from '../report-utils.js';
+import { fixture } from './fixtures.js';
+
+const IMEI = '861971050198167';
+const OTHER_IMEI = '862193022000541';
+const ORIGIN = { lat: 17.4, lon: 78.4 };
+const T0 = Date.UTC(2025, 5, 19, 16, 0, 0);
+
+const parser = new QueclinkParser();
+
+/**
+ * The point `northM` meters north and `eastM` meters east of ORIGIN.
+ */
+function offset(northM, eastM = 0) {
+    return {
+        lat: ORIGIN.lat + northM / METERS_PER_DEGREE,
+        lon: ORIGIN.lon + eastM / (METERS_PER_DEGREE * Math.cos(ORIGIN.lat * Math.PI / 180)),
+    };
+}
+
+/**
+ * An engine recording its events as [imei, event, fence ID, durationS].
+ */
+function record(options) {
+    const engine = new GeofenceEngine(options);
+    const events = [];
+    engine.on('geofence', event => events.push([event.imei, event.event, event.fence.id, event.durationS]));
+    return { engine, events };
+}
+
+const depot = (extra = {}) => ({ id: 'depot', type: 'circle', center: ORIGIN, radiusM: 100, ...extra });
+
+describe('GeofenceEngine', () => {
+    it('enters a fence as soon as a position is inside it', () => {
+        const { engine, events } = record({ fences: [depot()] });
+        engine.evaluate(IMEI, offset(150), T0);
+        assert.deepEqual(events, []);
+
+        engine.evaluate(IMEI, offset(50), T0 + 1000);
+        assert.deepEqual(events, [[IMEI, 'enter', 'depot', null]]);
+        assert.deepEqual(engine.getDeviceFences(IMEI).map(({ fence, enteredAt }) => [fence.id, enteredAt.getTime()]), [['depot', T0 + 1000]]);
+    });
+
+    it('checks the positions of a parsed report', () => {
+        const { engine, events } = record({ fences: [{ id: 'here', type: 'circle', center: { lat: 17.403438, lon: 78.409098 }, radiusM: 50 }] });
+        assert.equal(engine.handle(parser.parse(fixture('ascii', 'GTFRI'))), true);
+        assert.deepEqual(events, [[IMEI, 'enter', 'here', null]]);
+    });
+
+    it('exits only beyond the hysteresis margin', () => {
+        const { engine, events } = record({ fences: [depot()], hysteresisM: 25 });
+        engine.evaluate(IMEI, offset(0), T0);
+        engine.evaluate(IMEI, offset(110), T0 + 10000);
+        engine.evaluate(IMEI, offset(90), T0 + 20000);
+        assert.deepEqual(events, [[IMEI, 'enter', 'depot', null]]);
+
+        engine.evaluate(IMEI, offset(130), T0 + 30000);
+        assert.deepEqual(events, [[IMEI, 'enter', 'depot', null], [IMEI, 'exit', 'depot', 30]]);
+        assert.deepEqual(engine.getDeviceFences(IMEI), []);
+    });
+
+    it('fires dwell once per visit', () => {
+        const { engine, events } = record({ fences: [depot({ dwellMs: 60000 })] });
+        for (const seconds of [0, 30, 60, 90, 120]) {
+            engine.evaluate(IMEI, offset(0), T0 + seconds * 1000);
+        }
+        assert.deepEqual(events, [[IMEI, 'enter', 'depot', null], [IMEI, 'dwell', 'depot', 60]]);
+
+        engine.evaluate(IMEI, offset(500), T0 + 180000);
+        for (const seconds of [240, 300, 360]) {
+            engine.evaluate(IMEI, offset(0), T0 + seconds * 1000);
+        }
+        assert.deepEqual(events.slice(2), [
+            [IMEI, 'exit', 'depot', 180],
+            [IMEI, 'enter', 'depot', null],
+            [IMEI, 'dwell', 'depot', 60],
+        ]);
+    });
+
+    it('ignores buffered positions older than the last one evaluated', () => {
+        // The GTFRI fixture position, 15:11:40, is about 1 km from ORIGIN
+        const { engine, events } = record({ fences: [depot()] });
+        engine.evaluate(IMEI, offset(0), T0);
+
+        const buffered = parser.parse(fixture('ascii', 'GTFRI').replace('+RESP', '+BUFF'));
+        assert.equal(buffered.messageType, 'BUFF');
+        engine.handle(buffered);
+        assert.deepEqual(events, [[IMEI, 'enter', 'depot', null]]);
+        assert.equal(engine.getDeviceFences(IMEI).length, 1);
+    });
+
+    it('measures corridors from the nearest segment of the path', () => {
+        const route = { id: 'route', type: 'corridor', path: [offset(0, -500), offset(0, 0), offset(0, 500)], bufferM: 50 };
+        const distances = [];
+        const engine = new GeofenceEngine({ fences: [route] });
+        engine.on('geofence', event => distances.push([event.imei, event.event, event.distanceM]));
+
+        engine.evaluate(IMEI, offset(60, 250), T0);
+        engine.evaluate(IMEI, offset(40, 250), T0 + 1000);
+        // Past the end of the path, the distance is to its last point
+        engine.evaluate(OTHER_IMEI, offset(0, 540), T0);
+
+        assert.equal(distances.length, 2);
+        for (const [imei, event, distanceM] of distances) {
+            assert.ok(Math.abs(distanceM + 10) < 0.2, `${imei} ${event} at ${distanceM} m`);
+        }
+        assert.deepEqual(distances.map(([imei, event]) => [imei, event]), [[IMEI, 'enter'], [OTHER_IMEI, 'enter']]);
+    });
+
+    it('applies fences to their devices and groups only', () => {
+        const groups = new DeviceGroupRegistry({ devices: { [IMEI]: 'trucks' } });
+        const { engine, events } = record({
+            groups,
+            fences: [
+                depot({ id: 'trucks-only', groups: ['trucks'] }),
+                depot({ id: 'other-only', devices: [OTHER_IMEI] }),
+                depot({ id: 'everyone' }),
+            ],
+        });
+        engine.evaluate(IMEI, offset(0), T0);
+        engine.evaluate(OTHER_IMEI, offset(0), T0);
+
+        assert.deepEqual(events.map(([imei, , id]) => [imei, id]).sort(), [
+            [IMEI, 'everyone'],
+            [IMEI, 'trucks-only'],
+            [OTHER_IMEI, 'everyone'],
+            [OTHER_IMEI, 'other-only'],
+        ]);
+    });
+});
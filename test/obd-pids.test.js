@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { MODE01_PIDS, OBD_FIELD_PIDS, decodePidBitmap, decodePidValue, validateObdValues } from '../obd-pids.js';
+import { fixture } from './fixtures.js';
+
+// The catalogue rounds some bounds, e.g. 99.2 for the fuel trims' 99.21875
+const ROUNDING = 0.05;
+
+describe('obd-pids', () => {
+    it('keeps every range within the values its formula can produce', () => {
+        for (const definition of Object.values(MODE01_PIDS).filter(entry => entry.decode)) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let a = 0; a < 256; a++) {
+                for (let b = 0; b < (definition.bytes > 1 ? 256 : 1); b++) {
+                    const value = definition.decode(a, b);
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            }
+            const name = `PID 0x${definition.pid.toString(16)} ${definition.name}`;
+            // J1979 documents some ranges narrower than the encoding, e.g. engine oil up to 210 °C
+            assert.ok(min <= definition.min + ROUNDING && definition.min < definition.max, `${name} min ${min}, catalogue ${definition.min}`);
+            assert.ok(max >= definition.max - ROUNDING, `${name} max ${max}, catalogue ${definition.max}`);
+        }
+    });
+
+    it('maps report fields to catalogued PIDs with a range', () => {
+        for (const [field, { pid }] of Object.entries(OBD_FIELD_PIDS)) {
+            const definition = MODE01_PIDS[pid];
+            assert.ok(definition && Number.isFinite(definition.min) && Number.isFinite(definition.max), field);
+        }
+    });
+
+    it('flags values outside their PID range, in the reported unit', () => {
+        assert.deepEqual(validateObdValues({ engineRpm: 1850, engineCoolantTemperature: -40, obdPowerVoltage: 13800 }), []);
+        assert.deepEqual(validateObdValues({ engineRpm: 20000, engineCoolantTemperature: -41, obdPowerVoltage: 70000, vehicleSpeed: null, fuelLevelInput: 'n/a' }), [
+            { field: 'engineCoolantTemperature', pid: 0x05, name: 'engineCoolantTemperature', value: -41, min: -40, max: 215, unit: '°C' },
+            { field: 'engineRpm', pid: 0x0C, name: 'engineRpm', value: 20000, min: 0, max: 16383.75, unit: 'rpm' },
+            { field: 'obdPowerVoltage', pid: 0x42, name: 'controlModuleVoltage', value: 70000, min: 0, max: 65535, unit: 'mV' },
+        ]);
+    });
+
+    it('reports the out-of-range values of a parsed GTOBD', () => {
+        const parser = new QueclinkParser();
+        const message = fixture('ascii', 'GTOBD');
+        assert.deepEqual(parser.parse(message).parsedData.outOfRange, []);
+
+        // Engine Coolant Temperature is the 14th field
+        const fields = message.split(',');
+        fields[13] = '250';
+        assert.deepEqual(parser.parse(fields.join(',')).parsedData.outOfRange.map(violation => [violation.field, violation.value]), [['engineCoolantTemperature', 250]]);
+    });
+
+    it('decodes PID values from the data bytes', () => {
+        assert.equal(decodePidValue(0x0C, [0x1A, 0xF8]), 1726);
+        assert.equal(decodePidValue(0x05, [0x7B]), 83);
+        assert.equal(decodePidValue(0x32, [0xFF, 0xFC]), -1);
+        assert.equal(decodePidValue(0x0C, [0x1A]), null);
+        assert.equal(decodePidValue(0x00, [0xBE, 0x1F, 0xA8, 0x13]), null);
+        assert.equal(decodePidValue(0x99, [0x01]), null);
+    });
+
+    it('decodes supported-PID bitmaps', () => {
+        assert.deepEqual(decodePidBitmap('BE1FA813').map(entry => entry.pid),
+            [0x01, 0x03, 0x04, 0x05, 0x06, 0x07, 0x0C, 0x0D, 0x0E, 0x0F, 0x10, 0x11, 0x13, 0x15, 0x1C, 0x1F, 0x20]);
+        assert.deepEqual(decodePidBitmap('0000000180000000', 0x20).map(entry => entry.pid), [0x40, 0x41]);
+        assert.equal(decodePidBitmap('00000001', 0x60)[0].name, undefined);
+        assert.deepEqual(decodePidBitmap('BE1FA8'), []);
+    });
+});
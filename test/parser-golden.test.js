@@ -0,0 +1,58 @@
+// Golden outputs of every ASCII and HEX parser. Each parser has a fixture
+// file of { description, message, expected } cases under fixtures/parser.
+// After an intended change to a parser's output, regenerate the expected
+// values with UPDATE_FIXTURES=1 npm test and review the diff.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import QueclinkParser from '../parser.js';
+import { FIXTURES_DIR } from './fixtures.js';
+
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+const parser = new QueclinkParser();
+
+// Dates and errors as they would be stored or sent on
+const toJson = (value) => JSON.parse(JSON.stringify(value));
+
+for (const [format, table] of [['ascii', parser.asciiParsers], ['hex', parser.hexParsers]]) {
+    const dir = path.join(FIXTURES_DIR, format);
+    const names = format === 'ascii'
+        ? Object.keys(table)
+        : Object.keys(table).map(header => Buffer.from(header, 'hex').toString('ascii').substring(1));
+
+    describe(`${format} parser golden fixtures`, () => {
+        it('has a fixture for every parser', () => {
+            const missing = names.filter(name => !fs.existsSync(path.join(dir, `${name}.json`)));
+            assert.deepEqual(missing, []);
+        });
+
+        for (const name of names) {
+            const file = path.join(dir, `${name}.json`);
+            if (!fs.existsSync(file)) {
+                continue;
+            }
+            const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+            for (const fixture of fixtures) {
+                it(`${name}: ${fixture.description}`, () => {
+                    const result = toJson(parser.parse(fixture.message));
+                    if (UPDATE) {
+                        fixture.expected = result;
+                        return;
+                    }
+                    assert.equal(result.ok, true, result.error && result.error.message);
+                    assert.deepEqual(result, fixture.expected);
+                });
+            }
+
+            if (UPDATE) {
+                it(`${name}: writes the expected values`, () => {
+                    fs.writeFileSync(file, JSON.stringify(fixtures, null, 2) + '\n');
+                });
+            }
+        }
+    });
+}
@@ -0,0 +1,148 @@
+// Property tests of the parser's field helpers, over seeded random inputs
+// so a failure can be repeated.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { createRandom } from '../device-simulator.js';
+
+const RUNS = 2000;
+
+const parser = new QueclinkParser();
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Calls `check` with a seeded source of randomness RUNS times.
+ * @param {function(function(number, number): number): void} check Gets an integer source, between(min, max) inclusive.
+ */
+function forAll(seed, check) {
+    const random = createRandom(seed);
+    const between = (min, max) => min + Math.floor(random() * (max - min + 1));
+    for (let run = 0; run < RUNS; run++) {
+        check(between);
+    }
+}
+
+describe('_parseDateTime', () => {
+    it('reads back any valid UTC date-time', () => {
+        forAll(1, (between) => {
+            const date = new Date(Date.UTC(between(2000, 2099), between(0, 11), between(1, 31), between(0, 23), between(0, 59), between(0, 59)));
+            const text = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+                + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+            assert.equal(parser._parseDateTime(text).getTime(), date.getTime(), text);
+        });
+    });
+
+    it('rejects days past the end of the month', () => {
+        forAll(2, (between) => {
+            const year = between(2000, 2099);
+            const month = between(1, 12);
+            const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            const text = `${year}${pad(month)}${pad(between(daysInMonth + 1, 99))}120000`;
+            assert.equal(parser._parseDateTime(text), null, text);
+        });
+    });
+
+    it('rejects out of range times', () => {
+        forAll(3, (between) => {
+            const fields = [between(0, 23), between(0, 59), between(0, 59)];
+            const field = between(0, 2);
+            fields[field] = between(field === 0 ? 24 : 60, 99);
+            const text = `20250619${fields.map(value => pad(value)).join('')}`;
+            assert.equal(parser._parseDateTime(text), null, text);
+        });
+    });
+
+    it('rejects anything but 14 digits', () => {
+        forAll(4, (between) => {
+            const chars = '20250619151140'.split('');
+            chars[between(0, 13)] = 'AZ-+ .x'.charAt(between(0, 6));
+            const text = chars.join('');
+            assert.equal(parser._parseDateTime(text), null, text);
+            assert.equal(parser._parseDateTime(text.substring(0, between(0, 13))), null);
+        });
+        assert.equal(parser._parseDateTime(null), null);
+        assert.equal(parser._parseDateTime(undefined), null);
+    });
+});
+
+describe('_hexToSignedDecimal', () => {
+    it('reads back any two\'s complement value', () => {
+        for (const bits of [8, 16, 32]) {
+            forAll(bits, (between) => {
+                const value = between(-(2 ** (bits - 1)), 2 ** (bits - 1) - 1);
+                const hex = (value < 0 ? value + 2 ** bits : value).toString(16).toUpperCase().padStart(bits / 4, '0');
+                assert.equal(parser._hexToSignedDecimal(hex, bits), value, `${hex} (${bits} bits)`);
+            });
+        }
+    });
+
+    it('reads the sign from the top bit', () => {
+        for (const bits of [8, 16, 32]) {
+            forAll(bits + 1, (between) => {
+                const raw = between(0, 2 ** bits - 1);
+                const value = parser._hexToSignedDecimal(raw.toString(16).padStart(bits / 4, '0'), bits);
+                assert.equal(value < 0, raw >= 2 ** (bits - 1));
+                assert.equal(((value % 2 ** bits) + 2 ** bits) % 2 ** bits, raw);
+            });
+        }
+    });
+
+    it('reads an empty field as zero', () => {
+        assert.equal(parser._hexToSignedDecimal('', 16), 0);
+        assert.equal(parser._hexToSignedDecimal(null, 16), 0);
+    });
+});
+
+describe('_parseTimeZoneOffset', () => {
+    it('totals the signed hours and minutes', () => {
+        forAll(5, (between) => {
+            const sign = between(0, 1) ? '+' : '-';
+            const hours = between(0, 14);
+            const minutes = between(0, 59);
+            const offset = `${sign}${pad(hours)}${pad(minutes)}`;
+            assert.deepEqual(parser._parseTimeZoneOffset(offset), {
+                sign,
+                hours,
+                minutes,
+                totalMinutes: (sign === '+' ? 1 : -1) * (hours * 60 + minutes),
+            }, offset);
+        });
+    });
+
+    it('falls back to UTC when the offset is not five characters', () => {
+        forAll(6, (between) => {
+            const offset = '+05301'.substring(0, between(0, 6));
+            if (offset.length === 5) {
+                return;
+            }
+            assert.deepEqual(parser._parseTimeZoneOffset(offset), { sign: '+', hours: 0, minutes: 0, totalMinutes: 0 });
+        });
+        assert.deepEqual(parser._parseTimeZoneOffset(null), { sign: '+', hours: 0, minutes: 0, totalMinutes: 0 });
+    });
+});
+
+describe('_parseBitmask', () => {
+    it('sets each flag from its bit', () => {
+        forAll(7, (between) => {
+            const mask = between(0, 0xFFFFFFFF);
+            const definitions = {};
+            for (let bit = 0; bit < 32; bit++) {
+                if (between(0, 1)) {
+                    definitions[bit] = `flag${bit}`;
+                }
+            }
+            const hex = mask.toString(16).toUpperCase().padStart(between(8, 10), '0');
+            const flags = parser._parseBitmask(hex, definitions);
+            assert.deepEqual(Object.keys(flags), Object.values(definitions));
+            for (const [bit, name] of Object.entries(definitions)) {
+                assert.equal(flags[name], Math.floor(mask / 2 ** bit) % 2 === 1, `bit ${bit} of ${hex}`);
+            }
+        });
+    });
+
+    it('clears every flag when the mask is empty', () => {
+        const definitions = { 0: 'VIN', 5: 'VehicleSpeed', 21: 'GSMInformation' };
+        assert.deepEqual(parser._parseBitmask('', definitions), { VIN: false, VehicleSpeed: false, GSMInformation: false });
+    });
+});
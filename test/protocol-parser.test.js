@@ -0,0 +1,273 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ProtocolParser,
+    ProtocolError,
+    TerminalRegisterMessage,
+    LocationReportMessage,
+    MESSAGE_IDS,
+    GENERAL_RESULTS,
+    REGISTER_RESULTS,
+    START_END_BYTE,
+    hexToBytes,
+} from '../protocol-parser.js';
+
+// 0x0100 from a GS22 (2013 header, phone 048050022171, serial 7290)
+const REGISTER_SAMPLE = '7e0100002d0480500221711c7a0000000037303131325345472d3938383847000000000000000000000030303232313731003530303232313731f67e';
+
+/**
+ * Builds a terminal frame by hand, for what encode() does not do (subpackages, terminal messages).
+ * @param {object} fields
+ * @returns {Buffer} The escaped frame with its delimiters.
+ */
+function terminalFrame({ messageId, body, phone = '013912345678', serial = 1, is2019 = false, packages = null }) {
+    const properties = body.length | (is2019 ? 0x4000 : 0) | (packages ? 0x2000 : 0);
+    const parts = [uint16(messageId), uint16(properties)];
+    if (is2019) {
+        parts.push(Buffer.from([1]));
+    }
+    parts.push(Buffer.from(phone.padStart(is2019 ? 20 : 12, '0'), 'hex'), uint16(serial));
+    if (packages) {
+        parts.push(uint16(packages.total), uint16(packages.number));
+    }
+    const content = Buffer.concat([...parts, body]);
+    const parser = new ProtocolParser();
+    return Buffer.concat([
+        Buffer.from([START_END_BYTE]),
+        parser.escape(Buffer.concat([content, Buffer.from([parser.checksum(content)])])),
+        Buffer.from([START_END_BYTE]),
+    ]);
+}
+
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    return buffer;
+}
+
+function text(value, size) {
+    const buffer = Buffer.alloc(size);
+    buffer.write(value, 'ascii');
+    return buffer;
+}
+
+// Southern latitude, ACC on, fixed; 2025-06-19 23:11:40 GMT+8
+const LOCATION_BODY = Buffer.concat([
+    uint32(0x00000001), uint32(0x00000007), uint32(22543210), uint32(114054321), uint16(35), uint16(605), uint16(90),
+    Buffer.from('250619231140', 'hex'),
+    Buffer.from([0x01, 4]), uint32(135534),
+    Buffer.from([0x30, 1, 21]),
+    Buffer.from([0x31, 1, 11]),
+    Buffer.from([0xE1, 2, 0x7E, 0x7D]),
+]);
+
+const expectProtocolError = (code) => (error) => error instanceof ProtocolError && error.code === code;
+
+describe('ProtocolParser', () => {
+    describe('decoding', () => {
+        it('decodes the GS22 registration sample', () => {
+            const message = new ProtocolParser().parse(hexToBytes(REGISTER_SAMPLE));
+            assert.ok(message instanceof TerminalRegisterMessage);
+            assert.equal(message.checksum, 0xF6);
+            assert.deepEqual(
+                { ...message.header, packageItems: null },
+                {
+                    messageId: MESSAGE_IDS.TERMINAL_REGISTER, bodyLength: 45, encryption: 0, isSubpackage: false,
+                    is2019: false, protocolVersion: null, phoneNumber: '48050022171', serialNumber: 7290, packageItems: null,
+                },
+            );
+            assert.equal(message.manufacturerId, '70112');
+            assert.equal(message.terminalModel, 'SEG-9888G');
+            assert.equal(message.terminalId, '0022171');
+            assert.equal(message.plateColor, 0);
+            assert.equal(message.plateNumber, '50022171');
+        });
+
+        it('accepts a frame without its delimiters', () => {
+            const bare = hexToBytes(REGISTER_SAMPLE.slice(2, -2));
+            assert.equal(new ProtocolParser().parse(bare).header.serialNumber, 7290);
+        });
+
+        it('decodes the widened 2019 registration fields', () => {
+            const body = Buffer.concat([uint16(44), uint16(300), text('GS22MANUFAC', 11), text('GS22-4G', 30), text('T0000001', 30), Buffer.from([1]), Buffer.from('B12345', 'ascii')]);
+            const message = new ProtocolParser().parse(terminalFrame({ messageId: MESSAGE_IDS.TERMINAL_REGISTER, body, phone: '13912345678', is2019: true }));
+            assert.equal(message.header.is2019, true);
+            assert.equal(message.header.protocolVersion, 1);
+            assert.equal(message.header.phoneNumber, '13912345678');
+            assert.deepEqual(
+                [message.provinceId, message.cityId, message.manufacturerId, message.terminalModel, message.terminalId, message.plateColor, message.plateNumber],
+                [44, 300, 'GS22MANUFAC', 'GS22-4G', 'T0000001', 1, 'B12345'],
+            );
+        });
+
+        it('decodes a 0x0200 location report and its additional items', () => {
+            const message = new ProtocolParser().parse(terminalFrame({ messageId: MESSAGE_IDS.LOCATION_REPORT, body: LOCATION_BODY }));
+            assert.ok(message instanceof LocationReportMessage);
+            assert.equal(message.alarmFlags, 1);
+            assert.equal(message.accOn, true);
+            assert.equal(message.positioned, true);
+            assert.equal(message.latitude, -22.54321);
+            assert.equal(message.longitude, 114.054321);
+            assert.equal(message.altitude, 35);
+            assert.equal(message.speed, 60.5);
+            assert.equal(message.direction, 90);
+            assert.equal(message.time.toISOString(), '2025-06-19T15:11:40.000Z');
+            assert.deepEqual(message.additional, { mileageKm: 13553.4, signalStrength: 21, satellites: 11 });
+            assert.deepEqual(message.additionalItems.at(-1), { id: 0xE1, name: null, raw: '7e7d', value: null });
+        });
+
+        it('rejects a wrong check code', () => {
+            const frame = hexToBytes(REGISTER_SAMPLE);
+            frame[frame.length - 2] ^= 0x01;
+            assert.throws(() => new ProtocolParser().parse(frame), expectProtocolError('CHECKSUM_MISMATCH'));
+        });
+
+        it('rejects a body shorter than the header declares', () => {
+            const frame = terminalFrame({ messageId: MESSAGE_IDS.LOCATION_REPORT, body: LOCATION_BODY });
+            const content = new ProtocolParser().unescape(frame.subarray(1, -1)).subarray(0, -1);
+            content.writeUInt16BE(LOCATION_BODY.length + 1, 2);
+            const parser = new ProtocolParser();
+            const bad = Buffer.concat([Buffer.from([START_END_BYTE]), parser.escape(Buffer.concat([content, Buffer.from([parser.checksum(content)])])), Buffer.from([START_END_BYTE])]);
+            assert.throws(() => parser.parse(bad), expectProtocolError('BODY_LENGTH_MISMATCH'));
+        });
+
+        it('rejects a frame too short for a header', () => {
+            assert.throws(() => new ProtocolParser().parse(hexToBytes('7e000200007e')), expectProtocolError('FRAME_TOO_SHORT'));
+        });
+    });
+
+    describe('escaping', () => {
+        it('escapes 0x7E and 0x7D', () => {
+            const parser = new ProtocolParser();
+            assert.equal(parser.escape(Buffer.from([0x30, 0x7E, 0x08, 0x7D, 0x55])).toString('hex'), '307d02087d0155');
+            assert.equal(parser.unescape(hexToBytes('307d02087d0155')).toString('hex'), '307e087d55');
+        });
+
+        it('round-trips any bytes', () => {
+            const parser = new ProtocolParser();
+            for (let seed = 0; seed < 200; seed++) {
+                const bytes = Buffer.from(Array.from({ length: seed % 40 }, (_, i) => [0x7E, 0x7D, 0x01, 0x02, seed, i][(seed * 7 + i) % 6]));
+                const escaped = parser.escape(bytes);
+                assert.equal(escaped.includes(START_END_BYTE), false);
+                assert.deepEqual(parser.unescape(escaped), bytes);
+            }
+        });
+
+        it('decodes a body holding delimiter and escape bytes', () => {
+            const frame = terminalFrame({ messageId: MESSAGE_IDS.LOCATION_REPORT, body: LOCATION_BODY });
+            assert.equal(frame.subarray(1, -1).includes(START_END_BYTE), false);
+            assert.equal(new ProtocolParser().parse(frame).additionalItems.at(-1).raw, '7e7d');
+        });
+    });
+
+    describe('subpackages', () => {
+        const first = LOCATION_BODY.subarray(0, 20);
+        const second = LOCATION_BODY.subarray(20);
+        const subpackage = (number, body, total = 2) => terminalFrame({ messageId: MESSAGE_IDS.LOCATION_REPORT, body, serial: number, packages: { total, number } });
+
+        it('reassembles the body once every subpackage has arrived', () => {
+            const parser = new ProtocolParser();
+            const fragment = parser.parse(subpackage(1, first));
+            assert.equal(fragment.complete, false);
+            assert.equal(fragment.header.packageItems.toString(), '1/2');
+            const message = parser.parse(subpackage(2, second));
+            assert.ok(message instanceof LocationReportMessage);
+            assert.equal(message.complete, true);
+            assert.deepEqual(message.body, LOCATION_BODY);
+        });
+
+        it('starts over when a new first subpackage arrives', () => {
+            const parser = new ProtocolParser();
+            parser.parse(subpackage(1, Buffer.from('stale')));
+            parser.parse(subpackage(1, first));
+            assert.deepEqual(parser.parse(subpackage(2, second)).body, LOCATION_BODY);
+        });
+
+        it('reports a subpackage that never arrived', () => {
+            const parser = new ProtocolParser();
+            parser.parse(subpackage(1, first, 3));
+            parser.parse(subpackage(2, second, 3));
+            assert.throws(() => parser.parse(subpackage(4, second, 3)), expectProtocolError('SUBPACKAGE_MISSING'));
+        });
+    });
+
+    describe('platform replies', () => {
+        const register = () => new ProtocolParser().parse(hexToBytes(REGISTER_SAMPLE));
+
+        it('encodes 0x8100 with the auth code on success', () => {
+            const parser = new ProtocolParser();
+            const reply = parser.parse(parser.encodeRegisterResponse(register(), REGISTER_RESULTS.SUCCESS, 'AUTH48050022171'));
+            assert.equal(reply.header.messageId, MESSAGE_IDS.TERMINAL_REGISTER_RESPONSE);
+            assert.equal(reply.header.phoneNumber, '48050022171');
+            assert.equal(reply.header.is2019, false);
+            assert.equal(reply.body.readUInt16BE(0), 7290);
+            assert.equal(reply.body.readUInt8(2), REGISTER_RESULTS.SUCCESS);
+            assert.equal(reply.body.subarray(3).toString('ascii'), 'AUTH48050022171');
+        });
+
+        it('leaves the auth code out of a refused registration', () => {
+            const parser = new ProtocolParser();
+            const reply = parser.parse(parser.encodeRegisterResponse(register(), REGISTER_RESULTS.TERMINAL_NOT_IN_DATABASE, 'AUTH'));
+            assert.equal(reply.body.toString('hex'), '1c7a04');
+        });
+
+        it('encodes 0x8001 naming the answered message', () => {
+            const parser = new ProtocolParser();
+            const reply = parser.parse(parser.encodeGeneralResponse(register(), GENERAL_RESULTS.FAILURE));
+            assert.equal(reply.header.messageId, MESSAGE_IDS.PLATFORM_GENERAL_RESPONSE);
+            assert.equal(reply.body.toString('hex'), '1c7a010001');
+        });
+
+        it('answers a 2019 terminal with a 2019 header', () => {
+            const parser = new ProtocolParser();
+            const location = parser.parse(terminalFrame({ messageId: MESSAGE_IDS.LOCATION_REPORT, body: LOCATION_BODY, phone: '13912345678', is2019: true }));
+            const reply = parser.parse(parser.encodeGeneralResponse(location));
+            assert.equal(reply.header.is2019, true);
+            assert.equal(reply.header.protocolVersion, 1);
+            assert.equal(reply.header.phoneNumber, '13912345678');
+        });
+
+        it('numbers outgoing messages in sequence', () => {
+            const parser = new ProtocolParser();
+            const serials = [0, 1, 2].map(() => parser.parse(parser.encodeGeneralResponse(register())).header.serialNumber);
+            assert.deepEqual(serials, [0, 1, 2]);
+        });
+    });
+
+    describe('push', () => {
+        const register = hexToBytes(REGISTER_SAMPLE);
+        const location = terminalFrame({ messageId: MESSAGE_IDS.LOCATION_REPORT, body: LOCATION_BODY });
+
+        it('splits coalesced frames and joins split ones', () => {
+            const stream = Buffer.concat([register, location, register]);
+            for (let at = 1; at < stream.length; at++) {
+                const parser = new ProtocolParser();
+                const frames = [...parser.push(stream.subarray(0, at)), ...parser.push(stream.subarray(at))];
+                assert.deepEqual(frames.map(frame => frame.toString('hex')), [register, location, register].map(frame => frame.toString('hex')), `split at byte ${at}`);
+            }
+        });
+
+        it('drops bytes outside a frame', () => {
+            const discards = [];
+            const parser = new ProtocolParser({ onDiscard: (reason, bytes) => discards.push([reason, bytes.toString('hex')]) });
+            const frames = parser.push(Buffer.concat([Buffer.from('0d0a', 'hex'), register]));
+            assert.equal(frames.length, 1);
+            assert.deepEqual(discards, [['no-frame-start', '0d0a']]);
+        });
+
+        it('caps the buffer of an unterminated frame', () => {
+            const discards = [];
+            const parser = new ProtocolParser({ maxBufferSize: 64, onDiscard: (reason, bytes) => discards.push([reason, bytes.length]) });
+            assert.deepEqual(parser.push(Buffer.concat([Buffer.from([START_END_BYTE]), Buffer.alloc(100, 0x30)])), []);
+            assert.deepEqual(discards, [['overflow', 101]]);
+            assert.equal(parser.discardedBytes, 101);
+            assert.deepEqual(parser.push(register).map(frame => frame.toString('hex')), [REGISTER_SAMPLE]);
+        });
+    });
+});
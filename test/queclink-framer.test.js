@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueclinkFramer, HEX_LENGTH_OFFSETS } from '../queclink-framer.js';
+
+const FRI = Buffer.from('+RESP:GTFRI,5E0500,861971050198167,MZBEU812TRN617180,GV500MAP,13800,10,1,1,47.3,117,538.9,78.409098,17.403438,20250619151140,0404,0049,4F29,9813,00,13553.4,01108:44:12,,,,220100,1850,7.4,62,20250619151145,0C0A$', 'latin1');
+const INF = Buffer.from('+RESP:GTINF,5E0500,861971050198167,MZBEU812TRN617180,GV500MAP,22,89914900000012345678,21,0,1,13800,,4.10,1,1,,,20250619151140,,,,,,+0530,0,20250619151145,0C0E$', 'latin1'); // has a '+' inside, in its time zone
+const RSP = Buffer.from('2B5253500000FFFFFF00935E0500010208619710501981674D5A42455538313254524E3631373138303674073A004A3E220A100201002F030016019204AC6D8A01098E2E07E906130F0B280194003106CC00001EA00001002F030016019204AC723A0109921607E906130F0B320194003106CC00001EA100000C02000034F104000004542C0C07E906130F0B370000A5F20D0A', 'hex');
+const HBD = Buffer.from('2B48424400000000235E05000102086197105019816707E906130F0B37002C8C610D0A', 'hex');
+
+/**
+ * Feeds chunks to a framer.
+ * @returns {{frames: object[], discards: {reason: string, bytes: Buffer}[], framer: QueclinkFramer}}
+ */
+function feed(chunks, options = {}) {
+    const discards = [];
+    const framer = new QueclinkFramer({ ...options, onDiscard: (reason, bytes) => discards.push({ reason, bytes }) });
+    const frames = chunks.flatMap(chunk => framer.push(chunk));
+    return { frames, discards, framer };
+}
+
+const raws = (frames) => frames.map(frame => frame.raw.toString('hex'));
+const hexOf = (...buffers) => buffers.map(buffer => buffer.toString('hex'));
+
+describe('QueclinkFramer', () => {
+    it('returns an ASCII frame received in one chunk', () => {
+        const { frames, framer } = feed([FRI]);
+        assert.equal(frames.length, 1);
+        assert.equal(frames[0].format, 'ASCII');
+        assert.equal(frames[0].message, FRI.toString('latin1'));
+        assert.equal(framer.pendingBytes, 0);
+    });
+
+    it('returns a HEX frame as upper-case hex', () => {
+        const { frames } = feed([RSP]);
+        assert.equal(frames.length, 1);
+        assert.equal(frames[0].format, 'HEX');
+        assert.equal(frames[0].message, RSP.toString('hex').toUpperCase());
+    });
+
+    it('splits coalesced frames of both formats, in order', () => {
+        const { frames, discards, framer } = feed([Buffer.concat([FRI, RSP, INF, HBD, FRI])]);
+        assert.deepEqual(frames.map(frame => frame.format), ['ASCII', 'HEX', 'ASCII', 'HEX', 'ASCII']);
+        assert.deepEqual(raws(frames), hexOf(FRI, RSP, INF, HBD, FRI));
+        assert.deepEqual(discards, []);
+        assert.equal(framer.pendingBytes, 0);
+    });
+
+    it('reassembles frames split at any byte', () => {
+        const stream = Buffer.concat([FRI, HBD, RSP, INF]);
+        const expected = raws(feed([stream]).frames);
+        for (let at = 1; at < stream.length; at++) {
+            const { frames, discards } = feed([stream.subarray(0, at), stream.subarray(at)]);
+            assert.deepEqual(raws(frames), expected, `split at byte ${at}`);
+            assert.deepEqual(discards, [], `split at byte ${at}`);
+        }
+    });
+
+    it('reassembles frames fed one byte at a time', () => {
+        const stream = Buffer.concat([RSP, FRI, HBD]);
+        const chunks = [...stream].map(byte => Buffer.from([byte]));
+        const { frames, framer } = feed(chunks);
+        assert.deepEqual(raws(frames), raws(feed([stream]).frames));
+        assert.equal(framer.pendingBytes, 0);
+    });
+
+    it('waits for the rest of a partial HEX Length field', () => {
+        const lengthOffset = HEX_LENGTH_OFFSETS['+RSP'];
+        const framer = new QueclinkFramer();
+        assert.deepEqual(framer.push(RSP.subarray(0, lengthOffset + 1)), []);
+        assert.equal(framer.pendingBytes, lengthOffset + 1);
+        assert.deepEqual(framer.push(RSP.subarray(lengthOffset + 1, lengthOffset + 2)), []);
+        const frames = framer.push(RSP.subarray(lengthOffset + 2));
+        assert.deepEqual(raws(frames), hexOf(RSP));
+    });
+
+    it('waits while a header could still be ASCII or HEX', () => {
+        const framer = new QueclinkFramer();
+        assert.deepEqual(framer.push('+RE'), []);
+        assert.equal(framer.pendingBytes, 3);
+        assert.equal(framer.push(FRI.subarray(3)).length, 1);
+    });
+
+    it('drops noise before a frame start', () => {
+        const { frames, discards } = feed([Buffer.concat([Buffer.from('\r\nAT\r\n'), FRI])]);
+        assert.equal(frames.length, 1);
+        assert.deepEqual(discards.map(discard => [discard.reason, discard.bytes.toString('latin1')]), [['no-frame-start', '\r\nAT\r\n']]);
+    });
+
+    it('resynchronises after a + that starts no known message', () => {
+        const { frames, discards } = feed([Buffer.concat([Buffer.from('+XYZ,1,2'), HBD])]);
+        assert.deepEqual(raws(frames), hexOf(HBD));
+        assert.deepEqual(discards.map(discard => discard.reason), ['unknown-header', 'no-frame-start']);
+    });
+
+    it('falls back to the tail when a HEX Length field is corrupted', () => {
+        const corrupted = Buffer.from(HBD);
+        corrupted.writeUInt16BE(HBD.length + 40, HEX_LENGTH_OFFSETS['+HBD']);
+        const { frames } = feed([Buffer.concat([corrupted, FRI])]);
+        assert.deepEqual(raws(frames), hexOf(corrupted, FRI));
+    });
+
+    it('does not trust a HEX Length beyond the buffer limit', () => {
+        const oversized = Buffer.from(HBD);
+        oversized.writeUInt16BE(0xFFFF, HEX_LENGTH_OFFSETS['+HBD']);
+        const { frames } = feed([oversized], { maxBufferSize: 1024 });
+        assert.deepEqual(raws(frames), hexOf(oversized));
+    });
+
+    it('discards an oversize buffer and recovers with the next frame', () => {
+        const unterminated = Buffer.from(`+RESP:GTFRI,${'0'.repeat(200)}`, 'latin1');
+        const { frames, discards, framer } = feed([unterminated.subarray(0, 40), unterminated.subarray(40), FRI], { maxBufferSize: 128 });
+        assert.equal(discards.length, 1);
+        assert.equal(discards[0].reason, 'overflow');
+        assert.equal(discards[0].bytes.length, unterminated.length);
+        assert.equal(framer.discardedBytes, unterminated.length);
+        assert.deepEqual(raws(frames), hexOf(FRI));
+        assert.equal(framer.pendingBytes, 0);
+    });
+
+    it('keeps complete frames from a chunk that overflows', () => {
+        const { frames, discards } = feed([Buffer.concat([FRI, Buffer.from(`+RESP:GTINF,${'1'.repeat(300)}`)])], { maxBufferSize: 256 });
+        assert.deepEqual(raws(frames), hexOf(FRI));
+        assert.deepEqual(discards.map(discard => discard.reason), ['overflow']);
+    });
+
+    it('drops partial data on reset', () => {
+        const framer = new QueclinkFramer();
+        framer.push(FRI.subarray(0, 20));
+        framer.reset();
+        assert.equal(framer.pendingBytes, 0);
+        assert.deepEqual(raws(framer.push(HBD)), hexOf(HBD));
+    });
+});
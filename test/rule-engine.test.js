@@ -0,0 +1,199 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { RuleEngine, RuleValidationError } from '../rule-engine.js';
+import { DeviceGroupRegistry } from '../device-groups.js';
+import { fixture } from './fixtures.js';
+
+const TRUCK = '861971050198167';
+const CAR = '862193022000541';
+const VAN = '864696060004173';
+const START = Date.UTC(2025, 5, 19, 15, 0, 0);
+
+const parser = new QueclinkParser();
+
+const formatTime = (ms) => new Date(ms).toISOString().replace(/\D/g, '').substring(0, 14);
+
+/**
+ * A single-position +RESP:GTFRI, parsed.
+ * @param {string} imei
+ * @param {number} seconds Fix time, seconds after START.
+ * @param {number} speed km/h
+ */
+function fri(imei, seconds, speed) {
+    const time = formatTime(START + seconds * 1000);
+    const result = parser.parse(`+RESP:GTFRI,5E0500,${imei},,GV500MAP,13800,10,1,1,${speed.toFixed(1)},117,538.9,78.409098,17.403438,${time},`
+        + `0404,0049,4F29,9813,00,13553.4,01108:44:12,,,,220100,1850,7.4,62,${time},0001$`);
+    assert.equal(result.ok, true, result.error && result.error.message);
+    return result;
+}
+
+const OVERSPEED = {
+    id: 'overspeed',
+    severity: 'warning',
+    commands: ['GTFRI'],
+    when: { field: 'speed_kmh', op: '>', param: 'limitKmh' },
+    params: { limitKmh: 100 },
+};
+
+/**
+ * An engine with the given rules, collecting its alerts.
+ */
+function engineWith(rules, options = {}) {
+    const engine = new RuleEngine({ rules, ...options });
+    const alerts = [];
+    engine.on('alert', alert => alerts.push(alert));
+    return { engine, alerts };
+}
+
+/**
+ * Feeds [seconds, speed] fixes for one device.
+ * @returns {number[]} The fix times, in seconds after START, that raised an alert.
+ */
+function drive(engine, alerts, imei, fixes) {
+    const alerted = [];
+    for (const [seconds, speed] of fixes) {
+        const before = alerts.length;
+        engine.handle(fri(imei, seconds, speed));
+        if (alerts.length > before) {
+            alerted.push(seconds);
+        }
+    }
+    return alerted;
+}
+
+describe('RuleEngine', () => {
+    it('alerts when the condition holds', () => {
+        const { engine, alerts } = engineWith([OVERSPEED]);
+        assert.deepEqual(drive(engine, alerts, TRUCK, [[0, 80], [10, 120]]), [10]);
+        const [alert] = alerts;
+        assert.equal(alert.imei, TRUCK);
+        assert.deepEqual(alert.rule, { id: 'overspeed', name: 'overspeed', severity: 'warning' });
+        assert.deepEqual(alert.values, { speed_kmh: 120 });
+        assert.equal(alert.command, 'GTFRI');
+        assert.equal(alert.time.getTime(), START + 10000);
+        assert.equal(alert.durationS, 0);
+    });
+
+    it('alerts once per episode', () => {
+        const { engine, alerts } = engineWith([OVERSPEED]);
+        assert.deepEqual(drive(engine, alerts, TRUCK, [[0, 120], [10, 125], [20, 130], [30, 90], [40, 110]]), [0, 40]);
+    });
+
+    describe('forMs', () => {
+        it('waits until the condition has held for forMs', () => {
+            const { engine, alerts } = engineWith([{ ...OVERSPEED, forMs: 30000 }]);
+            assert.deepEqual(drive(engine, alerts, TRUCK, [[0, 110], [10, 115], [20, 120], [30, 118], [40, 121]]), [30]);
+            assert.equal(alerts[0].since.getTime(), START);
+            assert.equal(alerts[0].durationS, 30);
+        });
+
+        it('starts over when the condition breaks', () => {
+            const { engine, alerts } = engineWith([{ ...OVERSPEED, forMs: 30000 }]);
+            assert.deepEqual(drive(engine, alerts, TRUCK, [[0, 110], [20, 120], [25, 95], [30, 110], [50, 115], [60, 120]]), [60]);
+            assert.equal(alerts[0].since.getTime(), START + 30000);
+        });
+
+        it('ignores late reports instead of counting them towards forMs', () => {
+            const { engine, alerts } = engineWith([{ ...OVERSPEED, forMs: 30000 }]);
+            assert.deepEqual(drive(engine, alerts, TRUCK, [[20, 110], [0, 110], [40, 110], [50, 110]]), [50]);
+        });
+    });
+
+    describe('cooldownMs', () => {
+        it('holds back a new episode until cooldownMs has passed since the last alert', () => {
+            const { engine, alerts } = engineWith([{ ...OVERSPEED, cooldownMs: 300000 }]);
+            const alerted = drive(engine, alerts, TRUCK, [
+                [0, 120], [60, 90], [120, 120], [180, 90], [240, 130], [300, 125], [360, 90], [400, 110],
+            ]);
+            // 120 and 240 fall inside the cooldown, the episode from 240 alerts when it ends
+            // at 300, and 400 is inside the cooldown of that alert
+            assert.deepEqual(alerted, [0, 300]);
+        });
+
+        it('keeps the cooldown per device', () => {
+            const { engine, alerts } = engineWith([{ ...OVERSPEED, cooldownMs: 300000 }]);
+            assert.deepEqual(drive(engine, alerts, TRUCK, [[0, 120]]), [0]);
+            assert.deepEqual(drive(engine, alerts, CAR, [[10, 120]]), [10]);
+        });
+
+        it('combines with forMs', () => {
+            const { engine, alerts } = engineWith([{ ...OVERSPEED, forMs: 20000, cooldownMs: 120000 }]);
+            const alerted = drive(engine, alerts, TRUCK, [[0, 120], [20, 120], [30, 90], [40, 120], [60, 120], [120, 120], [140, 90], [150, 120], [170, 120]]);
+            assert.deepEqual(alerted, [20, 170]);
+        });
+    });
+
+    describe('overrides', () => {
+        const groups = new DeviceGroupRegistry({ devices: { [TRUCK]: 'trucks', [CAR]: 'cars', [VAN]: 'trucks' } });
+        const rule = {
+            ...OVERSPEED,
+            overrides: {
+                groups: { trucks: { limitKmh: 80, severity: 'critical', forMs: 20000 } },
+                devices: { [VAN]: { limitKmh: 90 }, [CAR]: { enabled: false } },
+            },
+        };
+
+        it('applies group parameters over the rule defaults', () => {
+            const { engine } = engineWith([rule], { groups });
+            assert.deepEqual(engine.effectiveParams(engine.getRule('overspeed'), TRUCK), { limitKmh: 80, severity: 'critical', forMs: 20000 });
+        });
+
+        it('applies device parameters over group ones', () => {
+            const { engine, alerts } = engineWith([rule], { groups });
+            assert.deepEqual(engine.effectiveParams(engine.getRule('overspeed'), VAN), { limitKmh: 90, severity: 'critical', forMs: 20000 });
+            assert.deepEqual(drive(engine, alerts, VAN, [[0, 85], [20, 88], [30, 95], [50, 95]]), [50]);
+            assert.equal(alerts[0].rule.severity, 'critical');
+        });
+
+        it('uses group forMs and severity', () => {
+            const { engine, alerts } = engineWith([rule], { groups });
+            assert.deepEqual(drive(engine, alerts, TRUCK, [[0, 85], [10, 85], [20, 85]]), [20]);
+            assert.equal(alerts[0].rule.severity, 'critical');
+        });
+
+        it('turns the rule off with enabled: false', () => {
+            const { engine, alerts } = engineWith([rule], { groups });
+            assert.equal(engine.effectiveParams(engine.getRule('overspeed'), CAR), null);
+            assert.deepEqual(drive(engine, alerts, CAR, [[0, 150], [10, 160]]), []);
+        });
+
+        it('keeps the defaults for devices outside any group', () => {
+            const { engine, alerts } = engineWith([rule], { groups });
+            const other = '860000000000001';
+            assert.deepEqual(drive(engine, alerts, other, [[0, 95], [10, 105]]), [10]);
+            assert.equal(alerts[0].rule.severity, 'warning');
+        });
+
+        it('limits a rule to its devices and groups', () => {
+            const { engine, alerts } = engineWith([{ ...OVERSPEED, groups: ['cars'], devices: [VAN] }], { groups });
+            assert.deepEqual(drive(engine, alerts, TRUCK, [[0, 150]]), []);
+            assert.deepEqual(drive(engine, alerts, CAR, [[0, 150]]), [0]);
+            assert.deepEqual(drive(engine, alerts, VAN, [[0, 150]]), [0]);
+        });
+    });
+
+    it('evaluates HEX reports under their ASCII command', () => {
+        const result = parser.parse(fixture('hex', 'RSP'));
+        assert.equal(result.command, 'GTFRI');
+        const { engine, alerts } = engineWith([{ ...OVERSPEED, params: { limitKmh: 40 } }]);
+        assert.equal(engine.handle(result), true);
+        assert.equal(alerts.length, 1);
+        assert.equal(alerts[0].command, 'GTFRI');
+    });
+
+    it('matches nested all/any conditions on report fields', () => {
+        const { engine, alerts } = engineWith([{
+            id: 'hot-and-fast',
+            when: { all: [{ field: 'speed_kmh', op: '>=', value: 100 }, { any: [{ field: 'report.engineRpm', op: '>', value: 4000 }, { field: 'report.fuelLevelInput', op: '<', value: 70 }] }] },
+        }]);
+        assert.deepEqual(drive(engine, alerts, TRUCK, [[0, 100]]), [0]);
+        assert.deepEqual(alerts[0].values, { speed_kmh: 100, 'report.engineRpm': 1850, 'report.fuelLevelInput': 62 });
+    });
+
+    it('rejects invalid definitions', () => {
+        assert.throws(() => new RuleEngine({ rules: [{ ...OVERSPEED, forMs: -1 }] }), RuleValidationError);
+        assert.throws(() => new RuleEngine({ rules: [{ ...OVERSPEED, when: { field: 'speed_kmh', op: '>', param: 'unknown' } }] }), RuleValidationError);
+        assert.throws(() => new RuleEngine({ rules: [{ ...OVERSPEED, severity: 'fatal' }] }), RuleValidationError);
+    });
+});
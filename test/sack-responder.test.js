@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { SackResponder, SACK_MODES } from '../sack-responder.js';
+import { fixture } from './fixtures.js';
+
+const parser = new QueclinkParser();
+
+const FRI = parser.parse(fixture('ascii', 'GTFRI'));
+const BUFF = parser.parse(fixture('ascii', 'BUFF'));
+const RSP = parser.parse(fixture('hex', 'RSP'));
+const BSP = parser.parse(fixture('hex', 'BSP'));
+const BVT = parser.parse(fixture('hex', 'BVT'));
+const HEX_ACK = parser.parse(fixture('hex', 'ACK'));
+const HEARTBEAT = parser.parse('+ACK:GTHBD,5E0500,861971050198167,GV500MAP,20250619151140,11F0$');
+const HEX_HEARTBEAT = parser.parse(fixture('hex', 'HBD'));
+
+/**
+ * Records what the responder writes.
+ */
+function socket() {
+    return { destroyed: false, written: [], write(data) { this.written.push(data.toString('latin1')); } };
+}
+
+describe('SackResponder', () => {
+    it('acknowledges every report in "all" mode', () => {
+        const responder = new SackResponder();
+        assert.deepEqual([FRI, BUFF, RSP, BSP].map(result => responder.shouldAcknowledge(result)), [true, true, true, true]);
+    });
+
+    it('acknowledges only buffered reports, ASCII or HEX, in "buffered" mode', () => {
+        const responder = new SackResponder({ defaultMode: SACK_MODES.BUFFERED });
+        assert.deepEqual([FRI, BUFF, RSP, BSP, BVT].map(result => responder.shouldAcknowledge(result)), [false, true, false, true, true]);
+    });
+
+    it('acknowledges nothing in "none" mode', () => {
+        const responder = new SackResponder({ deviceModes: { [BSP.parsedData.uniqueId]: SACK_MODES.NONE } });
+        assert.equal(responder.shouldAcknowledge(BSP), false);
+    });
+
+    it('does not acknowledge +ACK messages as reports', () => {
+        assert.equal(new SackResponder().shouldAcknowledge(HEARTBEAT), false);
+        assert.equal(new SackResponder().shouldAcknowledge(HEX_ACK), false);
+    });
+
+    it('writes the Count Number as text for ASCII and as two bytes for HEX', () => {
+        const responder = new SackResponder();
+        const countNumber = FRI.parsedData.countNumber.toString(16).toUpperCase().padStart(4, '0');
+        assert.equal(responder.buildAck(FRI).toString('latin1'), `+SACK:${countNumber}$`);
+        const hexCountNumber = BSP.originalMessage.substring(BSP.originalMessage.length - 12, BSP.originalMessage.length - 8);
+        assert.equal(responder.buildAck(BSP, 'HEX').toString('hex').toUpperCase(), `2B5341434B3A${hexCountNumber}24`);
+    });
+
+    describe('reports that failed to parse', () => {
+        const TRUNCATED = parser.parse('+RESP:GTFRI,5E0500,861971050198167,,GV500MAP,1,20250619151140,11F0$');
+        const TRUNCATED_BUFF = parser.parse('+BUFF:GTFRI,5E0500,861971050198167,,GV500MAP,1,20250619151140,11F1$');
+        const UNKNOWN = parser.parse('+RESP:GTXYZ,5E0500,861971050198167,GV500MAP,20250619151140,11F2$');
+        const MALFORMED = parser.parse('+RESP:GTFRI');
+
+        it('acknowledges them with the Count Number from the raw frame', () => {
+            const responder = new SackResponder();
+            const device = socket();
+            assert.equal(responder.acknowledgeFailure(device, TRUNCATED, 'ASCII', null), true);
+            assert.equal(responder.acknowledgeFailure(device, UNKNOWN, 'ASCII', null), true);
+            assert.equal(responder.acknowledgeFailure(device, MALFORMED, 'ASCII', null), false);
+            assert.deepEqual(device.written, ['+SACK:11F0$', '+SACK:11F2$']);
+        });
+
+        it('follows the device mode', () => {
+            const responder = new SackResponder({ defaultMode: SACK_MODES.BUFFERED, deviceModes: { '862193022000541': SACK_MODES.NONE } });
+            const device = socket();
+            assert.equal(responder.acknowledgeFailure(device, TRUNCATED, 'ASCII', '861971050198167'), false);
+            assert.equal(responder.acknowledgeFailure(device, TRUNCATED_BUFF, 'ASCII', '861971050198167'), true);
+            assert.equal(responder.acknowledgeFailure(device, TRUNCATED_BUFF, 'ASCII', '862193022000541'), false);
+            assert.deepEqual(device.written, ['+SACK:11F1$']);
+        });
+
+        it('leaves HEX frames that failed validation for the device to resend', () => {
+            const corrupted = fixture('hex', 'RSP').replace(/^(.{60})(.)/, (_, head, digit) => head + (digit === '0' ? '1' : '0'));
+            const result = parser.parse(corrupted);
+            assert.equal(result.error.code, 'FRAME_CHECKSUM_MISMATCH');
+            assert.equal(new SackResponder().acknowledgeFailure(socket(), result, 'HEX', null), false);
+        });
+
+        it('acknowledges a HEX frame that passed validation but could not be decoded', () => {
+            const message = fixture('hex', 'BSP');
+            const failure = { ok: false, originalMessage: message, error: { code: 'PARSER_EXCEPTION' } };
+            const device = socket();
+            assert.equal(new SackResponder({ defaultMode: SACK_MODES.BUFFERED }).acknowledgeFailure(device, failure, 'HEX', null), true);
+            assert.equal(Buffer.from(device.written[0], 'latin1').toString('hex').toUpperCase(),
+                `2B5341434B3A${message.substring(message.length - 12, message.length - 8)}24`);
+        });
+
+        it('leaves a HEX +ACK that could not be decoded alone', () => {
+            const failure = { ok: false, originalMessage: fixture('hex', 'ACK'), error: { code: 'PARSER_EXCEPTION' } };
+            const device = socket();
+            assert.equal(new SackResponder().acknowledgeFailure(device, failure, 'HEX', null), false);
+            assert.deepEqual(device.written, []);
+        });
+    });
+
+    describe('heartbeat', () => {
+        it('answers +ACK:GTHBD with its protocol version and Count Number', () => {
+            const responder = new SackResponder();
+            const device = socket();
+            assert.equal(responder.answerHeartbeat(device, HEARTBEAT), true);
+            assert.deepEqual(device.written, ['+SACK:GTHBD,5E0500,11F0$']);
+        });
+
+        it('answers a HEX +HBD the same way, not with a plain +SACK', () => {
+            const responder = new SackResponder();
+            const device = socket();
+            assert.equal(responder.shouldAcknowledge(HEX_HEARTBEAT), false);
+            assert.equal(responder.answerHeartbeat(device, HEX_HEARTBEAT), true);
+            assert.deepEqual(device.written, ['+SACK:GTHBD,5E0500,002C$']);
+        });
+
+        it('answers in every mode', () => {
+            const responder = new SackResponder({ defaultMode: SACK_MODES.NONE });
+            const device = socket();
+            assert.equal(responder.answerHeartbeat(device, HEARTBEAT), true);
+            assert.equal(device.written.length, 1);
+        });
+
+        it('leaves other messages and closed sockets alone', () => {
+            const responder = new SackResponder();
+            const device = socket();
+            assert.equal(responder.answerHeartbeat(device, FRI), false);
+            device.destroyed = true;
+            assert.equal(responder.answerHeartbeat(device, HEARTBEAT), false);
+            assert.deepEqual(device.written, []);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { SessionManager } from '../session-manager.js';
+import { fixture } from './fixtures.js';
+
+const IMEI = '861971050198167';
+
+const parser = new QueclinkParser();
+
+function socket(remoteAddress) {
+    return { remoteAddress, destroyed: false, destroy() { this.destroyed = true; } };
+}
+
+describe('SessionManager', () => {
+    it('emits takeover when a device reconnects on a new socket', () => {
+        const sessions = new SessionManager();
+        const takeovers = [];
+        sessions.on('takeover', (session, stale) => takeovers.push([session.imei, stale.remoteAddress]));
+        const first = socket('10.0.0.1');
+        const second = socket('10.0.0.2');
+
+        sessions.update(first, parser.parse(fixture('ascii', 'GTFRI')));
+        sessions.update(second, parser.parse(fixture('ascii', 'GTFRI')));
+
+        assert.deepEqual(takeovers, [[IMEI, '10.0.0.1']]);
+        assert.equal(first.destroyed, true);
+        assert.equal(sessions.getSession(IMEI).socket, second);
+    });
+
+    it('emits conflict and keeps the binding when a socket reports another Unique ID', () => {
+        const sessions = new SessionManager();
+        const conflicts = [];
+        sessions.on('conflict', (sock, imei, reportedImei) => conflicts.push([imei, reportedImei]));
+        const device = socket('10.0.0.1');
+        const message = fixture('ascii', 'GTFRI');
+
+        sessions.update(device, parser.parse(message));
+        const session = sessions.update(device, parser.parse(message.replace(IMEI, '861971050198168')));
+
+        assert.deepEqual(conflicts, [[IMEI, '861971050198168']]);
+        assert.equal(session.imei, IMEI);
+        assert.equal(sessions.getSession('861971050198168'), undefined);
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import QueclinkParser from '../parser.js';
+import { toStorageRows, toDeadLetterRow, toConfigSnapshotRow, fromConfigSnapshotRow } from '../storage.js';
+import { DeviceConfigStore } from '../config-store.js';
+import { SqliteStorage } from '../storage-sqlite.js';
+import { fixture } from './fixtures.js';
+
+const parser = new QueclinkParser();
+
+const TRUNCATED = '+RESP:GTFRI,5E0500,861971050198167,,GV500MAP,1,20250619151140,11F0$';
+const UNKNOWN = '+RESP:GTXYZ,5E0500,862193022000541,GV500MAP,20250619151140,11F2$';
+
+async function openMemory() {
+    const storage = new SqliteStorage({ file: ':memory:' });
+    await storage.migrate();
+    return storage;
+}
+
+describe('reports', () => {
+    const FRI = fixture('ascii', 'GTFRI');
+    const rows = (sendTime) => {
+        const result = parser.parse(FRI);
+        return toStorageRows({ ...result, parsedData: { ...result.parsedData, sendTime } }, { format: 'ASCII', message: FRI });
+    };
+
+    it('are stored once however often they are resent, with or without a Send Time', async () => {
+        const storage = await openMemory();
+        assert.deepEqual(await storage.writeBatch([rows(null), rows(null)]), [true, false]);
+        assert.deepEqual(await storage.writeBatch([rows(null), rows(new Date(Date.UTC(2025, 5, 19, 15, 11, 45)))]), [false, true]);
+        assert.equal((await storage.getRawFrames('861971050198167')).length, 2);
+        await storage.close();
+    });
+
+    it('lose the duplicates stored without a Send Time before the key covered them', async () => {
+        const storage = await openMemory();
+        storage.db.exec(`
+            DELETE FROM schema_migrations WHERE version = 4;
+            DROP INDEX raw_frames_report_key;
+            CREATE UNIQUE INDEX raw_frames_report_key ON raw_frames (imei, count_number, send_time);
+        `);
+        await storage.writeBatch([rows(null), rows(null)]);
+        assert.equal(storage.db.prepare('SELECT COUNT(*) FROM positions').pluck().get(), 2);
+
+        await storage.migrate();
+        assert.equal((await storage.getRawFrames('861971050198167')).length, 1);
+        assert.equal(storage.db.prepare('SELECT COUNT(*) FROM positions').pluck().get(), 1);
+        assert.deepEqual(await storage.writeBatch([rows(null)]), [false]);
+        await storage.close();
+    });
+});
+
+describe('dead letters', () => {
+    it('keeps the raw frame and the error', () => {
+        const result = parser.parse(TRUNCATED);
+        const row = toDeadLetterRow(result, { format: 'ASCII', message: TRUNCATED }, '861971050198167', new Date(Date.UTC(2025, 5, 19, 15, 11, 41)));
+        assert.deepEqual(row, {
+            imei: '861971050198167',
+            format: 'ASCII',
+            received_at: '2025-06-19T15:11:41.000Z',
+            error_code: 'PARAMETER_COUNT',
+            error_message: result.error.message,
+            command: 'GTFRI',
+            field_index: 7,
+            raw: TRUNCATED,
+        });
+    });
+
+    it('are stored and listed per device or for all devices', async () => {
+        const storage = await openMemory();
+        await storage.saveDeadLetter(toDeadLetterRow(parser.parse(TRUNCATED), { format: 'ASCII', message: TRUNCATED }, '861971050198167', new Date(Date.UTC(2025, 5, 19, 15, 0))));
+        await storage.saveDeadLetter(toDeadLetterRow(parser.parse(UNKNOWN), { format: 'ASCII', message: UNKNOWN }, null, new Date(Date.UTC(2025, 5, 19, 15, 1))));
+
+        const all = await storage.getDeadLetters(null);
+        assert.deepEqual(all.map(row => [row.imei, row.error_code, row.command]), [
+            ['861971050198167', 'PARAMETER_COUNT', 'GTFRI'],
+            [null, 'UNKNOWN_COMMAND', 'GTXYZ'],
+        ]);
+        assert.deepEqual((await storage.getDeadLetters('861971050198167')).map(row => row.raw), [TRUNCATED]);
+        assert.deepEqual((await storage.getDeadLetters(null, { from: '2025-06-19T15:00:30Z' })).map(row => row.raw), [UNKNOWN]);
+        await storage.close();
+    });
+});
+
+describe('config snapshots', () => {
+    const report = (imei, fri) => ({ uniqueId: imei, configurations: { FRI: { mode: 1, sendInterval: fri } }, sendTime: new Date(Date.UTC(2025, 5, 19, 15)) });
+
+    it('carry on their versions after a restart', async () => {
+        const storage = await openMemory();
+        const before = new DeviceConfigStore();
+        for (const snapshot of [before.ingest(report('861971050198167', 30)), before.ingest(report('861971050198167', 60)), before.ingest(report('862193022000541', 30))]) {
+            await storage.saveConfigSnapshot(toConfigSnapshotRow(snapshot));
+        }
+
+        const after = new DeviceConfigStore();
+        const restored = (await storage.getLatestConfigSnapshots()).map(fromConfigSnapshotRow);
+        restored.forEach(snapshot => after.restore(snapshot));
+        assert.deepEqual(restored.map(snapshot => [snapshot.imei, snapshot.version]), [['861971050198167', 2], ['862193022000541', 1]]);
+        assert.deepEqual(after.get('861971050198167'), before.get('861971050198167'));
+
+        assert.equal(after.ingest(report('861971050198167', 60)).version, 2);
+        assert.equal(after.ingest(report('861971050198167', 90)).version, 3);
+        await storage.close();
+    });
+
+    it('refresh the confirmation time of a version already stored', async () => {
+        const storage = await openMemory();
+        const snapshot = new DeviceConfigStore().ingest(report('861971050198167', 30));
+        await storage.saveConfigSnapshot(toConfigSnapshotRow(snapshot));
+        snapshot.confirmedAt = new Date(snapshot.confirmedAt.getTime() + 3600 * 1000);
+        await storage.saveConfigSnapshot(toConfigSnapshotRow(snapshot));
+
+        const [row] = await storage.getLatestConfigSnapshots();
+        assert.equal(row.confirmed_at, snapshot.confirmedAt.toISOString());
+        assert.deepEqual(row.sections, { FRI: { mode: 1, sendInterval: 30 } });
+        await storage.close();
+    });
+});
+
+describe('PostgresStorage', () => {
+    it('reports errors of idle pooled connections instead of crashing', async () => {
+        const { PostgresStorage, loadPg } = await import('../storage-postgres.js');
+        const storage = new PostgresStorage({ connection: { host: '127.0.0.1', port: 1 }, pg: await loadPg() });
+        const errors = [];
+        storage.on('error', error => errors.push(error.message));
+        storage.pool.emit('error', new Error('terminating connection due to administrator command'));
+        assert.deepEqual(errors, ['terminating connection due to administrator command']);
+        await storage.close();
+    });
+});
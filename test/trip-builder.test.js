@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TripBuilder } from '../trip-builder.js';
+
+const IMEI = '861971050198167';
+const START = Date.UTC(2025, 5, 19, 15, 0, 0);
+
+let countNumber = 0;
+
+/**
+ * A parsed report with a fix, `seconds` after START, heading north.
+ */
+function report(command, seconds, fields = {}, messageType = 'RESP') {
+    const time = new Date(START + seconds * 1000);
+    return {
+        ok: true,
+        messageType,
+        command,
+        parsedData: {
+            uniqueId: IMEI,
+            countNumber: countNumber++,
+            sendTime: time,
+            gnssUtcTime: time,
+            gnssAccuracy: 1,
+            latitude: 17.4 + seconds / 100000,
+            longitude: 78.4,
+            speed: 40,
+            ...fields,
+        },
+    };
+}
+
+/**
+ * Two trips, each closed by ignition off and followed by its journey summary.
+ */
+function twoTrips() {
+    return [
+        report('GTIGN', 0),
+        report('GTFRI', 60),
+        report('GTFRI', 120),
+        report('GTIGF', 180, { durationOfIgnitionOn: 180 }),
+        report('GTJES', 200, { maxRpm: 3100 }),
+        report('GTFRI', 600, { speed: 0 }),
+        report('GTIGN', 1000),
+        report('GTFRI', 1060),
+        report('GTIGF', 1120, { durationOfIgnitionOn: 120 }),
+        report('GTJES', 1130, { maxRpm: 2800 }),
+    ];
+}
+
+function builderWith(results) {
+    const builder = new TripBuilder();
+    const trips = [];
+    builder.on('trip', trip => trips.push(trip));
+    for (const result of results) {
+        builder.handle(result);
+    }
+    return { builder, trips };
+}
+
+const summary = (trip) => [trip.tripId, trip.durationS, trip.points.length, trip.journeySummary?.maxRpm ?? null];
+
+describe('TripBuilder', () => {
+    it('emits a trip at ignition off and again with its journey summary', () => {
+        const { builder, trips } = builderWith(twoTrips());
+        assert.deepEqual(trips.map(trip => [trip.tripId, trip.revision]), [
+            [`${IMEI}-${START / 1000}`, 1],
+            [`${IMEI}-${START / 1000}`, 2],
+            [`${IMEI}-${START / 1000 + 1000}`, 1],
+            [`${IMEI}-${START / 1000 + 1000}`, 2],
+        ]);
+        assert.deepEqual(builder.getTrips(IMEI).map(summary), [
+            [`${IMEI}-${START / 1000}`, 180, 4, 3100],
+            [`${IMEI}-${START / 1000 + 1000}`, 120, 3, 2800],
+        ]);
+        assert.equal(builder.getOpenTrip(IMEI), null);
+    });
+
+    it('keeps the trip in progress open', () => {
+        const { builder, trips } = builderWith([report('GTIGN', 0), report('GTFRI', 60)]);
+        assert.equal(trips.length, 0);
+        assert.deepEqual(summary(builder.getOpenTrip(IMEI)), [`${IMEI}-${START / 1000}`, null, 2, null]);
+    });
+
+    it('builds the same trips from reports delivered out of order', () => {
+        const ordered = twoTrips();
+        const shuffled = [7, 2, 9, 0, 5, 3, 8, 1, 6, 4].map(i => ordered[i]);
+        assert.deepEqual(builderWith(shuffled).builder.getTrips(IMEI).map(summary),
+            builderWith(ordered).builder.getTrips(IMEI).map(summary));
+    });
+
+    it('re-emits a closed trip that a late buffered report changes', () => {
+        const { builder, trips } = builderWith(twoTrips());
+        const emitted = trips.length;
+        assert.equal(builder.handle(report('GTFRI', 90, {}, 'BUFF')), true);
+        assert.equal(trips.length, emitted + 1);
+        assert.deepEqual([trips[emitted].tripId, trips[emitted].revision, trips[emitted].buffered],
+            [`${IMEI}-${START / 1000}`, 3, true]);
+        assert.equal(builder.getTrips(IMEI)[0].points.length, 5);
+    });
+
+    it('ignores reports the device resends', () => {
+        const results = twoTrips();
+        const { trips } = builderWith([...results, results[3], results[1]]);
+        assert.equal(trips.length, 4);
+    });
+
+    it('derives a trip from the ignition on duration when its start is missing', () => {
+        const { builder, trips } = builderWith([
+            report('GTFRI', 0, { speed: 0 }),
+            report('GTFRI', 60),
+            report('GTFRI', 120),
+            report('GTIGF', 180, { durationOfIgnitionOn: 150 }),
+        ]);
+        assert.equal(trips.length, 1);
+        assert.deepEqual([trips[0].startedBy, trips[0].durationS, trips[0].points.length], [null, 150, 3]);
+        assert.deepEqual(builder.getTrips(IMEI).map(summary), trips.map(summary));
+    });
+
+    it('drops trips and reports behind the retention window', () => {
+        const builder = new TripBuilder({ retentionMs: 3600 * 1000 });
+        for (const result of twoTrips()) {
+            builder.handle(result);
+        }
+        assert.equal(builder.handle(report('GTFRI', 3500)), true);
+        assert.equal(builder.getTrips(IMEI).length, 2);
+        assert.equal(builder.handle(report('GTFRI', 4500)), true);
+        assert.deepEqual(builder.getTrips(IMEI).map(trip => trip.tripId), [`${IMEI}-${START / 1000 + 1000}`]);
+        assert.equal(builder.handle(report('GTFRI', 90, {}, 'BUFF')), false);
+    });
+});
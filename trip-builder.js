@@ -0,0 +1,441 @@
+/**
+ * @fileoverview Trip segmentation from event and position reports, ASCII or HEX.
+ * A trip opens on ignition on (GTIGN/GTVGN) or when GTSTT reports the
+ * vehicle moving with the ignition on, and closes on ignition off
+ * (GTIGF/GTVGF). The GTFRI positions in between become the trip's track,
+ * GTIDF idling periods its idle time and the GTJES journey summary sent at
+ * the end its engine statistics.
+ *
+ * Buffered (+BUFF, +BSP, +BVT) reports arrive late and out of order, so the builder keeps
+ * each device's recent reports in time order next to the trips built from
+ * them. A report that arrives in order extends the trips where they end; a
+ * late one re-derives them from the first trip it can affect. A closed trip is
+ * emitted as a 'trip' event and emitted again, with a higher `revision`,
+ * whenever a late report changes it. Trips that started more than
+ * `retentionMs` before the newest report are final and dropped together with
+ * their reports; reports older than that are ignored.
+ */
+
+import { EventEmitter } from 'events';
+import { isBufferedReport } from './parser.js';
+import { haversineM, reportTime } from './report-utils.js';
+
+export const DEFAULT_RETENTION_MS = 24 * 3600 * 1000;
+export const DEFAULT_JES_GRACE_MS = 5 * 60 * 1000;
+export const DEFAULT_IDLE_SPEED_KMH = 3;
+
+const START_COMMANDS = ['GTIGN', 'GTVGN'];
+const END_COMMANDS = ['GTIGF', 'GTVGF'];
+const MOVING_IGNITION_ON = 22; // GTSTT motion status: Ignition On Motion
+
+// Reports the builder keeps; everything else is ignored
+const TRIP_COMMANDS = [...START_COMMANDS, ...END_COMMANDS, 'GTSTT', 'GTFRI', 'GTIDF', 'GTJES'];
+
+export class TripBuilder extends EventEmitter {
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.retentionMs] How far behind the newest report late reports are still accepted.
+     * @param {number} [options.jesGraceMs] How long after ignition off a GTJES still belongs to the trip.
+     * @param {number} [options.idleSpeedKmh] Speed under which the vehicle counts as idling between two positions.
+     */
+    constructor({
+        retentionMs = DEFAULT_RETENTION_MS,
+        jesGraceMs = DEFAULT_JES_GRACE_MS,
+        idleSpeedKmh = DEFAULT_IDLE_SPEED_KMH,
+    } = {}) {
+        super();
+        this.retentionMs = retentionMs;
+        this.jesGraceMs = jesGraceMs;
+        this.idleSpeedKmh = idleSpeedKmh;
+
+        this.devices = new Map(); // IMEI -> { timeline: reports sorted by time, keys: their keys, trips, cutoff }
+        this.emitted = new Map(); // IMEI -> Map(trip ID -> { revision, signature })
+    }
+
+    /**
+     * Adds a parsed +RESP, +BUFF or HEX report.
+     * @param {object} result The object returned by QueclinkParser.parse.
+     * @returns {boolean} Whether the report was used for trips.
+     */
+    handle(result) {
+        if (!result || result.ok === false || !result.parsedData || !['RESP', 'BUFF', 'HEX'].includes(result.messageType)) {
+            return false;
+        }
+        if (!TRIP_COMMANDS.includes(result.command)) {
+            return false;
+        }
+
+        const report = result.parsedData;
+        const time = reportTime(report);
+        if (!report.uniqueId || time === null) {
+            return false;
+        }
+
+        const device = this._device(report.uniqueId);
+        const event = {
+            command: result.command,
+            buffered: isBufferedReport(result),
+            time,
+            key: `${result.command}:${report.countNumber}:${report.sendTime instanceof Date ? report.sendTime.getTime() : ''}`,
+            report,
+        };
+        if (device.keys.has(event.key)) {
+            return true; // resent by the device
+        }
+        if (time < device.cutoff) {
+            return false;
+        }
+
+        // Reports mostly arrive in order, so search from the end
+        const { timeline } = device;
+        let index = timeline.length;
+        while (index > 0 && timeline[index - 1].time > time) {
+            index--;
+        }
+        timeline.splice(index, 0, event);
+        device.keys.add(event.key);
+
+        this._prune(report.uniqueId, device);
+        if (!device.keys.has(event.key)) {
+            return false; // behind the retention window
+        }
+        const changed = index === timeline.length - 1 ? this._extend(device, event) : this._resegment(device, time);
+        this._emitChanged(report.uniqueId, changed);
+        return true;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object|null} The trip in progress, if any.
+     */
+    getOpenTrip(imei) {
+        const trips = this.devices.get(imei)?.trips || [];
+        const last = trips[trips.length - 1];
+        return last && last.endTime === null ? this._summarize(imei, last) : null;
+    }
+
+    /**
+     * @param {string} imei The device Unique ID.
+     * @returns {object[]} The closed trips still within the retention window, oldest first.
+     */
+    getTrips(imei) {
+        return (this.devices.get(imei)?.trips || [])
+            .filter(trip => trip.endTime !== null)
+            .map(trip => this._summarize(imei, trip));
+    }
+
+    _device(imei) {
+        let device = this.devices.get(imei);
+        if (!device) {
+            device = { timeline: [], keys: new Set(), trips: [], cutoff: -Infinity };
+            this.devices.set(imei, device);
+        }
+        return device;
+    }
+
+    /**
+     * Drops the trips that started before the retention window, along with
+     * every report up to their end, so they cannot be derived again.
+     */
+    _prune(imei, device) {
+        const { timeline, keys, trips } = device;
+        const horizon = timeline[timeline.length - 1].time - this.retentionMs;
+        let cutoff = Math.max(device.cutoff, horizon);
+        while (trips.length && trips[0].startTime < horizon) {
+            const trip = trips.shift();
+            if (trip.endTime !== null) {
+                cutoff = Math.max(cutoff, trip.endTime + this.jesGraceMs);
+            }
+        }
+        device.cutoff = cutoff;
+
+        let count = 0;
+        while (count < timeline.length && timeline[count].time < cutoff) {
+            keys.delete(timeline[count].key);
+            count++;
+        }
+        timeline.splice(0, count);
+
+        const emitted = this.emitted.get(imei);
+        if (emitted) {
+            for (const [id, state] of emitted) {
+                if (state.startTime < horizon) {
+                    emitted.delete(id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Applies a report newer than all the others to the device's trips.
+     * @returns {object[]} The trips it changed.
+     */
+    _extend(device, event) {
+        const { trips } = device;
+        const last = trips[trips.length - 1];
+        const current = last && last.endTime === null ? last : null;
+        const changed = [];
+
+        if (isStart(event)) {
+            if (!current) {
+                trips.push({ startTime: event.time, endTime: null, startEvent: event, endEvent: null, events: [] });
+            }
+        } else if (END_COMMANDS.includes(event.command)) {
+            if (current) {
+                current.endTime = event.time;
+                current.endEvent = event;
+                changed.push(current);
+            } else if (Number.isFinite(event.report.durationOfIgnitionOn)) {
+                // The trip derived from the ignition on duration may reach back over earlier reports
+                return this._resegment(device, event.time);
+            }
+        }
+
+        const trip = this._tripAt(trips, event);
+        if (trip) {
+            trip.events.push(event);
+            if (!changed.includes(trip)) {
+                changed.push(trip);
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Re-derives the trips from the first one a report at `time` can affect.
+     * @returns {object[]} The re-derived trips.
+     */
+    _resegment(device, time) {
+        const { timeline, trips } = device;
+        let from = time;
+
+        for (;;) {
+            // Trips end in time order, so those ending (with the GTJES grace) before
+            // `from` are unaffected, and so is every trip before them
+            let kept = trips.length;
+            while (kept > 0) {
+                const trip = trips[kept - 1];
+                if (trip.endTime !== null && trip.endTime + this.jesGraceMs < from) {
+                    break;
+                }
+                from = Math.min(from, trip.startTime);
+                kept--;
+            }
+
+            let index = timeline.length;
+            while (index > 0 && timeline[index - 1].time >= from) {
+                index--;
+            }
+            const rebuilt = this._segment(timeline.slice(index));
+
+            // A trip derived from the ignition on duration may start earlier still
+            const start = Math.min(...rebuilt.map(trip => trip.startTime));
+            if (start >= from) {
+                device.trips = trips.slice(0, kept).concat(rebuilt);
+                return rebuilt;
+            }
+            from = start;
+        }
+    }
+
+    /**
+     * Emits the closed trips that are new or changed since they were last emitted.
+     */
+    _emitChanged(imei, trips) {
+        const emitted = this.emitted.get(imei) || new Map();
+        this.emitted.set(imei, emitted);
+
+        for (const trip of trips) {
+            if (trip.endTime === null) {
+                continue;
+            }
+            const summary = this._summarize(imei, trip);
+            const signature = trip.events.map(event => event.key).join('|');
+            const previous = emitted.get(summary.tripId);
+            if (previous && previous.signature === signature) {
+                continue;
+            }
+            summary.revision = previous ? previous.revision + 1 : 1;
+            emitted.set(summary.tripId, { revision: summary.revision, signature, startTime: trip.startTime });
+            this.emit('trip', summary);
+        }
+    }
+
+    /**
+     * Splits a time-ordered timeline into trips and assigns each report to one.
+     */
+    _segment(timeline) {
+        const trips = [];
+        let current = null;
+
+        for (const event of timeline) {
+            if (isStart(event)) {
+                if (!current) {
+                    current = { startTime: event.time, endTime: null, startEvent: event, endEvent: null, events: [] };
+                    trips.push(current);
+                }
+            } else if (END_COMMANDS.includes(event.command)) {
+                if (!current) {
+                    // Ignition off without its ignition on (lost, or before the retention window):
+                    // the report says how long the ignition was on
+                    const duration = event.report.durationOfIgnitionOn;
+                    if (!Number.isFinite(duration)) {
+                        continue;
+                    }
+                    current = { startTime: event.time - duration * 1000, endTime: null, startEvent: null, endEvent: null, events: [] };
+                    trips.push(current);
+                }
+                current.endTime = event.time;
+                current.endEvent = event;
+                current = null;
+            }
+        }
+
+        for (const event of timeline) {
+            const trip = this._tripAt(trips, event);
+            if (trip) {
+                trip.events.push(event);
+            }
+        }
+
+        return trips;
+    }
+
+    /**
+     * The first trip whose time span, plus the GTJES grace for a GTJES, covers the report.
+     */
+    _tripAt(trips, event) {
+        const grace = event.command === 'GTJES' ? this.jesGraceMs : 0;
+        const end = (trip) => (trip.endTime === null ? Infinity : trip.endTime) + grace;
+
+        // Trips end in time order: skip those ending before the report
+        let low = 0;
+        let high = trips.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (end(trips[middle]) < event.time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        // Not necessarily the next one: a trip derived from the ignition on
+        // duration can start before the previous one ended
+        for (let i = low; i < trips.length; i++) {
+            if (trips[i].startTime <= event.time) {
+                return trips[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Builds the trip record: track, distance, duration, idle time, speeds and journey summary.
+     */
+    _summarize(imei, trip) {
+        const points = [];
+        let idleTimeS = 0;
+        let idleReported = false;
+        let journeySummary = null;
+
+        for (const event of trip.events) {
+            const { report } = event;
+            if (event.command === 'GTJES') {
+                journeySummary = {
+                    journeyFuelConsumption: report.journeyFuelConsumption,
+                    maxRpm: report.maxRpm,
+                    averageRpm: report.averageRpm,
+                    maxThrottlePosition: report.maxThrottlePosition,
+                    averageThrottlePosition: report.averageThrottlePosition,
+                    maxEngineLoad: report.maxEngineLoad,
+                    averageEngineLoad: report.averageEngineLoad,
+                    tripMileage: report.tripMileage,
+                };
+                continue;
+            }
+            if (event.command === 'GTIDF' && Number.isFinite(report.durationOfIdlingStatus)) {
+                idleTimeS += report.durationOfIdlingStatus;
+                idleReported = true;
+            }
+            const positions = Array.isArray(report.positions) ? report.positions : [report];
+            for (const position of positions) {
+                if (hasFix(position)) {
+                    points.push({
+                        time: position.gnssUtcTime,
+                        latitude: position.latitude,
+                        longitude: position.longitude,
+                        speed: position.speed,
+                    });
+                }
+            }
+        }
+        points.sort((a, b) => a.time - b.time);
+
+        let gpsDistanceKm = 0;
+        let pointIdleS = 0;
+        for (let i = 1; i < points.length; i++) {
+            gpsDistanceKm += haversineM(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude) / 1000;
+            if (points[i - 1].speed < this.idleSpeedKmh && points[i].speed < this.idleSpeedKmh) {
+                pointIdleS += (points[i].time - points[i - 1].time) / 1000;
+            }
+        }
+
+        // Odometer delta between the first and last reports carrying the total mileage
+        const mileages = trip.events
+            .filter(event => event.command !== 'GTJES' && Number.isFinite(event.report.mileage))
+            .map(event => event.report.mileage);
+        const odometerDistanceKm = mileages.length >= 2 ? round(mileages[mileages.length - 1] - mileages[0], 1) : null;
+
+        const { endTime } = trip;
+        const durationS = endTime === null ? null : Math.round((endTime - trip.startTime) / 1000);
+        const distanceKm = odometerDistanceKm ?? round(gpsDistanceKm, 3);
+        const speeds = points.map(point => point.speed).filter(Number.isFinite);
+
+        return {
+            imei,
+            tripId: `${imei}-${Math.round(trip.startTime / 1000)}`,
+            revision: null,
+            startTime: new Date(trip.startTime),
+            endTime: endTime === null ? null : new Date(endTime),
+            startedBy: trip.startEvent ? trip.startEvent.command : null,
+            start: points.length ? pick(points[0]) : null,
+            end: endTime !== null && points.length ? pick(points[points.length - 1]) : null,
+            durationS,
+            idleTimeS: Math.round(idleReported ? idleTimeS : pointIdleS),
+            distanceKm,
+            odometerDistanceKm,
+            gpsDistanceKm: round(gpsDistanceKm, 3),
+            maxSpeedKmh: speeds.length ? Math.max(...speeds) : null,
+            avgSpeedKmh: durationS ? round(distanceKm / (durationS / 3600), 1) : null,
+            journeySummary,
+            buffered: trip.events.some(event => event.buffered),
+            points: points.map(pick),
+        };
+    }
+}
+
+function isStart(event) {
+    if (START_COMMANDS.includes(event.command)) {
+        return true;
+    }
+    // ASCII GTSTT parses the motion status as a number, HEX keeps its digits as text
+    return event.command === 'GTSTT' && parseInt(event.report.motionStatus, 10) === MOVING_IGNITION_ON;
+}
+
+function hasFix(position) {
+    return position.gnssAccuracy > 0
+        && Number.isFinite(position.latitude) && Number.isFinite(position.longitude)
+        && position.gnssUtcTime instanceof Date && !Number.isNaN(position.gnssUtcTime.getTime());
+}
+
+function pick(point) {
+    return { time: point.time, latitude: point.latitude, longitude: point.longitude, speed: point.speed };
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+export default TripBuilder;